@@ -0,0 +1,26 @@
+import React from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+/**
+ * The active product filters as removable chips, shown above the product grid.
+ * @param {Array<{key: string, label: string, removal: object}>} props.chips - From `getActiveFilterChips`.
+ */
+export default function ActiveFilterChips({ chips, onRemove, onClearAll }) {
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4" aria-label="Active filters">
+      {chips.map(chip => (
+        <span key={chip.key} className="inline-flex items-center gap-1 pl-3 pr-1.5 py-1 text-sm bg-blue-50 text-blue-800 border border-blue-200 rounded-full">
+          {chip.label}
+          <button onClick={() => onRemove(chip.removal)} className="p-0.5 rounded-full hover:bg-blue-100" aria-label={`Remove filter ${chip.label}`}>
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </span>
+      ))}
+      {chips.length > 1 && (
+        <button onClick={onClearAll} className="text-sm text-blue-600 hover:underline ml-1">Clear all</button>
+      )}
+    </div>
+  );
+}
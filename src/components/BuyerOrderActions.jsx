@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+
+import CancelOrderModal from './CancelOrderModal';
+import ReturnRequestModal from './ReturnRequestModal';
+import { canRequestReturn, canTransitionOrder } from '../utils/orderStatus';
+
+/**
+ * The cancel and return buttons for one of the buyer's orders, shown only when the order allows
+ * them, with the modals they open.
+ * @param {object} props.order - An `OrderDTO`.
+ * @param {function} props.onOrderChange - Called after the order was cancelled or a return requested.
+ */
+export default function BuyerOrderActions({ order, onOrderChange }) {
+  const [openModal, setOpenModal] = useState(null);
+
+  const canCancel = canTransitionOrder(order.status, 'CANCELLED', 'BUYER');
+  const canReturn = canRequestReturn(order);
+
+  if (!canCancel && !canReturn) return null;
+
+  return (
+    <>
+      {canCancel && (
+        <button onClick={() => setOpenModal('cancel')} className="text-xs font-medium text-red-600 hover:text-red-800">Cancel order</button>
+      )}
+      {canReturn && (
+        <button onClick={() => setOpenModal('return')} className="text-xs font-medium text-blue-600 hover:text-blue-800">Return items</button>
+      )}
+      {/* The buttons can sit in a table cell; keep its nowrap and alignment out of the modals. */}
+      <div className="whitespace-normal text-left">
+        {openModal === 'cancel' && <CancelOrderModal order={order} onClose={() => setOpenModal(null)} onCancelled={onOrderChange} />}
+        {openModal === 'return' && <ReturnRequestModal order={order} onClose={() => setOpenModal(null)} onSubmitted={onOrderChange} />}
+      </div>
+    </>
+  );
+}
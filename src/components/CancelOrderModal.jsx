@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { XCircleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+import { cancelMyOrder } from '../services/api';
+import { CANCELLATION_REASONS, getOrderTransition, validateOrderTransition } from '../utils/orderStatus';
+
+/**
+ * Lets the buyer cancel an order that has not shipped. Paid orders need a reason and are refunded.
+ * @param {object} props.order - An `OrderDTO` the buyer may cancel.
+ * @param {function} props.onCancelled - Called after the order was cancelled.
+ */
+export default function CancelOrderModal({ order, onClose, onCancelled }) {
+  const [reasonKey, setReasonKey] = useState('');
+  const [details, setDetails] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRefunded = getOrderTransition(order.status, 'CANCELLED', 'BUYER')?.requires.includes('reason');
+  const reason = [CANCELLATION_REASONS[reasonKey], details.trim()].filter(Boolean).join(': ');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateOrderTransition(order, { status: 'CANCELLED', reason }, 'BUYER');
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    const toastId = toast.loading('Cancelling order...');
+    try {
+      await cancelMyOrder(order.id, reason || undefined);
+      toast.success(isRefunded ? 'Order cancelled. Your refund is on its way.' : 'Order cancelled.', { id: toastId });
+      onCancelled();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to cancel order.', { id: toastId });
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md m-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2"><XCircleIcon className="h-6 w-6 text-red-600" /> Cancel Order #{String(order.id).slice(-8)}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+          <p className="text-sm text-gray-600">
+            {isRefunded
+              ? `The ${order.total != null ? `$${order.total.toFixed(2)} ` : ''}you paid will be refunded to your original payment method.`
+              : 'You have not been charged for this order.'}
+          </p>
+          <div>
+            <label htmlFor="cancelReason" className="block text-sm font-medium text-gray-700">Reason{!isRefunded && ' (optional)'}</label>
+            <select
+              id="cancelReason"
+              value={reasonKey}
+              onChange={(e) => { setReasonKey(e.target.value); setErrors({}); }}
+              className={`mt-1 block w-full pl-3 pr-10 py-2 text-base border rounded-md sm:text-sm ${errors.reason ? 'border-red-500' : 'border-gray-300'}`}
+            >
+              <option value="">Choose a reason</option>
+              {Object.entries(CANCELLATION_REASONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            {errors.reason && <p className="text-xs text-red-600 mt-1.5">Choose why you are cancelling.</p>}
+          </div>
+          <div>
+            <label htmlFor="cancelDetails" className="block text-sm font-medium text-gray-700">Anything else? (optional)</label>
+            <textarea
+              id="cancelDetails"
+              rows={2}
+              maxLength={300}
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+            />
+          </div>
+          <div className="mt-6 flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Keep Order</button>
+            <button type="submit" disabled={isSubmitting} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50">Cancel Order</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+
+import { splitByMatches } from '../utils/search';
+
+/** Renders `text` with the words of `query` in bold. */
+export default function HighlightedText({ text, query, className = 'font-semibold text-gray-900' }) {
+  return splitByMatches(text, query).map((part, index) => (
+    part.isMatch ? <mark key={index} className={`bg-transparent ${className}`}>{part.text}</mark> : <React.Fragment key={index}>{part.text}</React.Fragment>
+  ));
+}
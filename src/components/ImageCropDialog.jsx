@@ -0,0 +1,130 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { XMarkIcon, MagnifyingGlassPlusIcon } from '@heroicons/react/24/outline';
+
+import { CATALOG_ASPECT_RATIO, MIN_SOURCE_DIMENSION, getDefaultCrop } from '../utils/imageProcessing';
+
+const PREVIEW_BOX_SIZE = 480;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Lets the seller choose the part of a photo to use, at the catalog aspect ratio.
+ * Drag the frame to move it; the slider zooms in by shrinking it.
+ *
+ * @param {object} props
+ * @param {{file: File, image: ImageBitmap|HTMLImageElement, width: number, height: number}} props.source - From `loadSourceImage`.
+ * @param {string} [props.progressLabel] - e.g. "Image 2 of 3" when several files were picked at once.
+ * @param {(crop: {x: number, y: number, width: number, height: number}) => void} props.onConfirm - Crop in source pixels.
+ * @param {() => void} props.onCancel - Skips this image.
+ * @param {boolean} [props.isProcessing] - Set while the confirmed crop is being resized.
+ */
+export default function ImageCropDialog({ source, progressLabel, onConfirm, onCancel, isProcessing = false }) {
+  const canvasRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const [crop, setCrop] = useState(() => getDefaultCrop(source.width, source.height));
+
+  const scale = Math.min(PREVIEW_BOX_SIZE / source.width, PREVIEW_BOX_SIZE / source.height);
+  const previewWidth = Math.round(source.width * scale);
+  const previewHeight = Math.round(source.height * scale);
+  const maxCropWidth = getDefaultCrop(source.width, source.height).width;
+  // Never crop below what the card rendition needs, so nothing gets upscaled.
+  const minCropWidth = Math.min(maxCropWidth, MIN_SOURCE_DIMENSION * CATALOG_ASPECT_RATIO);
+
+  useEffect(() => {
+    const context = canvasRef.current.getContext('2d');
+    context.drawImage(source.image, 0, 0, previewWidth, previewHeight);
+  }, [source, previewWidth, previewHeight]);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = { pointerX: e.clientX, pointerY: e.clientY, crop };
+  };
+
+  const handlePointerMove = (e) => {
+    const dragStart = dragStartRef.current;
+    if (!dragStart) return;
+    const deltaX = (e.clientX - dragStart.pointerX) / scale;
+    const deltaY = (e.clientY - dragStart.pointerY) / scale;
+    setCrop({
+      ...dragStart.crop,
+      x: Math.round(clamp(dragStart.crop.x + deltaX, 0, source.width - dragStart.crop.width)),
+      y: Math.round(clamp(dragStart.crop.y + deltaY, 0, source.height - dragStart.crop.height)),
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+  };
+
+  // Zooming keeps the frame centred on the same point of the photo.
+  const handleZoomChange = (e) => {
+    const width = Number(e.target.value);
+    const height = width / CATALOG_ASPECT_RATIO;
+    setCrop(prev => {
+      const centerX = prev.x + prev.width / 2;
+      const centerY = prev.y + prev.height / 2;
+      return {
+        x: Math.round(clamp(centerX - width / 2, 0, source.width - width)),
+        y: Math.round(clamp(centerY - height / 2, 0, source.height - height)),
+        width: Math.round(width),
+        height: Math.round(height),
+      };
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-xl m-4">
+        <div className="flex justify-between items-center mb-1">
+          <h2 className="text-xl font-semibold">Crop Image</h2>
+          <button type="button" onClick={onCancel} className="p-1 rounded-full hover:bg-gray-200" aria-label="Skip this image"><XMarkIcon className="h-6 w-6" /></button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4 truncate">
+          {progressLabel && <span className="font-medium text-gray-700">{progressLabel}: </span>}
+          {source.file.name}
+        </p>
+
+        <div className="flex justify-center bg-gray-100 rounded-md p-2">
+          <div className="relative overflow-hidden select-none" style={{ width: previewWidth, height: previewHeight }}>
+            <canvas ref={canvasRef} width={previewWidth} height={previewHeight} className="block" />
+            <div
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+              className="absolute border-2 border-white cursor-move touch-none"
+              style={{
+                left: crop.x * scale,
+                top: crop.y * scale,
+                width: crop.width * scale,
+                height: crop.height * scale,
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
+              }}
+            />
+          </div>
+        </div>
+
+        {maxCropWidth > minCropWidth && (
+          <label className="mt-4 flex items-center gap-3 text-sm text-gray-700">
+            <MagnifyingGlassPlusIcon className="h-5 w-5 text-gray-500" />
+            <span className="sr-only">Zoom</span>
+            <input
+              type="range"
+              min={minCropWidth}
+              max={maxCropWidth}
+              value={crop.width}
+              onChange={handleZoomChange}
+              // Sliding right zooms in, i.e. makes the frame smaller.
+              className="flex-1 [direction:rtl]"
+            />
+          </label>
+        )}
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button type="button" onClick={onCancel} disabled={isProcessing} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 disabled:opacity-50">Skip Image</button>
+          <button type="button" onClick={() => onConfirm(crop)} disabled={isProcessing} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-70">{isProcessing ? 'Processing...' : 'Use Image'}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
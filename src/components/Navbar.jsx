@@ -11,6 +11,8 @@ import {
 import { useAuth } from '../context/AuthContext';
 import { useSignupSigninModal } from '../hooks/useSignupSigninModal';
 import { useCart } from '../context/CartContext';
+import NotificationCenter from './NotificationCenter';
+import SearchAutocomplete from './SearchAutocomplete';
 
 const isActive = (path, current) => path === current;
 
@@ -19,7 +21,6 @@ export default function Navbar() {
   const navigate = useNavigate();
   const [mobileOpen, setMobileOpen] = useState(false);
   const [searchVisible, setSearchVisible] = useState(false);
-  const [searchValue, setSearchValue] = useState('');
   const [dropdownOpen, setDropdownOpen] = useState(false);
 
   const searchContainerRef = useRef(null);
@@ -39,15 +40,6 @@ export default function Navbar() {
     setDropdownOpen(false);
   };
 
-  const handleSearchSubmit = (e) => {
-    e.preventDefault();
-    if (searchValue.trim()) {
-      navigate(`/products?search=${encodeURIComponent(searchValue.trim())}`);
-      setSearchVisible(false);
-      setSearchValue('');
-    }
-  };
-
   const toggleSearch = () => setSearchVisible(!searchVisible);
 
   useEffect(() => {
@@ -144,31 +136,20 @@ export default function Navbar() {
           <div className="flex items-center gap-2 sm:gap-3">
             <div ref={searchContainerRef} className="flex items-center">
               {searchVisible && (
-                <form onSubmit={handleSearchSubmit} className="mr-1">
-                  <input
-                    type="text"
-                    value={searchValue}
-                    onChange={(e) => setSearchValue(e.target.value)}
-                    className="border border-gray-300 rounded-l-md px-3 py-1.5 focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 text-sm w-32 sm:w-40 transition-all duration-300"
-                    placeholder="Search..."
-                    autoFocus
-                  />
-                </form>
+                <SearchAutocomplete onDone={() => setSearchVisible(false)} />
               )}
               <button
-                onClick={
-                  searchVisible && searchValue.trim()
-                    ? handleSearchSubmit
-                    : toggleSearch
-                }
+                onClick={toggleSearch}
                 type="button"
                 className={`p-2 hover:bg-gray-100 rounded-full text-gray-700`}
-                aria-label={searchVisible ? 'Submit search' : 'Open search'}
+                aria-label={searchVisible ? 'Close search' : 'Open search'}
               >
                 <MagnifyingGlassIcon className="h-6 w-6" />
               </button>
             </div>
 
+            {isAuthenticated && <NotificationCenter />}
+
             <button
               onClick={() => navigate('/cart')}
               className="relative p-2 hover:bg-gray-100 rounded-full text-gray-700"
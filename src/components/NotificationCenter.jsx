@@ -0,0 +1,123 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNowStrict, parseISO } from 'date-fns';
+import {
+  BellIcon,
+  ChatBubbleLeftEllipsisIcon,
+  ClipboardDocumentListIcon,
+  EnvelopeIcon,
+  BookmarkIcon,
+} from '@heroicons/react/24/outline';
+
+import { useNotifications } from '../context/NotificationsContext';
+import { markSavedSearchViewed } from '../services/api';
+
+const typeIcons = {
+  chat: ChatBubbleLeftEllipsisIcon,
+  order: ClipboardDocumentListIcon,
+  contact: EnvelopeIcon,
+  savedSearch: BookmarkIcon,
+};
+
+const formatNotificationTime = (isoTimestamp) => {
+  if (!isoTimestamp) return '';
+  return formatDistanceToNowStrict(parseISO(isoTimestamp), { addSuffix: true });
+};
+
+/**
+ * Bell icon with a live unread badge and a dropdown of recent notifications.
+ * Rendered by the Navbar for signed-in users only.
+ */
+export default function NotificationCenter() {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  const { notifications, unreadCount, markNotificationAsRead, markConversationAsRead, markAllAsRead } = useNotifications();
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleOpenNotification = (notification) => {
+    if (notification.type === 'chat') {
+      markConversationAsRead(notification.conversationId).catch((error) =>
+        console.error('NotificationCenter: Failed to mark conversation as read', error)
+      );
+    } else {
+      markNotificationAsRead(notification.id);
+    }
+    if (notification.type === 'savedSearch') {
+      markSavedSearchViewed(notification.savedSearchId).catch((error) =>
+        console.error('NotificationCenter: Failed to mark saved search as viewed', error)
+      );
+    }
+    setIsOpen(false);
+    navigate(notification.link, { state: notification.linkState });
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 hover:bg-gray-100 rounded-full text-gray-700"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-600 text-white text-xs font-semibold px-1.5 py-0.5 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white shadow-lg rounded-md border border-gray-200 z-50 text-sm origin-top-right">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <p className="font-semibold text-gray-800">Notifications</p>
+            <button
+              onClick={markAllAsRead}
+              disabled={unreadCount === 0}
+              className="text-xs font-medium text-indigo-600 hover:text-indigo-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Mark all as read
+            </button>
+          </div>
+          {notifications.length === 0 ? (
+            <div className="px-4 py-8 text-center text-gray-500">
+              <BellIcon className="h-10 w-10 mx-auto text-gray-300 mb-2" />
+              <p>{unreadCount > 0 ? `You have ${unreadCount} unread message(s).` : "You're all caught up."}</p>
+            </div>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => {
+                const Icon = typeIcons[notification.type] || BellIcon;
+                return (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => handleOpenNotification(notification)}
+                      className={`w-full text-left px-4 py-3 flex gap-3 hover:bg-gray-50 ${notification.read ? '' : 'bg-indigo-50'}`}
+                    >
+                      <Icon className={`h-5 w-5 flex-shrink-0 mt-0.5 ${notification.read ? 'text-gray-400' : 'text-indigo-600'}`} />
+                      <div className="flex-1 min-w-0">
+                        <p className={`truncate ${notification.read ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>{notification.title}</p>
+                        {notification.body && <p className="text-xs text-gray-500 truncate">{notification.body}</p>}
+                        <p className="text-xs text-gray-400 mt-0.5">{formatNotificationTime(notification.createdAt)}</p>
+                      </div>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getVariantLabel } from '../utils/variants';
+
+/**
+ * Compact list of an order's line items, used in the buyer, seller and admin order tables.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.items - The order's `OrderItemDTO`s.
+ * @param {boolean} [props.linkToProducts=false] - Render product names as links to their detail page.
+ */
+export default function OrderLineItems({ items = [], linkToProducts = false }) {
+  if (items.length === 0) {
+    return <span className="text-sm text-gray-400">No items</span>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {items.map((item) => (
+        <li key={item.id || `${item.productId}-${item.variantId ?? ''}`} className="flex items-baseline justify-between gap-4 text-sm">
+          <span className="truncate max-w-[200px] sm:max-w-xs" title={item.productName}>
+            {linkToProducts ? (
+              <Link to={`/products/${item.productId}`} className="font-medium text-gray-900 hover:text-blue-600">
+                {item.productName || "Product Name Unavailable"}
+              </Link>
+            ) : (
+              <span className="font-medium text-gray-900">{item.productName || "Product Name Unavailable"}</span>
+            )}
+            {getVariantLabel(item) && <span className="text-gray-500"> ({getVariantLabel(item)})</span>}
+            <span className="text-gray-500"> &times; {item.quantity}</span>
+          </span>
+          <span className="text-xs text-gray-500 whitespace-nowrap">${(item.productPrice * item.quantity).toFixed(2)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
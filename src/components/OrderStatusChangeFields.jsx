@@ -0,0 +1,71 @@
+import React from 'react';
+
+import ShipmentFields from './ShipmentFields';
+import { getOrderStatusLabel, getOrderTransition, getOrderTransitions } from '../utils/orderStatus';
+
+/**
+ * The status changes `role` may make to `order`, plus whatever the chosen change requires: a
+ * reason, or the carrier and tracking number. Controlled: the parent keeps `value` and checks it
+ * with `validateOrderTransition` before saving.
+ *
+ * @param {object} props
+ * @param {object} props.order - An `OrderDTO`.
+ * @param {'SELLER'|'ADMIN'} props.role
+ * @param {{status: string, reason: string, shipment: {carrier: string, trackingNumber: string}}} props.value
+ * @param {function} props.onChange - Called with the updated value.
+ * @param {object} [props.errors] - From `validateOrderTransition`, keyed by field.
+ */
+export default function OrderStatusChangeFields({ order, role, value, onChange, errors = {} }) {
+  const transitions = getOrderTransitions(order.status, role);
+  const requires = getOrderTransition(order.status, value.status, role)?.requires || [];
+
+  if (transitions.length === 0) {
+    return (
+      <p className="text-sm text-gray-600 bg-gray-50 rounded-md p-3">
+        This order is {getOrderStatusLabel(order.status).toLowerCase()}; its status can no longer be changed.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="status" className="block text-sm font-medium text-gray-700">New Status:</label>
+        <select
+          id="status"
+          value={value.status}
+          onChange={(e) => onChange({ ...value, status: e.target.value })}
+          className={`mt-1 block w-full pl-3 pr-10 py-2 text-base border rounded-md sm:text-sm focus:outline-none focus:ring-1 ${errors.status ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-purple-500'}`}
+        >
+          <option value="">Choose a new status</option>
+          {transitions.map(transition => (
+            <option key={transition.to} value={transition.to}>{transition.label}</option>
+          ))}
+        </select>
+        {errors.status && <p className="text-xs text-red-600 mt-1">{errors.status}</p>}
+      </div>
+      {requires.includes('reason') && (
+        <div>
+          <label htmlFor="status-reason" className="block text-sm font-medium text-gray-700">Reason</label>
+          <textarea
+            id="status-reason"
+            rows={3}
+            maxLength={500}
+            value={value.reason}
+            onChange={(e) => onChange({ ...value, reason: e.target.value })}
+            placeholder="Shown to the buyer with the status change."
+            className={`mt-1 block w-full px-3 py-2 border rounded-md sm:text-sm focus:outline-none focus:ring-1 ${errors.reason ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-purple-500'}`}
+          />
+          {errors.reason && <p className="text-xs text-red-600 mt-1">{errors.reason}</p>}
+        </div>
+      )}
+      {requires.includes('shipment') && (
+        <ShipmentFields
+          value={value.shipment}
+          onChange={(shipment) => onChange({ ...value, shipment })}
+          errors={errors}
+        />
+      )}
+    </div>
+  );
+}
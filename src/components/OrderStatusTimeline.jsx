@@ -0,0 +1,71 @@
+import React from 'react';
+import { format, isValid, parseISO } from 'date-fns';
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/solid';
+
+import { ORDER_STATUSES, buildOrderTimeline, getOrderStatusLabel } from '../utils/orderStatus';
+
+const ROLE_LABELS = { SELLER: 'the seller', ADMIN: 'support' };
+
+const formatChangedAt = (isoTimestamp) => {
+  const date = isoTimestamp ? parseISO(isoTimestamp) : null;
+  return date && isValid(date) ? format(date, 'MMM d, yyyy · h:mm a') : null;
+};
+
+// "by Jane Doe (the seller)"; changes made by the system itself, e.g. a payment callback, have no user.
+const describeChangedBy = (changedBy) => {
+  if (!changedBy) return null;
+  if (changedBy.role === 'SYSTEM') return 'automatically';
+  if (changedBy.role === 'BUYER') return 'by you';
+  const role = ROLE_LABELS[changedBy.role];
+  if (!changedBy.name) return role ? `by ${role}` : null;
+  return `by ${changedBy.name}${role ? ` (${role})` : ''}`;
+};
+
+const StepMarker = ({ state }) => {
+  if (state === 'done') return <CheckCircleIcon className="h-6 w-6 text-green-500" />;
+  if (state === 'ended') return <XCircleIcon className="h-6 w-6 text-red-500" />;
+  if (state === 'current') {
+    return <span className="h-6 w-6 flex items-center justify-center"><span className="h-4 w-4 rounded-full bg-blue-600 ring-4 ring-blue-100" /></span>;
+  }
+  return <span className="h-6 w-6 flex items-center justify-center"><span className={`h-3.5 w-3.5 rounded-full border-2 ${state === 'skipped' ? 'border-dashed border-gray-300' : 'border-gray-300'}`} /></span>;
+};
+
+/**
+ * An order's progress as a vertical timeline: every step with when it happened and who made the
+ * change, the steps still to come, and the status that ended the order if it did not complete.
+ * @param {object} props.order - An `OrderDTO` with its `statusHistory`.
+ */
+export default function OrderStatusTimeline({ order }) {
+  const timeline = buildOrderTimeline(order);
+
+  return (
+    <ol className="relative">
+      {timeline.map((step, index) => {
+        const changedAt = formatChangedAt(step.change?.changedAt);
+        const changedBy = describeChangedBy(step.change?.changedBy);
+        const isLast = index === timeline.length - 1;
+        return (
+          <li key={step.status} className="relative flex gap-4 pb-6 last:pb-0">
+            {!isLast && (
+              <span className={`absolute left-3 top-7 -ml-px h-[calc(100%-1.75rem)] w-0.5 ${step.state === 'done' ? 'bg-green-400' : 'bg-gray-200'}`} aria-hidden="true" />
+            )}
+            <StepMarker state={step.state} />
+            <div className="min-w-0">
+              <p className={`text-sm font-semibold ${step.state === 'upcoming' || step.state === 'skipped' ? 'text-gray-400' : step.state === 'ended' ? 'text-red-700' : 'text-gray-800'}`}>
+                {getOrderStatusLabel(step.status)}
+                {step.state === 'skipped' && <span className="ml-2 text-xs font-normal">Skipped</span>}
+              </p>
+              {step.state === 'current' || step.state === 'ended' ? (
+                <p className="text-xs text-gray-500">{ORDER_STATUSES[step.status]?.description}</p>
+              ) : null}
+              {(changedAt || changedBy) && (
+                <p className="text-xs text-gray-500 mt-0.5">{[changedAt, changedBy].filter(Boolean).join(' ')}</p>
+              )}
+              {step.change?.note && <p className="text-xs text-gray-600 mt-1 italic">"{step.change.note}"</p>}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react';
+
+// Two range inputs stacked on one track; only their thumbs take pointer events.
+const thumbClassName = 'absolute inset-x-0 top-0 w-full h-5 appearance-none bg-transparent pointer-events-none '
+  + '[&::-webkit-slider-thumb]:pointer-events-auto [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:h-5 [&::-webkit-slider-thumb]:w-5 '
+  + '[&::-webkit-slider-thumb]:rounded-full [&::-webkit-slider-thumb]:bg-white [&::-webkit-slider-thumb]:border-2 [&::-webkit-slider-thumb]:border-blue-600 [&::-webkit-slider-thumb]:cursor-pointer '
+  + '[&::-moz-range-thumb]:pointer-events-auto [&::-moz-range-thumb]:h-4 [&::-moz-range-thumb]:w-4 [&::-moz-range-thumb]:rounded-full '
+  + '[&::-moz-range-thumb]:bg-white [&::-moz-range-thumb]:border-2 [&::-moz-range-thumb]:border-blue-600 [&::-moz-range-thumb]:cursor-pointer';
+
+// An empty price means no limit and sits at that end of the track.
+const toValue = (price, fallback, min, max) => (price === '' || price === undefined ? fallback : Math.min(max, Math.max(min, Number(price))));
+
+/**
+ * A dual-handle price slider between `min` and `max`. The handles move freely while dragged;
+ * `onChange({ minPrice, maxPrice })` fires once they are released. A handle left at its end of
+ * the track reports '' (no limit), matching an empty price field.
+ */
+export default function PriceRangeSlider({ min, max, minPrice, maxPrice, onChange }) {
+  const [low, setLow] = useState(() => toValue(minPrice, min, min, max));
+  const [high, setHigh] = useState(() => toValue(maxPrice, max, min, max));
+
+  useEffect(() => {
+    setLow(toValue(minPrice, min, min, max));
+    setHigh(toValue(maxPrice, max, min, max));
+  }, [minPrice, maxPrice, min, max]);
+
+  const commit = () => {
+    const nextMin = low <= min ? '' : String(low);
+    const nextMax = high >= max ? '' : String(high);
+    if (nextMin !== minPrice || nextMax !== maxPrice) {
+      onChange({ minPrice: nextMin, maxPrice: nextMax });
+    }
+  };
+
+  const span = Math.max(max - min, 1);
+  const lowPercent = ((low - min) / span) * 100;
+  const highPercent = ((high - min) / span) * 100;
+
+  return (
+    <div>
+      <div className="relative h-5">
+        <div className="absolute top-2 inset-x-0 h-1 rounded bg-gray-200" />
+        <div className="absolute top-2 h-1 rounded bg-blue-600" style={{ left: `${lowPercent}%`, right: `${100 - highPercent}%` }} />
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step="1"
+          value={low}
+          onChange={(e) => setLow(Math.min(Number(e.target.value), high))}
+          onPointerUp={commit}
+          onKeyUp={commit}
+          aria-label="Minimum price"
+          className={`${thumbClassName} ${low > max - span / 10 ? 'z-20' : 'z-10'}`}
+        />
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step="1"
+          value={high}
+          onChange={(e) => setHigh(Math.max(Number(e.target.value), low))}
+          onPointerUp={commit}
+          onKeyUp={commit}
+          aria-label="Maximum price"
+          className={`${thumbClassName} z-10`}
+        />
+      </div>
+      <div className="flex justify-between mt-2 text-sm text-gray-700">
+        <span>${low}</span>
+        <span>${high}</span>
+      </div>
+    </div>
+  );
+}
@@ -15,11 +15,15 @@ import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 import { useFavorites } from '../context/FavoritesContext';
 import { useSignupSigninModal } from '../hooks/useSignupSigninModal';
+import { hasVariants, hasPriceRange, getLowestPrice } from '../utils/variants';
+import { getLowStockCount } from '../utils/inventory';
+import HighlightedText from './HighlightedText';
 
 /**
  * Renders a single product card with actions to add to cart and toggle favorites.
+ * `highlightQuery` marks the words of the current search in the product name.
  */
-export default function ProductCard({ product }) {
+export default function ProductCard({ product, highlightQuery = '' }) {
   const { isAuthenticated, currentUser, isLoading: isAuthLoading } = useAuth();
   const { addToCart, isLoading: isCartLoading } = useCart();
   const { isFavorite, toggleFavorite, isLoading: isFavoritesLoading } = useFavorites();
@@ -39,6 +43,8 @@ export default function ProductCard({ product }) {
   }
 
   const isCurrentlyFavorite = isFavorite(product.id);
+  const isOutOfStock = product.stock !== undefined && product.stock < 1;
+  const lowStockCount = getLowStockCount(product);
 
   const handleAddToCart = (e) => {
     e.preventDefault();
@@ -55,7 +61,7 @@ export default function ProductCard({ product }) {
         return;
     }
 
-    if (isCartLoading) return;
+    if (isCartLoading || isOutOfStock) return;
     addToCart(product, 1);
   };
 
@@ -102,6 +108,11 @@ export default function ProductCard({ product }) {
           className="w-full h-56 object-cover transition-transform duration-300 group-hover:scale-105"
           onError={(e) => { e.target.onerror = null; e.target.src = '/assets/placeholder.png'; }}
         />
+        {(isOutOfStock || lowStockCount !== null) && (
+          <span className={`absolute top-3 left-3 px-2 py-0.5 text-xs font-semibold rounded-full shadow-sm ${isOutOfStock ? 'bg-gray-800/80 text-white' : 'bg-red-600 text-white'}`}>
+            {isOutOfStock ? 'Sold out' : `Only ${lowStockCount} left`}
+          </span>
+        )}
         {!isAuthLoading && isAuthenticated && currentUser?.role === 'BUYER' && (
             <button
               onClick={handleToggleFavorite}
@@ -122,7 +133,7 @@ export default function ProductCard({ product }) {
       <div className="p-4 flex flex-col flex-grow">
         <h3 className="text-md sm:text-lg font-semibold text-gray-800 truncate mb-1" title={product.name}>
             <Link to={`/products/${product.id}`} className="hover:text-blue-600 transition-colors">
-                {product.name || "Product Name Unavailable"}
+                {product.name ? <HighlightedText text={product.name} query={highlightQuery} className="text-blue-700" /> : "Product Name Unavailable"}
             </Link>
         </h3>
         <p className="text-sm text-gray-500 mb-2 capitalize">{product.category || "Uncategorized"}</p>
@@ -132,7 +143,8 @@ export default function ProductCard({ product }) {
         </div>
 
         <p className="text-lg sm:text-xl font-bold text-blue-600 mb-3">
-          ${product.price !== undefined ? product.price.toFixed(2) : "N/A"}
+          {hasPriceRange(product) && <span className="text-sm font-medium text-gray-500 mr-1">From</span>}
+          ${product.price !== undefined ? getLowestPrice(product).toFixed(2) : "N/A"}
         </p>
 
         <div className="mt-auto pt-2"> 
@@ -141,15 +153,23 @@ export default function ProductCard({ product }) {
                 <ShoppingCartIcon className="h-5 w-5" />
                 Add to Cart
             </div>
+          ) : hasVariants(product) ? (
+            // Size and color are picked on the product page.
+            <Link
+                to={`/products/${product.id}`}
+                className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white py-2.5 px-4 rounded-md hover:bg-blue-700 transition-colors duration-300 font-semibold text-sm shadow hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+            >
+                Choose Options
+            </Link>
           ) : (
             <button
                 onClick={handleAddToCart}
-                disabled={isCartLoading || currentUser?.role !== 'BUYER'}
+                disabled={isCartLoading || isOutOfStock || currentUser?.role !== 'BUYER'}
                 className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white py-2.5 px-4 rounded-md hover:bg-blue-700 transition-colors duration-300 font-semibold text-sm shadow hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1 disabled:opacity-70 disabled:bg-gray-400"
                 title={currentUser?.role !== 'BUYER' ? 'Only buyers can add to cart' : 'Add to Cart'}
             >
                 <ShoppingCartIcon className="h-5 w-5" />
-                Add to Cart
+                {isOutOfStock ? 'Out of Stock' : 'Add to Cart'}
             </button>
           )}
         </div>
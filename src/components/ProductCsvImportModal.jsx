@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { XMarkIcon, ArrowUpTrayIcon, DocumentArrowDownIcon, ExclamationTriangleIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+
+import { getProductCategories } from '../services/api';
+import { downloadCsv } from '../utils/csv';
+import {
+  MAX_IMPORT_ROWS,
+  ProductCsvError,
+  getAllSellerProducts,
+  getProductCsvTemplate,
+  parseProductCsv,
+  importProducts,
+} from '../utils/productCsv';
+
+const COLUMN_LABELS = {
+  id: 'ID',
+  name: 'Name',
+  description: 'Description',
+  price: 'Price',
+  category: 'Category',
+  stock: 'Stock',
+  image_url: 'Image URL',
+};
+
+/**
+ * Bulk product import for SellerProducts: the seller picks a CSV, reviews every row with its
+ * validation problems, then imports the valid rows while a progress bar tracks each save.
+ *
+ * @param {object} props
+ * @param {() => void} props.onClose
+ * @param {() => void} props.onImported - Called once an import finished, so the page can reload its list.
+ */
+export default function ProductCsvImportModal({ onClose, onImported }) {
+  const [context, setContext] = useState(null); // { categories, existingProducts } used to check rows
+  const [isLoadingContext, setIsLoadingContext] = useState(true);
+  const [fileName, setFileName] = useState('');
+  const [fileError, setFileError] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const loadContext = async () => {
+      try {
+        const [{ data: categories }, existingProducts] = await Promise.all([getProductCategories(), getAllSellerProducts()]);
+        setContext({ categories: categories || [], existingProducts });
+      } catch (error) {
+        console.error("ProductCsvImportModal: Failed to load catalog", error);
+        toast.error("Could not load your catalog. Please try again.");
+        onClose();
+      } finally {
+        setIsLoadingContext(false);
+      }
+    };
+    loadContext();
+  }, [onClose]);
+
+  const validRows = rows.filter(row => Object.keys(row.errors).length === 0);
+  const invalidRowCount = rows.length - validRows.length;
+  const isImporting = progress !== null && report === null;
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = null; // Allow picking the same file again after fixing it.
+    if (!file) return;
+
+    setFileName(file.name);
+    setFileError(null);
+    setRows([]);
+    try {
+      setRows(parseProductCsv(await file.text(), context));
+    } catch (error) {
+      if (!(error instanceof ProductCsvError)) console.error("ProductCsvImportModal: Failed to read file", error);
+      setFileError(error instanceof ProductCsvError ? error.message : "The file could not be read. Please save it as CSV and try again.");
+    }
+  };
+
+  const handleImport = async () => {
+    setProgress({ done: 0, total: validRows.length });
+    const importReport = await importProducts(validRows, (done) => setProgress({ done, total: validRows.length }));
+    setReport(importReport);
+    onImported();
+  };
+
+  const renderPreview = () => (
+    <>
+      <p className="text-sm text-gray-600 mb-3">
+        <span className="font-semibold text-gray-800">{validRows.length}</span> of {rows.length} rows ready to import.
+        {invalidRowCount > 0 && <span className="text-red-600"> {invalidRowCount} row(s) with problems will be skipped; fix them in the file and choose it again to include them.</span>}
+      </p>
+      <div className="overflow-auto max-h-[45vh] border border-gray-200 rounded-md">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {['Line', 'Action', 'Name', 'Price', 'Category', 'Stock', 'Problems'].map(heading => (
+                <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.map(row => {
+              const problems = Object.entries(row.errors);
+              return (
+                <tr key={row.lineNumber} className={problems.length > 0 ? 'bg-red-50' : ''}>
+                  <td className="px-3 py-2 text-gray-500">{row.lineNumber}</td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${row.action === 'update' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
+                      {row.action === 'update' ? 'Update' : 'New'}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 font-medium text-gray-800 max-w-[12rem] truncate" title={row.values.name}>{row.values.name || '—'}</td>
+                  <td className="px-3 py-2">{row.values.price || '—'}</td>
+                  <td className="px-3 py-2">{row.values.category || '—'}</td>
+                  <td className="px-3 py-2">{row.stockFromVariants ? <span className="text-gray-400" title="Stock comes from this product's variants.">Variants</span> : (row.values.stock || '—')}</td>
+                  <td className="px-3 py-2 text-xs text-red-600">
+                    {problems.map(([field, message]) => <p key={field}><span className="font-semibold">{COLUMN_LABELS[field]}:</span> {message}</p>)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+
+  const renderReport = () => (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-green-700">
+        <CheckCircleIcon className="h-6 w-6" />
+        <p className="font-semibold">Import finished: {report.created} created, {report.updated} updated.</p>
+      </div>
+      {report.failed.length > 0 && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+          <p className="font-semibold mb-1">{report.failed.length} row(s) could not be saved:</p>
+          <ul className="list-disc list-inside space-y-0.5 max-h-40 overflow-y-auto">
+            {report.failed.map(failure => <li key={failure.lineNumber}>Line {failure.lineNumber} ({failure.name}): {failure.message}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-4xl m-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">Import Products from CSV</h2>
+          <button onClick={onClose} disabled={isImporting} className="p-1 rounded-full hover:bg-gray-200 disabled:opacity-50"><XMarkIcon className="h-6 w-6" /></button>
+        </div>
+
+        {report ? renderReport() : (
+          <>
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4 p-4 bg-gray-50 rounded-md">
+              <div className="text-xs text-gray-600 space-y-1">
+                <p>Columns: name, description, price, category, stock, image_url. Up to {MAX_IMPORT_ROWS} rows per file.</p>
+                <p>Rows with the ID of one of your products update it; rows without an ID create a new product.</p>
+                <button type="button" onClick={() => downloadCsv('product-import-template.csv', getProductCsvTemplate())} className="inline-flex items-center gap-1 font-medium text-blue-600 hover:text-blue-500">
+                  <DocumentArrowDownIcon className="h-4 w-4" /> Download template
+                </button>
+              </div>
+              <label className={`inline-flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white ${isLoadingContext || isImporting ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:bg-gray-100'}`}>
+                <ArrowUpTrayIcon className="h-5 w-5" />
+                {isLoadingContext ? 'Loading catalog...' : (fileName ? 'Choose another file' : 'Choose CSV file')}
+                <input type="file" accept=".csv,text/csv" className="sr-only" onChange={handleFileSelected} disabled={isLoadingContext || isImporting} />
+              </label>
+            </div>
+
+            {fileName && <p className="text-sm text-gray-500 mb-2 truncate">File: <span className="font-medium text-gray-700">{fileName}</span></p>}
+            {fileError && (
+              <div className="flex items-start gap-2 p-3 mb-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+                <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" /> {fileError}
+              </div>
+            )}
+            {rows.length > 0 && renderPreview()}
+
+            {progress && (
+              <div className="mt-4">
+                <div className="flex justify-between text-xs text-gray-600 mb-1">
+                  <span>Importing products...</span>
+                  <span>{progress.done} / {progress.total}</span>
+                </div>
+                <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-600 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button type="button" onClick={onClose} disabled={isImporting} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 disabled:opacity-50">{report ? 'Close' : 'Cancel'}</button>
+          {!report && (
+            <button type="button" onClick={handleImport} disabled={validRows.length === 0 || isImporting} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50">
+              {isImporting ? 'Importing...' : `Import ${validRows.length} Product${validRows.length === 1 ? '' : 's'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
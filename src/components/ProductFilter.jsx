@@ -2,6 +2,9 @@ import React from 'react';
 import { AdjustmentsHorizontalIcon, StarIcon as OutlineStarIcon, XCircleIcon } from '@heroicons/react/24/outline';
 import { StarIcon as SolidStarIcon } from '@heroicons/react/24/solid';
 
+import PriceRangeSlider from './PriceRangeSlider';
+import { RATING_OPTIONS } from '../utils/productFilters';
+
 /**
  * A reusable component for displaying product filtering and sorting options.
  * This component is controlled by its parent, which manages the state.
@@ -11,27 +14,43 @@ export default function ProductFilter({
   filters,
   setFilters,
   priceRangeMeta,
+  facets = { categories: [], ratings: [], sellers: [] },
   onResetFilters,
 }) {
+  // Facet counts reflect the other active filters, so they say how many results a click would give.
+  const categoryCounts = Object.fromEntries(facets.categories.map(({ value, count }) => [value, count]));
+  const ratingCounts = Object.fromEntries(facets.ratings.map(({ value, count }) => [value, count]));
+  const sellers = facets.sellers || [];
+
+  const renderCount = (count) => (
+    count !== undefined && <span className="text-xs opacity-75">({count})</span>
+  );
 
   // This function handles changes for the text inputs and the select dropdown.
-  // It is correctly assigned to them below.
   const handleChange = (e) => {
     setFilters({ [e.target.name]: e.target.value });
   };
-  
-  const handleCategoryChange = (category) => {
-    setFilters({ category });
+
+  const handleToggleChange = (e) => {
+    setFilters({ [e.target.name]: e.target.checked });
+  };
+
+  const handleCategoryToggle = (category) => {
+    setFilters({
+      categories: filters.categories.includes(category)
+        ? filters.categories.filter(c => c !== category)
+        : [...filters.categories, category],
+    });
   };
 
   const handleRatingChange = (rating) => {
     const newRating = filters.rating === rating ? 0 : rating;
     setFilters({ rating: newRating });
   };
-  
+
   const renderRatingStars = (starsToFill) => (
     [...Array(5)].map((_, i) => (
-        i < starsToFill 
+        i < starsToFill
         ? <SolidStarIcon key={`solid-${i}`} className="h-4 w-4" />
         : <OutlineStarIcon key={`outline-${i}`} className="h-4 w-4" />
     ))
@@ -44,14 +63,6 @@ export default function ProductFilter({
     { value: 'price-desc', label: 'Price: High to Low' },
     { value: 'rating-desc', label: 'Rating: High to Low' },
   ];
-  
-  const ratingButtons = [
-    { value: 4, label: '4+' },
-    { value: 3, label: '3+' },
-    { value: 2, label: '2+' },
-    { value: 1, label: '1+' },
-    { value: -1, label: 'No Ratings Yet' },
-  ];
 
   const baseButtonClass = "px-3 py-1.5 text-sm rounded-full transition-colors flex items-center gap-1.5";
   const activeButtonClass = "bg-blue-600 text-white";
@@ -63,26 +74,48 @@ export default function ProductFilter({
         <h2 className="text-xl font-semibold text-gray-800 flex items-center gap-2"><AdjustmentsHorizontalIcon className="h-6 w-6"/>Filters</h2>
         <button onClick={onResetFilters} className="text-sm text-blue-600 hover:underline flex items-center gap-1"><XCircleIcon className="h-4 w-4" /> Reset</button>
       </div>
-      
-      {/* Category Filter */}
+
+      {/* Category Filter - any number of categories can be picked */}
       <div>
         <h3 className="text-lg font-semibold text-gray-700 mb-3">Category</h3>
         <div className="flex flex-wrap gap-2">
-          <button onClick={() => handleCategoryChange('All')} className={`${baseButtonClass} ${filters.category === 'All' ? activeButtonClass : inactiveButtonClass}`}>All</button>
+          <button onClick={() => setFilters({ categories: [] })} className={`${baseButtonClass} ${filters.categories.length === 0 ? activeButtonClass : inactiveButtonClass}`}>All</button>
           {categories.filter(c => c !== 'All').map((cat) => (
-            <button key={cat} onClick={() => handleCategoryChange(cat)} className={`${baseButtonClass} ${filters.category === cat ? activeButtonClass : inactiveButtonClass}`}>{cat}</button>
+            <button
+              key={cat}
+              onClick={() => handleCategoryToggle(cat)}
+              aria-pressed={filters.categories.includes(cat)}
+              className={`${baseButtonClass} ${filters.categories.includes(cat) ? activeButtonClass : inactiveButtonClass}`}
+            >
+              {cat}{renderCount(categoryCounts[cat])}
+            </button>
           ))}
         </div>
       </div>
 
-      {/* Price Range Filter - Both inputs have `value` and `onChange` */}
+      {/* Price Range Filter */}
       <div>
         <h3 className="text-lg font-semibold text-gray-700 mb-3">Price Range</h3>
-        <div className="flex items-center gap-2">
-          <input type="number" name="minPrice" placeholder={`Min ($${priceRangeMeta.min})`} value={filters.minPrice} onChange={handleChange} min="0" className="w-full pl-3 pr-2 py-2 border border-gray-300 rounded-md sm:text-sm" />
-          <span className="text-gray-500">–</span>
-          <input type="number" name="maxPrice" placeholder={`Max ($${priceRangeMeta.max})`} value={filters.maxPrice} onChange={handleChange} min="0" className="w-full pl-3 pr-2 py-2 border border-gray-300 rounded-md sm:text-sm" />
-        </div>
+        <PriceRangeSlider
+          min={priceRangeMeta.min}
+          max={priceRangeMeta.max}
+          minPrice={filters.minPrice}
+          maxPrice={filters.maxPrice}
+          onChange={setFilters}
+        />
+      </div>
+
+      {/* Availability Filter */}
+      <div className="space-y-2">
+        <h3 className="text-lg font-semibold text-gray-700 mb-3">Availability</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input type="checkbox" name="inStock" checked={filters.inStock} onChange={handleToggleChange} className="h-4 w-4 text-blue-600 border-gray-300 rounded" />
+          In stock only
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input type="checkbox" name="onSale" checked={filters.onSale} onChange={handleToggleChange} className="h-4 w-4 text-blue-600 border-gray-300 rounded" />
+          On sale
+        </label>
       </div>
 
       {/* Rating Filter */}
@@ -92,15 +125,32 @@ export default function ProductFilter({
            <button onClick={() => handleRatingChange(0)} className={`${baseButtonClass} ${filters.rating === 0 ? activeButtonClass : inactiveButtonClass}`}>
               All Ratings
             </button>
-          {ratingButtons.map(({ value, label }) => (
+          {RATING_OPTIONS.map(({ value, label }) => (
             <button key={value} onClick={() => handleRatingChange(value)} className={`${baseButtonClass} ${filters.rating === value ? activeButtonClass : inactiveButtonClass}`}>
               {value > 0 && renderRatingStars(value)}
               <span className={value > 0 ? 'text-xs' : ''}>{label}</span>
+              {renderCount(ratingCounts[value])}
             </button>
           ))}
         </div>
       </div>
 
+      {/* Seller Filter - the options are the sellers with matching products */}
+      {(sellers.length > 0 || filters.seller) && (
+        <div>
+          <label htmlFor="seller" className="block text-lg font-semibold text-gray-700 mb-3">Seller</label>
+          <select id="seller" name="seller" value={filters.seller} onChange={handleChange} className="w-full px-3 py-2.5 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 sm:text-sm">
+            <option value="">All sellers</option>
+            {sellers.map(({ value, label, count }) => (
+              <option key={value} value={String(value)}>{label} ({count})</option>
+            ))}
+            {filters.seller && !sellers.some(({ value }) => String(value) === filters.seller) && (
+              <option value={filters.seller}>Seller #{filters.seller}</option>
+            )}
+          </select>
+        </div>
+      )}
+
       {/* Sort By Dropdown - This select has `value` and `onChange` */}
       <div className="pt-2 border-t">
         <label htmlFor="sort" className="block text-lg font-semibold text-gray-700 mb-3">Sort By</label>
@@ -110,4 +160,4 @@ export default function ProductFilter({
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
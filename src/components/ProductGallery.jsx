@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+import { getImageUrl } from '../utils/productImages';
+
+const ZOOM_SCALE = 2;
+
+/**
+ * Product image gallery for ProductDetails: a large image that zooms under the cursor,
+ * thumbnails to switch images, and arrow keys / buttons to step through them.
+ *
+ * @param {object} props
+ * @param {Array<{id: number|null, url: string, thumbnailUrl?: string}>} props.images - In display order; see `getProductImages`.
+ * @param {string} props.alt - Usually the product name.
+ * @param {React.ReactNode} [props.children] - Overlaid on the main image, e.g. the favorite button.
+ */
+export default function ProductGallery({ images, alt, children }) {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [zoomOrigin, setZoomOrigin] = useState(null);
+
+  // The product (and its images) can change while the page stays mounted.
+  const safeIndex = activeIndex < images.length ? activeIndex : 0;
+  const activeImage = images[safeIndex];
+  const hasMultipleImages = images.length > 1;
+
+  const showImage = (index) => {
+    setActiveIndex((index + images.length) % images.length);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!hasMultipleImages) return;
+    if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      showImage(safeIndex - 1);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      showImage(safeIndex + 1);
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - bounds.left) / bounds.width) * 100;
+    const y = ((e.clientY - bounds.top) / bounds.height) * 100;
+    setZoomOrigin(`${x}% ${y}%`);
+  };
+
+  return (
+    <div
+      className="space-y-3 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 rounded-lg"
+      tabIndex={hasMultipleImages ? 0 : undefined}
+      onKeyDown={handleKeyDown}
+      aria-roledescription="carousel"
+      aria-label={`${alt} images`}
+    >
+      <div className="shadow-xl rounded-lg overflow-hidden bg-white relative">
+        <div
+          className="overflow-hidden cursor-zoom-in"
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setZoomOrigin(null)}
+        >
+          <img
+            src={getImageUrl(activeImage?.url)}
+            alt={hasMultipleImages ? `${alt} (image ${safeIndex + 1} of ${images.length})` : alt}
+            className="w-full h-auto md:min-h-[450px] max-h-[650px] object-cover transition-transform duration-150 ease-out"
+            style={zoomOrigin ? { transform: `scale(${ZOOM_SCALE})`, transformOrigin: zoomOrigin } : undefined}
+            onError={(e) => { e.target.onerror = null; e.target.src = '/assets/placeholder.png'; }}
+          />
+        </div>
+        {hasMultipleImages && (
+          <>
+            <button type="button" onClick={() => showImage(safeIndex - 1)} className="absolute left-3 top-1/2 -translate-y-1/2 p-2 bg-white/80 backdrop-blur-sm rounded-full shadow hover:bg-white" aria-label="Previous image">
+              <ChevronLeftIcon className="h-5 w-5 text-gray-700" />
+            </button>
+            <button type="button" onClick={() => showImage(safeIndex + 1)} className="absolute right-3 top-1/2 -translate-y-1/2 p-2 bg-white/80 backdrop-blur-sm rounded-full shadow hover:bg-white" aria-label="Next image">
+              <ChevronRightIcon className="h-5 w-5 text-gray-700" />
+            </button>
+            <span className="absolute bottom-3 right-3 px-2 py-0.5 bg-black/60 text-white text-xs rounded-full">{safeIndex + 1} / {images.length}</span>
+          </>
+        )}
+        {children}
+      </div>
+
+      {hasMultipleImages && (
+        <ul className="flex gap-2 overflow-x-auto pb-1">
+          {images.map((image, index) => (
+            <li key={image.id ?? image.url} className="flex-shrink-0">
+              <button
+                type="button"
+                onClick={() => showImage(index)}
+                className={`block w-20 h-20 rounded-md overflow-hidden border-2 ${index === safeIndex ? 'border-blue-600' : 'border-transparent opacity-70 hover:opacity-100'}`}
+                aria-label={`Show image ${index + 1}`}
+                aria-current={index === safeIndex}
+              >
+                <img src={getImageUrl(image.thumbnailUrl || image.url)} alt="" className="w-full h-full object-cover" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
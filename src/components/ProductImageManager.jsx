@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowUpTrayIcon, TrashIcon, StarIcon as StarOutlineIcon, ExclamationCircleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
+
+import ImageCropDialog from './ImageCropDialog';
+import {
+  MAX_PRODUCT_IMAGES,
+  getImageUrl,
+  createImageEntry,
+} from '../utils/productImages';
+import {
+  ACCEPTED_SOURCE_TYPES,
+  MIN_SOURCE_DIMENSION,
+  loadSourceImage,
+  createRenditions,
+  releaseSourceImage,
+} from '../utils/imageProcessing';
+
+/**
+ * Image gallery editor for the seller's product forms: add several images, drag to reorder,
+ * pick the cover and remove images. Every picked file is checked, cropped by the seller and
+ * resized in the browser before it is added. Nothing is uploaded here; the page saves the gallery
+ * with `saveProductGallery` once the product is saved, and upload progress flows back in `images`.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.images - Entries from `createImageEntry`/`toImageEntries`, in display order.
+ * @param {string|null} props.coverKey - Key of the cover image; the first image when null.
+ * @param {(images: Array<object>) => void} props.onChange
+ * @param {(key: string) => void} props.onCoverChange
+ * @param {(entry: object) => void} props.onRemove - Lets the page revoke previews and remember deleted server images.
+ * @param {boolean} [props.disabled] - Set while the form is saving.
+ * @param {string} [props.error]
+ */
+export default function ProductImageManager({ images, coverKey, onChange, onCoverChange, onRemove, disabled = false, error }) {
+  const [draggedKey, setDraggedKey] = useState(null);
+  const [cropQueue, setCropQueue] = useState([]); // Decoded sources waiting for the seller to crop them
+  const [cropBatchSize, setCropBatchSize] = useState(0);
+  const [rejectedFiles, setRejectedFiles] = useState([]); // Messages for files that were refused
+  const [isProcessing, setIsProcessing] = useState(false);
+  const effectiveCoverKey = coverKey ?? images[0]?.key;
+  const isBusy = disabled || isProcessing || cropQueue.length > 0;
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = null; // Allow picking the same file again after removing it.
+
+    const room = MAX_PRODUCT_IMAGES - images.length;
+    if (files.length > room) {
+      toast.error(`You can add up to ${MAX_PRODUCT_IMAGES} images per product.`);
+    }
+
+    setIsProcessing(true);
+    const results = await Promise.allSettled(files.slice(0, Math.max(room, 0)).map(loadSourceImage));
+    setIsProcessing(false);
+
+    const sources = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    setRejectedFiles(results.filter(result => result.status === 'rejected').map(result => result.reason.message));
+    if (sources.length > 0) {
+      setCropQueue(sources);
+      setCropBatchSize(sources.length);
+    }
+  };
+
+  const advanceCropQueue = () => {
+    releaseSourceImage(cropQueue[0]);
+    setCropQueue(prev => prev.slice(1));
+  };
+
+  const handleCropConfirm = async (crop) => {
+    const source = cropQueue[0];
+    setIsProcessing(true);
+    try {
+      const renditions = await createRenditions(source, crop);
+      onChange([...images, createImageEntry(renditions)]);
+    } catch (error) {
+      console.error("ProductImageManager: Failed to process image", error);
+      setRejectedFiles(prev => [...prev, `${source.file.name} could not be processed.`]);
+    } finally {
+      setIsProcessing(false);
+      advanceCropQueue();
+    }
+  };
+
+  const handleDragOver = (e, targetKey) => {
+    e.preventDefault();
+    if (!draggedKey || draggedKey === targetKey) return;
+    const fromIndex = images.findIndex(entry => entry.key === draggedKey);
+    const toIndex = images.findIndex(entry => entry.key === targetKey);
+    const reordered = [...images];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    onChange(reordered);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1.5">
+        <label className="block text-sm font-medium text-gray-700">Product Images</label>
+        <span className="text-xs text-gray-500">{images.length}/{MAX_PRODUCT_IMAGES}</span>
+      </div>
+      <div className={`p-4 border-2 border-dashed rounded-lg ${error ? 'border-red-400' : 'border-gray-300'}`}>
+        {images.length > 0 && (
+          <ul className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4">
+            {images.map((entry) => {
+              const isCover = entry.key === effectiveCoverKey;
+              return (
+                <li
+                  key={entry.key}
+                  draggable={!isBusy}
+                  onDragStart={() => setDraggedKey(entry.key)}
+                  onDragOver={(e) => handleDragOver(e, entry.key)}
+                  onDragEnd={() => setDraggedKey(null)}
+                  className={`relative group aspect-square rounded-md overflow-hidden border-2 bg-gray-50 ${isCover ? 'border-blue-500' : 'border-gray-200'} ${draggedKey === entry.key ? 'opacity-40' : ''} ${isBusy ? '' : 'cursor-move'}`}
+                >
+                  <img src={getImageUrl(entry.url)} alt="" className="w-full h-full object-cover pointer-events-none" />
+                  {isCover && (
+                    <span className="absolute top-1 left-1 px-1.5 py-0.5 bg-blue-600 text-white text-[10px] font-semibold uppercase rounded">Cover</span>
+                  )}
+                  {entry.status === 'uploading' && (
+                    <div className="absolute inset-x-0 bottom-0 h-1.5 bg-gray-200">
+                      <div className="h-full bg-blue-600 transition-all" style={{ width: `${entry.progress}%` }} />
+                    </div>
+                  )}
+                  {entry.status === 'error' && (
+                    <div className="absolute inset-0 bg-red-600/60 flex items-center justify-center text-white text-xs font-semibold gap-1">
+                      <ExclamationCircleIcon className="h-5 w-5" /> Upload failed
+                    </div>
+                  )}
+                  {!isBusy && (
+                    <div className="absolute top-1 right-1 flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                      <button type="button" onClick={() => onCoverChange(entry.key)} className="p-1 bg-white/90 rounded-full shadow" aria-label="Use as cover image" title="Use as cover image">
+                        {isCover ? <StarSolidIcon className="h-4 w-4 text-blue-600" /> : <StarOutlineIcon className="h-4 w-4 text-gray-600" />}
+                      </button>
+                      <button type="button" onClick={() => onRemove(entry)} className="p-1 bg-white/90 rounded-full shadow" aria-label="Remove image" title="Remove image">
+                        <TrashIcon className="h-4 w-4 text-red-600" />
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {images.length < MAX_PRODUCT_IMAGES && (
+          <div className="space-y-2 text-center">
+            <ArrowUpTrayIcon className="mx-auto h-10 w-10 text-gray-400" />
+            <label htmlFor="imageUpload" className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500 px-1">
+              <span>{isProcessing ? 'Processing...' : (images.length > 0 ? 'Add more images' : 'Upload images')}</span>
+              <input id="imageUpload" name="imageUpload" type="file" multiple className="sr-only" onChange={handleFilesSelected} accept={ACCEPTED_SOURCE_TYPES.join(', ')} disabled={isBusy} />
+            </label>
+            <p className="text-xs text-gray-500">JPEG, PNG or WebP, at least {MIN_SOURCE_DIMENSION}px on the shortest side. Drag to reorder; the starred image is the cover.</p>
+          </div>
+        )}
+      </div>
+      {rejectedFiles.length > 0 && (
+        <div className="mt-2 p-3 bg-red-50 border border-red-200 rounded-md text-xs text-red-700">
+          <div className="flex justify-between items-start gap-2">
+            <p className="font-semibold">{rejectedFiles.length === 1 ? 'This file was not added:' : 'These files were not added:'}</p>
+            <button type="button" onClick={() => setRejectedFiles([])} className="text-red-500 hover:text-red-700" aria-label="Dismiss"><XMarkIcon className="h-4 w-4" /></button>
+          </div>
+          <ul className="mt-1 list-disc list-inside space-y-0.5">
+            {rejectedFiles.map((message, index) => <li key={index}>{message}</li>)}
+          </ul>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-600 mt-1.5">{error}</p>}
+      {cropQueue.length > 0 && (
+        <ImageCropDialog
+          key={cropQueue.length}
+          source={cropQueue[0]}
+          progressLabel={cropBatchSize > 1 ? `Image ${cropBatchSize - cropQueue.length + 1} of ${cropBatchSize}` : undefined}
+          onConfirm={handleCropConfirm}
+          onCancel={advanceCropQueue}
+          isProcessing={isProcessing}
+        />
+      )}
+    </div>
+  );
+}
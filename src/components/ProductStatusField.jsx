@@ -0,0 +1,49 @@
+import React from 'react';
+
+import { PRODUCT_STATUSES } from '../utils/productStatus';
+
+/**
+ * Lifecycle picker for the seller's product forms, with the publish time for scheduled products.
+ * Its inputs are named `status` and `publishAt`, so the form's usual change handler updates them.
+ *
+ * @param {object} props
+ * @param {string} props.status - A key of `PRODUCT_STATUSES`.
+ * @param {string} props.publishAt - A `datetime-local` value.
+ * @param {(e: React.ChangeEvent<HTMLInputElement>) => void} props.onChange
+ * @param {string} [props.error] - For `publishAt`.
+ */
+export default function ProductStatusField({ status, publishAt, onChange, error }) {
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-700 mb-1.5">Status</legend>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {Object.entries(PRODUCT_STATUSES).map(([value, option]) => (
+          <label
+            key={value}
+            className={`flex flex-col p-3 border rounded-lg cursor-pointer transition-colors ${status === value ? 'border-blue-500 bg-blue-50 ring-1 ring-blue-500' : 'border-gray-300 hover:bg-gray-50'}`}
+          >
+            <span className="flex items-center gap-2">
+              <input type="radio" name="status" value={value} checked={status === value} onChange={onChange} className="text-blue-600 focus:ring-blue-500" />
+              <span className="text-sm font-semibold text-gray-800">{option.label}</span>
+            </span>
+            <span className="text-xs text-gray-500 mt-1">{option.description}</span>
+          </label>
+        ))}
+      </div>
+      {status === 'SCHEDULED' && (
+        <div className="mt-3 max-w-xs">
+          <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700 mb-1.5">Publish At</label>
+          <input
+            type="datetime-local"
+            name="publishAt"
+            id="publishAt"
+            value={publishAt}
+            onChange={onChange}
+            className={`w-full px-4 py-2.5 border rounded-lg shadow-sm focus:outline-none focus:ring-2 sm:text-sm ${error ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`}
+          />
+          {error && <p className="text-xs text-red-600 mt-1.5">{error}</p>}
+        </div>
+      )}
+    </fieldset>
+  );
+}
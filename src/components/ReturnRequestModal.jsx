@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ArrowUturnLeftIcon, PhotoIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+import { createReturnRequest } from '../services/api';
+import { ACCEPTED_SOURCE_TYPES } from '../utils/imageProcessing';
+import { MAX_RETURN_PHOTOS, RETURN_REASONS, RETURN_WINDOW_DAYS, validateOrderTransition } from '../utils/orderStatus';
+import { getVariantLabel } from '../utils/variants';
+
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Lets the buyer send items of a completed order back: which items and how many, why, and photos
+ * of the problem. The seller accepts or rejects the request from their orders page.
+ * @param {object} props.order - A completed `OrderDTO` for which `canRequestReturn` holds.
+ * @param {function} props.onSubmitted - Called after the request was sent.
+ */
+export default function ReturnRequestModal({ order, onClose, onSubmitted }) {
+  const items = order.items || [];
+  // Order line id -> quantity to return; lines that are not being returned are left out.
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Preview URLs are released when their photo is removed, and the rest when the modal closes.
+  const photosRef = useRef(photos);
+  useEffect(() => {
+    photosRef.current = photos;
+  }, [photos]);
+  useEffect(() => () => photosRef.current.forEach(photo => URL.revokeObjectURL(photo.previewUrl)), []);
+
+  const removePhoto = (photo) => {
+    URL.revokeObjectURL(photo.previewUrl);
+    setPhotos(prev => prev.filter(other => other !== photo));
+  };
+
+  const selectedItems = Object.entries(quantities).map(([orderItemId, quantity]) => ({ orderItemId: Number(orderItemId), quantity }));
+  const refundEstimate = items.reduce((sum, item) => sum + (quantities[item.id] || 0) * item.productPrice, 0);
+
+  const toggleItem = (item) => {
+    setQuantities(prev => {
+      const { [item.id]: selected, ...rest } = prev;
+      return selected ? rest : { ...prev, [item.id]: item.quantity };
+    });
+    setErrors(prev => ({ ...prev, items: null }));
+  };
+
+  const handlePhotosSelected = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const rejected = files.filter(file => !ACCEPTED_SOURCE_TYPES.includes(file.type) || file.size > MAX_PHOTO_BYTES);
+    if (rejected.length > 0) {
+      toast.error(`${rejected.length} photo${rejected.length > 1 ? 's were' : ' was'} skipped. Use JPEG, PNG or WebP images under 10 MB.`);
+    }
+    const accepted = files
+      .filter(file => !rejected.includes(file))
+      .slice(0, MAX_RETURN_PHOTOS - photos.length)
+      .map(file => ({ file, previewUrl: URL.createObjectURL(file) }));
+    setPhotos(prev => [...prev, ...accepted]);
+    setErrors(prev => ({ ...prev, photos: null }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const returnRequest = { items: selectedItems, reason, comment: comment.trim(), photos: photos.map(photo => photo.file) };
+    const validationErrors = validateOrderTransition(order, { status: 'RETURN_REQUESTED', returnRequest }, 'BUYER');
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSubmitting(true);
+    const toastId = toast.loading('Sending return request...');
+    try {
+      await createReturnRequest(order.id, returnRequest);
+      toast.success("Return requested. We'll let you know when the seller replies.", { id: toastId });
+      onSubmitted();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send the return request.', { id: toastId });
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg m-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2"><ArrowUturnLeftIcon className="h-6 w-6 text-blue-600" /> Return Items</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+          <p className="text-sm text-gray-600">Returns are accepted up to {RETURN_WINDOW_DAYS} days after delivery. Once the seller accepts, the items' price is refunded to your original payment method.</p>
+
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-2">Items to return</legend>
+            <ul className={`divide-y border rounded-md ${errors.items ? 'border-red-500' : 'border-gray-200'}`}>
+              {items.map(item => {
+                const isSelected = Boolean(quantities[item.id]);
+                return (
+                  <li key={item.id} className="flex items-center gap-3 p-3">
+                    <input
+                      type="checkbox"
+                      id={`return-item-${item.id}`}
+                      checked={isSelected}
+                      onChange={() => toggleItem(item)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <label htmlFor={`return-item-${item.id}`} className="flex-1 min-w-0 text-sm">
+                      <span className="block font-medium text-gray-800 truncate">{item.productName}</span>
+                      <span className="block text-xs text-gray-500">{getVariantLabel(item) && `${getVariantLabel(item)} · `}${item.productPrice?.toFixed(2)} each</span>
+                    </label>
+                    {isSelected && item.quantity > 1 && (
+                      <select
+                        aria-label={`Quantity of ${item.productName} to return`}
+                        value={quantities[item.id]}
+                        onChange={(e) => setQuantities(prev => ({ ...prev, [item.id]: Number(e.target.value) }))}
+                        className="border border-gray-300 rounded-md text-sm py-1"
+                      >
+                        {Array.from({ length: item.quantity }, (_, index) => index + 1).map(quantity => (
+                          <option key={quantity} value={quantity}>{quantity}</option>
+                        ))}
+                      </select>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {errors.items && <p className="text-xs text-red-600 mt-1.5">{errors.items}</p>}
+            {refundEstimate > 0 && <p className="text-xs text-gray-600 mt-1.5">Refund if accepted: <span className="font-semibold">${refundEstimate.toFixed(2)}</span></p>}
+          </fieldset>
+
+          <div>
+            <label htmlFor="returnReason" className="block text-sm font-medium text-gray-700">Reason</label>
+            <select
+              id="returnReason"
+              value={reason}
+              onChange={(e) => { setReason(e.target.value); setErrors(prev => ({ ...prev, returnReason: null })); }}
+              className={`mt-1 block w-full pl-3 pr-10 py-2 text-base border rounded-md sm:text-sm ${errors.returnReason ? 'border-red-500' : 'border-gray-300'}`}
+            >
+              <option value="">Choose a reason</option>
+              {Object.entries(RETURN_REASONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            {errors.returnReason && <p className="text-xs text-red-600 mt-1.5">{errors.returnReason}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="returnComment" className="block text-sm font-medium text-gray-700">Details (optional)</label>
+            <textarea
+              id="returnComment"
+              rows={3}
+              maxLength={1000}
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="What is wrong with the items?"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md sm:text-sm"
+            />
+          </div>
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-2">Photos (optional, up to {MAX_RETURN_PHOTOS})</p>
+            <div className="flex flex-wrap gap-2">
+              {photos.map(photo => (
+                <div key={photo.previewUrl} className="relative h-20 w-20">
+                  <img src={photo.previewUrl} alt={photo.file.name} className="h-20 w-20 object-cover rounded-md border" />
+                  <button
+                    type="button"
+                    onClick={() => removePhoto(photo)}
+                    className="absolute -top-2 -right-2 p-1 bg-white rounded-full shadow hover:bg-red-50"
+                    aria-label={`Remove ${photo.file.name}`}
+                  >
+                    <TrashIcon className="h-4 w-4 text-red-600" />
+                  </button>
+                </div>
+              ))}
+              {photos.length < MAX_RETURN_PHOTOS && (
+                <label className="h-20 w-20 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-md text-xs text-gray-500 cursor-pointer hover:border-blue-400 hover:text-blue-600">
+                  <PhotoIcon className="h-6 w-6" />
+                  Add
+                  <input type="file" accept={ACCEPTED_SOURCE_TYPES.join(',')} multiple onChange={handlePhotosSelected} className="sr-only" />
+                </label>
+              )}
+            </div>
+            {errors.photos && <p className="text-xs text-red-600 mt-1.5">{errors.photos}</p>}
+          </div>
+
+          <div className="mt-6 flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
+            <button type="submit" disabled={isSubmitting} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50">Request Return</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
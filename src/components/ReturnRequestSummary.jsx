@@ -0,0 +1,58 @@
+import React from 'react';
+import { format, isValid, parseISO } from 'date-fns';
+
+import { RETURN_REASONS } from '../utils/orderStatus';
+
+const RETURN_REQUEST_STATUSES = {
+  REQUESTED: { label: 'Awaiting review', className: 'bg-orange-100 text-orange-800' },
+  APPROVED: { label: 'Accepted', className: 'bg-green-100 text-green-800' },
+  REJECTED: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+};
+
+const formatDate = (isoString) => {
+  const date = isoString ? parseISO(isoString) : null;
+  return date && isValid(date) ? format(date, 'MMM d, yyyy') : null;
+};
+
+/**
+ * What the buyer asked to return and why, with their photos and the seller's decision.
+ * @param {object} props.returnRequest - A `ReturnRequestDTO`.
+ * @param {Array<object>} props.orderItems - The order's `OrderItemDTO`s, to name the returned lines.
+ */
+export default function ReturnRequestSummary({ returnRequest, orderItems = [] }) {
+  const status = RETURN_REQUEST_STATUSES[returnRequest.status];
+  const itemsById = Object.fromEntries(orderItems.map(item => [item.id, item]));
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${status?.className || 'bg-gray-100 text-gray-700'}`}>
+          {status?.label || returnRequest.status}
+        </span>
+        {formatDate(returnRequest.createdAt) && <span className="text-xs text-gray-500">Requested {formatDate(returnRequest.createdAt)}</span>}
+      </div>
+      <p><span className="font-semibold">Reason:</span> {RETURN_REASONS[returnRequest.reason] || returnRequest.reason}</p>
+      {returnRequest.comment && <p className="text-gray-600 italic">"{returnRequest.comment}"</p>}
+      <ul className="list-disc list-inside text-gray-700">
+        {(returnRequest.items || []).map(({ orderItemId, quantity }) => (
+          <li key={orderItemId}>{quantity} &times; {itemsById[orderItemId]?.productName || 'Item'}</li>
+        ))}
+      </ul>
+      {returnRequest.photoUrls?.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {returnRequest.photoUrls.map((url, index) => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+              <img src={url} alt={`Return photo ${index + 1}`} className="h-16 w-16 object-cover rounded-md border hover:opacity-80" />
+            </a>
+          ))}
+        </div>
+      )}
+      {returnRequest.status === 'APPROVED' && returnRequest.refundAmount != null && (
+        <p className="text-green-700">Refund of ${returnRequest.refundAmount.toFixed(2)} issued{formatDate(returnRequest.decidedAt) ? ` on ${formatDate(returnRequest.decidedAt)}` : ''}.</p>
+      )}
+      {returnRequest.status === 'REJECTED' && returnRequest.rejectionReason && (
+        <p className="text-red-700"><span className="font-semibold">Not accepted:</span> {returnRequest.rejectionReason}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { BookmarkIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+import { createSavedSearch } from '../services/api';
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Saves the product list's current filters to the buyer's account.
+ * @param {string} props.query - The filters as a URL query string, from `filtersToSearchParams`.
+ * @param {string} props.suggestedName - Pre-filled name, built from the active filter labels.
+ */
+export default function SaveSearchModal({ query, suggestedName, onClose }) {
+  const [name, setName] = useState(suggestedName.slice(0, MAX_NAME_LENGTH));
+  const [alertsEnabled, setAlertsEnabled] = useState(true);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError('Give this search a name.');
+      return;
+    }
+    setIsSaving(true);
+    const toastId = toast.loading('Saving search...');
+    try {
+      await createSavedSearch({ name: name.trim(), query, alertsEnabled });
+      toast.success(alertsEnabled ? "Search saved. We'll let you know about new arrivals." : 'Search saved.', { id: toastId });
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save the search.', { id: toastId });
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md m-4">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2"><BookmarkIcon className="h-6 w-6" /> Save This Search</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+          <div>
+            <label htmlFor="savedSearchName" className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              id="savedSearchName"
+              type="text"
+              value={name}
+              onChange={(e) => { setName(e.target.value); setError(null); }}
+              maxLength={MAX_NAME_LENGTH}
+              className={`mt-1 block w-full border rounded-md shadow-sm ${error ? 'border-red-500 focus:ring-red-500' : 'border-gray-300'}`}
+              autoFocus
+            />
+            {error && <p className="text-xs text-red-600 mt-1.5">{error}</p>}
+          </div>
+          <label className="flex items-start gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={alertsEnabled} onChange={(e) => setAlertsEnabled(e.target.checked)} className="h-4 w-4 mt-0.5 text-blue-600 border-gray-300 rounded" />
+            <span>Notify me when new products match this search</span>
+          </label>
+          <div className="mt-6 flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
+            <button type="submit" disabled={isSaving} className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50">Save</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MagnifyingGlassIcon, TagIcon, UserCircleIcon } from '@heroicons/react/24/outline';
+
+import HighlightedText from './HighlightedText';
+import { getSearchSuggestions } from '../services/api';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { getImageUrl } from '../utils/productImages';
+import { MIN_SUGGESTION_QUERY_LENGTH, normalizeSearchQuery, isCancelledRequest } from '../utils/search';
+
+const EMPTY_SUGGESTIONS = { products: [], categories: [], sellers: [] };
+
+/**
+ * The Navbar search box. Suggests products, categories and sellers while the user types;
+ * Enter without a highlighted suggestion searches the product list for the typed text.
+ */
+export default function SearchAutocomplete({ onDone }) {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const debouncedQuery = normalizeSearchQuery(useDebouncedValue(query, 250));
+
+  useEffect(() => {
+    if (debouncedQuery.length < MIN_SUGGESTION_QUERY_LENGTH) {
+      setSuggestions(EMPTY_SUGGESTIONS);
+      return undefined;
+    }
+    // Typing on cancels the request for the previous query, so stale answers never show.
+    const controller = new AbortController();
+    setIsLoading(true);
+    getSearchSuggestions(debouncedQuery, { signal: controller.signal })
+      .then(({ data }) => {
+        setSuggestions({ ...EMPTY_SUGGESTIONS, ...data });
+        setActiveIndex(-1);
+        setIsLoading(false);
+      })
+      .catch((error) => {
+        if (isCancelledRequest(error)) return;
+        console.error('SearchAutocomplete: Failed to load suggestions', error);
+        setSuggestions(EMPTY_SUGGESTIONS);
+        setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [debouncedQuery]);
+
+  // Flattened in display order, for keyboard navigation.
+  const options = useMemo(() => [
+    ...suggestions.products.map(product => ({ key: `product-${product.id}`, type: 'product', item: product, path: `/products/${product.id}` })),
+    ...suggestions.categories.map(category => ({ key: `category-${category.name}`, type: 'category', item: category, path: `/products?category=${encodeURIComponent(category.name)}` })),
+    ...suggestions.sellers.map(seller => ({ key: `seller-${seller.id}`, type: 'seller', item: seller, path: `/products?seller=${seller.id}` })),
+  ], [suggestions]);
+
+  const goTo = (path) => {
+    setQuery('');
+    setSuggestions(EMPTY_SUGGESTIONS);
+    onDone?.();
+    navigate(path);
+  };
+
+  const searchProductList = () => {
+    if (normalizeSearchQuery(query)) {
+      goTo(`/products?search=${encodeURIComponent(normalizeSearchQuery(query))}`);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeIndex >= 0 && options[activeIndex]) {
+      goTo(options[activeIndex].path);
+    } else {
+      searchProductList();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && options.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % options.length);
+    } else if (e.key === 'ArrowUp' && options.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? options.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      onDone?.();
+    }
+  };
+
+  const showDropdown = debouncedQuery.length >= MIN_SUGGESTION_QUERY_LENGTH && normalizeSearchQuery(query).length >= MIN_SUGGESTION_QUERY_LENGTH;
+
+  const renderOption = (option, index) => {
+    const isActive = index === activeIndex;
+    return (
+      <li key={option.key} id={option.key} role="option" aria-selected={isActive}>
+        <button
+          type="button"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => goTo(option.path)}
+          onMouseEnter={() => setActiveIndex(index)}
+          className={`w-full flex items-center gap-3 px-3 py-2 text-left text-sm ${isActive ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+        >
+          {option.type === 'product' && (
+            <>
+              <img src={getImageUrl(option.item.photoUrl)} alt="" className="h-9 w-9 rounded object-cover flex-shrink-0" onError={(e) => { e.target.onerror = null; e.target.src = '/assets/placeholder.png'; }} />
+              <span className="flex-1 truncate text-gray-600"><HighlightedText text={option.item.name} query={debouncedQuery} /></span>
+              {option.item.price != null && <span className="text-xs text-gray-500">${Number(option.item.price).toFixed(2)}</span>}
+            </>
+          )}
+          {option.type === 'category' && (
+            <>
+              <TagIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+              <span className="flex-1 truncate text-gray-600"><HighlightedText text={option.item.name} query={debouncedQuery} /></span>
+              {option.item.count != null && <span className="text-xs text-gray-400">{option.item.count}</span>}
+            </>
+          )}
+          {option.type === 'seller' && (
+            <>
+              <UserCircleIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+              <span className="flex-1 truncate text-gray-600"><HighlightedText text={option.item.name} query={debouncedQuery} /></span>
+            </>
+          )}
+        </button>
+      </li>
+    );
+  };
+
+  const sections = [
+    { type: 'product', title: 'Products' },
+    { type: 'category', title: 'Categories' },
+    { type: 'seller', title: 'Sellers' },
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="relative mr-1" role="search">
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        className="border border-gray-300 rounded-l-md px-3 py-1.5 focus:outline-none focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 text-sm w-40 sm:w-64 transition-all duration-300"
+        placeholder="Search products, categories, sellers..."
+        aria-label="Search"
+        aria-autocomplete="list"
+        aria-expanded={showDropdown}
+        aria-activedescendant={activeIndex >= 0 ? options[activeIndex]?.key : undefined}
+        autoFocus
+      />
+      {showDropdown && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white shadow-lg rounded-md border border-gray-200 z-50 overflow-hidden">
+          {options.length === 0 ? (
+            <p className="px-3 py-3 text-sm text-gray-500">{isLoading ? 'Searching...' : 'No suggestions. Press Enter to search.'}</p>
+          ) : (
+            <ul role="listbox" className="max-h-96 overflow-y-auto py-1">
+              {sections.map(({ type, title }) => {
+                const sectionOptions = options.map((option, index) => ({ option, index })).filter(({ option }) => option.type === type);
+                if (sectionOptions.length === 0) return null;
+                return (
+                  <li key={type} role="presentation">
+                    <p className="px-3 pt-2 pb-1 text-[11px] font-semibold uppercase tracking-wider text-gray-400">{title}</p>
+                    <ul role="presentation">{sectionOptions.map(({ option, index }) => renderOption(option, index))}</ul>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={searchProductList} className="w-full flex items-center gap-2 px-3 py-2 text-sm text-indigo-600 border-t border-gray-100 hover:bg-gray-50">
+            <MagnifyingGlassIcon className="h-4 w-4" /> Search for "{normalizeSearchQuery(query)}"
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+
+import { getCarrier, getCarriers } from '../services/carriers';
+
+/**
+ * Carrier and tracking number inputs for marking an order shipped. Controlled: the parent keeps
+ * `value` and checks it with `validateShipment` before saving.
+ * @param {{carrier: string, trackingNumber: string}} props.value
+ * @param {function} props.onChange - Called with the updated value.
+ * @param {object} [props.errors] - From `validateShipment`, keyed by field.
+ * @param {string} [props.idPrefix] - Keeps input ids unique when a page renders more than one form.
+ */
+export default function ShipmentFields({ value, onChange, errors = {}, idPrefix = 'shipment' }) {
+  const carriers = getCarriers();
+  const hint = value.carrier ? getCarrier(value.carrier).trackingNumberHint : null;
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label htmlFor={`${idPrefix}-carrier`} className="block text-sm font-medium text-gray-700">Carrier</label>
+        <select
+          id={`${idPrefix}-carrier`}
+          value={value.carrier}
+          onChange={(e) => onChange({ ...value, carrier: e.target.value })}
+          className={`mt-1 block w-full pl-3 pr-10 py-2 text-base border rounded-md sm:text-sm focus:outline-none focus:ring-1 ${errors.carrier ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-purple-500'}`}
+        >
+          <option value="">Choose a carrier</option>
+          {carriers.map(carrier => (
+            <option key={carrier.id} value={carrier.id}>{carrier.label}</option>
+          ))}
+        </select>
+        {errors.carrier && <p className="text-xs text-red-600 mt-1">{errors.carrier}</p>}
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-tracking`} className="block text-sm font-medium text-gray-700">Tracking number</label>
+        <input
+          id={`${idPrefix}-tracking`}
+          type="text"
+          autoComplete="off"
+          spellCheck={false}
+          value={value.trackingNumber}
+          onChange={(e) => onChange({ ...value, trackingNumber: e.target.value })}
+          className={`mt-1 block w-full px-3 py-2 border rounded-md sm:text-sm font-mono focus:outline-none focus:ring-1 ${errors.trackingNumber ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-purple-500'}`}
+        />
+        {errors.trackingNumber
+          ? <p className="text-xs text-red-600 mt-1">{errors.trackingNumber}</p>
+          : hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { format, isValid, parseISO } from 'date-fns';
+import { ArrowPathIcon, ArrowTopRightOnSquareIcon, ExclamationTriangleIcon, MapPinIcon } from '@heroicons/react/24/outline';
+
+import { getCarrier } from '../services/carriers';
+import { isCancelledRequest } from '../utils/search';
+
+const TRACKING_STATUSES = {
+  LABEL_CREATED: { label: 'Label created', className: 'bg-gray-100 text-gray-700' },
+  IN_TRANSIT: { label: 'In transit', className: 'bg-blue-100 text-blue-800' },
+  OUT_FOR_DELIVERY: { label: 'Out for delivery', className: 'bg-yellow-100 text-yellow-800' },
+  DELIVERED: { label: 'Delivered', className: 'bg-green-100 text-green-800' },
+  EXCEPTION: { label: 'Delivery problem', className: 'bg-red-100 text-red-800' },
+};
+
+const formatDateTime = (isoString, pattern = 'MMM d, yyyy · h:mm a') => {
+  const date = isoString ? parseISO(isoString) : null;
+  return date && isValid(date) ? format(date, pattern) : null;
+};
+
+/**
+ * The carrier, tracking number and tracking events of a shipped order. Events come from the
+ * order's carrier adapter (see `src/services/carriers`) and are fetched when the panel mounts.
+ * @param {object} props.order - An `OrderDTO` with a `shipment`.
+ */
+export default function ShipmentTrackingPanel({ order }) {
+  const { id: orderId } = order;
+  const { carrier: carrierId, trackingNumber, shippedAt } = order.shipment;
+  const carrier = getCarrier(carrierId);
+  const trackingUrl = carrier.getTrackingUrl(trackingNumber);
+
+  const [tracking, setTracking] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // A new fetch, e.g. after the tracking number was corrected, cancels the one still in flight,
+  // so events for the old number never replace those for the new one.
+  const requestController = useRef(null);
+
+  const fetchTracking = useCallback(async () => {
+    requestController.current?.abort();
+    const controller = new AbortController();
+    requestController.current = controller;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await getCarrier(carrierId).fetchTracking({ orderId, carrier: carrierId, trackingNumber, shippedAt, signal: controller.signal });
+      // Adapters that answer locally cannot be cancelled; drop their answer instead.
+      if (controller.signal.aborted) return;
+      setTracking(result);
+      setIsLoading(false);
+    } catch (err) {
+      if (controller.signal.aborted || isCancelledRequest(err)) return;
+      console.error("ShipmentTrackingPanel: Failed to load tracking", err);
+      setError(err.response?.data?.message || `Could not reach ${getCarrier(carrierId).label} for tracking updates.`);
+      setIsLoading(false);
+    }
+  }, [orderId, carrierId, trackingNumber, shippedAt]);
+
+  useEffect(() => {
+    fetchTracking();
+    return () => requestController.current?.abort();
+  }, [fetchTracking]);
+
+  const status = tracking && TRACKING_STATUSES[tracking.status];
+  const estimatedDelivery = tracking?.status !== 'DELIVERED' && formatDateTime(tracking?.estimatedDelivery, 'EEEE, MMM d');
+  const events = tracking?.events || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-3 text-sm">
+        <div>
+          <p className="text-gray-500">{carrier.label}</p>
+          {trackingUrl ? (
+            <a href={trackingUrl} target="_blank" rel="noopener noreferrer" className="font-mono font-medium text-blue-600 hover:underline inline-flex items-center gap-1">
+              {trackingNumber} <ArrowTopRightOnSquareIcon className="h-3.5 w-3.5" />
+            </a>
+          ) : (
+            <p className="font-mono font-medium text-gray-800">{trackingNumber}</p>
+          )}
+        </div>
+        <button onClick={fetchTracking} disabled={isLoading} className="inline-flex items-center gap-1 text-xs text-gray-600 hover:text-blue-600 disabled:opacity-50" title="Refresh tracking">
+          <ArrowPathIcon className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} /> Refresh
+        </button>
+      </div>
+
+      {isLoading && !tracking && <p className="text-sm text-gray-500 animate-pulse">Loading tracking...</p>}
+
+      {error && (
+        <div className="text-center py-4 border border-red-100 rounded-lg bg-red-50">
+          <ExclamationTriangleIcon className="h-6 w-6 text-red-400 mx-auto mb-1" />
+          <p className="text-sm text-red-600 mb-3">{error}</p>
+          <button onClick={fetchTracking} className="px-4 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700">Try Again</button>
+        </div>
+      )}
+
+      {tracking && !error && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${status?.className || 'bg-gray-100 text-gray-700'}`}>
+              {status?.label || tracking.status?.replace(/_/g, ' ')}
+            </span>
+            {estimatedDelivery && <span className="text-gray-600">Expected {estimatedDelivery}</span>}
+          </div>
+          {events.length === 0 ? (
+            <p className="text-sm text-gray-500">The carrier has not scanned this package yet.</p>
+          ) : (
+            <ol className="border-l-2 border-gray-200 ml-1.5 space-y-3">
+              {events.map((event, index) => (
+                <li key={`${event.occurredAt}-${index}`} className="relative pl-4">
+                  <span className={`absolute -left-[7px] top-1.5 h-3 w-3 rounded-full ${index === 0 ? 'bg-blue-600' : 'bg-gray-300'}`} aria-hidden="true" />
+                  <p className={`text-sm ${index === 0 ? 'font-semibold text-gray-800' : 'text-gray-700'}`}>{event.description}</p>
+                  <p className="text-xs text-gray-500 flex flex-wrap items-center gap-x-2">
+                    {formatDateTime(event.occurredAt)}
+                    {event.location && <span className="inline-flex items-center gap-0.5"><MapPinIcon className="h-3 w-3" />{event.location}</span>}
+                  </p>
+                </li>
+              ))}
+            </ol>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -17,6 +17,9 @@ import {
   ShieldCheckIcon,
   StarIcon,
   TruckIcon,
+  TagIcon,
+  CubeIcon,
+  ChartBarIcon,
 } from "@heroicons/react/24/outline";
 import { useAuth } from '../context/AuthContext';
 
@@ -33,7 +36,9 @@ const navConfig = {
   SELLER: [
     { label: "Dashboard", path: "/seller/dashboard", icon: BuildingStorefrontIcon },
     { label: "My Products", path: "/seller/products", icon: ArchiveBoxIcon },
+    { label: "Inventory", path: "/seller/inventory", icon: CubeIcon },
     { label: "Received Orders", path: "/seller/orders", icon: ClipboardDocumentListIcon },
+    { label: "Analytics", path: "/seller/analytics", icon: ChartBarIcon },
     { label: "Messages", path: "/seller/messages", icon: ChatBubbleLeftEllipsisIcon },
     { label: "Edit Profile", path: "/profile/edit", icon: Cog6ToothIcon }
   ],
@@ -44,6 +49,7 @@ const navConfig = {
     { label: "Orders", path: "/admin/orders", icon: ClipboardDocumentListIcon },
     { label: "Messages", path: "/admin/contact-messages", icon: EnvelopeIcon },
     { label: "Delivery", path: "/admin/deliveries", icon: TruckIcon },
+    { label: "Promotions", path: "/admin/promotions", icon: TagIcon },
     { label: "Settings", path: "/admin/settings", icon: WrenchScrewdriverIcon },
   ]
 };
@@ -0,0 +1,69 @@
+import React from 'react';
+import { PlusCircleIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const EMPTY_VARIANT = { size: '', color: '', stock: '', price: '' };
+
+const cellInputClassName = (hasError) =>
+  `w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 sm:text-sm ${hasError ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`;
+
+/**
+ * Editable list of size/color variants for the seller's product forms.
+ * When a product has variants, its stock is the sum of their stock.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.variants - Form rows: `{ id?, size, color, stock, price }`, all strings.
+ * @param {(variants: Array<object>) => void} props.onChange
+ * @param {{rows: Array<object>, general: string|null}} [props.errors] - As returned by `validateVariants`.
+ * @param {string|number} [props.basePrice] - Shown as the placeholder of the price override.
+ */
+export default function VariantEditor({ variants, onChange, errors = { rows: [], general: null }, basePrice }) {
+  const handleRowChange = (index, field, value) => {
+    onChange(variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+  };
+
+  const handleAddRow = () => onChange([...variants, { ...EMPTY_VARIANT }]);
+
+  const handleRemoveRow = (index) => onChange(variants.filter((_, i) => i !== index));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1.5">
+        <label className="block text-sm font-medium text-gray-700">Variants</label>
+        <button type="button" onClick={handleAddRow} className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800">
+          <PlusCircleIcon className="h-5 w-5" /> Add variant
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Optional. Add one row per size/color combination you sell. Leave the price empty to use the product price.
+      </p>
+
+      {variants.length > 0 && (
+        <div className="space-y-2">
+          <div className="hidden sm:grid grid-cols-[1fr_1fr_6rem_7rem_2rem] gap-2 text-xs font-medium text-gray-500 uppercase">
+            <span>Size</span><span>Color</span><span>Stock</span><span>Price ($)</span><span></span>
+          </div>
+          {variants.map((variant, index) => {
+            const rowErrors = errors.rows[index] || {};
+            return (
+              <div key={variant.id || index}>
+                <div className="grid grid-cols-2 sm:grid-cols-[1fr_1fr_6rem_7rem_2rem] gap-2 items-center">
+                  <input type="text" value={variant.size} onChange={(e) => handleRowChange(index, 'size', e.target.value)} placeholder="e.g., M" aria-label="Size" className={cellInputClassName(rowErrors.size)} />
+                  <input type="text" value={variant.color} onChange={(e) => handleRowChange(index, 'color', e.target.value)} placeholder="e.g., Red" aria-label="Color" className={cellInputClassName(rowErrors.color)} />
+                  <input type="number" value={variant.stock} onChange={(e) => handleRowChange(index, 'stock', e.target.value)} min="0" step="1" placeholder="0" aria-label="Stock" className={cellInputClassName(rowErrors.stock)} />
+                  <input type="number" value={variant.price} onChange={(e) => handleRowChange(index, 'price', e.target.value)} min="0" step="0.01" placeholder={basePrice ? String(basePrice) : 'Default'} aria-label="Price override" className={cellInputClassName(rowErrors.price)} />
+                  <button type="button" onClick={() => handleRemoveRow(index)} className="p-1.5 text-red-500 hover:text-red-700 justify-self-center" aria-label="Remove variant">
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+                {Object.values(rowErrors).filter(Boolean).map(message => (
+                  <p key={message} className="text-xs text-red-600 mt-1">{message}</p>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {errors.general && <p className="text-xs text-red-600 mt-1.5">{errors.general}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+import ProductCard from './ProductCard';
+
+const ROW_GAP_PX = 24;
+const ESTIMATED_ROW_HEIGHT_PX = 420;
+// Rows rendered beyond each edge of the viewport, so fast scrolling does not show blank space.
+const OVERSCAN_ROWS = 2;
+
+// Kept across mounts so a restored scroll position lands on the same row it was left on.
+let lastMeasuredRowHeight = null;
+
+// The same breakpoints as the product list's plain grid (sm, lg and xl).
+const getColumnCount = (width) => (width >= 1280 ? 4 : width >= 1024 ? 3 : width >= 640 ? 2 : 1);
+
+/**
+ * The product grid for long infinite-scroll sessions. Products are laid out in rows and only the
+ * rows near the viewport are rendered; the rest are stood in for by padding, so the page keeps its
+ * full height and the window's own scrollbar. Every row is assumed to be as tall as the first
+ * rendered one, which holds because product cards have a fixed layout.
+ */
+export default function VirtualizedProductGrid({ products, highlightQuery = '' }) {
+  const containerRef = useRef(null);
+  const firstRowRef = useRef(null);
+  const [columns, setColumns] = useState(() => getColumnCount(window.innerWidth));
+  const [rowHeight, setRowHeight] = useState(lastMeasuredRowHeight || ESTIMATED_ROW_HEIGHT_PX);
+  const [visibleRows, setVisibleRows] = useState({ first: 0, last: 4 });
+
+  const rowStride = rowHeight + ROW_GAP_PX;
+  const rowCount = Math.ceil(products.length / columns);
+
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      setColumns(getColumnCount(window.innerWidth));
+      if (!containerRef.current) return;
+      const offset = -containerRef.current.getBoundingClientRect().top;
+      const first = Math.max(0, Math.floor(offset / rowStride) - OVERSCAN_ROWS);
+      const last = Math.max(first, Math.ceil((offset + window.innerHeight) / rowStride) + OVERSCAN_ROWS);
+      setVisibleRows(prev => (prev.first === first && prev.last === last ? prev : { first, last }));
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    return () => {
+      window.removeEventListener('scroll', scheduleUpdate);
+      window.removeEventListener('resize', scheduleUpdate);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [rowStride]);
+
+  const firstRow = Math.min(visibleRows.first, Math.max(rowCount - 1, 0));
+  const lastRow = Math.min(visibleRows.last, rowCount);
+
+  // Re-measured as images load and when a different row becomes the first one rendered.
+  useLayoutEffect(() => {
+    const row = firstRowRef.current;
+    if (!row) return;
+    const measure = () => {
+      if (row.offsetHeight > 0) {
+        lastMeasuredRowHeight = row.offsetHeight;
+        setRowHeight(row.offsetHeight);
+      }
+    };
+    measure();
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(row);
+    return () => observer.disconnect();
+  }, [firstRow, columns]);
+
+  const rows = [];
+  for (let rowIndex = firstRow; rowIndex < lastRow; rowIndex++) {
+    rows.push(
+      <div
+        key={rowIndex}
+        ref={rowIndex === firstRow ? firstRowRef : undefined}
+        className="grid gap-6"
+        style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+      >
+        {products.slice(rowIndex * columns, (rowIndex + 1) * columns).map(product => (
+          <ProductCard key={product.id} product={product} highlightQuery={highlightQuery} />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="flex flex-col gap-6"
+      style={{ paddingTop: firstRow * rowStride, paddingBottom: Math.max(rowCount - lastRow, 0) * rowStride }}
+    >
+      {rows}
+    </div>
+  );
+}
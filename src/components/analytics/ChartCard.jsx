@@ -0,0 +1,29 @@
+import React from 'react';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+/**
+ * A titled panel around one chart, with an optional CSV export of the data behind it.
+ * Shows `emptyText` instead of the chart when there is nothing to plot.
+ */
+export default function ChartCard({ title, description, onExport, isEmpty, emptyText = 'No data for this period.', className = '', children }) {
+  return (
+    <section className={`bg-white p-6 rounded-xl shadow-lg flex flex-col ${className}`}>
+      <div className="flex justify-between items-start gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+          {description && <p className="text-xs text-gray-500 mt-0.5">{description}</p>}
+        </div>
+        {onExport && (
+          <button onClick={onExport} disabled={isEmpty} className="inline-flex items-center gap-1.5 px-2.5 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed">
+            <ArrowDownTrayIcon className="h-4 w-4" /> CSV
+          </button>
+        )}
+      </div>
+      {isEmpty ? (
+        <p className="flex-1 flex items-center justify-center text-sm text-gray-400 py-12">{emptyText}</p>
+      ) : (
+        <div className="flex-1 min-h-[16rem]">{children}</div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+
+import { DATE_RANGES } from '../../utils/analytics';
+
+/** Picks one of the preset `DATE_RANGES`. */
+export default function DateRangeSelect({ value, onChange, disabled }) {
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+      <CalendarDaysIcon className="h-5 w-5 text-gray-500" />
+      <span className="sr-only">Date range</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className="border border-gray-300 rounded-lg text-sm py-2 bg-white shadow-sm">
+        {Object.entries(DATE_RANGES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+    </label>
+  );
+}
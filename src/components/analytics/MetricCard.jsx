@@ -0,0 +1,19 @@
+import React from 'react';
+
+/** One headline number on an analytics page. */
+export default function MetricCard({ label, value, hint, icon: Icon, color = 'blue', isLoading }) {
+  return (
+    <div className="bg-white p-5 rounded-xl shadow-lg">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</p>
+        {Icon && (
+          <div className={`p-2 bg-${color}-100 rounded-full`}>
+            <Icon className={`h-5 w-5 text-${color}-600`} />
+          </div>
+        )}
+      </div>
+      <p className="text-2xl font-bold text-gray-800 mt-2">{isLoading ? '...' : value}</p>
+      {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+    </div>
+  );
+}
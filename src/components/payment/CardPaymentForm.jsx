@@ -0,0 +1,44 @@
+import React from 'react';
+import { detectCardBrand, formatCardNumber, formatExpiryDate, digitsOnly } from '../../utils/cardValidation';
+
+const inputClassName = (hasError) =>
+  `mt-1 block w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 sm:text-sm ${hasError ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`;
+
+/**
+ * Card details for the card payment method. Formats input as the user types;
+ * validation and masking happen in the registry entry before submission.
+ */
+export default function CardPaymentForm({ values, errors, onChange }) {
+  const brand = detectCardBrand(values.cardNumber);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="cardholderName" className="block text-sm font-medium text-gray-700">Name on Card</label>
+        <input id="cardholderName" type="text" autoComplete="cc-name" value={values.cardholderName} onChange={(e) => onChange('cardholderName', e.target.value)} className={inputClassName(errors.cardholderName)} />
+        {errors.cardholderName && <p className="text-xs text-red-600 mt-1">{errors.cardholderName}</p>}
+      </div>
+      <div>
+        <label htmlFor="cardNumber" className="flex justify-between text-sm font-medium text-gray-700">
+          <span>Card Number</span>
+          {digitsOnly(values.cardNumber) && <span className="text-xs font-semibold text-gray-500">{brand.label}</span>}
+        </label>
+        <input id="cardNumber" type="text" inputMode="numeric" autoComplete="cc-number" value={values.cardNumber} onChange={(e) => onChange('cardNumber', formatCardNumber(e.target.value))} placeholder="4242 4242 4242 4242" className={inputClassName(errors.cardNumber)} />
+        {errors.cardNumber && <p className="text-xs text-red-600 mt-1">{errors.cardNumber}</p>}
+        <p className="text-xs text-gray-500 mt-1">Test cards: 4242 4242 4200 0000 succeeds, 4242 4242 4220 1111 has insufficient funds, 4242 4242 4240 2222 is declined.</p>
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="expiryDate" className="block text-sm font-medium text-gray-700">Expiry Date</label>
+          <input id="expiryDate" type="text" inputMode="numeric" autoComplete="cc-exp" value={values.expiryDate} onChange={(e) => onChange('expiryDate', formatExpiryDate(e.target.value))} placeholder="MM/YY" className={inputClassName(errors.expiryDate)} />
+          {errors.expiryDate && <p className="text-xs text-red-600 mt-1">{errors.expiryDate}</p>}
+        </div>
+        <div>
+          <label htmlFor="cvv" className="block text-sm font-medium text-gray-700">CVV</label>
+          <input id="cvv" type="password" inputMode="numeric" autoComplete="cc-csc" value={values.cvv} onChange={(e) => onChange('cvv', digitsOnly(e.target.value).slice(0, brand.cvvLength))} placeholder={brand.cvvLength === 4 ? '1234' : '123'} className={inputClassName(errors.cvv)} />
+          {errors.cvv && <p className="text-xs text-red-600 mt-1">{errors.cvv}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * Cash on delivery needs no details, only the buyer's confirmation that they will pay the courier.
+ */
+export default function CashOnDeliveryForm({ values, errors, onChange, amount }) {
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Pay <span className="font-semibold">${amount.toFixed(2)}</span> in cash when your order arrives. Please have the exact amount ready.
+      </p>
+      <label className="flex items-start gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={values.acknowledged} onChange={(e) => onChange('acknowledged', e.target.checked)} className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded" />
+        I will pay the full amount to the courier on delivery.
+      </label>
+      {errors.acknowledged && <p className="text-xs text-red-600">{errors.acknowledged}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react';
+import { getMyStoreCredit } from '../../services/api';
+
+/**
+ * Shows the buyer's store credit balance. The balance is written into the form values
+ * so the registry entry can check it covers the order total.
+ */
+export default function StoreCreditForm({ values, errors, onChange, amount }) {
+  const [isLoading, setIsLoading] = useState(values.availableBalance === null);
+
+  useEffect(() => {
+    if (values.availableBalance !== null) return;
+    const fetchBalance = async () => {
+      try {
+        const { data } = await getMyStoreCredit();
+        onChange('availableBalance', data?.balance ?? 0);
+      } catch (error) {
+        console.error("StoreCreditForm: Failed to load store credit", error);
+        onChange('availableBalance', 0);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchBalance();
+  }, [values.availableBalance, onChange]);
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 animate-pulse">Loading your store credit...</p>;
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex justify-between"><span className="text-gray-600">Available credit:</span><span className="font-medium">${values.availableBalance.toFixed(2)}</span></div>
+      <div className="flex justify-between"><span className="text-gray-600">Order total:</span><span className="font-medium">${amount.toFixed(2)}</span></div>
+      {values.availableBalance >= amount && (
+        <div className="flex justify-between border-t pt-2"><span className="text-gray-600">Remaining after payment:</span><span className="font-medium">${(values.availableBalance - amount).toFixed(2)}</span></div>
+      )}
+      {errors.availableBalance && <p className="text-xs text-red-600">{errors.availableBalance}</p>}
+    </div>
+  );
+}
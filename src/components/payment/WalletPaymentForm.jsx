@@ -0,0 +1,15 @@
+import React from 'react';
+
+/**
+ * Mock digital wallet: the buyer identifies their wallet account and approves the charge there.
+ */
+export default function WalletPaymentForm({ values, errors, onChange }) {
+  return (
+    <div className="space-y-2">
+      <label htmlFor="walletAccount" className="block text-sm font-medium text-gray-700">Wallet Account Email</label>
+      <input id="walletAccount" type="email" autoComplete="email" value={values.walletAccount} onChange={(e) => onChange('walletAccount', e.target.value)} placeholder="you@example.com" className={`mt-1 block w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 sm:text-sm ${errors.walletAccount ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`} />
+      {errors.walletAccount && <p className="text-xs text-red-600">{errors.walletAccount}</p>}
+      <p className="text-xs text-gray-500">You will be asked to approve the payment in your wallet.</p>
+    </div>
+  );
+}
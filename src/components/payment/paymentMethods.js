@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Registry of the payment methods offered on the PaymentPage.
+ * Each method brings its own form component, validation and payload builder, so
+ * adding a method means registering one entry here; the page itself stays unchanged.
+ *
+ * Entry shape:
+ * - `id`, `label`, `icon`: shown in the method selector.
+ * - `FormComponent`: receives `{ values, errors, onChange(name, value), amount }`.
+ * - `initialValues`: the form's starting values.
+ * - `validate(values, { amount })`: returns field name -> error message, empty when valid.
+ * - `buildPayload(values)`: the method-specific fields merged into the `processPayment` request.
+ * - `successStatuses`: payment result statuses that count as a completed checkout.
+ * - `submitLabel(amount)`: text of the submit button.
+ */
+import { CreditCardIcon, BanknotesIcon, GiftIcon, WalletIcon } from '@heroicons/react/24/outline';
+
+import CardPaymentForm from './CardPaymentForm';
+import CashOnDeliveryForm from './CashOnDeliveryForm';
+import StoreCreditForm from './StoreCreditForm';
+import WalletPaymentForm from './WalletPaymentForm';
+import { detectCardBrand, digitsOnly, maskCardNumber, validateCard } from '../../utils/cardValidation';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const registry = new Map();
+
+export const registerPaymentMethod = (method) => {
+  registry.set(method.id, {
+    successStatuses: ['SUCCESS'],
+    submitLabel: (amount) => `Pay $${amount.toFixed(2)}`,
+    ...method,
+  });
+};
+
+export const getPaymentMethod = (id) => registry.get(id);
+
+export const getPaymentMethods = () => Array.from(registry.values());
+
+registerPaymentMethod({
+  id: 'CARD',
+  label: 'Credit / Debit Card',
+  icon: CreditCardIcon,
+  FormComponent: CardPaymentForm,
+  initialValues: { cardholderName: '', cardNumber: '', expiryDate: '', cvv: '' },
+  validate: (values) => validateCard(values),
+  // The full number and the CVV never leave the browser; the mock gateway decides on the last four digits.
+  buildPayload: (values) => ({
+    paymentMethod: 'CARD',
+    cardBrand: detectCardBrand(values.cardNumber).id,
+    cardLast4: digitsOnly(values.cardNumber).slice(-4),
+    mockCardNumber: maskCardNumber(values.cardNumber),
+    mockExpiryDate: values.expiryDate,
+    cardholderName: values.cardholderName.trim(),
+  }),
+});
+
+registerPaymentMethod({
+  id: 'CASH_ON_DELIVERY',
+  label: 'Cash on Delivery',
+  icon: BanknotesIcon,
+  FormComponent: CashOnDeliveryForm,
+  initialValues: { acknowledged: false },
+  validate: (values) => (values.acknowledged ? {} : { acknowledged: 'Please confirm you will pay on delivery.' }),
+  buildPayload: () => ({ paymentMethod: 'CASH_ON_DELIVERY' }),
+  // The order is confirmed now and marked as paid once the courier collects the cash.
+  successStatuses: ['SUCCESS', 'PENDING'],
+  submitLabel: () => 'Place Order',
+});
+
+registerPaymentMethod({
+  id: 'STORE_CREDIT',
+  label: 'Store Credit',
+  icon: GiftIcon,
+  FormComponent: StoreCreditForm,
+  initialValues: { availableBalance: null },
+  validate: (values, { amount }) => {
+    if (values.availableBalance === null) return { availableBalance: 'Your store credit is still loading.' };
+    if (values.availableBalance < amount) return { availableBalance: 'Your store credit does not cover this order.' };
+    return {};
+  },
+  buildPayload: () => ({ paymentMethod: 'STORE_CREDIT' }),
+});
+
+registerPaymentMethod({
+  id: 'MOCK_WALLET',
+  label: 'Digital Wallet',
+  icon: WalletIcon,
+  FormComponent: WalletPaymentForm,
+  initialValues: { walletAccount: '' },
+  validate: (values) => (EMAIL_PATTERN.test(values.walletAccount.trim()) ? {} : { walletAccount: 'Enter the email of your wallet account.' }),
+  buildPayload: (values) => ({ paymentMethod: 'MOCK_WALLET', walletAccount: values.walletAccount.trim() }),
+});
@@ -1,19 +1,24 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
 // Import the specific API functions needed from the service layer
 import {
   login as apiLogin,
   register as apiRegister,
   logout as apiLogout,
   getMyProfile as apiGetMyProfile,
-  updateMyProfile as apiUpdateMyProfile
+  updateMyProfile as apiUpdateMyProfile,
+  registerSessionHandlers
 } from '../services/api';
+import { clearQueryCache } from '../services/queryCache';
+import { createAuthChannel } from '../utils/authChannel';
 
 const AuthContext = createContext(null);
 
 // Using constants for localStorage keys-  good practice to avoid typos.
 const AUTH_TOKEN_KEY = 'appAuthToken';
 const AUTH_USER_DATA_KEY = 'appAuthUserData';
+const AUTH_REFRESH_TOKEN_KEY = 'appAuthRefreshToken';
 
 export const useAuth = () => {
   const context = useContext(AuthContext);
@@ -27,8 +32,55 @@ export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true); // To handle initial session check
+  // True when the current session was adopted from another tab rather than started here.
+  // Lets dependent contexts skip one-off work (e.g. merging the guest cart) the other tab already does.
+  const [isRemoteSessionChange, setIsRemoteSessionChange] = useState(false);
+  const authChannelRef = useRef(null);
   const navigate = useNavigate();
 
+  // Reconcile this tab with login, logout and profile changes made in other tabs.
+  // Storage is shared between tabs, so only the in-memory state needs updating.
+  useEffect(() => {
+    const handleRemoteAuthEvent = ({ type, user }) => {
+      switch (type) {
+        case 'login':
+          // Possibly a different user; nothing cached for the previous one may show.
+          clearQueryCache();
+          setCurrentUser(user);
+          setIsAuthenticated(true);
+          setIsRemoteSessionChange(true);
+          console.log(`AuthContext: Applied '${type}' from another tab.`, user);
+          break;
+        case 'profile-updated':
+          setCurrentUser(user);
+          setIsAuthenticated(true);
+          setIsRemoteSessionChange(true);
+          console.log(`AuthContext: Applied '${type}' from another tab.`, user);
+          break;
+        case 'logout':
+          clearQueryCache();
+          setCurrentUser(null);
+          setIsAuthenticated(false);
+          setIsRemoteSessionChange(true);
+          toast("You were signed out in another tab.", { id: 'remote-logout' });
+          console.log("AuthContext: Applied 'logout' from another tab.");
+          break;
+        default:
+          break;
+      }
+    };
+
+    authChannelRef.current = createAuthChannel(handleRemoteAuthEvent);
+    return () => {
+      authChannelRef.current?.close();
+      authChannelRef.current = null;
+    };
+  }, []);
+
+  const broadcastAuthEvent = useCallback((type, user = null) => {
+    authChannelRef.current?.post({ type, user });
+  }, []);
+
   // This effect runs on app start to check for an existing session.
   useEffect(() => {
     const attemptAutoLogin = async () => {
@@ -65,16 +117,21 @@ export const AuthProvider = ({ children }) => {
     try {
       // Use the login function from our API service
       const { data } = await apiLogin(credentials);
-      const { userDto, token } = data;
+      const { userDto, token, refreshToken } = data;
 
       if (userDto && token) {
         // Store session info
         localStorage.setItem(AUTH_TOKEN_KEY, token);
         localStorage.setItem(AUTH_USER_DATA_KEY, JSON.stringify(userDto));
+        if (refreshToken) {
+          localStorage.setItem(AUTH_REFRESH_TOKEN_KEY, refreshToken);
+        }
 
         // Update application state
         setCurrentUser(userDto);
         setIsAuthenticated(true);
+        setIsRemoteSessionChange(false);
+        broadcastAuthEvent('login', userDto);
         console.log("AuthContext: Login successful.", userDto);
         return { success: true, user: userDto };
       } else {
@@ -87,7 +144,7 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [broadcastAuthEvent]);
 
   const register = useCallback(async (userData) => {
     setIsLoading(true);
@@ -107,11 +164,17 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
 
-  const logout = useCallback(async () => {
+  // `sessionExpired` is set by the API interceptor when the token could not be refreshed.
+  // In that case the backend already rejects our token, so there is nothing to invalidate.
+  const logout = useCallback(async ({ sessionExpired = false } = {}) => {
     setIsLoading(true);
     try {
-      // Call the backend logout endpoint to invalidate the token.
-      await apiLogout();
+      if (sessionExpired) {
+        toast.error("Your session has expired. Please sign in again.", { id: 'session-expired' });
+      } else {
+        // Call the backend logout endpoint to invalidate the token.
+        await apiLogout();
+      }
     } catch (error) {
       // Even if the backend call fails, we proceed with client-side cleanup.
       console.error("AuthContext: Backend logout failed, proceeding with client cleanup.", error);
@@ -119,17 +182,38 @@ export const AuthProvider = ({ children }) => {
       // Clear all authentication data from storage
       localStorage.removeItem(AUTH_TOKEN_KEY);
       localStorage.removeItem(AUTH_USER_DATA_KEY);
+      localStorage.removeItem(AUTH_REFRESH_TOKEN_KEY);
+      clearQueryCache();
 
       // Reset application state
       setCurrentUser(null);
       setIsAuthenticated(false);
+      setIsRemoteSessionChange(false);
       setIsLoading(false);
+      broadcastAuthEvent('logout');
       
       // Navigate to home to reset the app state completely.
       navigate('/');
       console.log("AuthContext: Logout complete.");
     }
-  }, [navigate]);
+  }, [navigate, broadcastAuthEvent]);
+
+  // Keep our state in sync with what the API interceptor does behind the scenes:
+  // a successful refresh may carry fresh user data, a failed one ends the session.
+  useEffect(() => {
+    return registerSessionHandlers({
+      onTokenRefreshed: ({ userDto }) => {
+        if (userDto) {
+          localStorage.setItem(AUTH_USER_DATA_KEY, JSON.stringify(userDto));
+          setCurrentUser(userDto);
+          setIsAuthenticated(true);
+          broadcastAuthEvent('profile-updated', userDto);
+        }
+        console.log("AuthContext: Access token refreshed.");
+      },
+      onSessionExpired: () => logout({ sessionExpired: true }),
+    });
+  }, [logout, broadcastAuthEvent]);
 
   const updateUserProfile = useCallback(async (profileData) => {
       if (!isAuthenticated) return { success: false, error: "User is not authenticated." };
@@ -141,6 +225,7 @@ export const AuthProvider = ({ children }) => {
         // Update local storage and state with the fresh user data
         localStorage.setItem(AUTH_USER_DATA_KEY, JSON.stringify(updatedUser));
         setCurrentUser(updatedUser);
+        broadcastAuthEvent('profile-updated', updatedUser);
         
         console.log("AuthContext: User profile updated.", updatedUser);
         return { success: true, user: updatedUser };
@@ -151,13 +236,14 @@ export const AuthProvider = ({ children }) => {
       } finally {
         setIsLoading(false);
       }
-  }, [isAuthenticated]);
+  }, [isAuthenticated, broadcastAuthEvent]);
 
   const contextValue = {
     currentUser,
     isAuthenticated,
     userRole: currentUser?.role || null, // Derived state from currentUser
     isLoading,
+    isRemoteSessionChange,
     login,
     register,
     logout,
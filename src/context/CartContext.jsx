@@ -8,6 +8,7 @@ import {
   updateCartItemQuantity as apiUpdateQuantity,
   clearMyCart as apiClearMyCart,
 } from '../services/api';
+import { getVariantLabel, getVariantPrice } from '../utils/variants';
 
 const CartContext = createContext(null);
 
@@ -21,10 +22,21 @@ export const useCart = () => {
 
 const GUEST_CART_STORAGE_KEY = 'guest_cart';
 
+// Guest cart lines have no server ID; the product and variant together identify them,
+// so two sizes of the same product stay separate lines.
+const getGuestCartItemId = (productId, variantId) => (variantId ? `${productId}:${variantId}` : String(productId));
+
+const parseGuestCart = (json) => JSON.parse(json || '[]').map(item => ({
+  ...item,
+  id: item.id ?? getGuestCartItemId(item.productId, item.variantId),
+}));
+
+const readGuestCart = () => parseGuestCart(localStorage.getItem(GUEST_CART_STORAGE_KEY));
+
 export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
-  const { isAuthenticated, currentUser, userRole, isLoading: isAuthLoading } = useAuth();
+  const { isAuthenticated, currentUser, userRole, isLoading: isAuthLoading, isRemoteSessionChange } = useAuth();
 
   const fetchUserCart = useCallback(async () => {
     if (!isAuthenticated || userRole !== 'BUYER') {
@@ -50,14 +62,16 @@ export const CartProvider = ({ children }) => {
 
       if (isAuthenticated && currentUser) {
         if (userRole === 'BUYER') {
-          const guestCart = JSON.parse(localStorage.getItem(GUEST_CART_STORAGE_KEY) || '[]');
+          const guestCart = readGuestCart();
           
-          if (guestCart.length > 0) {
+          // When the login happened in another tab, that tab merges the guest cart;
+          // doing it here as well would add every item twice.
+          if (guestCart.length > 0 && !isRemoteSessionChange) {
             setIsLoading(true);
             toast.loading("Merging guest cart with your account...", { id: 'merge-cart' });
             try {
               const mergePromises = guestCart.map(item =>
-                apiAddToCart({ userId: currentUser.id, productId: item.productId, quantity: item.quantity })
+                apiAddToCart({ userId: currentUser.id, productId: item.productId, variantId: item.variantId ?? null, quantity: item.quantity })
               );
               await Promise.all(mergePromises);
               localStorage.removeItem(GUEST_CART_STORAGE_KEY);
@@ -74,44 +88,65 @@ export const CartProvider = ({ children }) => {
         }
         
       } else {
-        const guestCart = JSON.parse(localStorage.getItem(GUEST_CART_STORAGE_KEY) || '[]');
-        setCartItems(guestCart);
+        setCartItems(readGuestCart());
       }
     };
 
     syncCart();
-  }, [isAuthenticated, currentUser, userRole, isAuthLoading, fetchUserCart]);
+  }, [isAuthenticated, currentUser, userRole, isAuthLoading, isRemoteSessionChange, fetchUserCart]);
+
+  // Keep the cart consistent with other tabs. Guests share the cart through localStorage directly;
+  // for buyers, the guest cart being removed means another tab just merged it into the server cart.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== GUEST_CART_STORAGE_KEY) return;
+      if (!isAuthenticated) {
+        setCartItems(parseGuestCart(event.newValue));
+      } else if (userRole === 'BUYER' && event.newValue === null) {
+        fetchUserCart();
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [isAuthenticated, userRole, fetchUserCart]);
 
-  const addToCart = useCallback(async (product, quantity) => {
+  // `variant` is required for products that have variants; see ProductDetails.
+  const addToCart = useCallback(async (product, quantity, variant = null) => {
     if (isAuthenticated && userRole !== 'BUYER') {
         toast.error("Only buyers can add items to a cart.");
         return;
     }
+    const displayName = variant ? `${product.name} (${getVariantLabel(variant)})` : product.name;
 
     setIsLoading(true);
     if (isAuthenticated && currentUser) {
       try {
-        await apiAddToCart({ userId: currentUser.id, productId: product.id, quantity });
+        await apiAddToCart({ userId: currentUser.id, productId: product.id, variantId: variant?.id ?? null, quantity });
         await fetchUserCart(); // Refresh cart from server
-        toast.success(`${product.name} added to cart!`);
+        toast.success(`${displayName} added to cart!`);
       } catch (error) {
         console.error("CartContext: Failed to add item", error);
         toast.error(error.response?.data?.message || "Could not add item to cart.");
       }
     } else {
       // Guest user: update localStorage
+      const guestItemId = getGuestCartItemId(product.id, variant?.id);
       setCartItems(prevItems => {
-        const existingItem = prevItems.find(item => item.productId === product.id);
+        const existingItem = prevItems.find(item => item.id === guestItemId);
         let newItems;
         if (existingItem) {
           newItems = prevItems.map(item =>
-            item.productId === product.id ? { ...item, quantity: item.quantity + quantity } : item
+            item.id === guestItemId ? { ...item, quantity: item.quantity + quantity } : item
           );
         } else {
           const newItem = {
+              id: guestItemId,
               productId: product.id,
+              variantId: variant?.id ?? null,
+              size: variant?.size ?? null,
+              color: variant?.color ?? null,
               productName: product.name,
-              price: product.price,
+              price: getVariantPrice(product, variant),
               photoUrl: product.photoUrl,
               category: product.category,
               quantity: quantity
@@ -121,7 +156,7 @@ export const CartProvider = ({ children }) => {
         localStorage.setItem(GUEST_CART_STORAGE_KEY, JSON.stringify(newItems));
         return newItems;
       });
-      toast.success(`${product.name} added to guest cart!`);
+      toast.success(`${displayName} added to guest cart!`);
     }
     setIsLoading(false);
   }, [isAuthenticated, currentUser, userRole, fetchUserCart]);
@@ -139,7 +174,7 @@ export const CartProvider = ({ children }) => {
       }
     } else {
       setCartItems(prev => {
-        const newItems = prev.filter(item => item.productId !== cartItemId);
+        const newItems = prev.filter(item => item.id !== cartItemId);
         localStorage.setItem(GUEST_CART_STORAGE_KEY, JSON.stringify(newItems));
         return newItems;
       });
@@ -165,7 +200,7 @@ export const CartProvider = ({ children }) => {
       }
     } else {
       setCartItems(prev => {
-         const newItems = prev.map(item => (item.productId === cartItemId ? { ...item, quantity } : item));
+         const newItems = prev.map(item => (item.id === cartItemId ? { ...item, quantity } : item));
          localStorage.setItem(GUEST_CART_STORAGE_KEY, JSON.stringify(newItems));
          return newItems;
       });
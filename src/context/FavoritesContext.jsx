@@ -20,7 +20,7 @@ export const FavoritesProvider = ({ children }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   // FIX: Destructure userRole to use in our logic
-  const { isAuthenticated, userRole, isLoading: isAuthLoading } = useAuth();
+  const { isAuthenticated, currentUser, userRole, isLoading: isAuthLoading } = useAuth();
   const { openModal } = useSignupSigninModal();
 
   // Fetches the user's favorites from the backend.
@@ -46,12 +46,13 @@ export const FavoritesProvider = ({ children }) => {
   }, [isAuthenticated, userRole]);
 
   // Effect to load favorites when authentication state changes.
+  // `currentUser` is a dependency so switching between two buyers (e.g. from another tab) refetches too.
   useEffect(() => {
     // This logic is now safe because fetchFavorites has the role check.
     if (!isAuthLoading) {
         fetchFavorites();
     }
-  }, [isAuthLoading, fetchFavorites]);
+  }, [isAuthLoading, currentUser, fetchFavorites]);
 
   // Checks if a given product ID is in the user's favorites.
   const isFavorite = useCallback((productId) => {
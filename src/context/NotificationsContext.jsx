@@ -0,0 +1,200 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useRealtime, useSubscription } from './RealtimeContext';
+import {
+  getUnreadMessageCount,
+  getMyConversations,
+  markConversationAsRead as apiMarkConversationAsRead,
+} from '../services/api';
+import { getOrderStatusLabel } from '../utils/orderStatus';
+
+const NotificationsContext = createContext(null);
+
+const MAX_NOTIFICATIONS = 20;
+
+export const useNotifications = () => {
+  const context = useContext(NotificationsContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationsProvider');
+  }
+  return context;
+};
+
+/**
+ * Collects live events for the Navbar notification center:
+ * - chat messages on every conversation the user takes part in (buyers and sellers), including
+ *   conversations started after login, announced by a `CONVERSATION_CREATED` event on the user topic,
+ * - order status changes pushed to `/topic/user/{id}/notifications` (buyers and sellers),
+ * - new arrivals matching a buyer's saved search, pushed on the same topic,
+ * - new contact form messages (admins).
+ * Notifications are kept in memory only; the unread chat count is backed by the server.
+ */
+export const NotificationsProvider = ({ children }) => {
+  const { currentUser, userRole } = useAuth();
+  const { subscribe } = useRealtime();
+
+  const [notifications, setNotifications] = useState([]);
+  const [unreadMessageCount, setUnreadMessageCount] = useState(0);
+  const [conversationIds, setConversationIds] = useState([]);
+  const [unreadConversationIds, setUnreadConversationIds] = useState([]);
+
+  const userId = currentUser?.id;
+  const hasChat = userRole === 'BUYER' || userRole === 'SELLER';
+  const rolePath = userRole?.toLowerCase();
+
+  const addNotification = useCallback((notification) => {
+    setNotifications(prev => {
+      if (prev.some(n => n.id === notification.id)) return prev;
+      return [{ ...notification, read: false }, ...prev].slice(0, MAX_NOTIFICATIONS);
+    });
+  }, []);
+
+  const refreshUnreadCount = useCallback(async () => {
+    if (!userId || !hasChat) return;
+    try {
+      const { data } = await getUnreadMessageCount();
+      setUnreadMessageCount(data?.unreadCount || 0);
+    } catch (error) {
+      console.error("NotificationsContext: Failed to fetch unread message count", error);
+    }
+  }, [userId, hasChat]);
+
+  // Load the conversations to listen on and the current unread count whenever the user changes.
+  useEffect(() => {
+    setNotifications([]);
+    setUnreadMessageCount(0);
+    setConversationIds([]);
+    setUnreadConversationIds([]);
+    if (!userId || !hasChat) return;
+
+    const loadChatState = async () => {
+      try {
+        const { data } = await getMyConversations();
+        const conversations = data || [];
+        setConversationIds(conversations.map(c => c.id));
+        setUnreadConversationIds(conversations.filter(c => c.unreadMessageCount > 0).map(c => c.id));
+      } catch (error) {
+        console.error("NotificationsContext: Failed to fetch conversations", error);
+      }
+      refreshUnreadCount();
+    };
+    loadChatState();
+  }, [userId, hasChat, refreshUnreadCount]);
+
+  const handleChatMessage = useCallback((message) => {
+    if (message.senderId === userId) return;
+    setUnreadMessageCount(count => count + 1);
+    setUnreadConversationIds(prev => (prev.includes(message.conversationId) ? prev : [...prev, message.conversationId]));
+    addNotification({
+      id: `chat-${message.id}`,
+      type: 'chat',
+      title: message.senderName ? `New message from ${message.senderName}` : 'New message',
+      body: message.content,
+      createdAt: message.sentAt,
+      conversationId: message.conversationId,
+      link: `/${rolePath}/messages`,
+      linkState: { openConversationId: message.conversationId },
+    });
+  }, [userId, rolePath, addNotification]);
+
+  // One subscription per conversation; the RealtimeProvider shares them with an open messages page.
+  useEffect(() => {
+    const unsubscribers = conversationIds.map(id => subscribe(`/topic/conversation/${id}`, handleChatMessage));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [conversationIds, subscribe, handleChatMessage]);
+
+  const handleUserEvent = useCallback((event) => {
+    if (event.type === 'CONVERSATION_CREATED') {
+      // Its first message was sent before we could listen on the conversation, so it comes with the event.
+      setConversationIds(prev => (prev.includes(event.conversationId) ? prev : [...prev, event.conversationId]));
+      if (event.message) handleChatMessage(event.message);
+      refreshUnreadCount();
+      return;
+    }
+    if (event.type === 'SAVED_SEARCH_MATCH') {
+      addNotification({
+        id: `saved-search-${event.savedSearchId}-${event.productId}`,
+        type: 'savedSearch',
+        title: `New arrivals for "${event.savedSearchName}"`,
+        body: event.newMatchCount > 1 ? `${event.productName} and ${event.newMatchCount - 1} more` : event.productName,
+        createdAt: event.listedAt || new Date().toISOString(),
+        link: `/products?${event.query}`,
+        savedSearchId: event.savedSearchId,
+      });
+      return;
+    }
+    if (event.type !== 'ORDER_STATUS_CHANGED') return;
+    addNotification({
+      id: `order-${event.orderId}-${event.status}`,
+      type: 'order',
+      title: `Order #${String(event.orderId).slice(-8)} is now ${getOrderStatusLabel(event.status).toLowerCase()}`,
+      body: event.productName || null,
+      createdAt: event.updatedAt || new Date().toISOString(),
+      // Buyers have a page per order; sellers find it in their orders table.
+      link: rolePath === 'buyer' ? `/buyer/orders/${event.orderId}` : `/${rolePath}/orders`,
+    });
+  }, [rolePath, addNotification, handleChatMessage, refreshUnreadCount]);
+
+  useSubscription(userId && hasChat ? `/topic/user/${userId}/notifications` : null, handleUserEvent);
+
+  const handleContactMessage = useCallback((contactMessage) => {
+    addNotification({
+      id: `contact-${contactMessage.id}`,
+      type: 'contact',
+      title: `New contact message from ${contactMessage.senderName}`,
+      body: contactMessage.subject,
+      createdAt: new Date().toISOString(),
+      link: '/admin/contact-messages',
+    });
+  }, [addNotification]);
+
+  useSubscription(userRole === 'ADMIN' ? '/topic/admin/newContactMessage' : null, handleContactMessage);
+
+  // Used by the messages pages instead of the bare API call, so the badge follows along.
+  // Opening a conversation we did not know about yet (e.g. one just started) also starts listening to it.
+  const markConversationAsRead = useCallback(async (conversationId) => {
+    setConversationIds(prev => (prev.includes(conversationId) ? prev : [...prev, conversationId]));
+    setNotifications(prev => prev.map(n => (n.conversationId === conversationId ? { ...n, read: true } : n)));
+    setUnreadConversationIds(prev => prev.filter(id => id !== conversationId));
+    try {
+      await apiMarkConversationAsRead(conversationId);
+    } catch (error) {
+      console.error("NotificationsContext: Failed to mark conversation as read", error);
+    } finally {
+      refreshUnreadCount();
+    }
+  }, [refreshUnreadCount]);
+
+  const markNotificationAsRead = useCallback((notificationId) => {
+    setNotifications(prev => prev.map(n => (n.id === notificationId ? { ...n, read: true } : n)));
+  }, []);
+
+  const markAllAsRead = useCallback(async () => {
+    setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+    const idsToMark = unreadConversationIds;
+    setUnreadConversationIds([]);
+    if (idsToMark.length === 0) return;
+    try {
+      await Promise.all(idsToMark.map(id => apiMarkConversationAsRead(id)));
+    } catch (error) {
+      console.error("NotificationsContext: Failed to mark conversations as read", error);
+    } finally {
+      refreshUnreadCount();
+    }
+  }, [unreadConversationIds, refreshUnreadCount]);
+
+  // Chat notifications are already counted in unreadMessageCount.
+  const unreadNotificationCount = notifications.filter(n => !n.read && n.type !== 'chat').length;
+
+  const value = {
+    notifications,
+    unreadMessageCount,
+    unreadCount: unreadMessageCount + unreadNotificationCount,
+    markConversationAsRead,
+    markNotificationAsRead,
+    markAllAsRead,
+    refreshUnreadCount,
+  };
+
+  return <NotificationsContext.Provider value={value}>{children}</NotificationsContext.Provider>;
+};
@@ -0,0 +1,182 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import Stomp from 'stompjs';
+import SockJS from 'sockjs-client';
+import { useAuth } from './AuthContext';
+
+const RealtimeContext = createContext(null);
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080/api';
+// The STOMP endpoint sits next to the REST root, e.g. http://localhost:8080/api -> http://localhost:8080/ws
+const WS_URL = `${API_BASE_URL.replace(/\/api\/?$/, '')}/ws`;
+
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+/**
+ * Subscribes to a STOMP topic for as long as the calling component is mounted.
+ * The handler receives the parsed JSON body of every message. Passing a falsy
+ * topic skips the subscription, which is handy while an ID is still unknown.
+ * @param {string|null} topic - e.g. `/topic/conversation/42`.
+ * @param {(payload: object) => void} handler
+ */
+export const useSubscription = (topic, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+
+  // Always call the latest handler without resubscribing on every render.
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!topic) return;
+    return subscribe(topic, (payload) => handlerRef.current(payload));
+  }, [topic, subscribe]);
+};
+
+/**
+ * Owns the single, authenticated STOMP connection for the whole app.
+ * Topics are reference-counted: many components can listen to the same topic
+ * over one broker subscription, and every topic is re-subscribed after a reconnect.
+ */
+export const RealtimeProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const [isConnected, setIsConnected] = useState(false);
+
+  const clientRef = useRef(null);
+  const listenersRef = useRef(new Map()); // topic -> Set of handlers
+  const brokerSubscriptionsRef = useRef(new Map()); // topic -> STOMP subscription
+  const reconnectTimerRef = useRef(null);
+  const reconnectAttemptRef = useRef(0);
+
+  const subscribeOnBroker = useCallback((topic) => {
+    const client = clientRef.current;
+    if (!client?.connected || brokerSubscriptionsRef.current.has(topic)) return;
+
+    const subscription = client.subscribe(topic, (message) => {
+      let payload;
+      try {
+        payload = JSON.parse(message.body);
+      } catch {
+        payload = message.body;
+      }
+      listenersRef.current.get(topic)?.forEach((listener) => listener(payload));
+    });
+    brokerSubscriptionsRef.current.set(topic, subscription);
+  }, []);
+
+  const userId = currentUser?.id;
+
+  // (Re)connect whenever the signed-in user changes; disconnect on logout.
+  useEffect(() => {
+    if (!userId) return;
+
+    let isDisposed = false;
+    const brokerSubscriptions = brokerSubscriptionsRef.current;
+
+    const connect = () => {
+      const token = localStorage.getItem('appAuthToken');
+      if (!token || isDisposed) return;
+
+      const client = Stomp.over(new SockJS(WS_URL));
+      client.debug = null; // stompjs logs every frame by default
+      clientRef.current = client;
+
+      client.connect(
+        { Authorization: `Bearer ${token}` },
+        () => {
+          if (isDisposed) return;
+          console.log('Realtime: Connected');
+          reconnectAttemptRef.current = 0;
+          setIsConnected(true);
+          listenersRef.current.forEach((_, topic) => subscribeOnBroker(topic));
+        },
+        (error) => {
+          // stompjs reports both failed connects and dropped connections here.
+          if (isDisposed) return;
+          console.error('Realtime: Connection lost', error);
+          setIsConnected(false);
+          brokerSubscriptions.clear();
+          scheduleReconnect();
+        }
+      );
+    };
+
+    const scheduleReconnect = () => {
+      if (reconnectTimerRef.current) return;
+      const attempt = reconnectAttemptRef.current++;
+      const delay = Math.min(INITIAL_RECONNECT_DELAY_MS * 2 ** attempt, MAX_RECONNECT_DELAY_MS);
+      // Jitter keeps many tabs from hammering the server in lockstep after an outage.
+      const jitteredDelay = delay / 2 + Math.random() * (delay / 2);
+      console.log(`Realtime: Reconnecting in ${Math.round(jitteredDelay)}ms (attempt ${attempt + 1}).`);
+      reconnectTimerRef.current = setTimeout(() => {
+        reconnectTimerRef.current = null;
+        connect();
+      }, jitteredDelay);
+    };
+
+    connect();
+
+    return () => {
+      isDisposed = true;
+      clearTimeout(reconnectTimerRef.current);
+      reconnectTimerRef.current = null;
+      reconnectAttemptRef.current = 0;
+      brokerSubscriptions.clear();
+      const client = clientRef.current;
+      clientRef.current = null;
+      setIsConnected(false);
+      if (client?.connected) {
+        client.disconnect(() => console.log('Realtime: Disconnected.'));
+      } else {
+        client?.ws?.close(); // Abort a connection attempt that is still in progress.
+      }
+    };
+  }, [userId, subscribeOnBroker]);
+
+  // Registers a listener and returns its cleanup. The broker subscription is
+  // created for the first listener of a topic and dropped with the last one.
+  const subscribe = useCallback((topic, listener) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(topic)) {
+      listeners.set(topic, new Set());
+    }
+    listeners.get(topic).add(listener);
+    subscribeOnBroker(topic);
+
+    return () => {
+      const topicListeners = listeners.get(topic);
+      if (!topicListeners) return;
+      topicListeners.delete(listener);
+      if (topicListeners.size === 0) {
+        listeners.delete(topic);
+        brokerSubscriptionsRef.current.get(topic)?.unsubscribe();
+        brokerSubscriptionsRef.current.delete(topic);
+      }
+    };
+  }, [subscribeOnBroker]);
+
+  // Returns false when there is no live connection, so callers can tell the user.
+  const send = useCallback((destination, payload) => {
+    const client = clientRef.current;
+    if (!client?.connected) return false;
+    client.send(destination, {}, JSON.stringify(payload));
+    return true;
+  }, []);
+
+  const value = {
+    isConnected,
+    subscribe,
+    send,
+  };
+
+  return <RealtimeContext.Provider value={value}>{children}</RealtimeContext.Provider>;
+};
@@ -0,0 +1,16 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Returns `value` once it has stopped changing for `delay` ms.
+ * Used to keep search inputs from sending a request on every keystroke.
+ */
+export const useDebouncedValue = (value, delay = 300) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timeoutId);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
@@ -0,0 +1,27 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Calls `onLoadMore` when the returned sentinel ref comes within `rootMargin` of the viewport.
+ * The observer is recreated whenever `enabled` turns back on, so a sentinel that is still in view
+ * after a page has loaded asks for the next one. Without IntersectionObserver nothing is called and
+ * the caller's "load more" button is the only way on.
+ */
+export const useInfiniteScroll = (onLoadMore, { enabled = true, rootMargin = '600px' } = {}) => {
+  const [sentinel, setSentinel] = useState(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  }, [onLoadMore]);
+
+  useEffect(() => {
+    if (!sentinel || !enabled || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0]?.isIntersecting) onLoadMoreRef.current();
+    }, { rootMargin });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [sentinel, enabled, rootMargin]);
+
+  return setSentinel;
+};
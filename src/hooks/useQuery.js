@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+
+import { fetchQuery, refetchQuery, getQueryHash, getQueryState, subscribeToQuery, DEFAULT_STALE_TIME_MS } from "../services/queryCache";
+
+/**
+ * Reads `key` from the query cache and keeps the component in sync with it.
+ * Cached data is returned on the first render, so revisiting a page shows it without a spinner
+ * while a stale copy is refreshed in the background.
+ *
+ * @param {Array} key - A key from `queryKeys` in `api.js`.
+ * @param {() => Promise<{data: *}>} fetcher - The `api.js` request for it.
+ * @param {{enabled?: boolean, staleTime?: number}} [options] - `enabled: false` waits, e.g. for the signed-in user.
+ * @returns {{data: *, error: Error|null, isLoading: boolean, isFetching: boolean, refetch: () => Promise<*>}}
+ */
+export const useQuery = (key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME_MS } = {}) => {
+  const hash = getQueryHash(key);
+  // The key and fetcher are usually rebuilt on every render; the hash says when they really change.
+  const latest = useRef({ key, fetcher });
+  useEffect(() => {
+    latest.current = { key, fetcher };
+  });
+
+  const subscribe = useCallback((onChange) => subscribeToQuery(JSON.parse(hash), onChange), [hash]);
+  const getSnapshot = useCallback(() => getQueryState(JSON.parse(hash)), [hash]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    fetchQuery(JSON.parse(hash), () => latest.current.fetcher(), { staleTime }).catch((error) => {
+      console.error(`useQuery: Failed to fetch ${hash}`, error);
+    });
+  }, [hash, enabled, staleTime]);
+
+  const refetch = useCallback(() => refetchQuery(JSON.parse(hash), () => latest.current.fetcher()), [hash]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && state.status !== 'error',
+    isFetching: state.isFetching,
+    refetch,
+  };
+};
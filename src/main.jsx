@@ -7,18 +7,24 @@ import { SignupSigninModalProvider } from "./hooks/useSignupSigninModal";
 import { CartProvider } from "./context/CartContext";
 import { FavoritesProvider } from "./context/FavoritesContext";
 import { AuthProvider } from "./context/AuthContext";
+import { RealtimeProvider } from "./context/RealtimeContext";
+import { NotificationsProvider } from "./context/NotificationsContext";
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <SignupSigninModalProvider>
-          <CartProvider>
-            <FavoritesProvider>
-              <App />
-            </FavoritesProvider>
-          </CartProvider>
-        </SignupSigninModalProvider>
+        <RealtimeProvider>
+          <NotificationsProvider>
+            <SignupSigninModalProvider>
+              <CartProvider>
+                <FavoritesProvider>
+                  <App />
+                </FavoritesProvider>
+              </CartProvider>
+            </SignupSigninModalProvider>
+          </NotificationsProvider>
+        </RealtimeProvider>
       </AuthProvider>
     </BrowserRouter>
   </StrictMode>
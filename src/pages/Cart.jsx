@@ -3,9 +3,10 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
 import { useAuth } from '../context/AuthContext';
 import { useSignupSigninModal } from '../hooks/useSignupSigninModal';
-import { TrashIcon, PlusIcon, MinusIcon, TruckIcon } from '@heroicons/react/24/outline';
+import { TrashIcon, PlusIcon, MinusIcon, TruckIcon, TagIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
-import { checkout, getDeliveryOptions } from '../services/api';
+import { checkout, getDeliveryOptions, validatePromoCode } from '../services/api';
+import { getVariantLabel } from '../utils/variants';
 
 // Helper function to calculate and format delivery dates
 const getDeliveryDateEstimate = (minDays, maxDays) => {
@@ -32,6 +33,24 @@ const getDeliveryDateEstimate = (minDays, maxDays) => {
     return `Arrives ${minDateStr} - ${maxDateStr}`;
 };
 
+// Turns a rejected promo validation into something the buyer can act on.
+const getPromoErrorMessage = (error) => {
+    const { reason, message, minSpend, categories } = error.response?.data || {};
+    switch (reason) {
+        case 'NOT_FOUND': return "This promo code doesn't exist.";
+        case 'EXPIRED': return 'This promo code has expired.';
+        case 'INACTIVE': return 'This promo code is no longer active.';
+        case 'MIN_SPEND_NOT_MET':
+            return typeof minSpend === 'number'
+                ? `Spend at least $${minSpend.toFixed(2)} to use this code.`
+                : 'Your cart does not reach the minimum spend for this code.';
+        case 'CATEGORY_RESTRICTED':
+            return categories?.length
+                ? `This code only applies to: ${categories.join(', ')}.`
+                : 'None of the items in your cart are eligible for this code.';
+        default: return message || 'Could not apply this promo code.';
+    }
+};
 
 export default function CartPage() {
   const { cartItems, removeFromCart, updateQuantity, clearCart, getCartTotal, getItemCount, isLoading: isCartLoading } = useCart();
@@ -43,6 +62,12 @@ export default function CartPage() {
   const [selectedDeliveryId, setSelectedDeliveryId] = useState(null);
   const [isOptionsLoading, setIsOptionsLoading] = useState(true);
   const [isProcessingCheckout, setIsProcessingCheckout] = useState(false);
+  const [promoCodeInput, setPromoCodeInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null); // PromoValidationDTO plus the subtotal it was checked against
+  const [promoError, setPromoError] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+
+  const subtotal = getCartTotal();
 
   // Determine if the checkout button should be disabled
   const isCheckoutDisabled = 
@@ -73,6 +98,56 @@ export default function CartPage() {
     fetchDeliveryOptions();
   }, []);
 
+  // The discount depends on the cart contents, so re-check the code whenever the subtotal changes.
+  useEffect(() => {
+    if (!appliedPromo || appliedPromo.validatedSubtotal === subtotal || !currentUser?.id) return;
+    let isCancelled = false;
+    const revalidatePromo = async () => {
+      try {
+        const { data } = await validatePromoCode(appliedPromo.code, { userId: currentUser.id });
+        if (!isCancelled) setAppliedPromo({ ...data, validatedSubtotal: subtotal });
+      } catch (error) {
+        if (isCancelled) return;
+        const message = getPromoErrorMessage(error);
+        setAppliedPromo(null);
+        setPromoError(message);
+        toast.error(`Promo code removed: ${message}`);
+      }
+    };
+    revalidatePromo();
+    return () => { isCancelled = true; };
+  }, [subtotal, appliedPromo, currentUser?.id]);
+
+  const handleApplyPromo = async (e) => {
+    e.preventDefault();
+    const code = promoCodeInput.trim().toUpperCase();
+    if (!code) return;
+    if (!isAuthenticated || !currentUser?.id) {
+      toast.error("Please log in to use a promo code.");
+      openModal('signin');
+      return;
+    }
+
+    setIsApplyingPromo(true);
+    setPromoError(null);
+    try {
+      const { data } = await validatePromoCode(code, { userId: currentUser.id });
+      setAppliedPromo({ ...data, validatedSubtotal: subtotal });
+      setPromoCodeInput('');
+      toast.success(`Promo code ${data.code} applied!`);
+    } catch (error) {
+      console.error("Failed to validate promo code:", error);
+      setPromoError(getPromoErrorMessage(error));
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoError(null);
+  };
+
   const handleQuantityChange = (cartItemId, currentQuantity, change) => {
     const newQuantity = currentQuantity + change;
     updateQuantity(cartItemId, newQuantity);
@@ -101,17 +176,17 @@ export default function CartPage() {
       const checkoutPayload = {
         userId: currentUser.id,
         deliveryId: selectedDeliveryId,
+        promoCode: appliedPromo?.code || null,
       };
 
       console.log("Attempting to checkout with payload:", checkoutPayload);
       
-      const { data: createdOrders } = await checkout(checkoutPayload);
+      // Checkout turns the whole cart into a single order with one line item per cart entry.
+      const { data: createdOrder } = await checkout(checkoutPayload);
       
       toast.success("Order created! Proceeding to payment.", { id: toastId });
       
-      // Pass the orders and the selected delivery fee to the payment page
-      const selectedOption = deliveryOptions.find(opt => opt.id === selectedDeliveryId);
-      navigate('/payment', { state: { orders: createdOrders, deliveryCost: selectedOption?.deliveryCost || 0 } });
+      navigate(`/payment/${createdOrder.id}`, { state: { order: createdOrder } });
       
     } catch (error) {
       console.error("Error creating order:", error);
@@ -124,8 +199,8 @@ export default function CartPage() {
 
   const selectedDeliveryOption = deliveryOptions.find(opt => opt.id === selectedDeliveryId);
   const deliveryFee = selectedDeliveryOption?.deliveryCost || 0;
-  const subtotal = getCartTotal();
-  const grandTotal = subtotal + deliveryFee;
+  const discount = appliedPromo?.discount || 0;
+  const grandTotal = Math.max(subtotal - discount, 0) + deliveryFee;
 
   if (isCartLoading && cartItems.length === 0) {
     return <div className="flex justify-center items-center min-h-screen"><p>Loading Cart...</p></div>;
@@ -174,6 +249,7 @@ export default function CartPage() {
                       <Link to={`/products/${item.productId}`} className="hover:text-blue-600">
                         <h3 className="text-lg font-semibold text-gray-800">{item.productName}</h3>
                       </Link>
+                      {getVariantLabel(item) && <p className="text-sm font-medium text-gray-700">{getVariantLabel(item)}</p>}
                       <p className="text-sm text-gray-500">{item.category}</p>
                       <div className="flex items-center gap-2 mt-2">
                           <button onClick={() => handleQuantityChange(item.id, item.quantity, -1)} disabled={isCartLoading || isProcessingCheckout} className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 disabled:opacity-50"><MinusIcon className="h-4 w-4" /></button>
@@ -214,10 +290,44 @@ export default function CartPage() {
                 )}
               </div>
               
+              <div className="border-t pt-6">
+                <h2 className="text-lg font-semibold text-gray-800 mb-3 flex items-center"><TagIcon className="h-6 w-6 mr-2 text-blue-600"/>Promo Code</h2>
+                {appliedPromo ? (
+                  <div className="flex items-center justify-between p-3 border border-green-300 bg-green-50 rounded-lg text-sm">
+                    <div>
+                      <p className="font-semibold text-green-800">{appliedPromo.code}</p>
+                      {appliedPromo.description && <p className="text-xs text-green-700">{appliedPromo.description}</p>}
+                    </div>
+                    <button onClick={handleRemovePromo} disabled={isProcessingCheckout} className="p-1 rounded-full text-green-700 hover:bg-green-100 disabled:opacity-50" aria-label="Remove promo code">
+                      <XMarkIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                ) : (
+                  <form onSubmit={handleApplyPromo}>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={promoCodeInput}
+                        onChange={(e) => { setPromoCodeInput(e.target.value); setPromoError(null); }}
+                        placeholder="Enter code"
+                        className={`flex-grow px-3 py-2 border rounded-lg text-sm uppercase focus:outline-none focus:ring-2 ${promoError ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`}
+                      />
+                      <button type="submit" disabled={isApplyingPromo || !promoCodeInput.trim()} className="px-4 py-2 bg-gray-800 text-white text-sm font-medium rounded-lg hover:bg-gray-900 disabled:opacity-50">
+                        {isApplyingPromo ? 'Checking...' : 'Apply'}
+                      </button>
+                    </div>
+                    {promoError && <p className="text-xs text-red-600 mt-1.5">{promoError}</p>}
+                  </form>
+                )}
+              </div>
+
               <div className="border-t pt-6">
                 <h2 className="text-lg font-semibold text-gray-800 mb-3">Order Summary</h2>
                 <div className="space-y-2 text-sm">
                   <div className="flex justify-between"><span className="text-gray-600">Subtotal:</span><span className="font-medium">${subtotal.toFixed(2)}</span></div>
+                  {discount > 0 && (
+                    <div className="flex justify-between text-green-700"><span>Discount ({appliedPromo.code}):</span><span className="font-medium">-${discount.toFixed(2)}</span></div>
+                  )}
                   <div className="flex justify-between"><span className="text-gray-600">Delivery:</span><span className="font-medium">${deliveryFee.toFixed(2)}</span></div>
                   <div className="flex justify-between items-center pt-2 mt-2 border-t text-md"><span className="font-bold text-gray-800">Grand Total:</span><span className="text-xl font-bold text-blue-600">${grandTotal.toFixed(2)}</span></div>
                 </div>
@@ -13,6 +13,7 @@ import {
 
 import ProductCard from '../components/ProductCard';
 import { getProducts } from '../services/api';
+import { isProductLive } from '../utils/productStatus';
 
 // Component for rendering product sections (Featured, New Arrivals)
 const ProductShowcase = ({ title, products, isLoading, error }) => {
@@ -82,11 +83,11 @@ export default function Home() {
     setError(null);
     try {
       const [featuredResponse, newArrivalsResponse] = await Promise.all([
-        getProducts({ page: 0, size: 4, sortBy: 'averageRating', sortDir: 'DESC' }),
-        getProducts({ page: 0, size: 4, sortBy: 'id', sortDir: 'DESC' })
+        getProducts({ page: 0, size: 4, sortBy: 'averageRating', sortDir: 'DESC', status: 'ACTIVE' }),
+        getProducts({ page: 0, size: 4, sortBy: 'id', sortDir: 'DESC', status: 'ACTIVE' })
       ]);
-      setFeaturedProducts(featuredResponse.data?.content || []);
-      setNewArrivals(newArrivalsResponse.data?.content || []);
+      setFeaturedProducts((featuredResponse.data?.content || []).filter(product => isProductLive(product)));
+      setNewArrivals((newArrivalsResponse.data?.content || []).filter(product => isProductLive(product)));
     } catch (err) {
       console.error("Home.jsx: Failed to fetch homepage data:", err);
       setError("Could not load products at this time. Please try again later.");
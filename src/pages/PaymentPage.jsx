@@ -1,54 +1,76 @@
-import React, { useState, useMemo } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
 import toast from 'react-hot-toast';
-import { LockClosedIcon, CreditCardIcon } from '@heroicons/react/24/outline';
-import { processPayment } from '../services/api';
-
-// A helper component for the mock card details form
-const MockPaymentForm = ({ totalAmount, onPaymentProcess, isProcessing }) => {
-  const [cardDetails, setCardDetails] = useState({
-    mockCardNumber: '',
-    mockExpiryDate: '',
-    mockCvv: '',
-  });
-
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setCardDetails(prev => ({ ...prev, [name]: value }));
+import { LockClosedIcon, CreditCardIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { processPayment, getOrderById, getPaymentsForOrder, cancelMyOrder } from '../services/api';
+import { getPaymentMethods, getPaymentMethod } from '../components/payment/paymentMethods';
+import { getVariantLabel } from '../utils/variants';
+import { canTransitionOrder, getOrderStatusLabel } from '../utils/orderStatus';
+
+// Lets the buyer pick one of the registered payment methods and fill in its form.
+// Values are kept per method, so switching back and forth does not lose what was typed.
+const PaymentMethodForm = ({ totalAmount, onPaymentProcess, isProcessing }) => {
+  const paymentMethods = getPaymentMethods();
+  const [selectedMethodId, setSelectedMethodId] = useState(paymentMethods[0].id);
+  const [valuesByMethod, setValuesByMethod] = useState(() =>
+    Object.fromEntries(paymentMethods.map(method => [method.id, method.initialValues]))
+  );
+  const [errors, setErrors] = useState({});
+
+  const method = getPaymentMethod(selectedMethodId);
+  const values = valuesByMethod[selectedMethodId];
+  const { FormComponent } = method;
+
+  const handleChange = useCallback((name, value) => {
+    setValuesByMethod(prev => ({ ...prev, [selectedMethodId]: { ...prev[selectedMethodId], [name]: value } }));
+    setErrors(prev => (prev[name] ? { ...prev, [name]: null } : prev));
+  }, [selectedMethodId]);
+
+  const handleSelectMethod = (methodId) => {
+    setSelectedMethodId(methodId);
+    setErrors({});
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    // Basic validation
-    if (!cardDetails.mockCardNumber || !cardDetails.mockExpiryDate || !cardDetails.mockCvv) {
-      toast.error("Please fill in all card details.");
+    const validationErrors = method.validate(values, { amount: totalAmount });
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      toast.error("Please correct the errors in the form.");
       return;
     }
-    onPaymentProcess(cardDetails);
+    onPaymentProcess(method.buildPayload(values), method);
   };
-  
+
   return (
-    <form onSubmit={handleSubmit} className="space-y-4">
-      <div>
-        <label className="block text-sm font-medium text-gray-700">Card Number</label>
-        <input type="text" name="mockCardNumber" value={cardDetails.mockCardNumber} onChange={handleChange} placeholder="XXXX XXXX XXXX 0000 for Success" className="mt-1 block w-full border-gray-300 rounded-md shadow-sm" required />
-         <p className="text-xs text-gray-500 mt-1">Hint: End with 0000 for success, 1111 for insufficient funds, 2222 for decline.</p>
-      </div>
-      <div className="grid grid-cols-2 gap-4">
-        <div>
-          <label className="block text-sm font-medium text-gray-700">Expiry Date</label>
-          <input type="text" name="mockExpiryDate" value={cardDetails.mockExpiryDate} onChange={handleChange} placeholder="MM/YY" className="mt-1 block w-full border-gray-300 rounded-md shadow-sm" required />
-        </div>
-        <div>
-          <label className="block text-sm font-medium text-gray-700">CVV</label>
-          <input type="text" name="mockCvv" value={cardDetails.mockCvv} onChange={handleChange} placeholder="123" className="mt-1 block w-full border-gray-300 rounded-md shadow-sm" required />
+    <form onSubmit={handleSubmit} noValidate className="space-y-6">
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-2">Payment Method</legend>
+        <div className="grid grid-cols-2 gap-3">
+          {paymentMethods.map((option) => {
+            const Icon = option.icon;
+            const isSelected = option.id === selectedMethodId;
+            return (
+              <label
+                key={option.id}
+                className={`flex items-center gap-2 p-3 border rounded-lg cursor-pointer text-sm ${isSelected ? 'border-blue-600 bg-blue-50 text-blue-800' : 'border-gray-300 hover:border-gray-400 text-gray-700'}`}
+              >
+                <input type="radio" name="paymentMethod" value={option.id} checked={isSelected} onChange={() => handleSelectMethod(option.id)} className="sr-only" />
+                <Icon className="h-5 w-5 flex-shrink-0" />
+                <span className="font-medium">{option.label}</span>
+              </label>
+            );
+          })}
         </div>
-      </div>
-      <div className="pt-4">
+      </fieldset>
+
+      <FormComponent values={values} errors={errors} onChange={handleChange} amount={totalAmount} />
+
+      <div className="pt-2">
         <button type="submit" disabled={isProcessing} className="w-full flex justify-center items-center px-6 py-3 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-70">
           <LockClosedIcon className="h-5 w-5 mr-2" />
-          {isProcessing ? 'Processing...' : `Pay $${totalAmount.toFixed(2)}`}
+          {isProcessing ? 'Processing...' : method.submitLabel(totalAmount)}
         </button>
       </div>
     </form>
@@ -56,65 +78,127 @@ const MockPaymentForm = ({ totalAmount, onPaymentProcess, isProcessing }) => {
 };
 
 
+const formatAttemptTime = (isoTimestamp) => {
+  if (!isoTimestamp) return '';
+  return new Date(isoTimestamp).toLocaleString();
+};
+
 export default function PaymentPage() {
   const navigate = useNavigate();
+  const { orderId } = useParams();
   const { state } = useLocation();
   const { clearCart } = useCart();
   const [isProcessing, setIsProcessing] = useState(false);
 
-  // The orders created by the checkout endpoint
-  const orders = useMemo(() => state?.orders || [], [state]);
-  
-  // Calculate the total amount for all orders.
-  // Assumes each order object has a 'total' property.
-  const totalAmountToPay = useMemo(() => orders.reduce((acc, order) => acc + order.total, 0), [orders]);
-
-  // Redirect if there are no orders to process
-  if (orders.length === 0) {
-    navigate('/cart');
-    return null; 
-  }
+  // Coming straight from checkout the order is handed over in the navigation state;
+  // when resuming an unpaid order from "My Orders" it is loaded by ID instead.
+  const cameFromCheckout = String(state?.order?.id) === orderId;
+  const [order, setOrder] = useState(cameFromCheckout ? state.order : null);
+  const [isLoadingOrder, setIsLoadingOrder] = useState(!cameFromCheckout);
+  const [failedAttempts, setFailedAttempts] = useState([]);
+
+  const items = useMemo(() => order?.items || [], [order]);
+  const isPayable = canTransitionOrder(order?.status, 'PAID', 'BUYER');
+  const isCancellable = canTransitionOrder(order?.status, 'CANCELLED', 'BUYER');
+
+  useEffect(() => {
+    if (cameFromCheckout) return;
+    const fetchOrder = async () => {
+      setIsLoadingOrder(true);
+      try {
+        const { data } = await getOrderById(orderId);
+        setOrder(data);
+      } catch (error) {
+        console.error("PaymentPage: Failed to load order", error);
+        toast.error(error.response?.data?.message || "Could not load this order.");
+        navigate('/buyer/orders', { replace: true });
+      } finally {
+        setIsLoadingOrder(false);
+      }
+    };
+    fetchOrder();
+  }, [orderId, cameFromCheckout, navigate]);
+
+  // Earlier failed attempts, so the buyer can see why previous payments did not go through.
+  useEffect(() => {
+    const fetchPaymentHistory = async () => {
+      try {
+        const { data } = await getPaymentsForOrder(orderId);
+        setFailedAttempts((data || []).filter(payment => payment.status !== 'SUCCESS'));
+      } catch (error) {
+        console.error("PaymentPage: Failed to load payment history", error);
+      }
+    };
+    fetchPaymentHistory();
+  }, [orderId]);
 
-  const handlePayment = async (cardDetails) => {
+  const handlePayment = async (methodPayload, method) => {
     setIsProcessing(true);
     const paymentToast = toast.loading("Processing payment...");
 
     try {
-      // Process payment for each order individually
-      const paymentPromises = orders.map(order => {
-        const paymentRequest = {
-          orderId: order.id,
-          amount: order.total,
-          ...cardDetails,
-        };
-        return processPayment(paymentRequest);
+      // One payment covers the whole order, so it is either fully paid or not paid at all.
+      const { data: paymentResult } = await processPayment({
+        orderId: order.id,
+        amount: order.total,
+        promoCode: order.promoCode || null,
+        ...methodPayload,
       });
-      
-      const results = await Promise.allSettled(paymentPromises);
-      
-      const successfulPayments = results.filter(r => r.status === 'fulfilled' && r.value.data.status === 'SUCCESS');
-      const failedPayments = results.filter(r => r.status === 'rejected' || r.value.data.status !== 'SUCCESS');
-
-      if (failedPayments.length > 0) {
-        const firstFailure = failedPayments[0];
-        const errorMessage = firstFailure.status === 'rejected'
-            ? "An unexpected error occurred."
-            : firstFailure.value.data.message || "A payment failed.";
-        toast.error(`Payment failed: ${errorMessage}`, { id: paymentToast });
+
+      if (!method.successStatuses.includes(paymentResult.status)) {
+        const reason = paymentResult.message || "Your payment was declined.";
+        toast.error(`Payment failed: ${reason}`, { id: paymentToast });
+        setFailedAttempts(prev => [{ ...paymentResult, message: reason, createdAt: paymentResult.createdAt || new Date().toISOString() }, ...prev]);
+        setOrder(prev => ({ ...prev, status: 'PAYMENT_FAILED' }));
       } else {
-        toast.success(`All ${successfulPayments.length} payments successful!`, { id: paymentToast });
-        clearCart(); // Clear the cart context
+        toast.success(paymentResult.status === 'SUCCESS' ? "Payment successful!" : "Order placed! You will pay on delivery.", { id: paymentToast });
+        // Only a fresh checkout empties the cart; paying an older order leaves the current cart alone.
+        if (cameFromCheckout) {
+          clearCart();
+        }
         navigate('/buyer/orders');
       }
 
     } catch (error) {
         console.error("Payment processing failed", error);
-        toast.error(error.response?.data?.message || "Could not process payment.", { id: paymentToast });
+        const reason = error.response?.data?.message || "Could not process payment.";
+        toast.error(reason, { id: paymentToast });
+        setFailedAttempts(prev => [{ status: 'FAILED', message: reason, createdAt: new Date().toISOString() }, ...prev]);
     } finally {
         setIsProcessing(false);
     }
   };
 
+  const handleCancelOrder = () => {
+    toast((t) => (
+      <div className="p-4 bg-white rounded shadow-md">
+        <p className="font-semibold">Cancel order #{String(order.id).slice(-8)}?</p>
+        <p className="text-sm text-gray-500 mt-1">You will not be charged.</p>
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={async () => {
+              toast.dismiss(t.id);
+              const cancelToast = toast.loading("Cancelling order...");
+              try {
+                await cancelMyOrder(order.id);
+                toast.success('Order cancelled.', { id: cancelToast });
+                navigate('/buyer/orders');
+              } catch (error) {
+                toast.error(error.response?.data?.message || 'Failed to cancel order.', { id: cancelToast });
+              }
+            }}
+            className="px-4 py-1.5 bg-red-600 text-white rounded hover:bg-red-700"
+          >Cancel Order</button>
+          <button onClick={() => toast.dismiss(t.id)} className="px-4 py-1.5 bg-gray-200 rounded hover:bg-gray-300">Keep Order</button>
+        </div>
+      </div>
+    ), { duration: 10000 });
+  };
+
+  if (isLoadingOrder || !order) {
+    return <div className="flex justify-center items-center min-h-screen"><p className="text-lg animate-pulse">Loading order...</p></div>;
+  }
+
   return (
     <div className="bg-gray-100 min-h-screen py-12 px-4">
       <div className="max-w-2xl mx-auto">
@@ -123,7 +207,9 @@ export default function PaymentPage() {
             <CreditCardIcon className="h-8 w-8 text-blue-600" />
             Secure Payment
           </h1>
-          <p className="mt-2 text-sm text-gray-500">Complete your purchase</p>
+          <p className="mt-2 text-sm text-gray-500">
+            {cameFromCheckout ? 'Complete your purchase' : `Complete payment for order #${String(order.id).slice(-8)}`}
+          </p>
         </header>
 
         <div className="bg-white rounded-xl shadow-lg">
@@ -131,25 +217,71 @@ export default function PaymentPage() {
             <div className="p-6 border-b">
                 <h2 className="text-lg font-medium text-gray-900 mb-4">Order Summary</h2>
                 <div className="space-y-3">
-                    {orders.map(order => (
-                        <div key={order.id} className="flex justify-between text-sm">
-                            <span className="text-gray-600 truncate pr-4">{order.productName} (x{order.quantity})</span>
-                            <span className="font-medium text-gray-800">${order.total.toFixed(2)}</span>
+                    {items.map(item => (
+                        <div key={item.id || item.productId} className="flex justify-between text-sm">
+                            <span className="text-gray-600 truncate pr-4">{item.productName}{getVariantLabel(item) && ` - ${getVariantLabel(item)}`} (x{item.quantity})</span>
+                            <span className="font-medium text-gray-800">${(item.productPrice * item.quantity).toFixed(2)}</span>
                         </div>
                     ))}
+                    <div className="flex justify-between text-sm border-t pt-3 mt-3">
+                        <span className="text-gray-600">Subtotal</span>
+                        <span className="font-medium text-gray-800">${(order.subtotal ?? 0).toFixed(2)}</span>
+                    </div>
+                    {order.discount > 0 && (
+                        <div className="flex justify-between text-sm text-green-700">
+                            <span>Discount{order.promoCode ? ` (${order.promoCode})` : ''}</span>
+                            <span className="font-medium">-${order.discount.toFixed(2)}</span>
+                        </div>
+                    )}
+                    <div className="flex justify-between text-sm">
+                        <span className="text-gray-600">Delivery</span>
+                        <span className="font-medium text-gray-800">${(order.deliveryCost ?? 0).toFixed(2)}</span>
+                    </div>
                     <div className="flex justify-between text-base font-semibold text-gray-900 border-t pt-3 mt-3">
                         <span>Total Amount</span>
-                        <span>${totalAmountToPay.toFixed(2)}</span>
+                        <span>${order.total.toFixed(2)}</span>
                     </div>
                 </div>
             </div>
 
+            {/* Previous Failed Attempts */}
+            {failedAttempts.length > 0 && (
+                <div className="p-6 border-b bg-red-50">
+                    <h2 className="text-sm font-semibold text-red-800 mb-2 flex items-center gap-2">
+                        <ExclamationTriangleIcon className="h-5 w-5" />
+                        Previous payment attempts failed
+                    </h2>
+                    <ul className="space-y-1 text-sm text-red-700">
+                        {failedAttempts.map((attempt, index) => (
+                            <li key={attempt.id || index} className="flex justify-between gap-4">
+                                <span>{attempt.message || 'Payment declined.'}</span>
+                                <span className="text-xs text-red-500 whitespace-nowrap">{formatAttemptTime(attempt.createdAt)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
             {/* Payment Form Section */}
             <div className="p-6">
-                <MockPaymentForm totalAmount={totalAmountToPay} onPaymentProcess={handlePayment} isProcessing={isProcessing} />
+                {isPayable ? (
+                    <>
+                        <PaymentMethodForm totalAmount={order.total} onPaymentProcess={handlePayment} isProcessing={isProcessing} />
+                        {isCancellable && (
+                            <button onClick={handleCancelOrder} disabled={isProcessing} className="mt-3 w-full px-6 py-2 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50">
+                                Cancel this order
+                            </button>
+                        )}
+                    </>
+                ) : (
+                    <div className="text-center space-y-4">
+                        <p className="text-gray-700">This order is <span className="font-semibold">{getOrderStatusLabel(order.status).toLowerCase()}</span> and cannot be paid.</p>
+                        <Link to="/buyer/orders" className="inline-block px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Back to My Orders</Link>
+                    </div>
+                )}
             </div>
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
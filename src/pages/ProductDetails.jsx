@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useMemo } from "react";
 import { Link, useParams } from "react-router-dom";
 import {
     HeartIcon as HeartOutlineIcon,
@@ -20,6 +20,36 @@ import { getProductById, getProductReviews, addProductReview, checkPurchaseStatu
 import ReviewCard from "../components/ReviewCard";
 import AddReviewForm from "../components/AddReviewForm";
 import ContactSellerButton from "../components/ContactSellerButton";
+import ProductGallery from "../components/ProductGallery";
+import { getProductImages } from "../utils/productImages";
+import { hasVariants, hasPriceRange, getVariantOptions, findVariant, isOptionInStock, getVariantPrice, getLowestPrice } from "../utils/variants";
+import { getLowStockCount } from "../utils/inventory";
+
+// One row of size or color buttons. Options with no stock left for the current
+// selection stay visible but are struck through and cannot be picked.
+const VariantSelector = ({ label, options, selected, onSelect, isAvailable }) => (
+  <div>
+    <p className="font-semibold text-gray-700 mb-2">{label}: <span className="font-normal text-gray-600">{selected || 'Select'}</span></p>
+    <div className="flex flex-wrap gap-2">
+      {options.map(option => {
+        const available = isAvailable(option);
+        const isSelected = option === selected;
+        return (
+          <button
+            key={option}
+            type="button"
+            onClick={() => onSelect(isSelected ? null : option)}
+            disabled={!available}
+            title={available ? undefined : 'Out of stock'}
+            className={`min-w-[3rem] px-3 py-2 border rounded-md text-sm font-medium transition-colors ${isSelected ? 'border-blue-600 bg-blue-50 text-blue-700 ring-2 ring-blue-300' : 'border-gray-300 text-gray-700 hover:border-gray-500'} disabled:text-gray-400 disabled:line-through disabled:bg-gray-50 disabled:cursor-not-allowed disabled:hover:border-gray-300`}
+          >
+            {option}
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
 
 export default function ProductDetails() {
   const { id: productId } = useParams();
@@ -30,6 +60,8 @@ export default function ProductDetails() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [hasPurchased, setHasPurchased] = useState(false);
+  const [selectedSize, setSelectedSize] = useState(null);
+  const [selectedColor, setSelectedColor] = useState(null);
 
   const { addToCart, isLoading: isCartLoading } = useCart();
   const { isFavorite, toggleFavorite, isLoading: isFavoritesLoading } = useFavorites();
@@ -51,6 +83,8 @@ export default function ProductDetails() {
         getProductReviews(productId),
       ]);
       setProduct(productRes.data);
+      setSelectedSize(null);
+      setSelectedColor(null);
       setReviews(reviewsRes.data || []);
 
       if (isAuthenticated && userRole === 'BUYER') {
@@ -77,12 +111,28 @@ export default function ProductDetails() {
     fetchData();
   }, [fetchData]);
 
+  const variants = useMemo(() => product?.variants || [], [product]);
+  const { sizes, colors } = useMemo(() => getVariantOptions(variants), [variants]);
+  const selectedVariant = useMemo(
+    () => findVariant(variants, { size: selectedSize, color: selectedColor }),
+    [variants, selectedSize, selectedColor]
+  );
+
   const handleAddToCart = () => {
     if (!product) return;
     if (product.stock < 1) {
         toast.error("This item is out of stock.");
         return;
     }
+    if (hasVariants(product) && !selectedVariant) {
+        const missingOptions = [sizes.length > 0 && !selectedSize && 'size', colors.length > 0 && !selectedColor && 'color'].filter(Boolean);
+        toast.error(missingOptions.length > 0 ? `Please select a ${missingOptions.join(' and ')}.` : "This combination is not available.");
+        return;
+    }
+    if (selectedVariant && selectedVariant.stock < quantity) {
+        toast.error(selectedVariant.stock < 1 ? "This option is out of stock." : `Only ${selectedVariant.stock} left in this option.`);
+        return;
+    }
     if (!isAuthenticated) {
         toast.error("Please log in to add items to your cart.");
         openModal('signin');
@@ -92,7 +142,7 @@ export default function ProductDetails() {
         toast.error("Only buyers can add items to the cart.");
         return;
     }
-    addToCart(product, quantity);
+    addToCart(product, quantity, selectedVariant);
   };
 
   const handleReviewSubmit = async (reviewData) => {
@@ -146,44 +196,68 @@ export default function ProductDetails() {
   }
   
   const isCurrentlyFavorite = isFavorite(product.id);
-  const isOutOfStock = product.stock < 1;
+  const productHasVariants = hasVariants(product);
+  // Until a full combination is picked, stock and price describe the product as a whole.
+  const displayedStock = selectedVariant ? selectedVariant.stock : product.stock;
+  const isOutOfStock = displayedStock < 1;
+  const lowStockCount = getLowStockCount(product, displayedStock);
+  const lowestPrice = getLowestPrice(product);
+  const showFromPrice = !selectedVariant && hasPriceRange(product);
+  const displayedPrice = selectedVariant ? getVariantPrice(product, selectedVariant) : lowestPrice;
 
   return (
     <div className="bg-gray-50 py-8">
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-8 md:gap-12 items-start mb-12">
           {/* Image Column */}
-          <div className="shadow-xl rounded-lg overflow-hidden bg-white relative">
-            <img 
-              src={product.photoUrl && product.photoUrl.startsWith('http') ? product.photoUrl : `http://localhost:8080${product.photoUrl || ''}`}
-              alt={product.name} 
-              className="w-full h-auto md:min-h-[450px] max-h-[650px] object-cover" 
-            />
+          <ProductGallery images={getProductImages(product)} alt={product.name}>
             {isAuthenticated && userRole === 'BUYER' && (
               <button onClick={() => toggleFavorite(product)} disabled={isFavoritesLoading} className="absolute top-4 right-4 p-2.5 bg-white/80 backdrop-blur-sm rounded-full shadow-lg transition-all focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50">
                 {isCurrentlyFavorite ? <HeartSolidIcon className="h-7 w-7 text-red-500" /> : <HeartOutlineIcon className="h-7 w-7 text-gray-600 hover:text-red-500" />}
               </button>
             )}
-          </div>
+          </ProductGallery>
           {/* Details Column */}
           <div className="flex flex-col gap-5">
             <h1 className="text-4xl font-bold text-gray-800">{product.name}</h1>
             <div className="mt-1 mb-2">{renderRating(product.averageRating, product.numOfReviews)}</div>
-            <p className="text-3xl text-blue-600 font-bold">${product.price.toFixed(2)}</p>
+            <p className="text-3xl text-blue-600 font-bold">{showFromPrice && <span className="text-lg font-medium text-gray-500 mr-1">From</span>}${displayedPrice.toFixed(2)}</p>
             
             <div className="flex items-center gap-2">
                 <ArchiveBoxIcon className={`h-6 w-6 ${isOutOfStock ? 'text-gray-400' : 'text-green-600'}`} />
                 {isOutOfStock ? (
-                    <p className="font-semibold text-gray-500">Out of Stock</p>
+                    <p className="font-semibold text-gray-500">{selectedVariant ? 'This option is out of stock' : 'Out of Stock'}</p>
                 ) : (
-                    <p className={`font-semibold ${product.stock <= 10 ? 'text-red-600 animate-pulse' : 'text-green-600'}`}>
-                        {product.stock <= 10 ? `Only ${product.stock} left!` : 'In Stock'}
+                    <p className={`font-semibold ${lowStockCount !== null ? 'text-red-600 animate-pulse' : 'text-green-600'}`}>
+                        {lowStockCount !== null ? `Only ${lowStockCount} left!` : 'In Stock'}
                     </p>
                 )}
             </div>
 
             <div className="prose prose-base text-gray-700 max-w-none"><h3 className="text-lg font-semibold mb-1">Description:</h3><p>{product.description}</p></div>
             <p className="text-sm text-gray-500">Category: <span className="font-medium text-gray-700">{product.category}</span></p>
+            {productHasVariants && (
+              <div className="space-y-4">
+                {sizes.length > 0 && (
+                  <VariantSelector
+                    label="Size"
+                    options={sizes}
+                    selected={selectedSize}
+                    onSelect={setSelectedSize}
+                    isAvailable={(size) => isOptionInStock(variants, { size, color: selectedColor })}
+                  />
+                )}
+                {colors.length > 0 && (
+                  <VariantSelector
+                    label="Color"
+                    options={colors}
+                    selected={selectedColor}
+                    onSelect={setSelectedColor}
+                    isAvailable={(color) => isOptionInStock(variants, { size: selectedSize, color })}
+                  />
+                )}
+              </div>
+            )}
             <div className="flex items-center gap-3 mt-2">
               <label htmlFor="quantity" className="font-semibold text-gray-700">Quantity:</label>
               <input type="number" id="quantity" value={quantity} onChange={(e) => setQuantity(Math.max(1, parseInt(e.target.value, 10)))} min="1" className="border border-gray-300 rounded-md w-20 p-2 text-center focus:ring-2 focus:ring-blue-500" />
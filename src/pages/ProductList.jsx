@@ -1,128 +1,303 @@
-import React, { useEffect, useState, useMemo, useCallback } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
-import { InboxIcon } from "@heroicons/react/24/outline";
+import React, { useEffect, useState, useMemo, useRef } from "react";
+import { useLocation, useNavigate, useNavigationType } from "react-router-dom";
+import toast from "react-hot-toast";
+import { InboxIcon, BookmarkIcon, Squares2X2Icon, QueueListIcon } from "@heroicons/react/24/outline";
 
 import ProductCard from "../components/ProductCard";
 import ProductFilter from "../components/ProductFilter";
-import { getProducts, getProductCategories, getProductPriceRange } from "../services/api";
+import ActiveFilterChips from "../components/ActiveFilterChips";
+import VirtualizedProductGrid from "../components/VirtualizedProductGrid";
+import SaveSearchModal from "../components/SaveSearchModal";
+import { useAuth } from "../context/AuthContext";
+import { useSignupSigninModal } from "../hooks/useSignupSigninModal";
+import { getProducts, getProductCategories, getProductPriceRange, queryKeys } from "../services/api";
+import { getQueryData, setQueryData } from "../services/queryCache";
+import { useDebouncedValue } from "../hooks/useDebouncedValue";
+import { useInfiniteScroll } from "../hooks/useInfiniteScroll";
+import { useQuery } from "../hooks/useQuery";
+import { normalizeSearchQuery, isCancelledRequest } from "../utils/search";
+import { DEFAULT_FILTERS, getFiltersFromURL, filtersToSearchParams, filtersToApiParams, getActiveFilterChips } from "../utils/productFilters";
+import { LIST_MODES, getListMode, saveListMode, loadListSnapshot, saveListSnapshot } from "../utils/productListSession";
 
 const PRODUCTS_PER_PAGE = 16;
+// A shared or reloaded infinite-scroll link brings back at most this many pages.
+const MAX_RELOADED_PAGES = 10;
+// Categories and the price range change rarely; product writes invalidate them anyway.
+const CATALOG_META_STALE_TIME_MS = 5 * 60 * 1000;
 
-// Helper to get filter state from URL query params
-const getFiltersFromURL = (search) => {
-  const queryParams = new URLSearchParams(search);
-  return {
-    category: queryParams.get('category') || "All",
-    search: queryParams.get('search') || "",
-    minPrice: queryParams.get('minPrice') || '',
-    maxPrice: queryParams.get('maxPrice') || '',
-    sort: queryParams.get('sort') || "name-asc",
-    rating: Number(queryParams.get('rating')) || 0,
-    page: Number(queryParams.get('page')) || 0,
-  };
+// The URL holds the page number alongside the filters; state keeps them apart.
+const splitURLState = (search) => {
+  const { page, ...filters } = getFiltersFromURL(search);
+  return { page, filters };
+};
+
+// The page numbers around the current one, with null marking a gap: 0 … 4 5 6 … 19
+const getPageNumbers = (currentPage, totalPages) => {
+  const pages = [];
+  for (let page = 0; page < totalPages; page++) {
+    if (page === 0 || page === totalPages - 1 || Math.abs(page - currentPage) <= 1) {
+      pages.push(page);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
 };
 
 export default function ProductList() {
   const location = useLocation();
   const navigate = useNavigate();
+  const navigationType = useNavigationType();
+  const { isAuthenticated, userRole } = useAuth();
+  const { openModal } = useSignupSigninModal();
 
-  const [filters, setFilters] = useState(() => getFiltersFromURL(location.search));
-  const [currentPage, setCurrentPage] = useState(() => getFiltersFromURL(location.search).page);
+  const [filters, setFilters] = useState(() => splitURLState(location.search).filters);
+  const [listMode, setListMode] = useState(getListMode);
+  // Going back to the infinite list (or reloading it) picks up where the buyer left off.
+  const [restoredList] = useState(() => (
+    listMode === LIST_MODES.INFINITE && navigationType === 'POP' ? loadListSnapshot(filtersToSearchParams(filters).toString()) : null
+  ));
+  // In paged mode, the page shown; in infinite mode, the last page loaded.
+  const [currentPage, setCurrentPage] = useState(() => restoredList?.page ?? splitURLState(location.search).page);
+  const [searchInput, setSearchInput] = useState(filters.search);
+  const debouncedSearch = normalizeSearchQuery(useDebouncedValue(searchInput, 350));
+  // The query string this page last wrote, to tell our own URL updates from outside navigation.
+  const lastWrittenSearch = useRef(null);
 
-  const [categories, setCategories] = useState(["All"]);
-  const [priceRangeMeta, setPriceRangeMeta] = useState({ min: 0, max: 1000 });
-  const [isMetaLoading, setIsMetaLoading] = useState(true);
+  // Shared through the query cache, so coming back to the list does not refetch them.
+  const { data: categoryNames } = useQuery(queryKeys.productCategories, getProductCategories, { staleTime: CATALOG_META_STALE_TIME_MS });
+  const { data: priceRange } = useQuery(queryKeys.productPriceRange, getProductPriceRange, { staleTime: CATALOG_META_STALE_TIME_MS });
+  const categories = useMemo(() => ['All', ...[...(categoryNames || [])].sort()], [categoryNames]);
+  const priceRangeMeta = useMemo(() => ({
+    min: Math.floor(priceRange?.minPrice) || 0,
+    max: Math.ceil(priceRange?.maxPrice) || 1000,
+  }), [priceRange]);
 
-  const [productsData, setProductsData] = useState({ content: [], totalPages: 0, totalElements: 0, number: 0, pageable: { offset: 0 }, numberOfElements: 0 });
-  const [isProductsLoading, setIsProductsLoading] = useState(true);
+  const [productsData, setProductsData] = useState(() => (restoredList
+    ? { content: restoredList.products, totalElements: restoredList.totalElements, totalPages: Math.ceil(restoredList.totalElements / PRODUCTS_PER_PAGE), number: 0, pageable: { offset: 0 }, numberOfElements: restoredList.products.length }
+    : { content: [], totalPages: 0, totalElements: 0, number: 0, pageable: { offset: 0 }, numberOfElements: 0 }));
+  const [isProductsLoading, setIsProductsLoading] = useState(!restoredList);
   const [productsError, setProductsError] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [facets, setFacets] = useState(() => restoredList?.facets || { categories: [], ratings: [], sellers: [] });
+  const [didYouMean, setDidYouMean] = useState(null);
+  const [isSaveSearchOpen, setIsSaveSearchOpen] = useState(false);
+  // The filters the infinite list currently holds, as a query string; a fetch for them is skipped.
+  const loadedListQuery = useRef(restoredList ? filtersToSearchParams(filters).toString() : null);
+  const loadMoreController = useRef(null);
+  // The request loading the list, or refreshing cached results already shown.
+  const listController = useRef(null);
+  const listState = useRef(null);
 
+  // The Navbar search and its suggestions link here with a new query string; adopt it.
   useEffect(() => {
-    const fetchFilterMetadata = async () => {
-      setIsMetaLoading(true);
-      try {
-        const [categoriesRes, priceRangeRes] = await Promise.all([
-          getProductCategories(),
-          getProductPriceRange()
-        ]);
-        setCategories(['All', ...categoriesRes.data.sort()]);
-        setPriceRangeMeta({
-          min: Math.floor(priceRangeRes.data.minPrice) || 0,
-          max: Math.ceil(priceRangeRes.data.maxPrice) || 1000,
-        });
-      } catch (error) {
-        console.error("Error fetching filter metadata:", error);
-      } finally {
-        setIsMetaLoading(false);
-      }
-    };
-    fetchFilterMetadata();
-  }, []);
+    if (lastWrittenSearch.current === null || location.search === lastWrittenSearch.current) return;
+    const { filters: urlFilters, page } = splitURLState(location.search);
+    setFilters(urlFilters);
+    setSearchInput(urlFilters.search);
+    setCurrentPage(page);
+  }, [location.search]);
+
+  // Only the typed text drives this; `filters.search` also changes from the URL and "did you mean",
+  // and by the time the typed text catches up with those it matches the applied search and changes nothing.
+  const appliedSearch = useRef(normalizeSearchQuery(filters.search));
+  useEffect(() => {
+    appliedSearch.current = normalizeSearchQuery(filters.search);
+  }, [filters.search]);
+
+  useEffect(() => {
+    if (debouncedSearch === appliedSearch.current) return;
+    appliedSearch.current = debouncedSearch;
+    // A new search starts from the first page.
+    setCurrentPage(0);
+    setFilters(prev => ({ ...prev, search: debouncedSearch }));
+  }, [debouncedSearch]);
 
   useEffect(() => {
-    const params = new URLSearchParams();
-    if (filters.search) params.set('search', filters.search);
-    if (filters.category !== 'All') params.set('category', filters.category);
-    if (filters.minPrice) params.set('minPrice', filters.minPrice);
-    if (filters.maxPrice) params.set('maxPrice', filters.maxPrice);
-    if (filters.rating !== 0) params.set('rating', filters.rating);
-    if (filters.sort !== 'name-asc') params.set('sort', filters.sort);
-    if (currentPage > 0) params.set('page', currentPage);
-    
-    navigate(`${location.pathname}?${params.toString()}`, { replace: true });
+    const query = filtersToSearchParams(filters, currentPage).toString();
+    lastWrittenSearch.current = query ? `?${query}` : '';
+    navigate(`${location.pathname}?${query}`, { replace: true });
   }, [filters, currentPage, navigate, location.pathname]);
 
 
-  const fetchProducts = useCallback(async () => {
+  // In infinite mode, more pages are appended by handleLoadMore; only new filters start the list over.
+  // So the page is watched in paged mode, and in infinite mode only read, from a ref, when the list reloads.
+  const pagedPage = listMode === LIST_MODES.PAGED ? currentPage : null;
+  const infinitePage = useRef(currentPage);
+  useEffect(() => {
+    infinitePage.current = currentPage;
+  }, [currentPage]);
+
+  useEffect(() => {
+    const listQuery = filtersToSearchParams(filters).toString();
+    const isInfinite = listMode === LIST_MODES.INFINITE;
+    if (isInfinite && loadedListQuery.current === listQuery) return;
+    loadedListQuery.current = null;
+
+    // A newer filter change cancels the request still in flight for the previous one.
+    const controller = new AbortController();
+    listController.current = controller;
+    loadMoreController.current?.abort();
     setIsProductsLoading(true);
+    setIsLoadingMore(false);
     setProductsError(null);
+    setLoadMoreError(null);
 
-    const [sortBy, sortDir] = filters.sort.split('-');
-    
+    // An infinite list opened from a link asks for every page up to the one in the URL at once.
+    const lastPage = isInfinite ? Math.min(infinitePage.current, MAX_RELOADED_PAGES - 1) : pagedPage;
     const apiParams = {
-      page: currentPage,
-      size: PRODUCTS_PER_PAGE,
-      searchTerm: filters.search,
-      category: filters.category === 'All' ? null : filters.category,
-      minPrice: filters.minPrice || null,
-      maxPrice: filters.maxPrice || null,
-      // FIX: Handle the new rating filter logic
-      // Send minRating only if it's a positive number (1, 2, 3, 4)
-      minRating: filters.rating > 0 ? filters.rating : null,
-      // Send a new parameter if the user wants to see products with no reviews
-      noReviews: filters.rating === -1 ? true : null,
-      sortBy: sortBy,
-      sortDir: sortDir.toUpperCase(),
+      ...filtersToApiParams(filters),
+      page: isInfinite ? 0 : pagedPage,
+      size: isInfinite ? PRODUCTS_PER_PAGE * (lastPage + 1) : PRODUCTS_PER_PAGE,
+      // Counts per facet for the filter sidebar, and a spelling fix when nothing matches.
+      includeFacets: true,
+      // Drafts, scheduled and archived products are for the seller's eyes only. The server decides
+      // what is live, scheduled products included once their publish time has passed, so its
+      // page sizes and counts match what is shown.
+      status: 'ACTIVE',
     };
 
-    // Clean up null/empty values from params object before sending
-    Object.keys(apiParams).forEach(key => (apiParams[key] == null || apiParams[key] === '') && delete apiParams[key]);
-
-    try {
-      const { data } = await getProducts(apiParams);
-      setProductsData(data);
-    } catch (error) {
-      console.error("Failed to fetch products:", error);
-      setProductsError(error.response?.data || error);
-    } finally {
+    const showProducts = (data) => {
+      const content = data.content || [];
+      if (isInfinite) {
+        setProductsData({ ...data, content, totalPages: Math.ceil((data.totalElements || 0) / PRODUCTS_PER_PAGE) });
+        setCurrentPage(lastPage);
+        loadedListQuery.current = listQuery;
+      } else {
+        setProductsData({ ...data, content });
+      }
+      setFacets({ categories: data.facets?.categories || [], ratings: data.facets?.ratings || [], sellers: data.facets?.sellers || [] });
+      setDidYouMean(data.didYouMean || null);
       setIsProductsLoading(false);
-    }
-  }, [filters, currentPage]);
+    };
+
+    // Results seen before show at once while they are refreshed (stale-while-revalidate). The
+    // request stays cancellable, so it goes around the cache and only stores its result there.
+    const cacheKey = queryKeys.products(apiParams);
+    const cachedData = getQueryData(cacheKey);
+    if (cachedData) showProducts(cachedData);
+
+    getProducts(apiParams, { signal: controller.signal })
+      .then(({ data }) => {
+        setQueryData(cacheKey, data);
+        showProducts(data);
+      })
+      .catch((error) => {
+        if (isCancelledRequest(error)) return;
+        console.error("Failed to fetch products:", error);
+        setProductsError(error.response?.data || error);
+        setIsProductsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [filters, listMode, pagedPage]);
+
+  const hasMorePages = currentPage + 1 < productsData.totalPages;
 
+  const handleLoadMore = () => {
+    if (isProductsLoading || isLoadingMore || !hasMorePages) return;
+    // Cached results can be extended while they are refreshed; the refresh would replace the
+    // appended pages with the first ones, so the cached list stands instead.
+    listController.current?.abort();
+    const nextPage = currentPage + 1;
+    const controller = new AbortController();
+    loadMoreController.current = controller;
+    setIsLoadingMore(true);
+    setLoadMoreError(null);
+
+    getProducts({ ...filtersToApiParams(filters), page: nextPage, size: PRODUCTS_PER_PAGE, status: 'ACTIVE' }, { signal: controller.signal })
+      .then(({ data }) => {
+        setProductsData(prev => {
+          // Products listed since the first page loaded shift the pages; skip ones already shown.
+          const shownIds = new Set(prev.content.map(product => product.id));
+          const newProducts = (data.content || []).filter(product => !shownIds.has(product.id));
+          return { ...prev, content: [...prev.content, ...newProducts], totalElements: data.totalElements, totalPages: Math.ceil((data.totalElements || 0) / PRODUCTS_PER_PAGE) };
+        });
+        setCurrentPage(nextPage);
+        setIsLoadingMore(false);
+      })
+      .catch((error) => {
+        if (isCancelledRequest(error)) return;
+        console.error("Failed to load more products:", error);
+        setLoadMoreError(error.response?.data?.message || "Could not load more products.");
+        setIsLoadingMore(false);
+      });
+  };
+
+  // Scrolling stops loading after an error; the button below the grid retries.
+  const loadMoreSentinelRef = useInfiniteScroll(handleLoadMore, {
+    enabled: listMode === LIST_MODES.INFINITE && hasMorePages && !isProductsLoading && !isLoadingMore && !loadMoreError,
+  });
+
+  useEffect(() => {
+    listState.current = { listMode, filters, currentPage, productsData, facets, isProductsLoading };
+  });
+
+  // Leaving for a product page saves the infinite list, and restoring it puts the scroll back.
   useEffect(() => {
-    fetchProducts();
-  }, [fetchProducts]);
+    if (restoredList) window.scrollTo(0, restoredList.scrollY);
+    return () => {
+      const { listMode, filters, currentPage, productsData, facets, isProductsLoading } = listState.current;
+      if (listMode !== LIST_MODES.INFINITE || isProductsLoading || productsData.content.length === 0) return;
+      saveListSnapshot(filtersToSearchParams(filters).toString(), {
+        products: productsData.content,
+        totalElements: productsData.totalElements,
+        facets,
+        page: currentPage,
+        scrollY: window.scrollY,
+      });
+    };
+  }, [restoredList]);
+
+  const handleListModeChange = (mode) => {
+    if (mode === listMode) return;
+    saveListMode(mode);
+    setCurrentPage(0);
+    setListMode(mode);
+  };
   
   const handleFilterChange = (newFilters) => {
     setCurrentPage(0);
     setFilters(prev => ({ ...prev, ...newFilters }));
+    if ('search' in newFilters) setSearchInput(newFilters.search);
   };
 
   const handleResetAllFilters = () => {
     setCurrentPage(0);
-    setFilters({ category: 'All', search: '', minPrice: '', maxPrice: '', sort: 'name-asc', rating: 0 });
+    setSearchInput('');
+    setFilters(DEFAULT_FILTERS);
+  };
+
+  const handleAcceptSuggestion = () => {
+    handleFilterChange({ search: didYouMean });
+  };
+
+  const filterChips = useMemo(() => getActiveFilterChips(filters, {
+    sellerNames: Object.fromEntries(facets.sellers.map(({ value, label }) => [String(value), label])),
+  }), [filters, facets.sellers]);
+
+  // Keeps the current sort; chips only cover filters.
+  const handleClearFilterChips = () => {
+    setCurrentPage(0);
+    setSearchInput('');
+    setFilters(prev => ({ ...DEFAULT_FILTERS, sort: prev.sort }));
+  };
+
+  const handleSaveSearch = () => {
+    if (!isAuthenticated) {
+      toast.error("Please sign in to save searches.");
+      openModal('signin');
+      return;
+    }
+    if (userRole !== 'BUYER') {
+      toast.error("Only buyers can save searches.");
+      return;
+    }
+    setIsSaveSearchOpen(true);
   };
   
+  // Paged mode only; the infinite list keeps the scroll position as pages are appended.
   const handlePaginate = (pageNumber) => {
     if (pageNumber >= 0 && pageNumber < productsData.totalPages) {
       setCurrentPage(pageNumber);
@@ -155,8 +330,8 @@ export default function ProductList() {
           <input
             type="text"
             placeholder="Search by product name or description..."
-            value={filters.search}
-            onChange={(e) => handleFilterChange({ search: e.target.value })}
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
             className="w-full border border-gray-300 p-3 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent sm:text-sm"
           />
         </div>
@@ -171,11 +346,20 @@ export default function ProductList() {
               filters={filters}
               setFilters={handleFilterChange}
               priceRangeMeta={priceRangeMeta}
+              facets={facets}
               onResetFilters={handleResetAllFilters}
             />
           </aside>
 
           <main id="product-grid-container" className="w-full md:w-2/3 lg:w-3/4 xl:w-4/5">
+            <div className="flex flex-wrap items-start justify-between gap-x-4">
+              <ActiveFilterChips chips={filterChips} onRemove={handleFilterChange} onClearAll={handleClearFilterChips} />
+              {filterChips.length > 0 && (
+                <button onClick={handleSaveSearch} className="mb-4 ml-auto inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-blue-600 bg-white border border-blue-200 rounded-full hover:bg-blue-50">
+                  <BookmarkIcon className="h-4 w-4" /> Save this search
+                </button>
+              )}
+            </div>
             {isProductsLoading ? (
                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
                  {Array.from({ length: 8 }).map((_, index) => (
@@ -188,39 +372,99 @@ export default function ProductList() {
                </div>
             ) : products.length > 0 ? (
               <>
-                <div className="mb-4 text-sm text-gray-600">
-                  Showing {productsData.pageable.offset + 1} - {productsData.pageable.offset + productsData.numberOfElements} of {totalElements} products
+                <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+                  <p className="text-sm text-gray-600">
+                    {listMode === LIST_MODES.INFINITE
+                      ? `Showing ${products.length} of ${totalElements} products`
+                      : `Showing ${productsData.pageable.offset + 1} - ${productsData.pageable.offset + productsData.numberOfElements} of ${totalElements} products`}
+                  </p>
+                  <div className="inline-flex rounded-md border border-gray-300 bg-white overflow-hidden" role="group" aria-label="How to browse">
+                    {[
+                      { mode: LIST_MODES.PAGED, label: "Pages", icon: Squares2X2Icon },
+                      { mode: LIST_MODES.INFINITE, label: "Infinite scroll", icon: QueueListIcon },
+                    ].map(option => (
+                      <button
+                        key={option.mode}
+                        onClick={() => handleListModeChange(option.mode)}
+                        aria-pressed={listMode === option.mode}
+                        className={`px-3 py-1.5 text-sm flex items-center gap-1.5 ${listMode === option.mode ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                      >
+                        <option.icon className="h-4 w-4" /> {option.label}
+                      </button>
+                    ))}
+                  </div>
                 </div>
-                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                  {products.map((product) => (
-                    <ProductCard key={product.id} product={product} />
-                  ))}
-                </div>
-                {totalPages > 1 && (
-                  <nav className="flex flex-col sm:flex-row justify-between items-center gap-4 mt-10 mb-4 py-4 border-t border-gray-200" aria-label="Pagination">
-                    <p className="text-sm text-gray-700">
-                      Page {productsData.number + 1} of {totalPages} 
-                    </p>
-                    <div className="flex items-center space-x-1">
-                      <button onClick={() => handlePaginate(0)} disabled={currentPage === 0} className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">First</button>
-                      <button onClick={() => handlePaginate(currentPage - 1)} disabled={currentPage === 0} className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Prev</button>
-                      {/* Pagination numbers can be added here if needed */}
-                      <button onClick={() => handlePaginate(currentPage + 1)} disabled={currentPage >= totalPages - 1} className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Next</button>
-                      <button onClick={() => handlePaginate(totalPages - 1)} disabled={currentPage >= totalPages - 1} className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Last</button>
+                {listMode === LIST_MODES.INFINITE ? (
+                  <>
+                    <VirtualizedProductGrid products={products} highlightQuery={filters.search} />
+                    <div ref={loadMoreSentinelRef} className="flex flex-col items-center gap-2 mt-10 mb-4">
+                      {loadMoreError && <p className="text-sm text-red-600">{loadMoreError}</p>}
+                      {hasMorePages ? (
+                        <button onClick={handleLoadMore} disabled={isLoadingMore} className="px-5 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">
+                          {isLoadingMore ? "Loading..." : loadMoreError ? "Try Again" : "Load more"}
+                        </button>
+                      ) : (
+                        <p className="text-sm text-gray-500">You've seen all {totalElements} products.</p>
+                      )}
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                      {products.map((product) => (
+                        <ProductCard key={product.id} product={product} highlightQuery={filters.search} />
+                      ))}
                     </div>
-                  </nav>
+                    {totalPages > 1 && (
+                      <nav className="flex flex-col sm:flex-row justify-between items-center gap-4 mt-10 mb-4 py-4 border-t border-gray-200" aria-label="Pagination">
+                        <p className="text-sm text-gray-700">
+                          Page {productsData.number + 1} of {totalPages}
+                        </p>
+                        <div className="flex flex-wrap items-center gap-1">
+                          <button onClick={() => handlePaginate(currentPage - 1)} disabled={currentPage === 0} className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Prev</button>
+                          {getPageNumbers(currentPage, totalPages).map((page, index) => (
+                            page === null ? (
+                              <span key={`gap-${index}`} className="px-2 text-sm text-gray-500">&hellip;</span>
+                            ) : (
+                              <button
+                                key={page}
+                                onClick={() => handlePaginate(page)}
+                                aria-current={page === currentPage ? 'page' : undefined}
+                                className={`min-w-[2.25rem] px-3 py-1.5 text-sm font-medium border rounded-md ${page === currentPage ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-600 bg-white border-gray-300 hover:bg-gray-50'}`}
+                              >
+                                {page + 1}
+                              </button>
+                            )
+                          ))}
+                          <button onClick={() => handlePaginate(currentPage + 1)} disabled={currentPage >= totalPages - 1} className="px-3 py-1.5 text-sm font-medium text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">Next</button>
+                        </div>
+                      </nav>
+                    )}
+                  </>
                 )}
               </>
             ) : (
               <div className="col-span-full text-center text-gray-500 py-16 bg-white rounded-lg shadow-md">
                 <InboxIcon className="mx-auto h-16 w-16 text-gray-400 mb-4" />
                 <h3 className="text-xl font-semibold mb-2 text-gray-700">No Products Found</h3>
+                {didYouMean && (
+                  <p className="text-gray-600 mb-2">
+                    Did you mean <button onClick={handleAcceptSuggestion} className="font-semibold italic text-blue-600 hover:underline">{didYouMean}</button>?
+                  </p>
+                )}
                 <p className="text-gray-600">Try adjusting your filters, or <button onClick={handleResetAllFilters} className="text-blue-600 hover:underline">reset all filters</button>.</p>
               </div>
             )}
           </main>
         </div>
       </div>
+      {isSaveSearchOpen && (
+        <SaveSearchModal
+          query={filtersToSearchParams(filters).toString()}
+          suggestedName={filterChips.map(chip => chip.label).join(', ')}
+          onClose={() => setIsSaveSearchOpen(false)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,6 +1,4 @@
-import React, { useEffect, useState, useCallback, useRef } from "react";
-import Stomp from 'stompjs';
-import SockJS from 'sockjs-client';
+import React, { useEffect, useState, useCallback } from "react";
 import Sidebar from "../../components/Sidebar";
 import {
   EnvelopeIcon,
@@ -10,6 +8,7 @@ import {
 import toast from "react-hot-toast";
 
 import { getContactMessages, updateContactMessageStatus, deleteContactMessage } from "../../services/api";
+import { useSubscription } from "../../context/RealtimeContext";
 
 // Helper function to safely parse dates from the backend
 const parseJavaLocalDateTime = (dateTime) => {
@@ -28,7 +27,6 @@ export default function AdminContactMessagesPage() {
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const stompClientRef = useRef(null);
 
   const fetchMessages = useCallback(async () => {
     setIsLoading(true);
@@ -51,54 +49,25 @@ export default function AdminContactMessagesPage() {
     fetchMessages();
   }, [fetchMessages]);
 
-  useEffect(() => {
-    const token = localStorage.getItem('appAuthToken');
-    if (!token) {
-        return; // Don't connect if not logged in
-    }
-    const headers = { 'Authorization': `Bearer ${token}` };
-
-    const socket = new SockJS('http://localhost:8080/ws');
-    const client = Stomp.over(socket);
-    stompClientRef.current = client;
-
-    const onNewMessageReceived = (message) => {
-        const newContactMessage = JSON.parse(message.body);
-
-        setMessages(prevMessages => {
-            // Check if a message with the same ID already exists in our state
-            const messageExists = prevMessages.some(msg => msg.id === newContactMessage.id);
-
-            if (!messageExists) {
-                // If it doesn't exist, show a notification and add it to the state
-                toast.success(`New message from ${newContactMessage.senderName}`, {
-                    icon: '📩',
-                });
-                return [newContactMessage, ...prevMessages];
-            }
-            
-            // If the message already exists, do nothing and return the state as is
-            return prevMessages;
-        });
-    };
-
-    client.connect(headers, 
-      () => {
-        console.log('STOMP (Admin): Connected');
-        client.subscribe('/topic/admin/newContactMessage', onNewMessageReceived);
-      },
-      (error) => {
-        console.error("STOMP (Admin): Connection error", error);
-        toast.error("Could not connect to real-time message service.");
-      }
-    );
-
-    return () => {
-        if (stompClientRef.current?.connected) {
-            stompClientRef.current.disconnect(() => console.log('STOMP (Admin): Disconnected'));
+  const onNewMessageReceived = useCallback((newContactMessage) => {
+    setMessages(prevMessages => {
+        // Check if a message with the same ID already exists in our state
+        const messageExists = prevMessages.some(msg => msg.id === newContactMessage.id);
+
+        if (!messageExists) {
+            // If it doesn't exist, show a notification and add it to the state
+            toast.success(`New message from ${newContactMessage.senderName}`, {
+                icon: '📩',
+            });
+            return [newContactMessage, ...prevMessages];
         }
-    };
-  }, []); 
+        
+        // If the message already exists, do nothing and return the state as is
+        return prevMessages;
+    });
+  }, []);
+
+  useSubscription('/topic/admin/newContactMessage', onNewMessageReceived);
 
   const handleUpdateStatus = async (messageId, newStatus) => {
     const toastId = toast.loading("Updating status...");
@@ -1,16 +1,47 @@
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useMemo } from "react";
 import { Link } from "react-router-dom";
 import {
   UserGroupIcon,
   ArchiveBoxIcon,
   ClipboardDocumentListIcon,
   EnvelopeIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  CurrencyDollarIcon,
+  UserPlusIcon,
+  ShoppingBagIcon,
+  CreditCardIcon,
 } from "@heroicons/react/24/outline";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  LineChart,
+  BarChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
 
 import Sidebar from "../../components/Sidebar";
+import ChartCard from "../../components/analytics/ChartCard";
+import MetricCard from "../../components/analytics/MetricCard";
+import DateRangeSelect from "../../components/analytics/DateRangeSelect";
 import { useAuth } from "../../context/AuthContext";
 import { getAdminStats } from "../../services/api";
+import {
+  DEFAULT_DATE_RANGE,
+  CHART_COLORS,
+  getDateRangeParams,
+  formatCurrency,
+  formatCompactCurrency,
+  formatPercent,
+  formatBucketDate,
+  downloadAnalyticsCsv,
+} from "../../utils/analytics";
+import { getOrderStatusBadgeClassName, getOrderStatusLabel } from "../../utils/orderStatus";
 
 const StatCard = ({ title, value, icon: Icon, color, linkTo, isLoading }) => (
   <Link to={linkTo} className="block bg-white p-6 rounded-xl shadow-lg hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1">
@@ -26,57 +57,99 @@ const StatCard = ({ title, value, icon: Icon, color, linkTo, isLoading }) => (
   </Link>
 );
 
+const EMPTY_STATS = {
+  totals: { users: 0, products: 0, orders: 0, contactMessages: 0 },
+  summary: { signups: 0, orders: 0, gmv: 0, payments: 0, paymentFailures: 0 },
+  timeline: [],
+  topSellers: [],
+  topCategories: [],
+  orderFunnel: [],
+  orderStatuses: [],
+};
+
+const FUNNEL_LABELS = { PLACED: "Placed", PAID: "Paid", SHIPPED: "Shipped", COMPLETED: "Completed" };
+
+const CSV_COLUMNS = {
+  timeline: [
+    { key: "date", label: "Period start" },
+    { key: "signups", label: "Signups" },
+    { key: "orders", label: "Orders" },
+    { key: "gmv", label: "GMV" },
+    { key: "paymentFailures", label: "Payment failures" },
+  ],
+  topSellers: [
+    { key: "sellerId", label: "Seller ID" },
+    { key: "sellerName", label: "Seller" },
+    { key: "orders", label: "Orders" },
+    { key: "gmv", label: "GMV" },
+  ],
+  topCategories: [
+    { key: "category", label: "Category" },
+    { key: "units", label: "Units sold" },
+    { key: "gmv", label: "GMV" },
+  ],
+  orderFunnel: [
+    { key: "status", label: "Stage" },
+    { key: "count", label: "Orders" },
+  ],
+};
 
 export default function AdminDashboard() {
   const { currentUser } = useAuth();
-  const [stats, setStats] = useState({ userCount: 0, productCount: 0, orderCount: 0, messageCount: 0 });
+  const [rangeKey, setRangeKey] = useState(DEFAULT_DATE_RANGE);
+  const [stats, setStats] = useState(EMPTY_STATS);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  const rangeParams = useMemo(() => getDateRangeParams(rangeKey), [rangeKey]);
+
   const fetchStats = useCallback(async () => {
     setIsLoading(true);
     setError(null);
     try {
-      const [usersResp, productsResp, ordersResp, messagesResp] = await getAdminStats();
-      
-      // Correctly extract the count from each API response
-      const userCount = Array.isArray(usersResp.data) ? usersResp.data.length : 0;
-      const productCount = productsResp.data?.totalElements || 0;
-      const orderCount = Array.isArray(ordersResp.data) ? ordersResp.data.length : 0;
-      const messageCount = Array.isArray(messagesResp.data) ? messagesResp.data.length : 0;
-
+      const { data } = await getAdminStats(rangeParams);
       setStats({
-        userCount,
-        productCount,
-        orderCount,
-        messageCount,
+        ...EMPTY_STATS,
+        ...data,
+        totals: { ...EMPTY_STATS.totals, ...data?.totals },
+        summary: { ...EMPTY_STATS.summary, ...data?.summary },
       });
-
     } catch (err) {
       console.error("AdminDashboard: Error loading stats", err);
       setError("Failed to load dashboard data. Please ensure you are logged in as an Admin.");
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [rangeParams]);
 
   useEffect(() => {
     fetchStats();
   }, [fetchStats]);
 
+  const exportData = (name) => () => downloadAnalyticsCsv(`platform-${name}`, rangeParams, CSV_COLUMNS[name], stats[name]);
+
+  const { totals, summary, timeline, topSellers, topCategories, orderFunnel, orderStatuses } = stats;
+  const paymentFailureRate = summary.payments > 0 ? summary.paymentFailures / summary.payments : 0;
+  const placedCount = orderFunnel.find(stage => stage.status === "PLACED")?.count || 0;
+  const funnelData = orderFunnel.map(stage => ({ ...stage, label: FUNNEL_LABELS[stage.status] || stage.status }));
+  const bucketLabel = rangeParams.interval === "WEEK" ? "week" : "day";
+
   return (
     <div className="flex min-h-screen bg-gray-100">
       <Sidebar />
-      <main className="flex-1 p-6 sm:p-8">
-        <header className="mb-8">
+      <main className="flex-1 p-6 sm:p-8 space-y-8 min-w-0">
+        <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
             <h1 className="text-3xl font-bold text-gray-800">Admin Dashboard</h1>
             <p className="text-sm text-gray-500 mt-1">
               Welcome, {currentUser?.firstName || 'Admin'}. Here is the overview of the platform.
             </p>
+          </div>
+          <DateRangeSelect value={rangeKey} onChange={setRangeKey} disabled={isLoading} />
         </header>
 
         {error && (
-          <div className="p-4 mb-6 text-red-800 bg-red-100 rounded-lg shadow flex items-center">
+          <div className="p-4 text-red-800 bg-red-100 rounded-lg shadow flex items-center">
             <ExclamationTriangleIcon className="h-6 w-6 mr-3"/>
             <div>
                 <span className="font-medium">Error:</span> {error}
@@ -85,29 +158,114 @@ export default function AdminDashboard() {
         )}
 
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-            <StatCard title="Total Users" value={stats.userCount} icon={UserGroupIcon} color="blue" linkTo="/admin/users" isLoading={isLoading} />
-            <StatCard title="Total Products" value={stats.productCount} icon={ArchiveBoxIcon} color="green" linkTo="/admin/products" isLoading={isLoading} />
-            <StatCard title="Total Orders" value={stats.orderCount} icon={ClipboardDocumentListIcon} color="purple" linkTo="/admin/orders" isLoading={isLoading} />
-            <StatCard title="Contact Messages" value={stats.messageCount} icon={EnvelopeIcon} color="red" linkTo="/admin/contact-messages" isLoading={isLoading} />
+            <StatCard title="Total Users" value={totals.users} icon={UserGroupIcon} color="blue" linkTo="/admin/users" isLoading={isLoading} />
+            <StatCard title="Total Products" value={totals.products} icon={ArchiveBoxIcon} color="green" linkTo="/admin/products" isLoading={isLoading} />
+            <StatCard title="Total Orders" value={totals.orders} icon={ClipboardDocumentListIcon} color="purple" linkTo="/admin/orders" isLoading={isLoading} />
+            <StatCard title="Contact Messages" value={totals.contactMessages} icon={EnvelopeIcon} color="red" linkTo="/admin/contact-messages" isLoading={isLoading} />
         </div>
-        
-        <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-8">
-            <div className="bg-white p-6 rounded-xl shadow-lg">
-                <h2 className="text-xl font-semibold text-gray-700 mb-4">Quick Actions</h2>
-                <div className="grid grid-cols-2 gap-4">
-                    <Link to="/admin/users" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">Manage Users</Link>
-                    <Link to="/admin/products" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">Manage Products</Link>
-                    <Link to="/admin/orders" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">Manage Orders</Link>
-                    <Link to="/admin/settings" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">System Settings</Link>
-                </div>
-            </div>
-             <div className="bg-white p-6 rounded-xl shadow-lg">
-                <h2 className="text-xl font-semibold text-gray-700 mb-4">System Status</h2>
-                <p className="text-sm text-gray-600">All systems are currently operational.</p>
-             </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+          <MetricCard label="GMV" value={formatCurrency(summary.gmv)} hint="Paid orders in this period" icon={CurrencyDollarIcon} color="green" isLoading={isLoading} />
+          <MetricCard label="Orders" value={summary.orders} icon={ShoppingBagIcon} color="purple" isLoading={isLoading} />
+          <MetricCard label="New Signups" value={summary.signups} icon={UserPlusIcon} color="blue" isLoading={isLoading} />
+          <MetricCard
+            label="Payment Failures"
+            value={summary.paymentFailures}
+            hint={`${formatPercent(paymentFailureRate)} of ${summary.payments} payment attempt(s)`}
+            icon={CreditCardIcon}
+            color="red"
+            isLoading={isLoading}
+          />
+        </div>
+
+        <ChartCard title="Orders and GMV" description={`Per ${bucketLabel}`} onExport={exportData("timeline")} isEmpty={!isLoading && timeline.length === 0}>
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={timeline}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="date" tickFormatter={formatBucketDate} tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="gmv" tickFormatter={formatCompactCurrency} tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="orders" orientation="right" allowDecimals={false} tick={{ fontSize: 12 }} />
+              <Tooltip labelFormatter={formatBucketDate} formatter={(value, name) => (name === "GMV" ? formatCurrency(value) : value)} />
+              <Legend />
+              <Bar yAxisId="gmv" dataKey="gmv" name="GMV" fill={CHART_COLORS[1]} radius={[4, 4, 0, 0]} />
+              <Line yAxisId="orders" type="monotone" dataKey="orders" name="Orders" stroke={CHART_COLORS[2]} strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <ChartCard title="Signups and Payment Failures" description={`Per ${bucketLabel}`} onExport={exportData("timeline")} isEmpty={!isLoading && timeline.length === 0}>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={timeline}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="date" tickFormatter={formatBucketDate} tick={{ fontSize: 12 }} />
+                <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                <Tooltip labelFormatter={formatBucketDate} />
+                <Legend />
+                <Line type="monotone" dataKey="signups" name="Signups" stroke={CHART_COLORS[0]} strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="paymentFailures" name="Payment failures" stroke={CHART_COLORS[5]} strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          <ChartCard title="Order Funnel" description="Orders placed in this period, by furthest stage reached" onExport={exportData("orderFunnel")} isEmpty={!isLoading && placedCount === 0}>
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={funnelData} layout="vertical" margin={{ left: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis type="number" allowDecimals={false} tick={{ fontSize: 12 }} />
+                <YAxis type="category" dataKey="label" width={80} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => [`${value} (${formatPercent(value / placedCount)} of placed)`, "Orders"]} />
+                <Bar dataKey="count" name="Orders" fill={CHART_COLORS[2]} radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+            {orderStatuses.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {orderStatuses.map(({ status, count }) => (
+                  <span key={status} className={`px-2 py-0.5 rounded-full text-xs font-medium ${getOrderStatusBadgeClassName(status)}`}>
+                    {getOrderStatusLabel(status)}: {count}
+                  </span>
+                ))}
+              </div>
+            )}
+          </ChartCard>
         </div>
 
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <ChartCard title="Top Sellers" description="By GMV" onExport={exportData("topSellers")} isEmpty={!isLoading && topSellers.length === 0}>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={topSellers} layout="vertical" margin={{ left: 16 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis type="number" tickFormatter={formatCompactCurrency} tick={{ fontSize: 12 }} />
+                <YAxis type="category" dataKey="sellerName" width={120} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Bar dataKey="gmv" name="GMV" fill={CHART_COLORS[1]} radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          <ChartCard title="Top Categories" description="By GMV" onExport={exportData("topCategories")} isEmpty={!isLoading && topCategories.length === 0}>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={topCategories}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="category" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={formatCompactCurrency} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Bar dataKey="gmv" name="GMV" fill={CHART_COLORS[0]} radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-semibold text-gray-700 mb-4">Quick Actions</h2>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                <Link to="/admin/users" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">Manage Users</Link>
+                <Link to="/admin/products" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">Manage Products</Link>
+                <Link to="/admin/orders" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">Manage Orders</Link>
+                <Link to="/admin/settings" className="p-4 text-center bg-gray-50 hover:bg-gray-100 rounded-lg">System Settings</Link>
+            </div>
+        </div>
       </main>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -6,30 +6,44 @@ import {
   ChevronRightIcon,
   PencilSquareIcon,
   TrashIcon,
+  TruckIcon,
   XMarkIcon,
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
+import OrderLineItems from '../../components/OrderLineItems';
+import OrderStatusChangeFields from '../../components/OrderStatusChangeFields';
+import ReturnRequestSummary from '../../components/ReturnRequestSummary';
+import ShipmentTrackingPanel from '../../components/ShipmentTrackingPanel';
 import { getAllOrders, deleteOrder, updateOrderStatus } from '../../services/api';
+import { getCarrier } from '../../services/carriers';
+import {
+  createOrderStatusChange,
+  getOrderStatusBadgeClassName,
+  getOrderStatusLabel,
+  getOrderTransitionDetails,
+  getOrderTransitions,
+  validateOrderTransition,
+} from '../../utils/orderStatus';
 
 const ORDERS_PER_PAGE = 15;
 
 const EditOrderModal = ({ order, onClose, onOrderUpdate }) => {
-    const [status, setStatus] = useState(order.status);
+    const [change, setChange] = useState(() => createOrderStatusChange(order));
+    const [errors, setErrors] = useState({});
     const [isSubmitting, setIsSubmitting] = useState(false);
-
-    const availableStatuses = ["PENDING_PAYMENT", "PAID", "PROCESSING", "SHIPPED", "COMPLETED", "CANCELLED", "PAYMENT_FAILED"];
+    const canChangeStatus = getOrderTransitions(order.status, 'ADMIN').length > 0;
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (status === order.status) {
-            toast.error("No changes made to status.");
-            return;
-        }
+        const validationErrors = validateOrderTransition(order, change, 'ADMIN');
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
         setIsSubmitting(true);
         const toastId = toast.loading("Updating order status...");
         try {
-            await updateOrderStatus(order.id, status);
+            await updateOrderStatus(order.id, change.status, getOrderTransitionDetails(order, change, 'ADMIN'));
             toast.success("Order status updated!", { id: toastId });
             onOrderUpdate();
             onClose();
@@ -48,22 +62,27 @@ const EditOrderModal = ({ order, onClose, onOrderUpdate }) => {
                     <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
                 </div>
                 <form onSubmit={handleSubmit} className="space-y-4">
-                    <div>
-                        <label htmlFor="status" className="block text-sm font-medium text-gray-700">Order Status</label>
-                        <select
-                            id="status"
-                            value={status}
-                            onChange={(e) => setStatus(e.target.value)}
-                            className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
-                        >
-                            {availableStatuses.map(s => <option key={s} value={s}>{s.replace('_', ' ')}</option>)}
-                        </select>
-                    </div>
+                    <p className="text-sm"><span className="font-semibold">Current Status:</span> {getOrderStatusLabel(order.status)}</p>
+                    {order.returnRequest && (
+                        <div className="border rounded-md p-3 bg-gray-50">
+                            <p className="text-sm font-semibold mb-2">Return Request:</p>
+                            <ReturnRequestSummary returnRequest={order.returnRequest} orderItems={order.items} />
+                        </div>
+                    )}
+                    <OrderStatusChangeFields
+                        order={order}
+                        role="ADMIN"
+                        value={change}
+                        onChange={(value) => { setChange(value); setErrors({}); }}
+                        errors={errors}
+                    />
                     <div className="mt-6 flex justify-end gap-3">
-                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
-                        <button type="submit" disabled={isSubmitting} className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-gray-400">
-                            {isSubmitting ? "Saving..." : "Save Status"}
-                        </button>
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{canChangeStatus ? "Cancel" : "Close"}</button>
+                        {canChangeStatus && (
+                            <button type="submit" disabled={isSubmitting || !change.status} className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-gray-400">
+                                {isSubmitting ? "Saving..." : "Save Status"}
+                            </button>
+                        )}
                     </div>
                 </form>
             </div>
@@ -71,6 +90,18 @@ const EditOrderModal = ({ order, onClose, onOrderUpdate }) => {
     );
 };
 
+const TrackingModal = ({ order, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+        <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg m-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold flex items-center gap-2"><TruckIcon className="h-6 w-6 text-indigo-600" /> Tracking for Order #{String(order.id).slice(-8)}</h2>
+                <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
+            </div>
+            <ShipmentTrackingPanel order={order} />
+        </div>
+    </div>
+);
+
 export default function AdminOrderManagementPage() {
   const [ordersData, setOrdersData] = useState({ content: [], totalPages: 0 });
   const [isLoading, setIsLoading] = useState(true);
@@ -79,6 +110,7 @@ export default function AdminOrderManagementPage() {
 
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [trackedOrder, setTrackedOrder] = useState(null);
 
   const fetchOrders = useCallback(async () => {
     setIsLoading(true);
@@ -141,16 +173,6 @@ export default function AdminOrderManagementPage() {
     ), { duration: 10000 });
   };
 
-  const getStatusColor = (status) => {
-    switch ((status || '').toUpperCase()) {
-      case 'PAID': case 'COMPLETED': case 'SHIPPED': return 'bg-green-100 text-green-700';
-      case 'PROCESSING': return 'bg-blue-100 text-blue-700';
-      case 'PENDING_PAYMENT': case 'PENDING': return 'bg-yellow-100 text-yellow-700';
-      case 'CANCELLED': case 'PAYMENT_FAILED': return 'bg-red-100 text-red-700';
-      default: return 'bg-gray-100 text-gray-700';
-    }
-  };
-
   return (
     <div className="flex min-h-screen bg-gray-100">
       {isEditModalOpen && selectedOrder && (
@@ -163,6 +185,7 @@ export default function AdminOrderManagementPage() {
           }}
         />
       )}
+      {trackedOrder && <TrackingModal order={trackedOrder} onClose={() => setTrackedOrder(null)} />}
       <Sidebar />
       <main className="flex-1 p-6 sm:p-8">
         <header className="mb-6">
@@ -180,8 +203,9 @@ export default function AdminOrderManagementPage() {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order ID</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Buyer ID</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Tracking</th>
                   <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
                   <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
                 </tr>
@@ -192,11 +216,23 @@ export default function AdminOrderManagementPage() {
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">#{order.id}</td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(order.date).toLocaleDateString()}</td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500" title={order.userId}>{order.userId.substring(0,8)}...</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{order.productName} (x{order.quantity})</td>
-                    <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusColor(order.status)}`}>{order.status.replace('_', ' ')}</span></td>
+                    <td className="px-6 py-4"><OrderLineItems items={order.items} /></td>
+                    <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getOrderStatusBadgeClassName(order.status)}`}>{getOrderStatusLabel(order.status)}</span></td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {order.shipment ? (
+                        <button onClick={() => setTrackedOrder(order)} className="text-left text-indigo-600 hover:text-indigo-900" title="Show tracking events">
+                          <span className="block text-xs text-gray-500">{getCarrier(order.shipment.carrier).label}</span>
+                          <span className="font-mono">{order.shipment.trackingNumber}</span>
+                        </button>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-gray-800">${order.total.toFixed(2)}</td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
-                        <button onClick={() => handleEditOrder(order)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                        {getOrderTransitions(order.status, 'ADMIN').length > 0 && (
+                          <button onClick={() => handleEditOrder(order)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                        )}
                         <button onClick={() => handleDeleteOrder(order.id)} className="text-red-600 hover:text-red-900">Delete</button>
                     </td>
                   </tr>
@@ -11,7 +11,8 @@ import {
 import toast from 'react-hot-toast';
 
 import Sidebar from '../../components/Sidebar';
-import { getProducts, deleteProduct, updateProduct, getProductCategories, getProductById  } from '../../services/api';
+import { getProducts, deleteProduct, updateProduct, getProductCategories, getProductById, queryKeys } from '../../services/api';
+import { fetchQuery } from '../../services/queryCache';
 
 const PRODUCTS_PER_PAGE = 12;
 
@@ -26,9 +27,9 @@ const EditProductModal = ({ productId, onClose, onProductUpdate }) => {
         const fetchProductAndCategories = async () => {
             setIsLoading(true);
             try {
-                const [productRes, categoriesRes] = await Promise.all([
+                const [productRes, categoryNames] = await Promise.all([
                     getProductById(productId),
-                    getProductCategories()
+                    fetchQuery(queryKeys.productCategories, getProductCategories)
                 ]);
                 const productData = productRes.data;
                 setFormData({
@@ -37,7 +38,7 @@ const EditProductModal = ({ productId, onClose, onProductUpdate }) => {
                     price: productData.price || '',
                     category: productData.category || '',
                 });
-                setCategories(categoriesRes.data || []);
+                setCategories(categoryNames || []);
             } catch (error) {
                 toast.error("Failed to load product details.");
                 onClose();
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { TagIcon, PencilIcon, TrashIcon, XMarkIcon, PlusCircleIcon } from '@heroicons/react/24/outline';
+
+import Sidebar from '../../components/Sidebar';
+import { getPromotions, createPromotion, updatePromotion, deletePromotion, getProductCategories } from '../../services/api';
+
+const EMPTY_FORM = {
+    code: '',
+    description: '',
+    discountType: 'PERCENTAGE',
+    discountValue: '',
+    minSpend: '',
+    expiresAt: '',
+    categories: [],
+    active: true,
+};
+
+const formatDiscount = (promotion) => (
+    promotion.discountType === 'PERCENTAGE'
+        ? `${promotion.discountValue}% off`
+        : `$${Number(promotion.discountValue).toFixed(2)} off`
+);
+
+const isExpired = (promotion) => Boolean(promotion.expiresAt) && new Date(promotion.expiresAt) < new Date();
+
+const PromotionModal = ({ promotion, categories, onClose, onSave }) => {
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [errors, setErrors] = useState({});
+
+    useEffect(() => {
+        if (promotion) {
+            setFormData({
+                code: promotion.code || '',
+                description: promotion.description || '',
+                discountType: promotion.discountType || 'PERCENTAGE',
+                discountValue: promotion.discountValue ?? '',
+                minSpend: promotion.minSpend ?? '',
+                expiresAt: promotion.expiresAt ? promotion.expiresAt.slice(0, 10) : '',
+                categories: promotion.categories || [],
+                active: promotion.active ?? true,
+            });
+        } else {
+            setFormData(EMPTY_FORM);
+        }
+        setErrors({});
+    }, [promotion]);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+        if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    const handleCategoryToggle = (category) => {
+        setFormData(prev => ({
+            ...prev,
+            categories: prev.categories.includes(category)
+                ? prev.categories.filter(c => c !== category)
+                : [...prev.categories, category],
+        }));
+    };
+
+    const validate = () => {
+        const newErrors = {};
+        if (!/^[A-Z0-9_-]{3,20}$/.test(formData.code.trim().toUpperCase())) {
+            newErrors.code = 'Use 3-20 letters, digits, "-" or "_".';
+        }
+        const value = parseFloat(formData.discountValue);
+        if (isNaN(value) || value <= 0) {
+            newErrors.discountValue = 'Enter a discount greater than 0.';
+        } else if (formData.discountType === 'PERCENTAGE' && value > 100) {
+            newErrors.discountValue = 'A percentage discount cannot exceed 100.';
+        }
+        if (formData.minSpend !== '' && (isNaN(parseFloat(formData.minSpend)) || parseFloat(formData.minSpend) < 0)) {
+            newErrors.minSpend = 'Minimum spend cannot be negative.';
+        }
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!validate()) return;
+        const toastId = toast.loading(promotion ? 'Updating promo code...' : 'Creating promo code...');
+        try {
+            const saveData = {
+                code: formData.code.trim().toUpperCase(),
+                description: formData.description.trim(),
+                discountType: formData.discountType,
+                discountValue: parseFloat(formData.discountValue),
+                minSpend: formData.minSpend === '' ? null : parseFloat(formData.minSpend),
+                // Codes stay valid through the whole expiry day.
+                expiresAt: formData.expiresAt ? `${formData.expiresAt}T23:59:59` : null,
+                categories: formData.categories,
+                active: formData.active,
+            };
+
+            if (promotion && promotion.id) {
+                await updatePromotion(promotion.id, saveData);
+            } else {
+                await createPromotion(saveData);
+            }
+            toast.success('Promo code saved successfully!', { id: toastId });
+            onSave();
+            onClose();
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to save promo code.', { id: toastId });
+        }
+    };
+
+    const inputClassName = (field) =>
+        `mt-1 block w-full border rounded-md shadow-sm ${errors[field] ? 'border-red-500 focus:ring-red-500' : 'border-gray-300'}`;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg m-4 max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-semibold">{promotion ? 'Edit' : 'Create'} Promo Code</h2>
+                    <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
+                </div>
+                <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Code</label>
+                        <input type="text" name="code" value={formData.code} onChange={handleChange} placeholder="e.g., SUMMER10" className={`${inputClassName('code')} uppercase`}/>
+                        {errors.code && <p className="text-xs text-red-600 mt-1.5">{errors.code}</p>}
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Description</label>
+                        <input type="text" name="description" value={formData.description} onChange={handleChange} placeholder="e.g., 10% off summer dresses" className={inputClassName('description')}/>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Discount Type</label>
+                            <select name="discountType" value={formData.discountType} onChange={handleChange} className={`${inputClassName('discountType')} bg-white`}>
+                                <option value="PERCENTAGE">Percentage (%)</option>
+                                <option value="FIXED_AMOUNT">Fixed amount ($)</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Discount Value</label>
+                            <input type="number" name="discountValue" value={formData.discountValue} onChange={handleChange} placeholder={formData.discountType === 'PERCENTAGE' ? 'e.g., 10' : 'e.g., 5.00'} min="0" step="0.01" className={inputClassName('discountValue')}/>
+                            {errors.discountValue && <p className="text-xs text-red-600 mt-1.5">{errors.discountValue}</p>}
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Min. Spend ($)</label>
+                            <input type="number" name="minSpend" value={formData.minSpend} onChange={handleChange} placeholder="Optional" min="0" step="0.01" className={inputClassName('minSpend')}/>
+                            {errors.minSpend && <p className="text-xs text-red-600 mt-1.5">{errors.minSpend}</p>}
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Expires On</label>
+                            <input type="date" name="expiresAt" value={formData.expiresAt} onChange={handleChange} className={inputClassName('expiresAt')}/>
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Limit to Categories</label>
+                        <p className="text-xs text-gray-500 mb-2">Leave all unchecked to apply the code to every category.</p>
+                        <div className="flex flex-wrap gap-2">
+                            {categories.map(category => (
+                                <label key={category} className={`px-3 py-1 rounded-full border text-xs cursor-pointer ${formData.categories.includes(category) ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-700 hover:border-gray-400'}`}>
+                                    <input type="checkbox" checked={formData.categories.includes(category)} onChange={() => handleCategoryToggle(category)} className="sr-only"/>
+                                    {category}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input type="checkbox" name="active" checked={formData.active} onChange={handleChange} className="h-4 w-4 text-blue-600 border-gray-300 rounded"/>
+                        Active
+                    </label>
+                    <div className="mt-6 flex justify-end gap-3">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
+                        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">Save</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default function AdminPromotionManagementPage() {
+    const [promotions, setPromotions] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingPromotion, setEditingPromotion] = useState(null);
+
+    const fetchPromotions = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const { data } = await getPromotions();
+            setPromotions(Array.isArray(data) ? data : []);
+        } catch (err) {
+            setError('Failed to load promo codes.');
+            console.error(err);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchPromotions();
+    }, [fetchPromotions]);
+
+    useEffect(() => {
+        const fetchCategories = async () => {
+            try {
+                const { data } = await getProductCategories();
+                setCategories((data || []).sort());
+            } catch (err) {
+                console.error("Failed to fetch product categories", err);
+            }
+        };
+        fetchCategories();
+    }, []);
+
+    const handleOpenModal = (promotion = null) => {
+        setEditingPromotion(promotion);
+        setIsModalOpen(true);
+    };
+
+    const handleCloseModal = () => {
+        setIsModalOpen(false);
+        setEditingPromotion(null);
+    };
+
+    const handleToggleActive = async (promotion) => {
+        try {
+            await updatePromotion(promotion.id, { ...promotion, active: !promotion.active });
+            toast.success(`${promotion.code} ${promotion.active ? 'deactivated' : 'activated'}.`);
+            fetchPromotions();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to update promo code.');
+        }
+    };
+
+    const handleDelete = (promotion) => {
+        toast((t) => (
+            <div>
+                <p className="font-semibold">Delete "{promotion.code}"?</p>
+                <p className="text-sm text-gray-600">Buyers will no longer be able to use it.</p>
+                <div className="flex gap-2 mt-3">
+                    <button
+                        onClick={async () => {
+                            toast.dismiss(t.id);
+                            const deleteToast = toast.loading('Deleting...');
+                            try {
+                                await deletePromotion(promotion.id);
+                                toast.success('Promo code deleted.', { id: deleteToast });
+                                fetchPromotions();
+                            } catch (err) {
+                                toast.error(err.response?.data?.message || 'Failed to delete.', { id: deleteToast });
+                            }
+                        }}
+                        className="px-4 py-1.5 bg-red-600 text-white rounded hover:bg-red-700"
+                    >Delete</button>
+                    <button onClick={() => toast.dismiss(t.id)} className="px-4 py-1.5 bg-gray-200 rounded hover:bg-gray-300">Cancel</button>
+                </div>
+            </div>
+        ));
+    };
+
+    const getStatus = (promotion) => {
+        if (isExpired(promotion)) return { label: 'Expired', className: 'bg-gray-100 text-gray-600' };
+        if (!promotion.active) return { label: 'Inactive', className: 'bg-yellow-100 text-yellow-800' };
+        return { label: 'Active', className: 'bg-green-100 text-green-800' };
+    };
+
+    return (
+        <div className="flex min-h-screen bg-gray-100">
+            {isModalOpen && <PromotionModal promotion={editingPromotion} categories={categories} onClose={handleCloseModal} onSave={fetchPromotions} />}
+            <Sidebar />
+            <main className="flex-1 p-6 sm:p-8">
+                <header className="flex justify-between items-center mb-6">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-3">
+                            <TagIcon className="h-8 w-8" />
+                            Promotions
+                        </h1>
+                        <p className="text-sm text-gray-500 mt-1">Create and manage promo codes buyers can apply in their cart.</p>
+                    </div>
+                    <button onClick={() => handleOpenModal()} className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700">
+                        <PlusCircleIcon className="h-5 w-5" /> Create Promo Code
+                    </button>
+                </header>
+
+                {isLoading ? <p>Loading promo codes...</p> :
+                error ? <p className="text-red-500">{error}</p> :
+                promotions.length === 0 ? <p className="text-gray-500">No promo codes yet.</p> :
+                (
+                    <div className="bg-white rounded-lg shadow overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Min. Spend</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Categories</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {promotions.map((promotion) => {
+                                    const status = getStatus(promotion);
+                                    return (
+                                        <tr key={promotion.id}>
+                                            <td className="px-6 py-4 text-sm">
+                                                <p className="font-mono font-semibold text-gray-900">{promotion.code}</p>
+                                                {promotion.description && <p className="text-xs text-gray-500">{promotion.description}</p>}
+                                            </td>
+                                            <td className="px-6 py-4 text-sm text-gray-700">{formatDiscount(promotion)}</td>
+                                            <td className="px-6 py-4 text-sm text-gray-500">{promotion.minSpend ? `$${Number(promotion.minSpend).toFixed(2)}` : '—'}</td>
+                                            <td className="px-6 py-4 text-sm text-gray-500">{promotion.categories?.length ? promotion.categories.join(', ') : 'All'}</td>
+                                            <td className="px-6 py-4 text-sm text-gray-500">{promotion.expiresAt ? new Date(promotion.expiresAt).toLocaleDateString() : 'Never'}</td>
+                                            <td className="px-6 py-4 text-sm">
+                                                <button onClick={() => handleToggleActive(promotion)} disabled={isExpired(promotion)} title={isExpired(promotion) ? undefined : 'Click to toggle'} className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${status.className} disabled:cursor-default`}>
+                                                    {status.label}
+                                                </button>
+                                            </td>
+                                            <td className="px-6 py-4 text-right text-sm font-medium space-x-4">
+                                                <button onClick={() => handleOpenModal(promotion)} className="text-indigo-600 hover:text-indigo-900"><PencilIcon className="h-5 w-5 inline-block"/></button>
+                                                <button onClick={() => handleDelete(promotion)} className="text-red-600 hover:text-red-900"><TrashIcon className="h-5 w-5 inline-block"/></button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
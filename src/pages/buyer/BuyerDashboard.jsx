@@ -5,13 +5,20 @@ import {
   ChatBubbleLeftEllipsisIcon,
   HeartIcon,
   ExclamationTriangleIcon,
+  BookmarkIcon,
+  BellIcon,
+  BellSlashIcon,
+  TrashIcon,
 } from "@heroicons/react/24/outline";
 import toast from "react-hot-toast";
 
 import Sidebar from "../../components/Sidebar";
 import ProductCard from "../../components/ProductCard";
 import { useAuth } from "../../context/AuthContext";
-import { getMyBuyerOrders, getUnreadMessageCount, getProducts, getMyFavorites } from "../../services/api";
+import {
+  getMyBuyerOrders, getUnreadMessageCount, getProducts, getMyFavorites,
+  getMySavedSearches, updateSavedSearch, deleteSavedSearch, markSavedSearchViewed,
+} from "../../services/api";
 
 // Reusable Stat Card Component
 const StatCard = ({ linkTo, icon: Icon, title, value, isLoading, color }) => (
@@ -29,12 +36,51 @@ const StatCard = ({ linkTo, icon: Icon, title, value, isLoading, color }) => (
   </Link>
 );
 
+// The buyer's saved product searches, each linking back to the filtered product list.
+const SavedSearches = ({ savedSearches, onOpen, onToggleAlerts, onDelete }) => (
+  <div className="bg-white p-6 rounded-xl shadow-lg">
+    <div className="flex justify-between items-center mb-5">
+      <h2 className="text-xl font-semibold text-gray-700 flex items-center gap-2"><BookmarkIcon className="h-6 w-6" /> Saved Searches</h2>
+      <Link to="/products" className="text-sm text-blue-600 hover:underline font-medium">Browse products</Link>
+    </div>
+    {savedSearches.length === 0 ? (
+      <p className="text-sm text-gray-500">Filter the product list and choose "Save this search" to come back to it here.</p>
+    ) : (
+      <ul className="divide-y divide-gray-100">
+        {savedSearches.map(savedSearch => (
+          <li key={savedSearch.id} className="py-3 flex items-center justify-between gap-4">
+            <Link to={`/products?${savedSearch.query}`} onClick={() => onOpen(savedSearch)} className="min-w-0 flex items-center gap-2 group">
+              <span className="text-sm font-medium text-gray-800 truncate group-hover:text-blue-600">{savedSearch.name}</span>
+              {savedSearch.newMatchCount > 0 && (
+                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 whitespace-nowrap">{savedSearch.newMatchCount} new</span>
+              )}
+            </Link>
+            <div className="flex items-center gap-1 shrink-0">
+              <button
+                onClick={() => onToggleAlerts(savedSearch)}
+                className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 hover:text-blue-600"
+                title={savedSearch.alertsEnabled ? "Turn off new-arrival alerts" : "Turn on new-arrival alerts"}
+              >
+                {savedSearch.alertsEnabled ? <BellIcon className="h-5 w-5" /> : <BellSlashIcon className="h-5 w-5" />}
+              </button>
+              <button onClick={() => onDelete(savedSearch)} className="p-1.5 rounded-full text-gray-500 hover:bg-red-50 hover:text-red-600" title="Delete saved search">
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
 export default function BuyerDashboard() {
   const { currentUser, isLoading: isAuthLoading } = useAuth();
 
   const [stats, setStats] = useState({ orders: 0, messages: 0, favorites: 0 });
   const [recentOrders, setRecentOrders] = useState([]);
   const [recommendedProducts, setRecommendedProducts] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -45,11 +91,16 @@ export default function BuyerDashboard() {
     setError(null);
     try {
       // Promise.all ensures all data is fetched concurrently for better performance.
-      const [ordersRes, messagesRes, favoritesRes, recommendedRes] = await Promise.all([
+      const [ordersRes, messagesRes, favoritesRes, recommendedRes, savedSearchesRes] = await Promise.all([
         getMyBuyerOrders({ page: 0, size: 3, sort: 'date,DESC' }),
         getUnreadMessageCount(),
         getMyFavorites(),
-        getProducts({ page: 0, size: 4, sortBy: 'averageRating', sortDir: 'DESC' })
+        getProducts({ page: 0, size: 4, sortBy: 'averageRating', sortDir: 'DESC' }),
+        // Saved searches are a side panel; the rest of the dashboard still loads without them.
+        getMySavedSearches().catch(err => {
+          console.error("BuyerDashboard: Error fetching saved searches:", err);
+          return { data: [] };
+        })
       ]);
 
       setStats({
@@ -59,6 +110,7 @@ export default function BuyerDashboard() {
       });
       setRecentOrders(ordersRes.data?.content || []);
       setRecommendedProducts(recommendedRes.data?.content || []);
+      setSavedSearches(savedSearchesRes.data || []);
 
     } catch (err) {
       console.error("BuyerDashboard: Error fetching data:", err);
@@ -70,6 +122,35 @@ export default function BuyerDashboard() {
     }
   }, [currentUser]);
 
+  // Opening a saved search counts as having seen its new matches.
+  const handleOpenSavedSearch = (savedSearch) => {
+    if (savedSearch.newMatchCount > 0) {
+      markSavedSearchViewed(savedSearch.id).catch(err => console.error("Failed to mark saved search as viewed:", err));
+    }
+  };
+
+  const handleToggleSavedSearchAlerts = async (savedSearch) => {
+    const alertsEnabled = !savedSearch.alertsEnabled;
+    try {
+      const { data: updated } = await updateSavedSearch(savedSearch.id, { alertsEnabled });
+      setSavedSearches(prev => prev.map(s => (s.id === savedSearch.id ? { ...s, ...updated } : s)));
+      toast.success(alertsEnabled ? `Alerts on for "${savedSearch.name}".` : `Alerts off for "${savedSearch.name}".`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update the saved search.");
+    }
+  };
+
+  const handleDeleteSavedSearch = async (savedSearch) => {
+    const toastId = toast.loading("Deleting saved search...");
+    try {
+      await deleteSavedSearch(savedSearch.id);
+      setSavedSearches(prev => prev.filter(s => s.id !== savedSearch.id));
+      toast.success("Saved search deleted.", { id: toastId });
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to delete the saved search.", { id: toastId });
+    }
+  };
+
   useEffect(() => {
     if (!isAuthLoading && currentUser) {
       fetchDashboardData();
@@ -115,19 +196,34 @@ export default function BuyerDashboard() {
               <Link to="/buyer/orders" className="text-sm text-blue-600 hover:underline font-medium">View All</Link>
             </div>
             <ul className="space-y-4">
-              {recentOrders.map(order => (
+              {recentOrders.map(order => {
+                const items = order.items || [];
+                const itemSummary = items.length > 1
+                  ? `${items[0].productName} + ${items.length - 1} more`
+                  : items[0]?.productName || 'Order';
+                return (
                 <li key={order.id} className="p-4 border rounded-lg hover:shadow-md transition-shadow">
                   <div className="flex justify-between items-center">
-                    <p className="text-sm font-semibold text-gray-800 truncate" title={order.productName}>{order.productName}</p>
+                    <p className="text-sm font-semibold text-gray-800 truncate" title={items.map(item => item.productName).join(', ')}>{itemSummary}</p>
                     <p className="text-sm font-semibold text-gray-700">${order.total?.toFixed(2)}</p>
                   </div>
                   <p className="text-xs text-gray-500">Order #{String(order.id).slice(-8)} &bull; {new Date(order.date).toLocaleDateString()}</p>
                 </li>
-              ))}
+                );
+              })}
             </ul>
           </div>
         )}
 
+        {!isLoading && (
+          <SavedSearches
+            savedSearches={savedSearches}
+            onOpen={handleOpenSavedSearch}
+            onToggleAlerts={handleToggleSavedSearchAlerts}
+            onDelete={handleDeleteSavedSearch}
+          />
+        )}
+
         <div>
           <h2 className="text-2xl font-semibold text-gray-700 mb-6">Just For You</h2>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
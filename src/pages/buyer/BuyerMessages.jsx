@@ -1,14 +1,14 @@
 import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import { useLocation, useNavigate } from 'react-router-dom';
-import Stomp from 'stompjs';
-import SockJS from 'sockjs-client';
 import { formatDistanceToNowStrict, parseISO } from 'date-fns';
 import toast from 'react-hot-toast';
 import { ChatBubbleLeftEllipsisIcon, PaperAirplaneIcon, ArrowLeftIcon } from "@heroicons/react/24/outline";
 
 import Sidebar from "../../components/Sidebar";
 import { useAuth } from "../../context/AuthContext";
-import { getMyConversations, getMessagesForConversation, startConversation, markConversationAsRead } from "../../services/api";
+import { useRealtime, useSubscription } from "../../context/RealtimeContext";
+import { useNotifications } from "../../context/NotificationsContext";
+import { getMyConversations, getMessagesForConversation, startConversation } from "../../services/api";
 
 const formatLastMessageTime = (isoTimestamp) => {
   if (!isoTimestamp) return '';
@@ -34,12 +34,11 @@ export default function BuyerMessagesPage() {
   const [isLoadingConvos, setIsLoadingConvos] = useState(true);
   const [isLoadingMessages, setIsLoadingMessages] = useState(false);
 
-  const stompClientRef = useRef(null);
+  const { send } = useRealtime();
+  const { markConversationAsRead } = useNotifications();
   const messagesEndRef = useRef(null);
-  const subscriptionRef = useRef(null);
 
-  const onMessageReceived = useCallback((message) => {
-    const receivedMsg = JSON.parse(message.body);
+  const onMessageReceived = useCallback((receivedMsg) => {
     setMessages(prevMessages => {
         if (prevMessages.some(msg => msg.id === receivedMsg.id)) return prevMessages;
         return [...prevMessages, receivedMsg];
@@ -53,21 +52,17 @@ export default function BuyerMessagesPage() {
         );
         return updatedConvos.sort((a, b) => parseISO(b.lastMessageTimestamp || 0) - parseISO(a.lastMessageTimestamp || 0));
     });
-  }, [currentUser]);
+  }, [currentUser, markConversationAsRead]);
+
+  useSubscription(selectedConvoId ? `/topic/conversation/${selectedConvoId}` : null, onMessageReceived);
 
   const handleSelectConversation = useCallback(async (conversationId) => {
     if (isLoadingMessages) return;
-    if (subscriptionRef.current) {
-        subscriptionRef.current.unsubscribe();
-    }
     setSelectedConvoId(conversationId);
     setIsLoadingMessages(true);
     try {
         const { data } = await getMessagesForConversation(conversationId);
         setMessages(data || []);
-        if (stompClientRef.current?.connected) {
-            subscriptionRef.current = stompClientRef.current.subscribe(`/topic/conversation/${conversationId}`, onMessageReceived);
-        }
         await markConversationAsRead(conversationId);
         setConversations(prev => prev.map(c => c.id === conversationId ? { ...c, unreadMessageCount: 0 } : c));
     } catch (error) {
@@ -76,7 +71,7 @@ export default function BuyerMessagesPage() {
     } finally {
         setIsLoadingMessages(false);
     }
-  }, [isLoadingMessages, onMessageReceived]);
+  }, [isLoadingMessages, markConversationAsRead]);
 
   const fetchConversations = useCallback(async (convoToSelect = null) => {
     if (!currentUser) return;
@@ -94,29 +89,6 @@ export default function BuyerMessagesPage() {
     }
   }, [currentUser, handleSelectConversation]);
 
-  useEffect(() => {
-    const token = localStorage.getItem('appAuthToken');
-    
-    if (!currentUser || !token || stompClientRef.current) return;
-
-    const socket = new SockJS('http://localhost:8080/ws');
-    const client = Stomp.over(socket);
-    stompClientRef.current = client;
-    const headers = { 'Authorization': `Bearer ${token}` };
-
-    client.connect(headers, 
-      () => console.log('STOMP (Buyer): Connected'), 
-      (error) => console.error('STOMP (Buyer): Connection error', error)
-    );
-
-    return () => {
-      if (subscriptionRef.current) subscriptionRef.current.unsubscribe();
-      if (stompClientRef.current?.connected) {
-        stompClientRef.current.disconnect(() => console.log('STOMP (Buyer): Disconnected.'));
-      }
-    };
-  }, [currentUser]);
-
   useEffect(() => {
     const { state } = location;
     if (!isAuthLoading && currentUser && state?.openWithSellerId) {
@@ -136,6 +108,10 @@ export default function BuyerMessagesPage() {
         }
       };
       handleStart();
+    } else if (!isAuthLoading && currentUser && state?.openConversationId) {
+      // Coming from a Navbar notification: open that conversation directly.
+      fetchConversations(state.openConversationId);
+      navigate(location.pathname, { replace: true, state: {} });
     } else if (!isAuthLoading && currentUser) {
       fetchConversations();
     }
@@ -148,13 +124,17 @@ export default function BuyerMessagesPage() {
   const handleSendMessage = (e) => {
     e.preventDefault();
     const trimmedMessage = newMessage.trim();
-    if (!trimmedMessage || !stompClientRef.current?.connected || !selectedConvoId) return;
+    if (!trimmedMessage || !selectedConvoId) return;
 
-    stompClientRef.current.send("/app/chat.sendMessage", {}, JSON.stringify({
+    const wasSent = send("/app/chat.sendMessage", {
       conversationId: selectedConvoId,
       senderId: currentUser.id,
       content: trimmedMessage,
-    }));
+    });
+    if (!wasSent) {
+      toast.error("Chat is reconnecting. Please try again in a moment.");
+      return;
+    }
     setNewMessage("");
   };
   
@@ -0,0 +1,258 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { format, isValid, parseISO } from 'date-fns';
+import {
+  ArrowLeftIcon,
+  ArrowUturnLeftIcon,
+  ClockIcon,
+  CreditCardIcon,
+  ExclamationTriangleIcon,
+  MapPinIcon,
+  ShoppingBagIcon,
+  TruckIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+import Sidebar from '../../components/Sidebar';
+import BuyerOrderActions from '../../components/BuyerOrderActions';
+import OrderStatusTimeline from '../../components/OrderStatusTimeline';
+import ReturnRequestSummary from '../../components/ReturnRequestSummary';
+import ShipmentTrackingPanel from '../../components/ShipmentTrackingPanel';
+import { useAuth } from '../../context/AuthContext';
+import { useSubscription } from '../../context/RealtimeContext';
+import { getOrderById, getPaymentsForOrder } from '../../services/api';
+import { canTransitionOrder, getOrderStatusLabel, getOrderStatusBadgeClassName } from '../../utils/orderStatus';
+import { getVariantLabel } from '../../utils/variants';
+
+const COMPLETED_PAYMENT_STATUSES = ['SUCCESS', 'PENDING'];
+
+const formatDate = (isoString, pattern = 'MMM d, yyyy') => {
+  const date = isoString ? parseISO(isoString) : null;
+  return date && isValid(date) ? format(date, pattern) : null;
+};
+
+const Section = ({ title, icon, children }) => (
+  <section className="bg-white p-6 rounded-xl shadow-lg">
+    <h2 className="text-lg font-semibold text-gray-700 mb-4 flex items-center gap-2">
+      {icon} {title}
+    </h2>
+    {children}
+  </section>
+);
+
+/**
+ * One of the buyer's orders: its items, delivery, parcel tracking once shipped, payment and
+ * refunds, any return request, and a timeline of every status change. The buyer can cancel or
+ * return from here when the order allows it.
+ * The timeline follows the seller's updates live through the user's notification topic.
+ */
+export default function BuyerOrderDetails() {
+  const { id: orderId } = useParams();
+  const { currentUser, isLoading: isAuthLoading } = useAuth();
+
+  const [order, setOrder] = useState(null);
+  const [payments, setPayments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchOrder = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) {
+      setIsLoading(true);
+      setError(null);
+    }
+    try {
+      const [orderRes, paymentsRes] = await Promise.all([
+        getOrderById(orderId),
+        getPaymentsForOrder(orderId),
+      ]);
+      setOrder(orderRes.data);
+      setPayments(paymentsRes.data || []);
+    } catch (err) {
+      console.error("BuyerOrderDetails: Failed to load order", err);
+      const errorMessage = err.response?.status === 404 ? "This order does not exist." : err.response?.data?.message || "Could not load this order.";
+      if (silent) {
+        toast.error("Could not refresh the order status.");
+      } else {
+        setError(errorMessage);
+        toast.error(errorMessage);
+      }
+    } finally {
+      if (!silent) setIsLoading(false);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    if (!isAuthLoading && currentUser) fetchOrder();
+  }, [isAuthLoading, currentUser, fetchOrder]);
+
+  // The seller moving the order along pushes an event; reload to pick up the new history entry.
+  const handleUserEvent = useCallback((event) => {
+    if (event.type === 'ORDER_STATUS_CHANGED' && String(event.orderId) === String(orderId)) {
+      fetchOrder({ silent: true });
+    }
+  }, [orderId, fetchOrder]);
+
+  useSubscription(currentUser ? `/topic/user/${currentUser.id}/notifications` : null, handleUserEvent);
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center items-center flex-1">
+          <p className="text-gray-500 text-lg animate-pulse">Loading Order...</p>
+        </div>
+      );
+    }
+
+    if (error || !order) {
+      return (
+        <div className="text-center py-12 bg-white rounded-xl shadow-md flex-1">
+          <ExclamationTriangleIcon className="h-12 w-12 text-red-400 mx-auto mb-3" />
+          <h2 className="text-xl font-semibold text-red-600 mb-2">Could Not Load Order</h2>
+          <p className="text-gray-500 mb-6">{error}</p>
+          <button onClick={() => fetchOrder()} className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Try Again</button>
+        </div>
+      );
+    }
+
+    const items = order.items || [];
+    // Cash on delivery is recorded as PENDING until the courier collects it.
+    const successfulPayment = payments.find(payment => COMPLETED_PAYMENT_STATUSES.includes(payment.status));
+    const failedPaymentCount = payments.filter(payment => !COMPLETED_PAYMENT_STATUSES.includes(payment.status)).length;
+    const estimatedShipDate = formatDate(order.estimatedShipDate);
+    const estimatedDeliveryDate = formatDate(order.estimatedDeliveryDate) || order.deliveryOption?.estimatedDelivery;
+
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+        <div className="lg:col-span-2 space-y-6">
+          <Section title="Items" icon={<ShoppingBagIcon className="h-5 w-5 text-blue-600" />}>
+            <ul className="divide-y divide-gray-100">
+              {items.map(item => (
+                <li key={item.id || `${item.productId}-${item.variantId ?? ''}`} className="py-3 flex justify-between gap-4">
+                  <div className="min-w-0">
+                    <Link to={`/products/${item.productId}`} className="text-sm font-medium text-gray-900 hover:text-blue-600">{item.productName || "Product Name Unavailable"}</Link>
+                    <p className="text-xs text-gray-500">
+                      {getVariantLabel(item) && `${getVariantLabel(item)} · `}{item.quantity} &times; ${item.productPrice?.toFixed(2)}
+                    </p>
+                  </div>
+                  <p className="text-sm font-semibold text-gray-800 whitespace-nowrap">${(item.productPrice * item.quantity).toFixed(2)}</p>
+                </li>
+              ))}
+            </ul>
+            <dl className="mt-4 pt-4 border-t space-y-1 text-sm">
+              <div className="flex justify-between"><dt className="text-gray-600">Subtotal</dt><dd>${order.subtotal?.toFixed(2)}</dd></div>
+              {order.discount > 0 && (
+                <div className="flex justify-between text-green-700"><dt>Discount{order.promoCode ? ` (${order.promoCode})` : ''}</dt><dd>-${order.discount.toFixed(2)}</dd></div>
+              )}
+              <div className="flex justify-between"><dt className="text-gray-600">Delivery</dt><dd>${(order.deliveryCost || 0).toFixed(2)}</dd></div>
+              <div className="flex justify-between font-semibold text-gray-800 pt-1"><dt>Total</dt><dd>${order.total?.toFixed(2)}</dd></div>
+            </dl>
+          </Section>
+
+          <Section title="Delivery" icon={<TruckIcon className="h-5 w-5 text-blue-600" />}>
+            <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+              <div>
+                <dt className="text-gray-500">Method</dt>
+                <dd className="font-medium text-gray-800">{order.deliveryOption?.label || 'Standard delivery'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Estimated to ship</dt>
+                <dd className="font-medium text-gray-800">{estimatedShipDate || 'To be confirmed'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Estimated delivery</dt>
+                <dd className="font-medium text-gray-800">{estimatedDeliveryDate || 'To be confirmed'}</dd>
+              </div>
+            </dl>
+          </Section>
+
+          {order.shipment && (
+            <Section title="Tracking" icon={<MapPinIcon className="h-5 w-5 text-blue-600" />}>
+              <ShipmentTrackingPanel order={order} />
+            </Section>
+          )}
+
+          <Section title="Payment" icon={<CreditCardIcon className="h-5 w-5 text-blue-600" />}>
+            {successfulPayment ? (
+              <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+                <div>
+                  <dt className="text-gray-500">Method</dt>
+                  <dd className="font-medium text-gray-800">{successfulPayment.method?.replace(/_/g, ' ') || 'N/A'}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Amount</dt>
+                  <dd className="font-medium text-gray-800">${successfulPayment.amount?.toFixed(2)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">{successfulPayment.status === 'PENDING' ? 'Due on delivery' : 'Paid on'}</dt>
+                  <dd className="font-medium text-gray-800">{successfulPayment.status === 'PENDING' ? 'Pay the courier' : formatDate(successfulPayment.createdAt, 'MMM d, yyyy h:mm a') || 'N/A'}</dd>
+                </div>
+              </dl>
+            ) : (
+              <p className="text-sm text-gray-600">No payment has been received for this order yet.</p>
+            )}
+            {successfulPayment?.refunds?.length > 0 && (
+              <ul className="mt-4 pt-4 border-t space-y-1 text-sm">
+                {successfulPayment.refunds.map(refund => (
+                  <li key={refund.id} className="flex justify-between gap-4">
+                    <span className="text-gray-600">
+                      {refund.status === 'PENDING' ? 'Refund in progress' : 'Refunded'}
+                      {formatDate(refund.createdAt) && ` on ${formatDate(refund.createdAt)}`}
+                    </span>
+                    <span className="font-medium text-green-700">-${refund.amount?.toFixed(2)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {failedPaymentCount > 0 && (
+              <p className="text-xs text-red-600 mt-3">{failedPaymentCount} earlier payment attempt{failedPaymentCount > 1 ? 's' : ''} failed.</p>
+            )}
+            {canTransitionOrder(order.status, 'PAID', 'BUYER') && (
+              <Link to={`/payment/${order.id}`} className="mt-4 inline-flex items-center gap-1 px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-md hover:bg-blue-700">
+                <CreditCardIcon className="h-4 w-4" /> Complete payment
+              </Link>
+            )}
+          </Section>
+
+          {order.returnRequest && (
+            <Section title="Return" icon={<ArrowUturnLeftIcon className="h-5 w-5 text-blue-600" />}>
+              <ReturnRequestSummary returnRequest={order.returnRequest} orderItems={items} />
+            </Section>
+          )}
+        </div>
+
+        <Section title="Status" icon={<ClockIcon className="h-5 w-5 text-blue-600" />}>
+          <OrderStatusTimeline order={order} />
+        </Section>
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+      <main className="flex-1 p-6 sm:p-8 flex flex-col">
+        <header className="mb-8">
+          <Link to="/buyer/orders" className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline mb-3">
+            <ArrowLeftIcon className="h-4 w-4" /> Back to My Orders
+          </Link>
+          <div className="flex flex-wrap items-center gap-3">
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-800">Order #{String(orderId).slice(-8)}</h1>
+            {order && (
+              <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getOrderStatusBadgeClassName(order.status)}`}>
+                {getOrderStatusLabel(order.status)}
+              </span>
+            )}
+            {order && (
+              <div className="ml-auto flex items-center gap-4">
+                <BuyerOrderActions order={order} onOrderChange={() => fetchOrder({ silent: true })} />
+              </div>
+            )}
+          </div>
+          {order?.date && <p className="text-sm text-gray-500 mt-1">Placed on {formatDate(order.date, 'MMMM d, yyyy')}</p>}
+        </header>
+
+        {renderContent()}
+      </main>
+    </div>
+  );
+}
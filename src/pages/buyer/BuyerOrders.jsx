@@ -5,11 +5,15 @@ import {
   ShoppingCartIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
+  CreditCardIcon,
 } from '@heroicons/react/24/outline';
 
 import Sidebar from '../../components/Sidebar';
 import { useAuth } from '../../context/AuthContext';
+import OrderLineItems from '../../components/OrderLineItems';
+import BuyerOrderActions from '../../components/BuyerOrderActions';
 import { getMyBuyerOrders } from '../../services/api';
+import { canTransitionOrder, getOrderStatusLabel, getOrderStatusBadgeClassName } from '../../utils/orderStatus';
 
 const ORDERS_PER_PAGE = 10;
 
@@ -54,25 +58,6 @@ export default function BuyerOrdersPage() {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status?.toUpperCase()) {
-      case 'PAID':
-      case 'COMPLETED':
-      case 'SHIPPED':
-        return 'bg-green-100 text-green-800';
-      case 'PROCESSING':
-        return 'bg-blue-100 text-blue-800';
-      case 'PENDING_PAYMENT':
-      case 'PENDING':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'CANCELLED':
-      case 'PAYMENT_FAILED':
-        return 'bg-red-100 text-red-800';
-      default:
-        return 'bg-gray-100 text-gray-700';
-    }
-  };
-
   const renderContent = () => {
     if (isLoading && ordersData.content.length === 0) {
       return (
@@ -105,37 +90,43 @@ export default function BuyerOrdersPage() {
               <tr>
                 <th scope="col" className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order ID</th>
                 <th scope="col" className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                <th scope="col" className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
-                <th scope="col" className="px-3 sm:px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                <th scope="col" className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
                 <th scope="col" className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                 <th scope="col" className="px-4 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                <th scope="col" className="px-4 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {ordersData.content.map((order) => (
                 <tr key={order.id} className="hover:bg-gray-50 transition-colors">
-                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-xs sm:text-sm text-gray-500" title={String(order.id)}>
-                    #{String(order.id).slice(-8)}
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-xs sm:text-sm" title={String(order.id)}>
+                    <Link to={`/buyer/orders/${order.id}`} className="text-blue-600 hover:underline">#{String(order.id).slice(-8)}</Link>
                   </td>
                   <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-xs sm:text-sm text-gray-500">
                     {order.date ? new Date(order.date).toLocaleDateString() : 'N/A'}
                   </td>
-                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
-                    <Link to={`/products/${order.productId}`} className="hover:text-blue-600">
-                      <div className="text-sm font-medium text-gray-900 truncate max-w-[200px] sm:max-w-xs" title={order.productName}>
-                        {order.productName || "Product Name Unavailable"}
-                      </div>
-                    </Link>
+                  <td className="px-4 sm:px-6 py-4">
+                    <OrderLineItems items={order.items} linkToProducts />
                   </td>
-                  <td className="px-3 sm:px-4 py-4 whitespace-nowrap text-center text-sm text-gray-500">{order.quantity}</td>
                   <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-xs sm:text-sm">
-                    <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusColor(order.status)}`}>
-                      {order.status ? order.status.replace('_', ' ') : 'N/A'}
+                    <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getOrderStatusBadgeClassName(order.status)}`}>
+                      {getOrderStatusLabel(order.status)}
                     </span>
                   </td>
                   <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-gray-800">
                     ${order.total ? order.total.toFixed(2) : 'N/A'}
                   </td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-right text-sm">
+                    <div className="inline-flex items-center gap-3">
+                      <Link to={`/buyer/orders/${order.id}`} className="text-xs font-medium text-blue-600 hover:underline">{order.shipment ? 'Track package' : 'View details'}</Link>
+                      {canTransitionOrder(order.status, 'PAID', 'BUYER') && (
+                        <Link to={`/payment/${order.id}`} className="inline-flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white text-xs font-semibold rounded-md hover:bg-blue-700">
+                          <CreditCardIcon className="h-4 w-4" /> Complete payment
+                        </Link>
+                      )}
+                      <BuyerOrderActions order={order} onOrderChange={fetchOrders} />
+                    </div>
+                  </td>
                 </tr>
               ))}
             </tbody>
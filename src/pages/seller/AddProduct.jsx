@@ -1,41 +1,70 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import {
-  ArrowUpTrayIcon,
-  XCircleIcon,
   ExclamationTriangleIcon,
+  ArrowPathIcon,
 } from "@heroicons/react/24/outline";
 import toast from 'react-hot-toast';
+import { format, formatDistanceToNowStrict, parseISO } from 'date-fns';
 
 import Sidebar from "../../components/Sidebar";
+import VariantEditor from "../../components/VariantEditor";
+import ProductImageManager from "../../components/ProductImageManager";
+import ProductStatusField from "../../components/ProductStatusField";
 import { useAuth } from "../../context/AuthContext";
-import { createProduct, uploadProductImage, getProductCategories } from "../../services/api";
+import { createProduct, getProductCategories, queryKeys } from "../../services/api";
+import { fetchQuery } from "../../services/queryCache";
+import { validateVariants, hasVariantErrors, toVariantPayload, getTotalVariantStock } from "../../utils/variants";
+import { validateProductForm } from "../../utils/productValidation";
+import { fromDateTimeInputValue } from "../../utils/productStatus";
+import { getProductDraftKey, loadProductDraft, saveProductDraft, clearProductDraft, hasDraftContent } from "../../utils/productDrafts";
+import { saveProductGallery, revokeImageEntry } from "../../utils/productImages";
+
+const DRAFT_AUTOSAVE_DELAY_MS = 1500;
+
+const EMPTY_FORM = {
+  name: "",
+  description: "",
+  price: "",
+  category: "",
+  stock: "",
+  status: "ACTIVE",
+  publishAt: "",
+};
+
+const SUBMIT_LABELS = {
+  DRAFT: "Save Draft",
+  ACTIVE: "Add Product",
+  SCHEDULED: "Schedule Product",
+  ARCHIVED: "Add as Archived",
+};
 
 export default function AddProduct() {
-  const { userRole, isLoading: isAuthLoading } = useAuth();
+  const { currentUser, userRole, isLoading: isAuthLoading } = useAuth();
   const navigate = useNavigate();
 
-  const [formData, setFormData] = useState({
-    name: "",
-    description: "",
-    price: "",
-    category: "",
-    stock: "", 
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [categories, setCategories] = useState([]);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [imagePreview, setImagePreview] = useState("");
+  const [images, setImages] = useState([]);
+  const [coverKey, setCoverKey] = useState(null);
   const [errors, setErrors] = useState({});
+  const [variants, setVariants] = useState([]);
+  const [variantErrors, setVariantErrors] = useState({ rows: [], general: null });
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [restoredDraftAt, setRestoredDraftAt] = useState(null);
+  const [lastAutoSavedAt, setLastAutoSavedAt] = useState(null);
+  const restoredDraftKeyRef = useRef(null);
+
+  const draftKey = currentUser ? getProductDraftKey(currentUser.id) : null;
 
   useEffect(() => {
     const fetchCategories = async () => {
       try {
-        const { data } = await getProductCategories();
+        const data = await fetchQuery(queryKeys.productCategories, getProductCategories);
         if (data && data.length > 0) {
-          const sortedCategories = data.sort();
+          const sortedCategories = [...data].sort();
           setCategories(sortedCategories);
-          setFormData(prev => ({ ...prev, category: sortedCategories[0] }));
+          setFormData(prev => ({ ...prev, category: prev.category || sortedCategories[0] }));
         }
       } catch (error) {
         console.error("Failed to fetch product categories", error);
@@ -45,103 +74,117 @@ export default function AddProduct() {
     fetchCategories();
   }, []);
 
-  const validateField = useCallback((name, value) => {
-    let error = "";
-    switch (name) {
-      case "name":
-        if (!value.trim()) error = "Product name is required.";
-        else if (value.trim().length < 3) error = "Name must be at least 3 characters.";
-        break;
-      case "description":
-        if (!value.trim()) error = "Description is required.";
-        else if (value.trim().length < 10) error = "Description must be at least 10 characters.";
-        break;
-      case "price":
-        if (String(value).trim() === "") error = "Price is required.";
-        else if (isNaN(value) || Number(value) <= 0) error = "Price must be a positive number.";
-        break;
-      case "category":
-        if (!value) error = "Category is required.";
-        break;
-      case "stock":
-        if (String(value).trim() === "") error = "Stock quantity is required.";
-        else if (isNaN(value) || Number(value) < 0 || !Number.isInteger(Number(value))) error = "Stock must be a non-negative whole number.";
-        break;
-      default:
-        break;
-    }
-    return error;
-  }, []);
+  // Bring back the form the seller left unfinished, once per seller.
+  useEffect(() => {
+    if (!draftKey || restoredDraftKeyRef.current === draftKey) return;
+    restoredDraftKeyRef.current = draftKey;
+    const draft = loadProductDraft(draftKey);
+    if (!draft) return;
+    setFormData(prev => ({ ...prev, ...draft.formData, category: draft.formData.category || prev.category }));
+    setVariants(draft.variants);
+    setRestoredDraftAt(draft.savedAt);
+  }, [draftKey]);
+
+  useEffect(() => {
+    if (!draftKey || isSubmitting || !hasDraftContent(formData, variants)) return;
+    const timer = setTimeout(() => {
+      setLastAutoSavedAt(saveProductDraft(draftKey, { formData, variants }));
+    }, DRAFT_AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draftKey, formData, variants, isSubmitting]);
+
+  const handleDiscardDraft = () => {
+    clearProductDraft(draftKey);
+    setFormData(prev => ({ ...EMPTY_FORM, category: categories[0] || prev.category }));
+    setVariants([]);
+    setErrors({});
+    setVariantErrors({ rows: [], general: null });
+    setRestoredDraftAt(null);
+    setLastAutoSavedAt(null);
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
-    if (errors[name]) {
-      const error = validateField(name, value);
+    // Drafts are checked more loosely, so earlier errors may no longer apply.
+    if (name === "status") {
+      setErrors({});
+    } else if (errors[name]) {
+      const error = validateProductForm({ ...formData, [name]: value }, { hasVariants: variants.length > 0 })[name];
       setErrors(prev => ({ ...prev, [name]: error || null }));
     }
   };
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      if (file.size > 5 * 1024 * 1024) { // Max 5MB
-        toast.error("File is too large (max 5MB).");
-        return;
-      }
-      if (!['image/jpeg', 'image/png'].includes(file.type)) {
-        toast.error("Invalid file type. Please use JPEG or PNG.");
-        return;
-      }
-      setSelectedFile(file);
-      setImagePreview(URL.createObjectURL(file));
+  // Once the form has been submitted with errors, re-check the variants as they are edited.
+  const handleVariantsChange = (newVariants) => {
+    setVariants(newVariants);
+    if (hasVariantErrors(variantErrors)) {
+      setVariantErrors(validateVariants(newVariants));
+    }
+  };
+
+  const handleImagesChange = (newImages) => {
+    setImages(newImages);
+    if (newImages.length > 0) {
       setErrors(prev => ({ ...prev, image: null }));
     }
   };
-  
-  const removeImagePreview = () => {
-      if (imagePreview) {
-        URL.revokeObjectURL(imagePreview);
-      }
-      setSelectedFile(null);
-      setImagePreview("");
-      const fileInput = document.getElementById('imageUpload');
-      if (fileInput) fileInput.value = null;
-  }
+
+  const handleRemoveImage = (entry) => {
+    revokeImageEntry(entry);
+    setImages(prev => prev.filter(image => image.key !== entry.key));
+    if (coverKey === entry.key) setCoverKey(null);
+  };
+
+  // Reports upload status and progress back into the image manager while the gallery is saved.
+  const handleImageEntryChange = useCallback((key, changes) => {
+    setImages(prev => prev.map(image => (image.key === key ? { ...image, ...changes } : image)));
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    const newErrors = {};
-    Object.keys(formData).forEach(key => {
-      const error = validateField(key, formData[key]);
-      if (error) newErrors[key] = error;
-    });
-    if (!selectedFile) newErrors.image = "Product image is required.";
+    const isDraft = formData.status === "DRAFT";
+    // With variants, the product's stock is the sum of theirs.
+    const newErrors = validateProductForm(formData, { hasVariants: variants.length > 0 });
+    if (images.length === 0 && !isDraft) newErrors.image = "Add at least one product image.";
     setErrors(newErrors);
+    const newVariantErrors = validateVariants(variants);
+    setVariantErrors(newVariantErrors);
 
-    if (Object.keys(newErrors).length > 0) {
+    if (Object.keys(newErrors).length > 0 || hasVariantErrors(newVariantErrors)) {
         toast.error("Please correct the errors in the form.");
         return;
     }
 
     setIsSubmitting(true);
-    const toastId = toast.loading("Creating product...");
+    const toastId = toast.loading(isDraft ? "Saving draft..." : "Creating product...");
 
     try {
       const productPayload = {
         name: formData.name.trim(),
         description: formData.description.trim(),
-        price: parseFloat(formData.price),
+        price: formData.price === "" ? null : parseFloat(formData.price),
         category: formData.category,
-        stock: parseInt(formData.stock, 10),
+        stock: variants.length > 0 ? getTotalVariantStock(variants) : (formData.stock === "" ? null : parseInt(formData.stock, 10)),
+        variants: toVariantPayload(variants),
+        status: formData.status,
+        publishAt: formData.status === "SCHEDULED" ? fromDateTimeInputValue(formData.publishAt) : null,
       };
       const { data: createdProduct } = await createProduct(productPayload);
+      // The product is saved on the server now; the local copy is no longer needed.
+      clearProductDraft(draftKey);
 
-      toast.loading("Uploading image...", { id: toastId });
-      await uploadProductImage(createdProduct.id, selectedFile);
+      toast.loading("Uploading images...", { id: toastId });
+      const failedUploads = await saveProductGallery(createdProduct.id, { images, coverKey }, handleImageEntryChange);
+      if (failedUploads > 0) {
+        // The product exists now, so any retry has to happen on its edit page.
+        toast.error(`Product created, but ${failedUploads} image(s) failed to upload. Please add them again.`, { id: toastId });
+        navigate(`/seller/products/edit/${createdProduct.id}`);
+        return;
+      }
 
-      toast.success("Product added successfully!", { id: toastId });
+      toast.success(isDraft ? "Draft saved. You can finish it later from My Products." : "Product added successfully!", { id: toastId });
       navigate("/seller/products");
 
     } catch (error) {
@@ -178,6 +221,18 @@ export default function AddProduct() {
           <p className="text-sm text-gray-500 mt-1">Fill in the details below to list your product.</p>
         </header>
 
+        {restoredDraftAt && (
+          <div className="max-w-3xl mx-auto mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <p className="text-sm text-blue-800 flex items-start gap-2">
+              <ArrowPathIcon className="h-5 w-5 flex-shrink-0" />
+              <span>We restored the product you were working on ({formatDistanceToNowStrict(parseISO(restoredDraftAt), { addSuffix: true })}). Images have to be added again.</span>
+            </p>
+            <button type="button" onClick={handleDiscardDraft} className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-100 whitespace-nowrap">
+              Discard Draft
+            </button>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="bg-white p-6 sm:p-8 rounded-xl shadow-xl space-y-6 max-w-3xl mx-auto">
           <div>
             <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1.5">Product Name</label>
@@ -200,8 +255,9 @@ export default function AddProduct() {
 
             <div className="md:col-span-1">
               <label htmlFor="stock" className="block text-sm font-medium text-gray-700 mb-1.5">Stock Quantity</label>
-              <input type="number" name="stock" id="stock" value={formData.stock} onChange={handleChange} step="1" min="0" className={`w-full px-4 py-2.5 border rounded-lg shadow-sm focus:outline-none focus:ring-2 sm:text-sm ${errors.stock ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`} placeholder="e.g., 50" />
+              <input type="number" name="stock" id="stock" value={variants.length > 0 ? getTotalVariantStock(variants) : formData.stock} onChange={handleChange} disabled={variants.length > 0} step="1" min="0" className={`w-full px-4 disabled:bg-gray-100 py-2.5 border rounded-lg shadow-sm focus:outline-none focus:ring-2 sm:text-sm ${errors.stock ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'}`} placeholder="e.g., 50" />
               {errors.stock && <p className="text-xs text-red-600 mt-1.5">{errors.stock}</p>}
+              {variants.length > 0 && <p className="text-xs text-gray-500 mt-1.5">Total of all variants.</p>}
             </div>
 
             <div className="md:col-span-1">
@@ -213,34 +269,32 @@ export default function AddProduct() {
             </div>
           </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1.5">Product Image</label>
-            <div className={`mt-1 flex flex-col items-center justify-center px-6 pt-8 pb-8 border-2 ${errors.image ? 'border-red-400' : 'border-gray-300'} border-dashed rounded-lg hover:border-blue-400 transition-colors`}>
-              {!imagePreview ? (
-                <div className="space-y-2 text-center">
-                  <ArrowUpTrayIcon className="mx-auto h-12 w-12 text-gray-400" />
-                  <label htmlFor="imageUpload" className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500 px-1">
-                    <span>Upload a file</span>
-                    <input id="imageUpload" name="imageUpload" type="file" className="sr-only" onChange={handleImageChange} accept="image/png, image/jpeg" />
-                  </label>
-                  <p className="text-xs text-gray-500">PNG or JPG up to 5MB</p>
-                </div>
-              ) : (
-                <div className="relative group w-full max-w-xs mx-auto">
-                  <img src={imagePreview} alt="Product Preview" className="mx-auto h-48 w-auto object-contain rounded-md shadow-md" />
-                  <button type="button" onClick={removeImagePreview} className="absolute -top-3 -right-3 p-1.5 bg-red-600 text-white rounded-full shadow-lg opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity" aria-label="Remove image">
-                    <XCircleIcon className="h-6 w-6" />
-                  </button>
-                </div>
-              )}
-            </div>
-            {errors.image && <p className="text-xs text-red-600 mt-1.5">{errors.image}</p>}
-          </div>
+          <VariantEditor
+            variants={variants}
+            onChange={handleVariantsChange}
+            errors={variantErrors}
+            basePrice={formData.price}
+          />
+
+          <ProductImageManager
+            images={images}
+            coverKey={coverKey}
+            onChange={handleImagesChange}
+            onCoverChange={setCoverKey}
+            onRemove={handleRemoveImage}
+            disabled={isSubmitting}
+            error={errors.image}
+          />
+
+          <ProductStatusField status={formData.status} publishAt={formData.publishAt} onChange={handleChange} error={errors.publishAt} />
 
           <div className="pt-4">
             <button type="submit" disabled={isSubmitting || isAuthLoading} className="w-full flex items-center justify-center bg-blue-600 text-white py-3 px-4 rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 font-semibold disabled:opacity-70 disabled:cursor-not-allowed">
-              {isSubmitting ? 'Submitting...' : 'Add Product'}
+              {isSubmitting ? 'Submitting...' : SUBMIT_LABELS[formData.status]}
             </button>
+            {lastAutoSavedAt && (
+              <p className="text-xs text-gray-400 text-center mt-2">Unsaved changes kept on this device at {format(parseISO(lastAutoSavedAt), 'HH:mm')}.</p>
+            )}
           </div>
         </form>
       </main>
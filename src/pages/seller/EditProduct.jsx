@@ -1,68 +1,59 @@
 import React, { useState, useEffect, useCallback } from "react";
 import { useNavigate, useParams, Link } from "react-router-dom";
 import {
-  ArrowUpTrayIcon,
-  XCircleIcon,
   ExclamationTriangleIcon,
   ArrowLeftIcon,
+  ArrowPathIcon,
 } from "@heroicons/react/24/outline";
 import toast from 'react-hot-toast';
+import { format, formatDistanceToNowStrict, parseISO } from 'date-fns';
 
 import Sidebar from "../../components/Sidebar";
+import VariantEditor from "../../components/VariantEditor";
+import ProductImageManager from "../../components/ProductImageManager";
+import ProductStatusField from "../../components/ProductStatusField";
 import { useAuth } from "../../context/AuthContext";
-import { getProductById, updateProduct, uploadProductImage, getProductCategories } from "../../services/api";
+import { getProductById, updateProduct, getProductCategories, queryKeys } from "../../services/api";
+import { fetchQuery } from "../../services/queryCache";
+import { validateVariants, hasVariantErrors, toVariantPayload, toVariantFormRows, getTotalVariantStock } from "../../utils/variants";
+import { validateProductForm } from "../../utils/productValidation";
+import { getProductStatus, toDateTimeInputValue, fromDateTimeInputValue } from "../../utils/productStatus";
+import { getProductDraftKey, loadProductDraft, saveProductDraft, clearProductDraft } from "../../utils/productDrafts";
+import { saveProductGallery, revokeImageEntry, toImageEntries } from "../../utils/productImages";
+
+const DRAFT_AUTOSAVE_DELAY_MS = 1500;
 
 export default function EditProduct() {
   const { id: productId } = useParams();
   const { currentUser, userRole, isLoading: isAuthLoading } = useAuth();
   const navigate = useNavigate();
 
-  const [formData, setFormData] = useState({ name: "", description: "", price: "", category: "", stock: "" });
+  const [formData, setFormData] = useState({ name: "", description: "", price: "", category: "", stock: "", status: "ACTIVE", publishAt: "" });
   const [categories, setCategories] = useState([]);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [imagePreview, setImagePreview] = useState("");
+  const [images, setImages] = useState([]);
+  const [coverKey, setCoverKey] = useState(null);
+  const [removedImageIds, setRemovedImageIds] = useState([]);
   const [errors, setErrors] = useState({});
+  const [variants, setVariants] = useState([]);
+  const [variantErrors, setVariantErrors] = useState({ rows: [], general: null });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [pageError, setPageError] = useState(null);
   const [isLoadingPage, setIsLoadingPage] = useState(true);
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [restoredDraftAt, setRestoredDraftAt] = useState(null);
+  const [lastAutoSavedAt, setLastAutoSavedAt] = useState(null);
+
+  const draftKey = currentUser ? getProductDraftKey(currentUser.id, productId) : null;
 
-  const validateField = useCallback((name, value) => {
-    let error = "";
-    switch (name) {
-      case "name":
-        if (!value.trim()) error = "Product name is required.";
-        else if (value.trim().length < 3) error = "Name must be at least 3 characters.";
-        break;
-      case "description":
-        if (!value.trim()) error = "Description is required.";
-        else if (value.trim().length < 10) error = "Description must be at least 10 characters.";
-        break;
-      case "price":
-        if (String(value).trim() === "") error = "Price is required.";
-        else if (isNaN(value) || Number(value) <= 0) error = "Price must be a positive number.";
-        break;
-      case "category":
-        if (!value) error = "Category is required.";
-        break;
-      case "stock":
-        if (String(value).trim() === "") error = "Stock quantity is required.";
-        else if (isNaN(value) || Number(value) < 0 || !Number.isInteger(Number(value))) error = "Stock must be a non-negative whole number.";
-        break;
-      default:
-        break;
-    }
-    return error;
-  }, []);
-  
   useEffect(() => {
     if (!productId || isAuthLoading) return;
 
     const fetchInitialData = async () => {
       setIsLoadingPage(true);
       try {
-        const [productRes, categoriesRes] = await Promise.all([
+        const [productRes, categoryNames] = await Promise.all([
             getProductById(productId),
-            getProductCategories()
+            fetchQuery(queryKeys.productCategories, getProductCategories)
         ]);
         
         const productData = productRes.data;
@@ -74,26 +65,36 @@ export default function EditProduct() {
             return;
         }
 
-        setFormData({
+        const loadedFormData = {
             name: productData.name || "",
             description: productData.description || "",
-            price: productData.price !== undefined ? String(productData.price) : "",
+            // Drafts may have been saved without a price or stock.
+            price: productData.price != null ? String(productData.price) : "",
             category: productData.category || "",
-            stock: productData.stock !== undefined ? String(productData.stock) : "",
-        });
-        const imageUrl = productData.photoUrl || "";
-        // Check if the URL is absolute or relative before setting the preview
-        if (imageUrl) {
-            const fullImageUrl = imageUrl.startsWith('http')
-              ? imageUrl
-              : `http://localhost:8080${imageUrl}`;
-            setImagePreview(fullImageUrl);
+            stock: productData.stock != null ? String(productData.stock) : "",
+            status: getProductStatus(productData),
+            publishAt: toDateTimeInputValue(productData.publishAt),
+        };
+        const loadedVariants = toVariantFormRows(productData.variants);
+
+        // A draft may have unsaved edits from an earlier visit; use them unless the product changed since.
+        const productDraftKey = getProductDraftKey(currentUser.id, productId);
+        const localDraft = loadedFormData.status === "DRAFT" ? loadProductDraft(productDraftKey) : null;
+        if (localDraft && (!productData.updatedAt || localDraft.savedAt > productData.updatedAt)) {
+            setFormData({ ...loadedFormData, ...localDraft.formData });
+            setVariants(localDraft.variants);
+            setRestoredDraftAt(localDraft.savedAt);
         } else {
-            setImagePreview("");
+            clearProductDraft(productDraftKey);
+            setFormData(loadedFormData);
+            setVariants(loadedVariants);
         }
-        
-        if (categoriesRes.data && categoriesRes.data.length > 0) {
-            setCategories(categoriesRes.data.sort());
+        const imageEntries = toImageEntries(productData);
+        setImages(imageEntries);
+        setCoverKey(imageEntries.find(entry => entry.isCover)?.key ?? null);
+
+        if (categoryNames && categoryNames.length > 0) {
+            setCategories([...categoryNames].sort());
         }
 
       } catch (error) {
@@ -111,58 +112,70 @@ export default function EditProduct() {
 
   }, [productId, currentUser, userRole, isAuthLoading, navigate]);
 
+  // Keep unsaved edits to a draft on this device until the seller saves them.
+  useEffect(() => {
+    if (!draftKey || !hasUnsavedChanges || isSubmitting || formData.status !== "DRAFT") return;
+    const timer = setTimeout(() => {
+      setLastAutoSavedAt(saveProductDraft(draftKey, { formData, variants }));
+    }, DRAFT_AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draftKey, hasUnsavedChanges, formData, variants, isSubmitting]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
-    if (errors[name]) {
-      const error = validateField(name, value);
+    setHasUnsavedChanges(true);
+    // Drafts are checked more loosely, so earlier errors may no longer apply.
+    if (name === "status") {
+      setErrors({});
+    } else if (errors[name]) {
+      const error = validateProductForm({ ...formData, [name]: value }, { hasVariants: variants.length > 0 })[name];
       setErrors(prev => ({ ...prev, [name]: error || null }));
     }
   };
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      if (file.size > 5 * 1024 * 1024) {
-        toast.error("File is too large (max 5MB).");
-        return;
-      }
-      if (!['image/jpeg', 'image/png'].includes(file.type)) {
-        toast.error("Invalid file type. Please use JPEG or PNG.");
-        return;
-      }
-      if (imagePreview) {
-        URL.revokeObjectURL(imagePreview);
-      }
-      setSelectedFile(file);
-      setImagePreview(URL.createObjectURL(file));
+  // Once the form has been submitted with errors, re-check the variants as they are edited.
+  const handleVariantsChange = (newVariants) => {
+    setVariants(newVariants);
+    setHasUnsavedChanges(true);
+    if (hasVariantErrors(variantErrors)) {
+      setVariantErrors(validateVariants(newVariants));
+    }
+  };
+
+  const handleImagesChange = (newImages) => {
+    setImages(newImages);
+    if (newImages.length > 0) {
       setErrors(prev => ({ ...prev, image: null }));
     }
   };
 
-  const removeImagePreview = () => {
-      if (imagePreview) {
-        URL.revokeObjectURL(imagePreview);
-      }
-      setSelectedFile(null);
-      setImagePreview("");
-      document.getElementById('imageUpload').value = null;
+  const handleRemoveImage = (entry) => {
+    revokeImageEntry(entry);
+    setImages(prev => prev.filter(image => image.key !== entry.key));
+    if (coverKey === entry.key) setCoverKey(null);
+    if (entry.id !== null) setRemovedImageIds(prev => [...prev, entry.id]);
   };
 
+  // Reports upload status and progress back into the image manager while the gallery is saved.
+  const handleImageEntryChange = useCallback((key, changes) => {
+    setImages(prev => prev.map(image => (image.key === key ? { ...image, ...changes } : image)));
+  }, []);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    const newErrors = {};
-    Object.keys(formData).forEach(key => {
-      const error = validateField(key, formData[key]);
-      if (error) newErrors[key] = error;
-    });
-    if (!imagePreview && !selectedFile) {
-        newErrors.image = "A product image is required.";
+    const isDraft = formData.status === "DRAFT";
+    // With variants, the product's stock is the sum of theirs.
+    const newErrors = validateProductForm(formData, { hasVariants: variants.length > 0 });
+    if (images.length === 0 && !isDraft) {
+        newErrors.image = "Add at least one product image.";
     }
     setErrors(newErrors);
+    const newVariantErrors = validateVariants(variants);
+    setVariantErrors(newVariantErrors);
 
-    if (Object.keys(newErrors).length > 0) {
+    if (Object.keys(newErrors).length > 0 || hasVariantErrors(newVariantErrors)) {
         toast.error("Please correct the errors in the form.");
         return;
     }
@@ -174,15 +187,23 @@ export default function EditProduct() {
       const productUpdatePayload = {
         name: formData.name.trim(),
         description: formData.description.trim(),
-        price: parseFloat(formData.price),
+        price: formData.price === "" ? null : parseFloat(formData.price),
         category: formData.category,
-        stock: parseInt(formData.stock, 10),
+        stock: variants.length > 0 ? getTotalVariantStock(variants) : (formData.stock === "" ? null : parseInt(formData.stock, 10)),
+        variants: toVariantPayload(variants),
+        status: formData.status,
+        publishAt: formData.status === "SCHEDULED" ? fromDateTimeInputValue(formData.publishAt) : null,
       };
       await updateProduct(productId, productUpdatePayload);
+      clearProductDraft(draftKey);
+      setHasUnsavedChanges(false);
 
-      if (selectedFile) {
-        toast.loading("Uploading new image...", { id: toastId });
-        await uploadProductImage(productId, selectedFile);
+      toast.loading("Saving images...", { id: toastId });
+      const failedUploads = await saveProductGallery(productId, { images, coverKey, removedImageIds }, handleImageEntryChange);
+      setRemovedImageIds([]);
+      if (failedUploads > 0) {
+        toast.error(`${failedUploads} image(s) failed to upload. Remove them or try saving again.`, { id: toastId });
+        return;
       }
 
       toast.success("Product updated successfully!", { id: toastId });
@@ -237,6 +258,13 @@ export default function EditProduct() {
           <p className="text-sm text-gray-500 mt-1">Update details for: <span className="font-medium text-gray-700">{formData.name}</span></p>
         </header>
 
+        {restoredDraftAt && (
+          <div className="max-w-3xl mx-auto mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800 flex items-start gap-2">
+            <ArrowPathIcon className="h-5 w-5 flex-shrink-0" />
+            <span>We restored your unsaved changes to this draft ({formatDistanceToNowStrict(parseISO(restoredDraftAt), { addSuffix: true })}). Save to keep them.</span>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="bg-white p-6 sm:p-8 rounded-xl shadow-xl space-y-6 max-w-3xl mx-auto">
           <div>
             <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1.5">Product Name</label>
@@ -259,8 +287,9 @@ export default function EditProduct() {
             
             <div>
               <label htmlFor="stock" className="block text-sm font-medium text-gray-700 mb-1.5">Stock Quantity</label>
-              <input type="number" name="stock" value={formData.stock} onChange={handleChange} step="1" min="0" className={`w-full px-4 py-2.5 border rounded-lg shadow-sm focus:outline-none focus:ring-2 ${errors.stock ? 'border-red-500' : 'border-gray-300'}`} />
+              <input type="number" name="stock" value={variants.length > 0 ? getTotalVariantStock(variants) : formData.stock} onChange={handleChange} disabled={variants.length > 0} step="1" min="0" className={`w-full px-4 disabled:bg-gray-100 py-2.5 border rounded-lg shadow-sm focus:outline-none focus:ring-2 ${errors.stock ? 'border-red-500' : 'border-gray-300'}`} />
               {errors.stock && <p className="text-xs text-red-600 mt-1.5">{errors.stock}</p>}
+              {variants.length > 0 && <p className="text-xs text-gray-500 mt-1.5">Total of all variants.</p>}
             </div>
             
             <div>
@@ -272,35 +301,32 @@ export default function EditProduct() {
             </div>
           </div>
           
-           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1.5">Product Image</label>
-            <div className={`mt-1 flex flex-col items-center justify-center px-6 pt-8 pb-8 border-2 ${errors.image ? 'border-red-400' : 'border-gray-300'} border-dashed rounded-lg`}>
-              {imagePreview ? (
-                <div className="relative group w-full max-w-xs mx-auto">
-                  <img src={imagePreview} alt="Product Preview" className="mx-auto h-48 w-auto object-contain rounded-md shadow-md" />
-                  <button type="button" onClick={removeImagePreview} className="absolute -top-3 -right-3 p-1.5 bg-red-600 text-white rounded-full shadow-lg opacity-0 group-hover:opacity-100 focus:opacity-100" aria-label="Remove image">
-                    <XCircleIcon className="h-6 w-6" />
-                  </button>
-                </div>
-              ) : (
-                 <div className="space-y-2 text-center">
-                  <ArrowUpTrayIcon className="mx-auto h-12 w-12 text-gray-400" />
-                  <label htmlFor="imageUpload" className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 px-1">
-                    <span>Upload an image</span>
-                    <input id="imageUpload" name="imageUpload" type="file" className="sr-only" onChange={handleImageChange} accept="image/png, image/jpeg" />
-                  </label>
-                  <p className="text-xs text-gray-500">PNG or JPG up to 5MB</p>
-                </div>
-              )}
-            </div>
-             {imagePreview && !selectedFile && <p className="text-xs text-gray-500 mt-2 text-center">Currently showing existing image. Upload a new file to replace it.</p>}
-            {errors.image && <p className="text-xs text-red-600 mt-1.5">{errors.image}</p>}
-          </div>
+          <VariantEditor
+            variants={variants}
+            onChange={handleVariantsChange}
+            errors={variantErrors}
+            basePrice={formData.price}
+          />
+
+          <ProductImageManager
+            images={images}
+            coverKey={coverKey}
+            onChange={handleImagesChange}
+            onCoverChange={setCoverKey}
+            onRemove={handleRemoveImage}
+            disabled={isSubmitting}
+            error={errors.image}
+          />
+
+          <ProductStatusField status={formData.status} publishAt={formData.publishAt} onChange={handleChange} error={errors.publishAt} />
 
           <div className="pt-4">
             <button type="submit" disabled={isSubmitting || isLoadingPage} className="w-full flex items-center justify-center bg-green-600 text-white py-3 px-4 rounded-lg shadow-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 font-semibold disabled:opacity-70">
-              {isSubmitting ? "Updating..." : "Update Product"}
+              {isSubmitting ? "Updating..." : (formData.status === "DRAFT" ? "Save Draft" : "Update Product")}
             </button>
+            {lastAutoSavedAt && formData.status === "DRAFT" && (
+              <p className="text-xs text-gray-400 text-center mt-2">Unsaved changes kept on this device at {format(parseISO(lastAutoSavedAt), 'HH:mm')}.</p>
+            )}
           </div>
         </form>
       </main>
@@ -0,0 +1,224 @@
+import React, { useEffect, useState, useCallback, useMemo } from "react";
+import {
+  ChartBarIcon,
+  CurrencyDollarIcon,
+  CubeIcon,
+  ReceiptPercentIcon,
+  HeartIcon,
+  ExclamationTriangleIcon,
+} from "@heroicons/react/24/outline";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  BarChart,
+  LineChart,
+  PieChart,
+  Pie,
+  Cell,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import toast from "react-hot-toast";
+
+import Sidebar from "../../components/Sidebar";
+import ChartCard from "../../components/analytics/ChartCard";
+import MetricCard from "../../components/analytics/MetricCard";
+import DateRangeSelect from "../../components/analytics/DateRangeSelect";
+import { useAuth } from "../../context/AuthContext";
+import { getMySellerAnalytics } from "../../services/api";
+import {
+  DEFAULT_DATE_RANGE,
+  CHART_COLORS,
+  getDateRangeParams,
+  formatCurrency,
+  formatCompactCurrency,
+  formatPercent,
+  formatBucketDate,
+  downloadAnalyticsCsv,
+} from "../../utils/analytics";
+
+const EMPTY_ANALYTICS = {
+  summary: { revenue: 0, units: 0, orders: 0, averageOrderValue: 0, favorites: 0, favoritesPurchased: 0 },
+  timeline: [],
+  topProducts: [],
+  categories: [],
+  ratings: [],
+};
+
+// Columns of each CSV export, in file order.
+const CSV_COLUMNS = {
+  timeline: [
+    { key: "date", label: "Period start" },
+    { key: "revenue", label: "Revenue" },
+    { key: "units", label: "Units sold" },
+    { key: "orders", label: "Orders" },
+  ],
+  topProducts: [
+    { key: "productId", label: "Product ID" },
+    { key: "productName", label: "Product" },
+    { key: "units", label: "Units sold" },
+    { key: "revenue", label: "Revenue" },
+  ],
+  categories: [
+    { key: "category", label: "Category" },
+    { key: "units", label: "Units sold" },
+    { key: "revenue", label: "Revenue" },
+  ],
+  ratings: [
+    { key: "date", label: "Period start" },
+    { key: "averageRating", label: "Average rating" },
+    { key: "reviewCount", label: "Reviews" },
+  ],
+};
+
+export default function SellerAnalytics() {
+  const { currentUser, isLoading: isAuthLoading } = useAuth();
+
+  const [rangeKey, setRangeKey] = useState(DEFAULT_DATE_RANGE);
+  const [analytics, setAnalytics] = useState(EMPTY_ANALYTICS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const rangeParams = useMemo(() => getDateRangeParams(rangeKey), [rangeKey]);
+
+  const fetchAnalytics = useCallback(async () => {
+    if (!currentUser) return;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const { data } = await getMySellerAnalytics(rangeParams);
+      setAnalytics({ ...EMPTY_ANALYTICS, ...data, summary: { ...EMPTY_ANALYTICS.summary, ...data?.summary } });
+    } catch (err) {
+      console.error("SellerAnalytics: Error fetching analytics:", err);
+      const errMsg = err.response?.data?.message || "Could not load your sales analytics.";
+      setError(errMsg);
+      toast.error(errMsg);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUser, rangeParams]);
+
+  useEffect(() => {
+    if (!isAuthLoading && currentUser) {
+      fetchAnalytics();
+    }
+  }, [currentUser, isAuthLoading, fetchAnalytics]);
+
+  const exportData = (name) => () => downloadAnalyticsCsv(name, rangeParams, CSV_COLUMNS[name], analytics[name]);
+
+  const { summary, timeline, topProducts, categories, ratings } = analytics;
+  const favoriteConversion = summary.favorites > 0 ? summary.favoritesPurchased / summary.favorites : 0;
+  const ratedBuckets = ratings.filter(bucket => bucket.reviewCount > 0);
+  const bucketLabel = rangeParams.interval === "WEEK" ? "week" : "day";
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+      <main className="flex-1 p-6 sm:p-8 space-y-8 min-w-0">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-3"><ChartBarIcon className="h-8 w-8" /> Sales Analytics</h1>
+            <p className="text-sm text-gray-500 mt-1">Paid orders only, counting just your items in each order.</p>
+          </div>
+          <DateRangeSelect value={rangeKey} onChange={setRangeKey} disabled={isLoading} />
+        </div>
+
+        {error && (
+          <div className="p-4 text-sm text-red-700 bg-red-100 rounded-lg shadow flex items-center" role="alert">
+            <ExclamationTriangleIcon className="h-6 w-6 mr-2" />
+            <span className="font-medium mr-1">Analytics Error:</span> {error}
+            <button onClick={fetchAnalytics} className="ml-4 px-3 py-1 text-sm bg-red-200 text-red-800 rounded hover:bg-red-300">Try Again</button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-6">
+          <MetricCard label="Revenue" value={formatCurrency(summary.revenue)} hint={`${summary.orders} order(s)`} icon={CurrencyDollarIcon} color="green" isLoading={isLoading} />
+          <MetricCard label="Units Sold" value={summary.units} icon={CubeIcon} color="blue" isLoading={isLoading} />
+          <MetricCard label="Avg. Order Value" value={formatCurrency(summary.averageOrderValue)} hint="Your items per order" icon={ReceiptPercentIcon} color="purple" isLoading={isLoading} />
+          <MetricCard
+            label="Favorite → Purchase"
+            value={formatPercent(favoriteConversion)}
+            hint={`${summary.favoritesPurchased} of ${summary.favorites} favorite(s) bought`}
+            icon={HeartIcon}
+            color="red"
+            isLoading={isLoading}
+          />
+        </div>
+
+        <ChartCard
+          title="Revenue and Units"
+          description={`Per ${bucketLabel}`}
+          onExport={exportData("timeline")}
+          isEmpty={!isLoading && timeline.length === 0}
+        >
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={timeline}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="date" tickFormatter={formatBucketDate} tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="revenue" tickFormatter={formatCompactCurrency} tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="units" orientation="right" allowDecimals={false} tick={{ fontSize: 12 }} />
+              <Tooltip labelFormatter={formatBucketDate} formatter={(value, name) => (name === "Revenue" ? formatCurrency(value) : value)} />
+              <Legend />
+              <Bar yAxisId="revenue" dataKey="revenue" name="Revenue" fill={CHART_COLORS[0]} radius={[4, 4, 0, 0]} />
+              <Line yAxisId="units" type="monotone" dataKey="units" name="Units" stroke={CHART_COLORS[1]} strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <ChartCard title="Top Products" description="By revenue" onExport={exportData("topProducts")} isEmpty={!isLoading && topProducts.length === 0}>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={topProducts} layout="vertical" margin={{ left: 16 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis type="number" tickFormatter={formatCompactCurrency} tick={{ fontSize: 12 }} />
+                <YAxis type="category" dataKey="productName" width={120} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Bar dataKey="revenue" name="Revenue" fill={CHART_COLORS[0]} radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          <ChartCard title="Sales by Category" description="Share of revenue" onExport={exportData("categories")} isEmpty={!isLoading && categories.length === 0}>
+            <ResponsiveContainer width="100%" height={300}>
+              <PieChart>
+                <Pie data={categories} dataKey="revenue" nameKey="category" innerRadius={60} outerRadius={100} paddingAngle={2}>
+                  {categories.map((entry, index) => <Cell key={entry.category} fill={CHART_COLORS[index % CHART_COLORS.length]} />)}
+                </Pie>
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+
+        <ChartCard
+          title="Rating Trend"
+          description={`Average rating of new reviews per ${bucketLabel}`}
+          onExport={exportData("ratings")}
+          isEmpty={!isLoading && ratedBuckets.length === 0}
+          emptyText="No reviews in this period."
+        >
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={ratings}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="date" tickFormatter={formatBucketDate} tick={{ fontSize: 12 }} />
+              <YAxis domain={[1, 5]} ticks={[1, 2, 3, 4, 5]} tick={{ fontSize: 12 }} />
+              <Tooltip
+                labelFormatter={formatBucketDate}
+                formatter={(value, name, { payload }) => [`${Number(value).toFixed(2)} (${payload.reviewCount} review${payload.reviewCount !== 1 ? "s" : ""})`, name]}
+              />
+              {/* Periods without reviews have no average; the line bridges them. */}
+              <Line type="monotone" dataKey="averageRating" name="Average rating" stroke={CHART_COLORS[6]} strokeWidth={2} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </ChartCard>
+      </main>
+    </div>
+  );
+}
@@ -8,12 +8,54 @@ import {
   ExclamationTriangleIcon,
   UserCircleIcon,
   ShoppingCartIcon,
+  CubeIcon,
+  ChartBarIcon,
 } from "@heroicons/react/24/outline";
 import toast from "react-hot-toast";
 
 import Sidebar from "../../components/Sidebar";
 import { useAuth } from "../../context/AuthContext";
 import { getMySellerProducts, getUnreadMessageCount, getMySellerSales } from "../../services/api";
+import { STOCK_LEVELS, getLowStockThreshold, getStockLevel, getStockRows } from "../../utils/inventory";
+import { getVariantLabel } from "../../utils/variants";
+
+const LOW_STOCK_ALERT_LIMIT = 5;
+
+// The products (or variants) that are out of stock or at/below their low-stock threshold.
+const LowStockAlerts = ({ products, totalCount }) => (
+  <div className="bg-white p-6 rounded-xl shadow-lg border-l-4 border-yellow-400">
+    <div className="flex justify-between items-center mb-4">
+      <h2 className="text-xl font-semibold text-gray-700 flex items-center gap-2">
+        <ExclamationTriangleIcon className="h-6 w-6 text-yellow-500" /> Low Stock Alerts ({totalCount})
+      </h2>
+      <Link to="/seller/inventory" className="text-sm font-medium text-blue-600 hover:underline">Manage inventory &rarr;</Link>
+    </div>
+    <ul className="divide-y divide-gray-100">
+      {products.map(product => {
+        const threshold = getLowStockThreshold(product);
+        const lowRows = getStockRows(product).filter(row => getStockLevel(row.stock, threshold) !== 'IN');
+        return (
+          <li key={product.id} className="py-2.5">
+            <p className="text-sm font-medium text-gray-800">{product.name}</p>
+            <div className="flex flex-wrap gap-2 mt-1">
+              {lowRows.map(row => {
+                const level = getStockLevel(row.stock, threshold);
+                return (
+                  <span key={row.variant?.id ?? 'product'} className={`px-2 py-0.5 rounded-full text-xs font-medium ${STOCK_LEVELS[level].badgeClassName}`}>
+                    {row.variant ? `${getVariantLabel(row.variant)}: ` : ''}{level === 'OUT' ? STOCK_LEVELS.OUT.label : `${row.stock} left`}
+                  </span>
+                );
+              })}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+    {totalCount > products.length && (
+      <p className="text-xs text-gray-500 mt-3">And {totalCount - products.length} more.</p>
+    )}
+  </div>
+);
 
 const StatCard = ({ title, value, icon: Icon, color, linkTo, linkText, isLoading }) => (
   <Link to={linkTo} className="block bg-white p-6 rounded-xl shadow-lg hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1">
@@ -35,6 +77,7 @@ export default function SellerDashboard() {
   
   // Initialize totalSales to 0 instead of "N/A"
   const [stats, setStats] = useState({ productCount: 0, unreadMessageCount: 0, totalSales: 0 });
+  const [lowStock, setLowStock] = useState({ products: [], totalCount: 0 });
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -45,10 +88,15 @@ export default function SellerDashboard() {
     setError(null);
     try {
       // Add the new API call to Promise.all
-      const [productsRes, messagesRes, salesRes] = await Promise.all([
+      const [productsRes, messagesRes, salesRes, lowStockRes] = await Promise.all([
         getMySellerProducts({ size: 1 }),
         getUnreadMessageCount(),
         getMySellerSales(),
+        // The alerts are extra: if they fail to load, the rest of the dashboard still shows, without them.
+        getMySellerProducts({ lowStock: true, size: LOW_STOCK_ALERT_LIMIT, sort: "stock,ASC" }).catch((lowStockError) => {
+          console.error("SellerDashboard: Error fetching low stock products:", lowStockError);
+          return null;
+        }),
       ]);
 
       // Update state with the fetched sales data
@@ -57,6 +105,10 @@ export default function SellerDashboard() {
         unreadMessageCount: messagesRes.data?.unreadCount || 0,
         totalSales: salesRes.data?.totalSales || 0,
       });
+      setLowStock({
+        products: lowStockRes?.data?.content || [],
+        totalCount: lowStockRes?.data?.totalElements || 0,
+      });
 
     } catch (err) {
       console.error("SellerDashboard: Error fetching dashboard data:", err);
@@ -105,19 +157,25 @@ export default function SellerDashboard() {
             title="Total Sales" 
             value={new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(stats.totalSales)} 
             icon={CurrencyDollarIcon} color="green" 
-            linkTo="/seller/orders" 
-            linkText="View sales data" 
+            linkTo="/seller/analytics" 
+            linkText="View sales analytics" 
             isLoading={isLoading} />
           <StatCard title="Unread Messages" value={stats.unreadMessageCount} icon={ChatBubbleLeftEllipsisIcon} color="purple" linkTo="/seller/messages" linkText="View messages" isLoading={isLoading} />
         </div>
         
+        {!isLoading && lowStock.totalCount > 0 && (
+          <LowStockAlerts products={lowStock.products} totalCount={lowStock.totalCount} />
+        )}
+
         <div className="bg-white p-6 rounded-xl shadow-lg">
            <h2 className="text-xl font-semibold text-gray-700 mb-4">Quick Links</h2>
              <ul className="space-y-3">
               {[
                   { label: "View My Products", path: "/seller/products", icon: ArchiveBoxIcon },
                   { label: "Add New Product", path: "/seller/products/add", icon: PlusCircleIcon },
+                  { label: "Manage Inventory", path: "/seller/inventory", icon: CubeIcon },
                   { label: "Manage Orders", path: "/seller/orders", icon: ShoppingCartIcon },
+                  { label: "Sales Analytics", path: "/seller/analytics", icon: ChartBarIcon },
                   { label: "Edit Profile", path: "/profile/edit", icon: UserCircleIcon },
               ].map(link => ( 
                 <li key={link.path}>
@@ -0,0 +1,363 @@
+import React, { useEffect, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
+import {
+  CubeIcon,
+  ExclamationTriangleIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ClockIcon,
+} from "@heroicons/react/24/outline";
+import { format, parseISO } from 'date-fns';
+import toast from 'react-hot-toast';
+
+import Sidebar from "../../components/Sidebar";
+import { useAuth } from "../../context/AuthContext";
+import { getMySellerProducts, adjustProductStock, getStockAdjustments, updateLowStockThreshold } from "../../services/api";
+import {
+  STOCK_ADJUSTMENT_REASONS,
+  STOCK_LEVELS,
+  getLowStockThreshold,
+  getStockLevel,
+  getStockRows,
+  validateStockAdjustment,
+  validateLowStockThreshold,
+} from "../../utils/inventory";
+import { getVariantLabel } from "../../utils/variants";
+
+const PRODUCTS_PER_PAGE = 20;
+
+const FILTER_TABS = [
+  { value: "ALL", label: "All products" },
+  { value: "LOW", label: "Needs restock" },
+];
+
+const EMPTY_ADJUSTMENT = { quantity: "", reason: "RESTOCK", note: "" };
+
+// Inline form for one stock row: a quantity, why it changed, and an optional note.
+const StockAdjuster = ({ currentStock, onAdjust }) => {
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setAdjustment(prev => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateStockAdjustment(adjustment, currentStock);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setIsSaving(true);
+    const change = STOCK_ADJUSTMENT_REASONS[adjustment.reason].toChange(Number(adjustment.quantity), currentStock);
+    const saved = await onAdjust({ change, reason: adjustment.reason, note: adjustment.note.trim() });
+    setIsSaving(false);
+    if (saved) setAdjustment(EMPTY_ADJUSTMENT);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-1" noValidate>
+      <div className="flex flex-wrap items-center gap-2">
+        <select name="reason" value={adjustment.reason} onChange={handleChange} aria-label="Reason" className="border border-gray-300 rounded-md text-xs py-1.5 bg-white">
+          {Object.entries(STOCK_ADJUSTMENT_REASONS).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <input type="number" name="quantity" value={adjustment.quantity} onChange={handleChange} min="0" step="1" placeholder={STOCK_ADJUSTMENT_REASONS[adjustment.reason].hint} aria-label={STOCK_ADJUSTMENT_REASONS[adjustment.reason].hint} className={`w-32 border rounded-md text-xs py-1.5 ${error ? 'border-red-500' : 'border-gray-300'}`} />
+        <input type="text" name="note" value={adjustment.note} onChange={handleChange} maxLength={200} placeholder="Note (optional)" aria-label="Note" className="w-40 border border-gray-300 rounded-md text-xs py-1.5" />
+        <button type="submit" disabled={isSaving} className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50">
+          {isSaving ? "Saving..." : "Apply"}
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+const ThresholdInput = ({ product, onSave }) => {
+  const threshold = getLowStockThreshold(product);
+  const [value, setValue] = useState(String(threshold));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setValue(String(threshold));
+  }, [threshold]);
+
+  const handleBlur = async () => {
+    const validationError = validateLowStockThreshold(value);
+    setError(validationError);
+    if (validationError || Number(value) === threshold) return;
+    const saved = await onSave(Number(value));
+    if (!saved) setValue(String(threshold));
+  };
+
+  return (
+    <div>
+      <input
+        type="number"
+        value={value}
+        onChange={(e) => { setValue(e.target.value); setError(null); }}
+        onBlur={handleBlur}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        min="0"
+        step="1"
+        aria-label={`Low-stock threshold for ${product.name}`}
+        className={`w-20 border rounded-md text-xs py-1.5 ${error ? 'border-red-500' : 'border-gray-300'}`}
+      />
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+const StockHistory = ({ adjustments, isLoading }) => {
+  if (isLoading) return <p className="text-xs text-gray-500 animate-pulse">Loading history...</p>;
+  if (adjustments.length === 0) return <p className="text-xs text-gray-500">No stock changes recorded yet.</p>;
+  return (
+    <ul className="divide-y divide-gray-100 text-xs">
+      {adjustments.map(adjustment => (
+        <li key={adjustment.id} className="py-1.5 flex flex-wrap gap-x-4 gap-y-0.5">
+          <span className="text-gray-500 w-36">{format(parseISO(adjustment.createdAt), "MMM d, yyyy HH:mm")}</span>
+          <span className={`font-semibold w-12 ${adjustment.change > 0 ? 'text-green-700' : 'text-red-700'}`}>{adjustment.change > 0 ? `+${adjustment.change}` : adjustment.change}</span>
+          <span className="text-gray-700 w-24">{STOCK_ADJUSTMENT_REASONS[adjustment.reason]?.label || adjustment.reason}</span>
+          {getVariantLabel(adjustment) && <span className="text-gray-500">{getVariantLabel(adjustment)}</span>}
+          <span className="text-gray-500">Stock after: {adjustment.stockAfter}</span>
+          {adjustment.note && <span className="text-gray-600 italic">"{adjustment.note}"</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default function SellerInventory() {
+  const { currentUser, isLoading: isAuthLoading } = useAuth();
+
+  const [productsData, setProductsData] = useState({ content: [], totalPages: 0, totalElements: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentPage, setCurrentPage] = useState(0);
+  const [filter, setFilter] = useState("ALL");
+  const [openHistory, setOpenHistory] = useState({ productId: null, adjustments: [], isLoading: false });
+
+  const fetchInventory = useCallback(async (page) => {
+    if (!currentUser) return;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = {
+        page,
+        size: PRODUCTS_PER_PAGE,
+        sort: filter === "LOW" ? "stock,ASC" : "name,ASC",
+        ...(filter === "LOW" && { lowStock: true }),
+      };
+      const { data } = await getMySellerProducts(params);
+      setProductsData(data);
+    } catch (err) {
+      console.error("Error fetching inventory:", err);
+      const errMsg = err.response?.data?.message || "Could not load your inventory.";
+      setError(errMsg);
+      toast.error(errMsg);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentUser, filter]);
+
+  useEffect(() => {
+    if (!isAuthLoading) {
+      fetchInventory(currentPage);
+    }
+  }, [isAuthLoading, currentPage, fetchInventory]);
+
+  const loadHistory = useCallback(async (productId) => {
+    setOpenHistory({ productId, adjustments: [], isLoading: true });
+    try {
+      const { data } = await getStockAdjustments(productId);
+      setOpenHistory({ productId, adjustments: Array.isArray(data) ? data : [], isLoading: false });
+    } catch (err) {
+      console.error("Error fetching stock history:", err);
+      toast.error(err.response?.data?.message || "Could not load the stock history.");
+      setOpenHistory({ productId: null, adjustments: [], isLoading: false });
+    }
+  }, []);
+
+  const toggleHistory = (productId) => {
+    if (openHistory.productId === productId) {
+      setOpenHistory({ productId: null, adjustments: [], isLoading: false });
+    } else {
+      loadHistory(productId);
+    }
+  };
+
+  const replaceProduct = (updatedProduct) => {
+    setProductsData(prev => ({
+      ...prev,
+      content: prev.content.map(product => (product.id === updatedProduct.id ? { ...product, ...updatedProduct } : product)),
+    }));
+  };
+
+  // Resolves to whether the change was saved, so the inline form knows to reset.
+  const handleAdjust = async (product, variant, adjustment) => {
+    try {
+      const { data } = await adjustProductStock(product.id, { variantId: variant?.id ?? null, ...adjustment });
+      replaceProduct(data);
+      toast.success(`Stock for "${product.name}" updated.`);
+      if (openHistory.productId === product.id) loadHistory(product.id);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update the stock.");
+      return false;
+    }
+  };
+
+  const handleThresholdSave = async (product, threshold) => {
+    try {
+      const { data } = await updateLowStockThreshold(product.id, threshold);
+      replaceProduct(data);
+      toast.success(`Low-stock alert for "${product.name}" set to ${threshold}.`);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save the threshold.");
+      return false;
+    }
+  };
+
+  const handleFilterChange = (value) => {
+    setFilter(value);
+    setCurrentPage(0);
+    setOpenHistory({ productId: null, adjustments: [], isLoading: false });
+  };
+
+  const renderStockCells = (product, row) => {
+    const level = getStockLevel(row.stock, getLowStockThreshold(product));
+    return (
+      <>
+        <td className="px-4 py-3 text-sm text-gray-600">{row.variant ? getVariantLabel(row.variant) : <span className="text-gray-400">—</span>}</td>
+        <td className="px-4 py-3 text-sm">
+          <span className="font-semibold text-gray-800 mr-2">{row.stock}</span>
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STOCK_LEVELS[level].badgeClassName}`}>{STOCK_LEVELS[level].label}</span>
+        </td>
+        <td className="px-4 py-3">
+          <StockAdjuster currentStock={row.stock} onAdjust={(adjustment) => handleAdjust(product, row.variant, adjustment)} />
+        </td>
+      </>
+    );
+  };
+
+  const renderContent = () => {
+    if (isLoading && productsData.content.length === 0) {
+      return <p className="text-gray-500 py-10 text-center animate-pulse">Loading inventory...</p>;
+    }
+
+    if (error) {
+      return (
+        <div className="p-4 my-6 text-center text-red-700 bg-red-100 rounded-lg shadow">
+          <ExclamationTriangleIcon className="h-10 w-10 text-red-400 mx-auto mb-2" />
+          <span className="font-medium">Error:</span> {error}
+          <button onClick={() => fetchInventory(currentPage)} className="ml-4 px-3 py-1 text-sm bg-red-200 text-red-800 rounded hover:bg-red-300">Try Again</button>
+        </div>
+      );
+    }
+
+    if (productsData.content.length === 0) {
+      return (
+        <div className="text-center py-12 bg-white rounded-lg shadow-md">
+          <CubeIcon className="mx-auto h-16 w-16 text-gray-300 mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700">{filter === "LOW" ? "Nothing needs restocking" : "No products yet"}</h3>
+          {filter === "LOW"
+            ? <button onClick={() => handleFilterChange("ALL")} className="mt-3 text-sm font-medium text-blue-600 hover:text-blue-800">Show all products</button>
+            : <Link to="/seller/products/add" className="mt-3 inline-block text-sm font-medium text-blue-600 hover:text-blue-800">Add your first product</Link>}
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Alert at</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Variant</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stock</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Adjust</th>
+              </tr>
+            </thead>
+            {productsData.content.map(product => {
+              const rows = getStockRows(product);
+              const isHistoryOpen = openHistory.productId === product.id;
+              return (
+                <tbody key={product.id} className="divide-y divide-gray-100 border-b border-gray-200">
+                  {rows.map((row, index) => (
+                    <tr key={row.variant?.id ?? 'product'} className="align-top">
+                      {index === 0 && (
+                        <>
+                          <td rowSpan={rows.length} className="px-4 py-3 text-sm">
+                            <Link to={`/seller/products/edit/${product.id}`} className="font-semibold text-gray-800 hover:text-blue-600">{product.name}</Link>
+                            <p className="text-xs text-gray-500">{product.category}</p>
+                            <button onClick={() => toggleHistory(product.id)} className="mt-1 inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-800">
+                              <ClockIcon className="h-4 w-4" /> {isHistoryOpen ? "Hide history" : "History"}
+                            </button>
+                          </td>
+                          <td rowSpan={rows.length} className="px-4 py-3">
+                            <ThresholdInput product={product} onSave={(threshold) => handleThresholdSave(product, threshold)} />
+                          </td>
+                        </>
+                      )}
+                      {renderStockCells(product, row)}
+                    </tr>
+                  ))}
+                  {isHistoryOpen && (
+                    <tr>
+                      <td colSpan={5} className="px-4 py-3 bg-gray-50">
+                        <StockHistory adjustments={openHistory.adjustments} isLoading={openHistory.isLoading} />
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              );
+            })}
+          </table>
+        </div>
+        {productsData.totalPages > 1 && (
+          <nav className="flex justify-between items-center gap-2 px-4 py-3 mt-6 bg-white rounded-lg shadow" aria-label="Pagination">
+            <p className="text-xs text-gray-700">Page {currentPage + 1} of {productsData.totalPages}</p>
+            <div className="flex items-center space-x-1">
+              <button onClick={() => setCurrentPage(p => p - 1)} disabled={currentPage === 0 || isLoading} className="p-1.5 text-xs font-medium border rounded-md disabled:opacity-50"><ChevronLeftIcon className="h-4 w-4"/></button>
+              <span className="px-3 py-1 text-xs font-medium">{currentPage + 1}</span>
+              <button onClick={() => setCurrentPage(p => p + 1)} disabled={currentPage >= productsData.totalPages - 1 || isLoading} className="p-1.5 text-xs font-medium border rounded-md disabled:opacity-50"><ChevronRightIcon className="h-4 w-4"/></button>
+            </div>
+          </nav>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="flex min-h-screen bg-gray-100">
+      <Sidebar />
+      <main className="flex-1 p-6 sm:p-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-3"><CubeIcon className="h-8 w-8" /> Inventory</h1>
+          <p className="text-sm text-gray-500 mt-1">Adjust stock, see why it changed, and choose when you get a low-stock alert.</p>
+        </div>
+        <div className="flex gap-1 mb-6 border-b border-gray-200" role="tablist">
+          {FILTER_TABS.map(tab => (
+            <button
+              key={tab.value}
+              role="tab"
+              aria-selected={filter === tab.value}
+              onClick={() => handleFilterChange(tab.value)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px whitespace-nowrap ${filter === tab.value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {renderContent()}
+      </main>
+    </div>
+  );
+}
@@ -1,13 +1,14 @@
 import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
-import Stomp from 'stompjs';
-import SockJS from 'sockjs-client';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { formatDistanceToNowStrict, parseISO } from 'date-fns';
 import toast from 'react-hot-toast';
 import { ChatBubbleLeftEllipsisIcon, PaperAirplaneIcon, ArrowLeftIcon, InboxIcon } from "@heroicons/react/24/outline";
 
 import Sidebar from "../../components/Sidebar";
 import { useAuth } from "../../context/AuthContext";
-import { getMyConversations, getMessagesForConversation, markConversationAsRead } from "../../services/api";
+import { useRealtime, useSubscription } from "../../context/RealtimeContext";
+import { useNotifications } from "../../context/NotificationsContext";
+import { getMyConversations, getMessagesForConversation } from "../../services/api";
 
 const formatLastMessageTime = (isoTimestamp) => {
   if (!isoTimestamp) return '';
@@ -22,6 +23,8 @@ const formatMessageTimestamp = (isoTimestamp) => {
 
 export default function SellerMessagesPage() {
   const { currentUser, isAuthLoading } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
 
   const [conversations, setConversations] = useState([]);
   const [messages, setMessages] = useState([]);
@@ -31,12 +34,11 @@ export default function SellerMessagesPage() {
   const [isLoadingConvos, setIsLoadingConvos] = useState(true);
   const [isLoadingMessages, setIsLoadingMessages] = useState(false);
 
-  const stompClientRef = useRef(null);
+  const { send } = useRealtime();
+  const { markConversationAsRead } = useNotifications();
   const messagesEndRef = useRef(null);
-  const subscriptionRef = useRef(null);
 
-  const onMessageReceived = useCallback((message) => {
-    const receivedMsg = JSON.parse(message.body);
+  const onMessageReceived = useCallback((receivedMsg) => {
     setMessages(prevMessages => {
         if (prevMessages.some(msg => msg.id === receivedMsg.id)) return prevMessages;
         return [...prevMessages, receivedMsg];
@@ -50,21 +52,17 @@ export default function SellerMessagesPage() {
         );
         return updatedConvos.sort((a, b) => parseISO(b.lastMessageTimestamp || 0) - parseISO(a.lastMessageTimestamp || 0));
     });
-  }, [currentUser]);
+  }, [currentUser, markConversationAsRead]);
+
+  useSubscription(selectedConvoId ? `/topic/conversation/${selectedConvoId}` : null, onMessageReceived);
 
   const handleSelectConversation = useCallback(async (conversationId) => {
     if (isLoadingMessages) return;
-    if (subscriptionRef.current) {
-        subscriptionRef.current.unsubscribe();
-    }
     setSelectedConvoId(conversationId);
     setIsLoadingMessages(true);
     try {
         const { data } = await getMessagesForConversation(conversationId);
         setMessages(data || []);
-        if (stompClientRef.current?.connected) {
-            subscriptionRef.current = stompClientRef.current.subscribe(`/topic/conversation/${conversationId}`, onMessageReceived);
-        }
         await markConversationAsRead(conversationId);
         setConversations(prev => prev.map(c => c.id === conversationId ? { ...c, unreadMessageCount: 0 } : c));
     } catch (error) {
@@ -73,49 +71,34 @@ export default function SellerMessagesPage() {
     } finally {
         setIsLoadingMessages(false);
     }
-  }, [isLoadingMessages, onMessageReceived]);
+  }, [isLoadingMessages, markConversationAsRead]);
 
-  const fetchConversations = useCallback(async () => {
+  const fetchConversations = useCallback(async (convoToSelect = null) => {
     if (!currentUser) return;
     setIsLoadingConvos(true);
     try {
       const { data } = await getMyConversations();
       setConversations((data || []).sort((a, b) => parseISO(b.lastMessageTimestamp || 0) - parseISO(a.lastMessageTimestamp || 0)));
+      if (convoToSelect) {
+        handleSelectConversation(convoToSelect);
+      }
     } catch (error) {
       toast.error("Could not load conversations.");
     } finally {
       setIsLoadingConvos(false);
     }
-  }, [currentUser]);
-
-  useEffect(() => {
-    const token = localStorage.getItem('appAuthToken');
-
-    if (!currentUser || !token || stompClientRef.current) return;
-
-    const socket = new SockJS('http://localhost:8080/ws');
-    const client = Stomp.over(socket);
-    stompClientRef.current = client;
-    const headers = { 'Authorization': `Bearer ${token}` };
-
-    client.connect(headers, 
-      () => console.log('STOMP (Seller): Connected'),
-      (error) => console.error('STOMP (Seller): Connection error', error)
-    );
-
-    return () => {
-      if (subscriptionRef.current) subscriptionRef.current.unsubscribe();
-      if (stompClientRef.current?.connected) {
-        stompClientRef.current.disconnect(() => console.log('STOMP (Seller): Disconnected.'));
-      }
-    };
-  }, [currentUser]);
+  }, [currentUser, handleSelectConversation]);
 
   useEffect(() => {
-    if (!isAuthLoading && currentUser) {
+    const { state } = location;
+    if (!isAuthLoading && currentUser && state?.openConversationId) {
+      // Coming from a Navbar notification: open that conversation directly.
+      fetchConversations(state.openConversationId);
+      navigate(location.pathname, { replace: true, state: {} });
+    } else if (!isAuthLoading && currentUser) {
       fetchConversations();
     }
-  }, [isAuthLoading, currentUser, fetchConversations]);
+  }, [location, isAuthLoading, currentUser, navigate, fetchConversations]);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -124,13 +107,17 @@ export default function SellerMessagesPage() {
   const handleSendMessage = (e) => {
     e.preventDefault();
     const trimmedMessage = newMessage.trim();
-    if (!trimmedMessage || !stompClientRef.current?.connected || !selectedConvoId) return;
+    if (!trimmedMessage || !selectedConvoId) return;
 
-    stompClientRef.current.send("/app/chat.sendMessage", {}, JSON.stringify({
+    const wasSent = send("/app/chat.sendMessage", {
       conversationId: selectedConvoId,
       senderId: currentUser.id,
       content: trimmedMessage,
-    }));
+    });
+    if (!wasSent) {
+      toast.error("Chat is reconnecting. Please try again in a moment.");
+      return;
+    }
     setNewMessage("");
   };
 
@@ -12,24 +12,64 @@ import toast from 'react-hot-toast';
 
 import Sidebar from '../../components/Sidebar';
 import { useAuth } from '../../context/AuthContext';
+import OrderLineItems from '../../components/OrderLineItems';
+import OrderStatusChangeFields from '../../components/OrderStatusChangeFields';
+import ReturnRequestSummary from '../../components/ReturnRequestSummary';
 import { getMySellerOrders, updateOrderStatus } from '../../services/api';
+import { getCarrier } from '../../services/carriers';
+import {
+    createOrderStatusChange,
+    getOrderStatusBadgeClassName,
+    getOrderStatusLabel,
+    getOrderTransitionDetails,
+    getOrderTransitions,
+    validateOrderTransition,
+} from '../../utils/orderStatus';
 
 const ORDERS_PER_PAGE = 10;
 
+/**
+ * An order can mix products from several sellers; a seller only sees, handles and earns from their
+ * own lines. Their part of the order carries the status and shipment those lines share, falling
+ * back to the order's for orders placed before lines tracked their own, and only the returned
+ * lines that are theirs to accept or reject.
+ */
+const getSellerOrder = (order, sellerId) => {
+    const items = (order.items || []).filter(item => item.sellerId === sellerId);
+    const returnedItems = (order.returnRequest?.items || []).filter(returned => items.some(item => item.id === returned.orderItemId));
+    return {
+        ...order,
+        items,
+        status: items[0]?.status || order.status,
+        shipment: items[0]?.shipment !== undefined ? items[0].shipment : order.shipment,
+        returnRequest: returnedItems.length > 0 ? { ...order.returnRequest, items: returnedItems } : null,
+    };
+};
+const getItemsTotal = (items) => items.reduce((sum, item) => sum + item.productPrice * item.quantity, 0);
+// The seller's lines being returned, with the returned quantity.
+const getReturnedItems = (order) => (order.returnRequest?.items || [])
+    .map(({ orderItemId, quantity }) => ({ ...order.items.find(item => item.id === orderItemId), quantity }));
+
 // A modal component for updating the order status
+// `order` is the seller's part, from `getSellerOrder`.
 const StatusUpdateModal = ({ order, onClose, onStatusUpdate }) => {
-    const [newStatus, setNewStatus] = useState(order.status);
+    const [change, setChange] = useState(() => createOrderStatusChange(order));
+    const [errors, setErrors] = useState({});
     const [isUpdating, setIsUpdating] = useState(false);
+    const canChangeStatus = getOrderTransitions(order.status, 'SELLER').length > 0;
 
     const handleUpdate = async () => {
-        if (newStatus === order.status) {
-            toast.error("Please select a new status.");
-            return;
-        }
+        const validationErrors = validateOrderTransition(order, change, 'SELLER');
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
         setIsUpdating(true);
         const toastId = toast.loading("Updating order status...");
         try {
-            await updateOrderStatus(order.id, newStatus);
+            await updateOrderStatus(order.id, change.status, {
+                ...getOrderTransitionDetails(order, change, 'SELLER'),
+                orderItemIds: order.items.map(item => item.id),
+            });
             toast.success("Order status updated!", { id: toastId });
             onStatusUpdate(); // This will trigger a refetch in the parent
             onClose();
@@ -40,8 +80,6 @@ const StatusUpdateModal = ({ order, onClose, onStatusUpdate }) => {
         }
     };
 
-    const availableStatuses = ["PROCESSING", "SHIPPED", "COMPLETED", "CANCELLED"];
-
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
             <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md m-4">
@@ -50,27 +88,33 @@ const StatusUpdateModal = ({ order, onClose, onStatusUpdate }) => {
                     <button onClick={onClose} className="p-1 rounded-full hover:bg-gray-200"><XMarkIcon className="h-6 w-6" /></button>
                 </div>
                 <div className="space-y-4">
-                    <p><span className="font-semibold">Product:</span> {order.productName}</p>
-                    <p><span className="font-semibold">Current Status:</span> {order.status.replace('_', ' ')}</p>
                     <div>
-                        <label htmlFor="status" className="block text-sm font-medium text-gray-700">New Status:</label>
-                        <select
-                            id="status"
-                            value={newStatus}
-                            onChange={(e) => setNewStatus(e.target.value)}
-                            className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-purple-500 focus:border-purple-500 sm:text-sm rounded-md"
-                        >
-                            {availableStatuses.map(status => (
-                                <option key={status} value={status}>{status.replace('_', ' ')}</option>
-                            ))}
-                        </select>
+                        <p className="font-semibold mb-1">Items:</p>
+                        <OrderLineItems items={order.items} />
                     </div>
+                    <p><span className="font-semibold">Current Status:</span> {getOrderStatusLabel(order.status)}</p>
+                    {order.returnRequest && (
+                        <div className="border rounded-md p-3 bg-gray-50">
+                            <p className="font-semibold mb-2">Return Request:</p>
+                            <ReturnRequestSummary returnRequest={order.returnRequest} orderItems={order.items} />
+                            {order.status === 'RETURN_REQUESTED' && <p className="text-xs text-gray-500 mt-2">Accepting refunds ${getItemsTotal(getReturnedItems(order)).toFixed(2)} for these items.</p>}
+                        </div>
+                    )}
+                    <OrderStatusChangeFields
+                        order={order}
+                        role="SELLER"
+                        value={change}
+                        onChange={(value) => { setChange(value); setErrors({}); }}
+                        errors={errors}
+                    />
                 </div>
                 <div className="mt-6 flex justify-end gap-3">
-                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
-                    <button onClick={handleUpdate} disabled={isUpdating || newStatus === order.status} className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400">
-                        {isUpdating ? "Updating..." : "Update Status"}
-                    </button>
+                    <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{canChangeStatus ? "Cancel" : "Close"}</button>
+                    {canChangeStatus && (
+                        <button onClick={handleUpdate} disabled={isUpdating || !change.status} className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400">
+                            {isUpdating ? "Updating..." : "Update Status"}
+                        </button>
+                    )}
                 </div>
             </div>
         </div>
@@ -111,17 +155,6 @@ export default function SellerOrdersPage() {
         }
     }, [isAuthLoading, fetchOrders]);
     
-    const getStatusColor = (status) => {
-        // ... (status color logic remains the same)
-        switch (status?.toUpperCase()) {
-            case 'PAID': case 'PROCESSING': return 'bg-blue-100 text-blue-700';
-            case 'SHIPPED': case 'COMPLETED': return 'bg-green-100 text-green-700';
-            case 'PENDING_PAYMENT': case 'PENDING': return 'bg-yellow-100 text-yellow-700';
-            case 'CANCELLED': case 'PAYMENT_FAILED': return 'bg-red-100 text-red-700';
-            default: return 'bg-gray-100 text-gray-700';
-        }
-    };
-    
     return (
         <div className="flex min-h-screen bg-gray-100">
             <Sidebar />
@@ -150,27 +183,37 @@ export default function SellerOrdersPage() {
                                 <tr>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order ID</th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
-                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product Sold</th>
-                                    <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase">Qty</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items Sold</th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
                                     <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Item Total</th>
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                                 </tr>
                             </thead>
                             <tbody className="bg-white divide-y divide-gray-200">
-                                {ordersData.content.map((order) => (
+                                {ordersData.content.map((fullOrder) => {
+                                    const order = getSellerOrder(fullOrder, currentUser?.id);
+                                    return (
                                     <tr key={order.id} className="hover:bg-gray-50">
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">#{String(order.id).slice(-8)}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(order.date).toLocaleDateString()}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{order.productName}</td>
-                                        <td className="px-4 py-4 whitespace-nowrap text-center text-sm text-gray-500">{order.quantity}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap"><span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusColor(order.status)}`}>{order.status.replace('_', ' ')}</span></td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-gray-800">${order.total.toFixed(2)}</td>
+                                        <td className="px-6 py-4"><OrderLineItems items={order.items} /></td>
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <span className={`px-2.5 py-0.5 inline-flex text-xs leading-5 font-semibold rounded-full ${getOrderStatusBadgeClassName(order.status)}`}>{getOrderStatusLabel(order.status)}</span>
+                                            {order.shipment && (
+                                                <p className="text-xs text-gray-500 mt-1">{getCarrier(order.shipment.carrier).label} <span className="font-mono">{order.shipment.trackingNumber}</span></p>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-gray-800">${getItemsTotal(order.items).toFixed(2)}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                                            <button onClick={() => { setSelectedOrder(order); setIsModalOpen(true); }} className="text-purple-600 hover:text-purple-900">Manage</button>
+                                            {getOrderTransitions(order.status, 'SELLER').length > 0 ? (
+                                                <button onClick={() => { setSelectedOrder(order); setIsModalOpen(true); }} className="text-purple-600 hover:text-purple-900">{order.status === 'RETURN_REQUESTED' ? 'Review return' : 'Manage'}</button>
+                                            ) : (
+                                                <span className="text-gray-400">No actions</span>
+                                            )}
                                         </td>
                                     </tr>
-                                ))}
+                                    );
+                                })}
                             </tbody>
                         </table>
                         {/* Pagination */}
@@ -179,7 +222,7 @@ export default function SellerOrdersPage() {
             </main>
             {isModalOpen && selectedOrder && (
                 <StatusUpdateModal 
-                    order={selectedOrder} 
+                    order={selectedOrder}
                     onClose={() => setIsModalOpen(false)}
                     onStatusUpdate={fetchOrders}
                 />
@@ -8,15 +8,32 @@ import {
   ExclamationTriangleIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  ArchiveBoxArrowDownIcon,
+  ArrowUturnLeftIcon,
 } from "@heroicons/react/24/outline";
+import { format, parseISO } from 'date-fns';
 import toast from 'react-hot-toast';
 
 import Sidebar from "../../components/Sidebar";
+import ProductCsvImportModal from "../../components/ProductCsvImportModal";
 import { useAuth } from "../../context/AuthContext";
-import { getMySellerProducts, deleteProduct } from "../../services/api";
+import { getMySellerProducts, deleteProduct, updateProductStatus } from "../../services/api";
+import { downloadCsv } from "../../utils/csv";
+import { getAllSellerProducts, productsToCsv } from "../../utils/productCsv";
+import { PRODUCT_STATUSES, getProductStatus } from "../../utils/productStatus";
 
 const PRODUCTS_PER_PAGE = 12;
 
+const STATUS_TABS = [
+  { value: "ALL", label: "All" },
+  { value: "ACTIVE", label: "Active" },
+  { value: "SCHEDULED", label: "Scheduled" },
+  { value: "DRAFT", label: "Drafts" },
+  { value: "ARCHIVED", label: "Archived" },
+];
+
 export default function SellerProducts() {
   const { currentUser, isLoading: isAuthLoading } = useAuth();
   
@@ -24,6 +41,9 @@ export default function SellerProducts() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentPage, setCurrentPage] = useState(0);
+  const [statusFilter, setStatusFilter] = useState("ALL");
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
 
   const fetchSellerProducts = useCallback(async (page) => {
     if (!currentUser) return;
@@ -34,7 +54,8 @@ export default function SellerProducts() {
       const params = {
         page,
         size: PRODUCTS_PER_PAGE,
-        sort: "id,DESC"
+        sort: "id,DESC",
+        ...(statusFilter !== "ALL" && { status: statusFilter }),
       };
       const { data } = await getMySellerProducts(params);
       setProductsData(data);
@@ -46,7 +67,7 @@ export default function SellerProducts() {
     } finally {
       setIsLoading(false);
     }
-  }, [currentUser]);
+  }, [currentUser, statusFilter]);
 
   useEffect(() => {
     if (!isAuthLoading) {
@@ -54,6 +75,50 @@ export default function SellerProducts() {
     }
   }, [isAuthLoading, currentPage, fetchSellerProducts]);
 
+  const closeImport = useCallback(() => setIsImportOpen(false), []);
+
+  const handleImported = useCallback(() => {
+    if (currentPage === 0) fetchSellerProducts(0);
+    else setCurrentPage(0); // New products are listed first.
+  }, [currentPage, fetchSellerProducts]);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    const toastId = toast.loading("Preparing your catalog...");
+    try {
+      const products = await getAllSellerProducts();
+      downloadCsv(`my-products-${new Date().toISOString().slice(0, 10)}.csv`, productsToCsv(products));
+      toast.success(`Exported ${products.length} product(s).`, { id: toastId });
+    } catch (err) {
+      console.error("Error exporting seller products:", err);
+      toast.error(err.response?.data?.message || "Could not export your products.", { id: toastId });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleStatusTabChange = (status) => {
+    setStatusFilter(status);
+    setCurrentPage(0);
+  };
+
+  // Archiving takes a product out of the store without deleting it; restoring lists it again.
+  const handleChangeStatus = async (product, status) => {
+    const toastId = toast.loading(status === "ARCHIVED" ? "Archiving product..." : "Restoring product...");
+    try {
+      await updateProductStatus(product.id, status);
+      toast.success(status === "ARCHIVED" ? `"${product.name}" archived.` : `"${product.name}" is active again.`, { id: toastId });
+      const leavesTab = statusFilter !== "ALL" && statusFilter !== status;
+      if (leavesTab && productsData.content.length === 1 && currentPage > 0) {
+        setCurrentPage(currentPage - 1);
+      } else {
+        fetchSellerProducts(currentPage);
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to change the product's status.", { id: toastId });
+    }
+  };
+
   const handleDeleteProduct = (productId, productName) => {
     if (!currentUser) return;
 
@@ -120,6 +185,16 @@ export default function SellerProducts() {
       );
     }
 
+    if (productsData.content.length === 0 && statusFilter !== "ALL") {
+      return (
+        <div className="text-center py-12 bg-white rounded-lg shadow-md">
+          <ArchiveBoxIcon className="mx-auto h-16 w-16 text-gray-300 mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700">No {PRODUCT_STATUSES[statusFilter].label.toLowerCase()} products</h3>
+          <button onClick={() => handleStatusTabChange("ALL")} className="mt-3 text-sm font-medium text-blue-600 hover:text-blue-800">Show all products</button>
+        </div>
+      );
+    }
+
     if (productsData.content.length === 0) {
       return (
         <div className="text-center col-span-full py-12 bg-white rounded-lg shadow-md">
@@ -136,30 +211,48 @@ export default function SellerProducts() {
     return (
       <>
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {productsData.content.map((product) => (
-            <div key={product.id} className="bg-white rounded-xl shadow-lg overflow-hidden flex flex-col hover:shadow-2xl transition-shadow">
-              <Link to={`/products/${product.id}`} className="block group">
-                <img 
-                  src={product.photoUrl && product.photoUrl.startsWith('http') ? product.photoUrl : `http://localhost:8080${product.photoUrl || ''}`}
-                  alt={product.name} 
-                  className="w-full h-48 object-cover group-hover:opacity-90" 
-                />
-              </Link>
-              <div className="p-5 flex flex-col flex-grow">
-                <h2 className="text-lg font-semibold text-gray-800 truncate mb-1" title={product.name}>{product.name}</h2>
-                <p className="text-xs text-gray-500 mb-2 uppercase tracking-wider">{product.category}</p>
-                <p className="text-2xl font-bold text-blue-600 mb-3">${product.price?.toFixed(2)}</p>
-                <div className="mt-auto border-t border-gray-100 pt-4 flex justify-between items-center gap-2">
-                  <Link to={`/seller/products/edit/${product.id}`} className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-green-700 bg-green-50 rounded-md hover:bg-green-100">
-                    <PencilSquareIcon className="h-4 w-4" /> Edit
-                  </Link>
-                  <button onClick={() => handleDeleteProduct(product.id, product.name)} className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-red-700 bg-red-50 rounded-md hover:bg-red-100">
-                    <TrashIcon className="h-4 w-4" /> Delete
-                  </button>
+          {productsData.content.map((product) => {
+            const status = getProductStatus(product);
+            return (
+              <div key={product.id} className="bg-white rounded-xl shadow-lg overflow-hidden flex flex-col hover:shadow-2xl transition-shadow">
+                <Link to={`/products/${product.id}`} className="block group relative">
+                  <span className={`absolute top-2 left-2 px-2 py-0.5 text-xs font-semibold rounded-full shadow-sm ${PRODUCT_STATUSES[status].badgeClassName}`}>
+                    {PRODUCT_STATUSES[status].label}
+                  </span>
+                  <img 
+                    src={product.photoUrl && product.photoUrl.startsWith('http') ? product.photoUrl : `http://localhost:8080${product.photoUrl || ''}`}
+                    alt={product.name} 
+                    className={`w-full h-48 object-cover group-hover:opacity-90 ${status === "ACTIVE" ? "" : "opacity-75"}`}
+                  />
+                </Link>
+                <div className="p-5 flex flex-col flex-grow">
+                  <h2 className="text-lg font-semibold text-gray-800 truncate mb-1" title={product.name}>{product.name}</h2>
+                  <p className="text-xs text-gray-500 mb-2 uppercase tracking-wider">{product.category}</p>
+                  <p className="text-2xl font-bold text-blue-600 mb-3">{product.price != null ? `$${product.price.toFixed(2)}` : <span className="text-base font-medium text-gray-400">No price yet</span>}</p>
+                  {status === "SCHEDULED" && product.publishAt && (
+                    <p className="text-xs text-blue-700 -mt-2 mb-3">Goes live {format(parseISO(product.publishAt), "MMM d, yyyy 'at' HH:mm")}</p>
+                  )}
+                  <div className="mt-auto border-t border-gray-100 pt-4 flex justify-between items-center gap-2">
+                    <Link to={`/seller/products/edit/${product.id}`} className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-green-700 bg-green-50 rounded-md hover:bg-green-100">
+                      <PencilSquareIcon className="h-4 w-4" /> {status === "DRAFT" ? "Finish" : "Edit"}
+                    </Link>
+                    {status === "ARCHIVED" ? (
+                      <button onClick={() => handleChangeStatus(product, "ACTIVE")} className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 rounded-md hover:bg-blue-100">
+                        <ArrowUturnLeftIcon className="h-4 w-4" /> Restore
+                      </button>
+                    ) : (
+                      <button onClick={() => handleChangeStatus(product, "ARCHIVED")} className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-yellow-800 bg-yellow-50 rounded-md hover:bg-yellow-100">
+                        <ArchiveBoxArrowDownIcon className="h-4 w-4" /> Archive
+                      </button>
+                    )}
+                    <button onClick={() => handleDeleteProduct(product.id, product.name)} className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-red-700 bg-red-50 rounded-md hover:bg-red-100">
+                      <TrashIcon className="h-4 w-4" /> Delete
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
         {productsData.totalPages > 1 && (
           <nav className="flex flex-col sm:flex-row justify-between items-center gap-2 px-4 py-3 mt-8 bg-white rounded-lg shadow" aria-label="Pagination">
@@ -186,11 +279,33 @@ export default function SellerProducts() {
             <h1 className="text-3xl font-bold text-gray-800">My Products</h1>
             <p className="text-sm text-gray-500 mt-1">Manage your product listings ({productsData.totalElements} items).</p>
           </div>
-          <Link to="/seller/products/add" className="inline-flex items-center gap-2 px-4 py-2.5 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700">
-            <PlusCircleIcon className="h-5 w-5" /> Add New Product
-          </Link>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => setIsImportOpen(true)} className="inline-flex items-center gap-2 px-4 py-2.5 bg-white text-gray-700 font-semibold rounded-lg shadow-md border border-gray-200 hover:bg-gray-50">
+              <ArrowUpTrayIcon className="h-5 w-5" /> Import CSV
+            </button>
+            <button onClick={handleExport} disabled={isExporting} className="inline-flex items-center gap-2 px-4 py-2.5 bg-white text-gray-700 font-semibold rounded-lg shadow-md border border-gray-200 hover:bg-gray-50 disabled:opacity-50">
+              <ArrowDownTrayIcon className="h-5 w-5" /> {isExporting ? "Exporting..." : "Export CSV"}
+            </button>
+            <Link to="/seller/products/add" className="inline-flex items-center gap-2 px-4 py-2.5 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700">
+              <PlusCircleIcon className="h-5 w-5" /> Add New Product
+            </Link>
+          </div>
+        </div>
+        <div className="flex gap-1 mb-6 border-b border-gray-200 overflow-x-auto" role="tablist">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              role="tab"
+              aria-selected={statusFilter === tab.value}
+              onClick={() => handleStatusTabChange(tab.value)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px whitespace-nowrap ${statusFilter === tab.value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
         {renderContent()}
+        {isImportOpen && <ProductCsvImportModal onClose={closeImport} onImported={handleImported} />}
       </main>
     </div>
   );
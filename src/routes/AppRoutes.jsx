@@ -22,6 +22,7 @@ import UserProfileEditPage from "../pages/profile/UserProfileEditPage";
 // Buyer Pages
 import BuyerDashboard from "../pages/buyer/BuyerDashboard";
 import BuyerOrdersPage from "../pages/buyer/BuyerOrders";
+import BuyerOrderDetails from "../pages/buyer/BuyerOrderDetails";
 import BuyerMessagesPage from "../pages/buyer/BuyerMessages";
 import BuyerFavoritesPage from "../pages/buyer/BuyerFavorites";
 import BuyerReviewsPage from "../pages/buyer/BuyerReviewsPage";
@@ -33,6 +34,8 @@ import SellerAddProductPage from "../pages/seller/AddProduct";
 import SellerEditProductPage from "../pages/seller/EditProduct";
 import SellerOrdersPage from "../pages/seller/SellerOrdersPage";
 import SellerMessagesPage from "../pages/seller/SellerMessages";
+import SellerInventoryPage from "../pages/seller/SellerInventory";
+import SellerAnalyticsPage from "../pages/seller/SellerAnalytics";
 
 // Admin Pages
 import AdminDashboard from "../pages/admin/AdminDashboard";
@@ -42,6 +45,7 @@ import AdminOrderManagementPage from "../pages/admin/AdminOrderManagement";
 import AdminContactMessagesPage from "../pages/admin/AdminContactMessages";
 import AdminSettingsPage from "../pages/admin/AdminSettings";
 import AdminDeliveryManagementPage from "../pages/admin/AdminDeliveryManagement";
+import AdminPromotionManagementPage from "../pages/admin/AdminPromotionManagement";
 
 export default function AppRoutes() {
   return (
@@ -63,10 +67,11 @@ export default function AppRoutes() {
       {/* ===== Buyer Protected Routes ===== */}
       <Route path="/buyer/dashboard" element={<ProtectedRoute role="BUYER"><BuyerDashboard /></ProtectedRoute>} />
       <Route path="/buyer/orders" element={<ProtectedRoute role="BUYER"><BuyerOrdersPage /></ProtectedRoute>} />
+      <Route path="/buyer/orders/:id" element={<ProtectedRoute role="BUYER"><BuyerOrderDetails /></ProtectedRoute>} />
       <Route path="/buyer/messages" element={<ProtectedRoute role="BUYER"><BuyerMessagesPage /></ProtectedRoute>} />
       <Route path="/buyer/favorites" element={<ProtectedRoute role="BUYER"><BuyerFavoritesPage /></ProtectedRoute>} />
       <Route path="/buyer/reviews" element={<ProtectedRoute role="BUYER"><BuyerReviewsPage /></ProtectedRoute>} />
-      <Route path="/payment" element={<ProtectedRoute role="BUYER"><PaymentPage /></ProtectedRoute>} />
+      <Route path="/payment/:orderId" element={<ProtectedRoute role="BUYER"><PaymentPage /></ProtectedRoute>} />
 
 
       {/* ===== Seller Protected Routes ===== */}
@@ -74,6 +79,8 @@ export default function AppRoutes() {
       <Route path="/seller/products" element={<ProtectedRoute role="SELLER"><SellerProductsPage /></ProtectedRoute>} />
       <Route path="/seller/products/add" element={<ProtectedRoute role="SELLER"><SellerAddProductPage /></ProtectedRoute>} />
       <Route path="/seller/products/edit/:id" element={<ProtectedRoute role="SELLER"><SellerEditProductPage /></ProtectedRoute>} />
+      <Route path="/seller/inventory" element={<ProtectedRoute role="SELLER"><SellerInventoryPage /></ProtectedRoute>} />
+      <Route path="/seller/analytics" element={<ProtectedRoute role="SELLER"><SellerAnalyticsPage /></ProtectedRoute>} />
       <Route path="/seller/orders" element={<ProtectedRoute role="SELLER"><SellerOrdersPage /></ProtectedRoute>} />
       <Route path="/seller/messages" element={<ProtectedRoute role="SELLER"><SellerMessagesPage /></ProtectedRoute>} />
       
@@ -85,6 +92,7 @@ export default function AppRoutes() {
       <Route path="/admin/contact-messages" element={<ProtectedRoute role="ADMIN"><AdminContactMessagesPage /></ProtectedRoute>} />
       <Route path="/admin/settings" element={<ProtectedRoute role="ADMIN"><AdminSettingsPage /></ProtectedRoute>} />
       <Route path="/admin/deliveries" element={<ProtectedRoute role="ADMIN"><AdminDeliveryManagementPage /></ProtectedRoute>} />
+      <Route path="/admin/promotions" element={<ProtectedRoute role="ADMIN"><AdminPromotionManagementPage /></ProtectedRoute>} />
       
       {/* ===== Catch All Route (404 Not Found) ===== */}
       <Route path="*" element={<NotFoundPage />} />
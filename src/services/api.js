@@ -1,5 +1,7 @@
 import axios from 'axios';
 
+import { invalidateQueries } from './queryCache';
+
 // --- Configuration ---
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:8080/api';
 
@@ -25,21 +27,132 @@ apiClient.interceptors.request.use(
   }
 );
 
+// --- Token Refresh ---
+// A separate client without interceptors, so a failing refresh can never trigger another refresh.
+const refreshClient = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Endpoints where a 401 means "bad credentials", not "expired token".
+const AUTH_ENDPOINTS = ['/users/login', '/users/register', '/users/logout', '/users/refresh-token'];
+
+let isRefreshing = false;
+let pendingRequests = []; // Requests that hit a 401 while a refresh was already in flight.
+
+// AuthContext registers these so its state follows whatever the interceptor decides.
+let sessionHandlers = {
+  onTokenRefreshed: null,
+  onSessionExpired: null,
+};
+
+/**
+ * Lets the AuthProvider react to refreshes and expired sessions.
+ * Returns a function that unregisters the handlers.
+ */
+export const registerSessionHandlers = (handlers) => {
+  sessionHandlers = { ...sessionHandlers, ...handlers };
+  return () => {
+    sessionHandlers = { onTokenRefreshed: null, onSessionExpired: null };
+  };
+};
+
+const settlePendingRequests = (error, token = null) => {
+  pendingRequests.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(token)));
+  pendingRequests = [];
+};
+
+const replayWithToken = (request, token) => {
+  request.headers.Authorization = `Bearer ${token}`;
+  return apiClient(request);
+};
+
+// --- Query Cache Invalidation ---
+// A successful write under a path marks the cached reads it can change as stale (see queryCache.js).
+// Only reads made through `queryKeys` are cached, so every group here must be a `queryKeys` group.
+const INVALIDATIONS_BY_PATH = [
+  { path: '/products', groups: ['products'] },
+  // Checkout, cancellations and returns move stock.
+  { path: '/orders', groups: ['products'] },
+  // Ratings are part of the product.
+  { path: '/reviews', groups: ['products'] },
+];
+
+const invalidateAfterWrite = ({ method, url = '' }) => {
+  if (method === 'get') return;
+  INVALIDATIONS_BY_PATH
+    .filter(({ path }) => url === path || url.startsWith(`${path}/`) || url.startsWith(`${path}?`))
+    .forEach(({ groups }) => groups.forEach((group) => invalidateQueries([group])));
+};
+
 apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      console.error('API Error: Unauthorized (401). Token may be expired or invalid.');
-      
-      // The user is not authorized. Clear their session from local storage.
-      localStorage.removeItem('appAuthToken');
-      localStorage.removeItem('appAuthUserData');
+  (response) => {
+    invalidateAfterWrite(response.config);
+    return response;
+  },
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some((path) => originalRequest?.url?.startsWith(path));
+
+    if (error.response?.status !== 401 || !originalRequest || originalRequest._retry || isAuthEndpoint) {
+      return Promise.reject(error);
+    }
+
+    const refreshToken = localStorage.getItem('appAuthRefreshToken');
+    if (!refreshToken) {
+      // A guest hitting a protected endpoint has no session to end; only an expired token does.
+      const sentToken = originalRequest.headers?.Authorization || localStorage.getItem('appAuthToken');
+      if (sentToken) {
+        console.error('API Error: Unauthorized (401) and no refresh token available.');
+        sessionHandlers.onSessionExpired?.();
+      }
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    // A refresh is already running: wait for it, then replay this request with the new token.
+    if (isRefreshing) {
+      return new Promise((resolve, reject) => {
+        pendingRequests.push({ resolve, reject });
+      }).then((token) => replayWithToken(originalRequest, token));
+    }
+
+    isRefreshing = true;
+    try {
+      const { data } = await refreshClient.post('/users/refresh-token', { refreshToken });
+      const { token, refreshToken: rotatedRefreshToken } = data;
+
+      localStorage.setItem('appAuthToken', token);
+      if (rotatedRefreshToken) {
+        localStorage.setItem('appAuthRefreshToken', rotatedRefreshToken);
+      }
+
+      sessionHandlers.onTokenRefreshed?.(data);
+      settlePendingRequests(null, token);
+      return replayWithToken(originalRequest, token);
+    } catch (refreshError) {
+      console.error('API Error: Token refresh failed. Ending the session.', refreshError);
+      settlePendingRequests(refreshError);
+      sessionHandlers.onSessionExpired?.();
+      return Promise.reject(error);
+    } finally {
+      isRefreshing = false;
     }
-    return Promise.reject(error);
   }
 );
 
 
+// --- Query Keys ---
+// Keys for `useQuery` and `fetchQuery`. The first element is the group a write invalidates.
+export const queryKeys = {
+  productCategories: ['products', 'categories'],
+  productPriceRange: ['products', 'price-range'],
+  products: (params) => ['products', 'list', params],
+};
+
 // --- API Service Functions ---
 
 // All other API functions (login, getProducts, checkout, etc.) remain the same.
@@ -52,7 +165,9 @@ export const getMyProfile = () => apiClient.get('/users/me');
 export const updateMyProfile = (profileData) => apiClient.patch('/users/me', profileData);
 
 // -- Product Service --
-export const getProducts = (params) => apiClient.get('/products', { params });
+// `config` can carry an AbortController `signal`, so a newer search can cancel an older one.
+export const getProducts = (params, config) => apiClient.get('/products', { params, ...config });
+export const getSearchSuggestions = (query, config) => apiClient.get('/products/search/suggestions', { params: { q: query }, ...config });
 export const getProductById = (id) => apiClient.get(`/products/${id}`);
 export const getProductCategories = () => apiClient.get('/products/categories');
 export const getProductPriceRange = () => apiClient.get('/products/price-range-meta');
@@ -62,13 +177,26 @@ export const getMySellerProducts = (params) => apiClient.get('/products/seller/m
 export const createProduct = (productData) => apiClient.post('/products', productData);
 export const updateProduct = (id, productData) => apiClient.put(`/products/${id}`, productData);
 export const deleteProduct = (id) => apiClient.delete(`/products/${id}`);
-export const uploadProductImage = (productId, file) => {
+export const updateProductStatus = (id, status) => apiClient.patch(`/products/${id}/status`, { status });
+// `change` is signed; the response is the updated product.
+export const adjustProductStock = (productId, adjustment) => apiClient.post(`/products/${productId}/stock-adjustments`, adjustment);
+export const getStockAdjustments = (productId) => apiClient.get(`/products/${productId}/stock-adjustments`);
+export const updateLowStockThreshold = (productId, lowStockThreshold) => apiClient.patch(`/products/${productId}/low-stock-threshold`, { lowStockThreshold });
+// `renditions` are the processed JPEGs from `createRenditions`; the server stores all three sizes.
+export const uploadProductImage = (productId, renditions, onProgress) => {
   const formData = new FormData();
-  formData.append('file', file);
-  return apiClient.post(`/products/${productId}/image`, formData, {
+  formData.append('file', renditions.full, 'full.jpg');
+  formData.append('card', renditions.card, 'card.jpg');
+  formData.append('thumbnail', renditions.thumbnail, 'thumbnail.jpg');
+  return apiClient.post(`/products/${productId}/images`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
+    onUploadProgress: onProgress
+      ? (event) => onProgress(event.total ? Math.round((event.loaded / event.total) * 100) : 0)
+      : undefined,
   });
 };
+export const deleteProductImage = (productId, imageId) => apiClient.delete(`/products/${productId}/images/${imageId}`);
+export const updateProductImageOrder = (productId, imageIds, coverImageId) => apiClient.put(`/products/${productId}/images/order`, { imageIds, coverImageId });
 
 // -- Cart Service --
 export const getMyCart = () => apiClient.get('/cart/user/me');
@@ -82,18 +210,51 @@ export const getMyFavorites = () => apiClient.get('/users/me/favorites');
 export const addFavorite = (productId) => apiClient.post(`/users/me/favorites/${productId}`);
 export const removeFavorite = (productId) => apiClient.delete(`/users/me/favorites/${productId}`);
 
+// -- Saved Search Service --
+export const getMySavedSearches = () => apiClient.get('/users/me/saved-searches');
+export const createSavedSearch = (savedSearchData) => apiClient.post('/users/me/saved-searches', savedSearchData);
+export const updateSavedSearch = (id, savedSearchData) => apiClient.patch(`/users/me/saved-searches/${id}`, savedSearchData);
+export const deleteSavedSearch = (id) => apiClient.delete(`/users/me/saved-searches/${id}`);
+// Resets the saved search's count of new matches once the buyer has looked at them.
+export const markSavedSearchViewed = (id) => apiClient.post(`/users/me/saved-searches/${id}/viewed`);
+
 // -- Order & Delivery Service --
 export const checkout = (checkoutData) => apiClient.post('/orders/checkout', checkoutData);
 export const getMyBuyerOrders = (params) => apiClient.get('/orders/user/me', { params });
+export const getOrderById = (orderId) => apiClient.get(`/orders/${orderId}`);
+// `reason` is required once the order is paid; the payment is then refunded.
+export const cancelMyOrder = (orderId, reason) => apiClient.post(`/orders/${orderId}/cancel`, { reason });
+// `items`: `[{ orderItemId, quantity }]`; `reason`: a key of `RETURN_REASONS`; `photos`: image `File`s.
+export const createReturnRequest = (orderId, { photos = [], ...returnRequest }) => {
+  const formData = new FormData();
+  formData.append('request', new Blob([JSON.stringify(returnRequest)], { type: 'application/json' }));
+  photos.forEach((photo) => formData.append('photos', photo, photo.name));
+  return apiClient.post(`/orders/${orderId}/returns`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+};
 export const getMySellerOrders = (params) => apiClient.get('/orders/seller/me', { params });
 export const getMySellerSales = () => apiClient.get('/orders/seller/me/stats');
-export const updateOrderStatus = (orderId, status) => apiClient.patch(`/orders/${orderId}`, { status });
+// `params`: `{ from, to, interval }` from `getDateRangeParams`.
+export const getMySellerAnalytics = (params) => apiClient.get('/orders/seller/me/analytics', { params });
+// `details`: `{ note, shipment }` from `getOrderTransitionDetails`; which of them a change needs depends on the change.
+// Sellers also send `orderItemIds`, their own lines, so the change never touches another seller's items.
+export const updateOrderStatus = (orderId, status, details) => apiClient.patch(`/orders/${orderId}`, { status, ...details });
+// Tracking events from the order's carrier, as a `ShipmentTrackingDTO`.
+export const getOrderTracking = (orderId, config) => apiClient.get(`/orders/${orderId}/tracking`, config);
 export const getDeliveryOptions = () => apiClient.get('/deliveries');
 export const createDelivery = (deliveryData) => apiClient.post('/deliveries', deliveryData);
 export const updateDelivery = (id, deliveryData) => apiClient.put(`/deliveries/${id}`, deliveryData);
 export const deleteDelivery = (id) => apiClient.delete(`/deliveries/${id}`);
 export const checkPurchaseStatus = (productId) => apiClient.get(`/orders/user/has-purchased/${productId}`);
 
+// -- Promotion Service --
+export const validatePromoCode = (code, cartData) => apiClient.post('/promotions/validate', { code, ...cartData });
+export const getPromotions = () => apiClient.get('/promotions');
+export const createPromotion = (promotionData) => apiClient.post('/promotions', promotionData);
+export const updatePromotion = (id, promotionData) => apiClient.put(`/promotions/${id}`, promotionData);
+export const deletePromotion = (id) => apiClient.delete(`/promotions/${id}`);
+
 // -- Review Service --
 export const getProductReviews = (productId) => apiClient.get(`/reviews/product/${productId}`);
 export const addProductReview = (productId, userId, reviewData) => apiClient.post(`/reviews/product/${productId}/user/${userId}`, reviewData);
@@ -111,18 +272,15 @@ export const markConversationAsRead = (conversationId) => apiClient.post(`/chat/
 
 // -- Payment Service --
 export const processPayment = (paymentData) => apiClient.post('/payments/process', paymentData);
+export const getPaymentsForOrder = (orderId) => apiClient.get(`/payments/order/${orderId}`);
+export const getMyStoreCredit = () => apiClient.get('/users/me/store-credit');
 
 // -- Contact Service --
 export const submitContactForm = (contactData) => apiClient.post('/contact', contactData);
 
 // -- Admin Service --
-export const getAdminStats = () => {
-    const userCountReq = apiClient.get('/users').catch(() => ({ data: { totalElements: 0 } }));
-    const productCountReq = apiClient.get('/products').catch(() => ({ data: { totalElements: 0 } }));
-    const orderCountReq = apiClient.get('/orders').catch(() => ({ data: { totalElements: 0 } }));
-    const messageCountReq = apiClient.get('/AdminMessages').catch(() => ({ data: [] }));
-    return Promise.all([userCountReq, productCountReq, orderCountReq, messageCountReq]);
-};
+// `params`: `{ from, to, interval }` from `getDateRangeParams`.
+export const getAdminStats = (params) => apiClient.get('/admin/stats', { params });
 export const getAllUsers = (params) => apiClient.get('/users', { params });
 export const deleteUser = (userId) => apiClient.delete(`/users/${userId}`);
 export const updateUser = (userId, userData) => apiClient.put(`/users/${userId}`, userData);
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview A pretend carrier for local development. Its tracking events are made up in the
+ * browser from the tracking number and the time the order shipped, so the whole shipping flow can
+ * be tried without a carrier account: the parcel is picked up a few hours after shipping and
+ * delivered about two days later. The same tracking number always takes the same route.
+ */
+import { addHours } from 'date-fns';
+
+const HUBS = ['Newark, NJ', 'Memphis, TN', 'Louisville, KY', 'Chicago, IL', 'Dallas, TX', 'Ontario, CA', 'Atlanta, GA'];
+
+// Each step happens this many hours after the order shipped.
+const ROUTE = [
+  { afterHours: 0, status: 'LABEL_CREATED', description: 'Shipping label created', hub: 0 },
+  { afterHours: 4, status: 'IN_TRANSIT', description: 'Picked up by carrier', hub: 0 },
+  { afterHours: 14, status: 'IN_TRANSIT', description: 'Departed sorting facility', hub: 0 },
+  { afterHours: 26, status: 'IN_TRANSIT', description: 'Arrived at sorting facility', hub: 1 },
+  { afterHours: 44, status: 'OUT_FOR_DELIVERY', description: 'Out for delivery', hub: 2 },
+  { afterHours: 50, status: 'DELIVERED', description: 'Delivered, left at front door', hub: 2 },
+];
+
+const hashString = (value) => [...value].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+const buildTracking = ({ trackingNumber, shippedAt }, now = new Date()) => {
+  const shipped = shippedAt ? new Date(shippedAt) : now;
+  const seed = hashString(trackingNumber);
+  const hubs = [0, 1, 2].map(offset => HUBS[(seed + offset * 3) % HUBS.length]);
+
+  const events = ROUTE
+    .map(step => ({
+      status: step.status,
+      description: step.description,
+      location: hubs[step.hub],
+      occurredAt: addHours(shipped, step.afterHours).toISOString(),
+    }))
+    .filter(event => new Date(event.occurredAt) <= now)
+    .reverse();
+
+  return {
+    carrier: 'FAKE',
+    trackingNumber,
+    status: events[0]?.status || 'LABEL_CREATED',
+    estimatedDelivery: addHours(shipped, ROUTE[ROUTE.length - 1].afterHours).toISOString(),
+    events,
+  };
+};
+
+export const fakeCarrier = {
+  id: 'FAKE',
+  label: 'Local test carrier',
+  trackingNumberPattern: /^FAKE[0-9A-Z]{6,}$/,
+  trackingNumberHint: 'FAKE followed by 6 or more letters or digits, e.g. FAKE123456',
+  getTrackingUrl: () => null,
+  // Resolves like a real request, so callers treat both kinds of carrier the same way.
+  fetchTracking: (shipment) => Promise.resolve(buildTracking(shipment)),
+};
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Registry of the shipping carriers a seller can pick when marking an order shipped.
+ * Each carrier is an adapter: it knows what its tracking numbers look like, where its public
+ * tracking page is, and how to fetch tracking events. Real carriers are queried through our
+ * server, which holds the carrier API credentials; adding one means registering one entry here.
+ *
+ * Entry shape:
+ * - `id`, `label`: stored on the order's shipment and shown in the carrier select.
+ * - `trackingNumberPattern`: a RegExp the (upper-cased, space-free) tracking number must match.
+ * - `trackingNumberHint`: an example shown under the tracking number field.
+ * - `getTrackingUrl(trackingNumber)`: the carrier's own tracking page, or null.
+ * - `fetchTracking({ orderId, trackingNumber, shippedAt, signal })`: resolves with a `ShipmentTrackingDTO`;
+ *   `signal` is an AbortSignal that cancels the request.
+ */
+import { getOrderTracking } from '../api';
+import { fakeCarrier } from './fakeCarrier';
+
+const registry = new Map();
+
+// Server-side adapters all go through the same endpoint; the server picks the carrier API.
+const fetchTrackingFromServer = ({ orderId, signal }) => getOrderTracking(orderId, { signal }).then(({ data }) => data);
+
+export const registerCarrier = (carrier) => {
+  registry.set(carrier.id, {
+    getTrackingUrl: () => null,
+    fetchTracking: fetchTrackingFromServer,
+    ...carrier,
+  });
+};
+
+/**
+ * The adapter for `id`. Orders shipped with a carrier this build does not know (e.g. the fake
+ * carrier, outside development) still get tracking from the server.
+ */
+export const getCarrier = (id) => registry.get(id) || {
+  id,
+  label: id,
+  trackingNumberPattern: /.+/,
+  trackingNumberHint: '',
+  getTrackingUrl: () => null,
+  fetchTracking: fetchTrackingFromServer,
+};
+
+export const getCarriers = () => Array.from(registry.values());
+
+/** Tracking numbers are stored upper-cased and without spaces. */
+export const normalizeTrackingNumber = (trackingNumber) => trackingNumber.replace(/\s+/g, '').toUpperCase();
+
+/** @returns {object} field name -> error message, empty when valid. */
+export const validateShipment = ({ carrier, trackingNumber }) => {
+  const errors = {};
+  if (!carrier) {
+    errors.carrier = 'Choose the carrier.';
+  }
+  const normalized = normalizeTrackingNumber(trackingNumber || '');
+  if (!normalized) {
+    errors.trackingNumber = 'Enter the tracking number.';
+  } else if (carrier && !getCarrier(carrier).trackingNumberPattern.test(normalized)) {
+    errors.trackingNumber = `This does not look like a ${getCarrier(carrier).label} tracking number.`;
+  }
+  return errors;
+};
+
+registerCarrier({
+  id: 'UPS',
+  label: 'UPS',
+  trackingNumberPattern: /^1Z[0-9A-Z]{16}$/,
+  trackingNumberHint: 'e.g. 1Z999AA10123456784',
+  getTrackingUrl: (trackingNumber) => `https://www.ups.com/track?tracknum=${encodeURIComponent(trackingNumber)}`,
+});
+
+registerCarrier({
+  id: 'FEDEX',
+  label: 'FedEx',
+  trackingNumberPattern: /^(\d{12}|\d{15}|\d{20})$/,
+  trackingNumberHint: '12, 15 or 20 digits',
+  getTrackingUrl: (trackingNumber) => `https://www.fedex.com/fedextrack/?trknbr=${encodeURIComponent(trackingNumber)}`,
+});
+
+registerCarrier({
+  id: 'USPS',
+  label: 'USPS',
+  trackingNumberPattern: /^(\d{20,22}|[A-Z]{2}\d{9}US)$/,
+  trackingNumberHint: '20–22 digits, or e.g. EA123456789US',
+  getTrackingUrl: (trackingNumber) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${encodeURIComponent(trackingNumber)}`,
+});
+
+registerCarrier({
+  id: 'DHL',
+  label: 'DHL Express',
+  trackingNumberPattern: /^\d{10}$/,
+  trackingNumberHint: '10 digits',
+  getTrackingUrl: (trackingNumber) => `https://www.dhl.com/en/express/tracking.html?AWB=${encodeURIComponent(trackingNumber)}`,
+});
+
+// Development builds (or VITE_ENABLE_FAKE_CARRIER=true) get a carrier that needs no server support.
+if (import.meta.env.DEV || import.meta.env.VITE_ENABLE_FAKE_CARRIER === 'true') {
+  registerCarrier(fakeCarrier);
+}
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview An in-memory cache for API reads, shared by every page in the tab.
+ *
+ * Each read is stored under a key: an array whose first element names the group it belongs to,
+ * e.g. `['products', 'categories']`. A cached value is returned immediately; once it is older than
+ * its `staleTime` it is still returned, and refetched in the background (stale-while-revalidate).
+ * Concurrent reads of the same key share one request. Writes mark whole groups stale through
+ * `invalidateQueries`, which `api.js` calls after each successful write that can change a cached read.
+ *
+ * Pages use it through `fetchQuery` (in async code) or the `useQuery` hook.
+ */
+
+export const DEFAULT_STALE_TIME_MS = 30 * 1000;
+// Entries nobody has read or watched for this long are dropped.
+const UNUSED_ENTRY_TTL_MS = 5 * 60 * 1000;
+
+const IDLE_STATE = Object.freeze({ status: 'idle', data: undefined, error: null, isFetching: false, updatedAt: 0 });
+
+/** @type {Map<string, {key: Array, state: object, promise: Promise|null, fetcher: Function|null, listeners: Set<Function>, invalidatedAt: number, lastUsedAt: number}>} */
+const entries = new Map();
+// Bumped by `clearQueryCache`; responses to requests sent before a clear belong to the previous user.
+let cacheGeneration = 0;
+
+export const getQueryHash = (key) => JSON.stringify(key);
+
+const getEntry = (key) => {
+  const hash = getQueryHash(key);
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = { key, state: IDLE_STATE, promise: null, fetcher: null, listeners: new Set(), invalidatedAt: 0, lastUsedAt: Date.now() };
+    entries.set(hash, entry);
+  }
+  entry.lastUsedAt = Date.now();
+  return entry;
+};
+
+// States are replaced, never mutated, so subscribers can compare them by reference.
+const setEntryState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+// `updatedAt` is when the request for the data was sent, so a write that lands while a read is in
+// flight still leaves that read's result stale.
+const isStale = (entry, staleTime) => entry.invalidatedAt >= entry.state.updatedAt || Date.now() - entry.state.updatedAt > staleTime;
+
+const removeUnusedEntries = () => {
+  const now = Date.now();
+  entries.forEach((entry, hash) => {
+    if (entry.listeners.size === 0 && !entry.promise && now - entry.lastUsedAt > UNUSED_ENTRY_TTL_MS) {
+      entries.delete(hash);
+    }
+  });
+};
+
+const runFetch = (entry) => {
+  if (entry.promise) return entry.promise;
+
+  const requestedAt = Date.now();
+  const generation = cacheGeneration;
+  const isCurrent = () => generation === cacheGeneration;
+  setEntryState(entry, { isFetching: true, status: entry.state.status === 'success' ? 'success' : 'loading' });
+  const promise = entry.fetcher()
+    .then((response) => {
+      if (isCurrent()) {
+        setEntryState(entry, { status: 'success', data: response.data, error: null, isFetching: false, updatedAt: requestedAt });
+      }
+      return response.data;
+    })
+    .catch((error) => {
+      // A failed refresh keeps the last good data on screen.
+      if (isCurrent()) {
+        setEntryState(entry, { status: entry.state.data === undefined ? 'error' : 'success', error, isFetching: false });
+      }
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise === promise) entry.promise = null;
+      // Invalidated mid-flight while a page is watching: fetch again for the post-write data.
+      if (isCurrent() && entry.listeners.size > 0 && entry.state.updatedAt === requestedAt && isStale(entry, Infinity)) {
+        runFetch(entry).catch(() => {});
+      }
+      removeUnusedEntries();
+    });
+  entry.promise = promise;
+  return promise;
+};
+
+/**
+ * Resolves with the data cached under `key`, fetching it only when there is none yet. Stale data
+ * resolves at once and is refreshed in the background.
+ * @param {Array} key
+ * @param {() => Promise<{data: *}>} fetcher - An `api.js` request; its response `data` is cached.
+ * @param {{staleTime?: number}} [options]
+ * @returns {Promise<*>}
+ */
+export const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME_MS } = {}) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+
+  if (entry.state.status !== 'success') return runFetch(entry);
+  if (isStale(entry, staleTime)) runFetch(entry).catch(() => {});
+  return Promise.resolve(entry.state.data);
+};
+
+/** Fetches `key` now, even if fresh, sharing a request already in flight. */
+export const refetchQuery = (key, fetcher) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  return runFetch(entry);
+};
+
+/** The current `{ status, data, error, isFetching, updatedAt }` for `key`. */
+export const getQueryState = (key) => entries.get(getQueryHash(key))?.state || IDLE_STATE;
+
+export const getQueryData = (key) => getQueryState(key).data;
+
+/** Stores data fetched outside the cache, e.g. by a request the page needs to cancel itself. */
+export const setQueryData = (key, data) => {
+  setEntryState(getEntry(key), { status: 'success', data, error: null, updatedAt: Date.now() });
+};
+
+/** Calls `listener` whenever the state for `key` changes. Returns the unsubscribe function. */
+export const subscribeToQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    entry.lastUsedAt = Date.now();
+  };
+};
+
+const matchesPrefix = (key, prefix) => prefix.every((part, index) => getQueryHash(key[index]) === getQueryHash(part));
+
+/**
+ * Marks every entry whose key starts with `prefix` as stale. Entries a mounted page is watching
+ * are refetched right away; the rest are refetched the next time they are read.
+ * @param {Array} prefix - e.g. `['products']` for all product reads.
+ */
+export const invalidateQueries = (prefix) => {
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix)) return;
+    entry.invalidatedAt = Date.now();
+    if (entry.listeners.size > 0 && entry.fetcher && !entry.promise) runFetch(entry).catch(() => {});
+  });
+};
+
+/**
+ * Forgets all cached data, for when the signed-in user changes and cached reads may be theirs
+ * alone. Requests still in flight are discarded when they return. Entries a mounted page is
+ * watching are emptied and fetched again for the new user.
+ */
+export const clearQueryCache = () => {
+  cacheGeneration += 1;
+  entries.forEach((entry, hash) => {
+    entry.promise = null;
+    if (entry.listeners.size === 0) {
+      entries.delete(hash);
+      return;
+    }
+    entry.invalidatedAt = 0;
+    setEntryState(entry, IDLE_STATE);
+    if (entry.fetcher) {
+      runFetch(entry).catch((error) => console.error(`queryCache: Failed to refetch ${hash} after clearing`, error));
+    }
+  });
+};
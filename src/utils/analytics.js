@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Date ranges, number formatting and CSV export shared by the analytics pages.
+ * The server aggregates the data; ranges are sent as inclusive `from`/`to` calendar dates.
+ */
+import { format, startOfYear, subDays } from 'date-fns';
+import { toCsv, downloadCsv } from './csv';
+
+export const DATE_RANGES = {
+  LAST_7_DAYS: { label: 'Last 7 days', days: 7 },
+  LAST_30_DAYS: { label: 'Last 30 days', days: 30 },
+  LAST_90_DAYS: { label: 'Last 90 days', days: 90 },
+  YEAR_TO_DATE: { label: 'Year to date' },
+  LAST_365_DAYS: { label: 'Last 12 months', days: 365 },
+};
+
+export const DEFAULT_DATE_RANGE = 'LAST_30_DAYS';
+
+const toDateParam = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * The request parameters for a range. Ranges up to 90 days are bucketed by day, longer ones by week.
+ * @returns {{from: string, to: string, interval: 'DAY'|'WEEK'}}
+ */
+export const getDateRangeParams = (rangeKey, now = new Date()) => {
+  const { days } = DATE_RANGES[rangeKey] || DATE_RANGES[DEFAULT_DATE_RANGE];
+  const from = days ? subDays(now, days - 1) : startOfYear(now);
+  const spanInDays = (now - from) / 86400000;
+  return { from: toDateParam(from), to: toDateParam(now), interval: spanInDays > 90 ? 'WEEK' : 'DAY' };
+};
+
+const currencyFormatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+const compactCurrencyFormatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', notation: 'compact' });
+
+export const formatCurrency = (value) => currencyFormatter.format(Number(value) || 0);
+
+/** "$1.2K" for chart axes, where full amounts do not fit. */
+export const formatCompactCurrency = (value) => compactCurrencyFormatter.format(Number(value) || 0);
+
+export const formatPercent = (ratio) => `${((Number(ratio) || 0) * 100).toFixed(1)}%`;
+
+/** Chart x-axis labels for `date` buckets ("2024-05-01" becomes "May 1"). */
+export const formatBucketDate = (isoDate) => format(new Date(`${isoDate}T00:00:00`), 'MMM d');
+
+/** Series colors, in the order charts assign them. */
+export const CHART_COLORS = ['#2563eb', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#ca8a04', '#4b5563'];
+
+/**
+ * Downloads the rows behind a chart.
+ * @param {string} name - File name prefix, e.g. "revenue".
+ * @param {{from: string, to: string}} range - Included in the file name.
+ * @param {Array<{key: string, label: string}>} columns
+ * @param {Array<object>} rows
+ */
+export const downloadAnalyticsCsv = (name, { from, to }, columns, rows) => {
+  const csvText = toCsv(columns.map(column => column.label), rows.map(row => columns.map(column => row[column.key])));
+  downloadCsv(`${name}-${from}-to-${to}.csv`, csvText);
+};
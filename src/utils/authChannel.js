@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Cross-tab messaging for session changes (login, logout, profile updates).
+ * Uses BroadcastChannel where the browser supports it and falls back to `storage`
+ * events on a scratch localStorage key otherwise.
+ */
+
+const CHANNEL_NAME = 'app-auth';
+const FALLBACK_STORAGE_KEY = 'appAuthEvent';
+
+/**
+ * Opens the auth channel for this tab.
+ * Messages posted here are delivered to every *other* open tab, never back to the sender.
+ * @param {(message: {type: string, user?: object}) => void} onMessage - Called for each message from another tab.
+ * @returns {{post: (message: object) => void, close: () => void}}
+ */
+export const createAuthChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== FALLBACK_STORAGE_KEY || !event.newValue) return;
+    onMessage(JSON.parse(event.newValue));
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    // The timestamp makes every write unique, so repeated messages still fire a storage event.
+    post: (message) => localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() })),
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
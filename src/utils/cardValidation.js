@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Client-side card checks used by the card payment method:
+ * brand detection, input formatting, Luhn/expiry/CVV validation and masking.
+ * Raw card data never leaves the payment form; only the masked values built here do.
+ */
+
+const CARD_BRANDS = [
+  { id: 'amex', label: 'American Express', pattern: /^3[47]/, lengths: [15], cvvLength: 4, gaps: [4, 10] },
+  { id: 'visa', label: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvvLength: 3, gaps: [4, 8, 12] },
+  { id: 'mastercard', label: 'Mastercard', pattern: /^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/, lengths: [16], cvvLength: 3, gaps: [4, 8, 12] },
+  { id: 'discover', label: 'Discover', pattern: /^(6011|65|64[4-9])/, lengths: [16, 19], cvvLength: 3, gaps: [4, 8, 12] },
+];
+
+const UNKNOWN_BRAND = { id: 'unknown', label: 'Card', pattern: null, lengths: [16], cvvLength: 3, gaps: [4, 8, 12] };
+
+export const digitsOnly = (value = '') => value.replace(/\D/g, '');
+
+/**
+ * @param {string} cardNumber - Card number, with or without spaces.
+ * @returns {{id: string, label: string, lengths: number[], cvvLength: number, gaps: number[]}}
+ */
+export const detectCardBrand = (cardNumber) => {
+  const digits = digitsOnly(cardNumber);
+  return CARD_BRANDS.find(brand => brand.pattern.test(digits)) || UNKNOWN_BRAND;
+};
+
+/** Groups the digits the way they are printed on the card, e.g. "4242 4242 4242 4242". */
+export const formatCardNumber = (cardNumber) => {
+  const brand = detectCardBrand(cardNumber);
+  const digits = digitsOnly(cardNumber).slice(0, Math.max(...brand.lengths));
+  return digits.split('').reduce((formatted, digit, index) => (
+    brand.gaps.includes(index) ? `${formatted} ${digit}` : `${formatted}${digit}`
+  ), '');
+};
+
+/** Turns "1226" or "12/26" into "12/26" while the user types. */
+export const formatExpiryDate = (value) => {
+  const digits = digitsOnly(value).slice(0, 4);
+  return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+};
+
+export const passesLuhnCheck = (cardNumber) => {
+  const digits = digitsOnly(cardNumber);
+  if (!digits) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * @param {string} expiryDate - "MM/YY".
+ * @param {Date} [now] - Injectable for predictable checks.
+ * @returns {string|null} An error message, or null when the date is valid.
+ */
+export const validateExpiryDate = (expiryDate, now = new Date()) => {
+  const match = /^(\d{2})\/(\d{2})$/.exec(expiryDate || '');
+  if (!match) return 'Use the MM/YY format.';
+  const month = Number(match[1]);
+  const year = 2000 + Number(match[2]);
+  if (month < 1 || month > 12) return 'Enter a valid month.';
+  // A card is valid through the last day of its expiry month.
+  const endOfExpiryMonth = new Date(year, month, 1);
+  if (endOfExpiryMonth <= now) return 'This card has expired.';
+  return null;
+};
+
+/**
+ * Validates all card fields at once.
+ * @param {{cardNumber: string, expiryDate: string, cvv: string, cardholderName: string}} values
+ * @returns {object} Field name -> error message; empty when everything is valid.
+ */
+export const validateCard = ({ cardNumber, expiryDate, cvv, cardholderName }) => {
+  const errors = {};
+  const digits = digitsOnly(cardNumber);
+  const brand = detectCardBrand(digits);
+
+  if (!cardholderName?.trim()) {
+    errors.cardholderName = 'Enter the name on the card.';
+  }
+
+  if (!digits) {
+    errors.cardNumber = 'Enter your card number.';
+  } else if (!brand.lengths.includes(digits.length) || !passesLuhnCheck(digits)) {
+    errors.cardNumber = 'This card number is not valid.';
+  }
+
+  const expiryError = validateExpiryDate(expiryDate);
+  if (expiryError) {
+    errors.expiryDate = expiryError;
+  }
+
+  if (!new RegExp(`^\\d{${brand.cvvLength}}$`).test(cvv || '')) {
+    errors.cvv = `Enter the ${brand.cvvLength}-digit security code.`;
+  }
+
+  return errors;
+};
+
+/** "4242424242424242" -> "•••• •••• •••• 4242" */
+export const maskCardNumber = (cardNumber) => {
+  const formatted = formatCardNumber(cardNumber);
+  const visibleFrom = formatted.length - 4;
+  return formatted
+    .split('')
+    .map((char, index) => (index < visibleFrom && /\d/.test(char) ? '•' : char))
+    .join('');
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Reading and writing CSV files (RFC 4180: comma-separated, fields that contain
+ * commas, quotes or line breaks are wrapped in double quotes, quotes are doubled).
+ */
+
+/**
+ * Parses CSV text into rows of raw string fields. Accepts CRLF or LF line endings,
+ * a leading byte-order mark and quoted fields spanning several lines. Blank lines are dropped.
+ * @param {string} text
+ * @returns {Array<{lineNumber: number, fields: Array<string>}>} `lineNumber` is where the row starts in the file, for error messages.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ lineNumber: rowStartLine, fields });
+    }
+    fields = [];
+    field = '';
+    rowStartLine = line;
+  };
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRow();
+  return rows;
+};
+
+// Spreadsheet apps run cells starting with these as formulas; a leading quote keeps them as text.
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Undoes the formula guard `toCsv` adds, so exported files can be imported again unchanged. */
+export const stripFormulaGuard = (value) => (
+  value[0] === "'" && FORMULA_PREFIXES.includes(value[1]) ? value.slice(1) : value
+);
+
+/**
+ * Builds CSV text from a header row and data rows.
+ * @param {Array<string>} header
+ * @param {Array<Array<string|number|null|undefined>>} rows
+ * @returns {string}
+ */
+export const toCsv = (header, rows) => [header, ...rows]
+  .map(row => row.map(escapeField).join(','))
+  .join('\r\n');
+
+/** Offers CSV text to the user as a file download. */
+export const downloadCsv = (filename, csvText) => {
+  // The byte-order mark makes Excel read the file as UTF-8.
+  const blob = new Blob(['\uFEFF', csvText], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -20,9 +20,54 @@
  * @property {number} averageRating - Calculated average rating for the product.
  * @property {number} numberOfReviews - Total number of reviews for the product.
  * @property {Array<ReviewDTO>} reviews - Array of reviews for the product.
+ * @property {Array<ProductVariantDTO>} [variants] - Size/color combinations; when present, `stock` is their total.
+ * @property {Array<ProductImageDTO>} [images] - Gallery images; `photoUrl` is kept as the cover image's URL.
+ * @property {'DRAFT'|'ACTIVE'|'SCHEDULED'|'ARCHIVED'} [status] - Lifecycle status; missing means ACTIVE. Shoppers only see ACTIVE products.
+ * @property {string|null} [publishAt] - ISO timestamp at which a SCHEDULED product becomes ACTIVE.
+ * @property {string} [updatedAt] - ISO timestamp of the last change.
+ * @property {number|null} [lowStockThreshold] - Stock at or below which the product (or a variant) counts as low; null means the default of 5.
  */
 // Aligns with: public/data/products.json
 
+/**
+ * Represents one recorded change to a product's stock.
+ * @typedef {object} StockAdjustmentDTO
+ * @property {number} id
+ * @property {number|null} variantId - The variant adjusted, for products that have variants.
+ * @property {string|null} [size]
+ * @property {string|null} [color]
+ * @property {number} change - Signed number of units added or removed.
+ * @property {'RESTOCK'|'DAMAGE'|'CORRECTION'} reason
+ * @property {string} [note]
+ * @property {number} stockAfter - Stock of the product or variant once the change was applied.
+ * @property {string} createdAt - ISO timestamp.
+ */
+// Aligns with: `getStockAdjustments` in src/pages/seller/SellerInventory.jsx. `adjustProductStock`
+// takes `{ variantId, change, reason, note }` and answers with the updated ProductDTO.
+
+/**
+ * Represents one image in a product's gallery.
+ * @typedef {object} ProductImageDTO
+ * @property {number} id
+ * @property {string} url - Full-size rendition; relative to the API origin for uploaded files.
+ * @property {string} [cardUrl] - Rendition sized for product cards; `photoUrl` points here for the cover.
+ * @property {string} [thumbnailUrl] - Rendition sized for gallery thumbnails.
+ * @property {number} position - Zero-based display order.
+ * @property {boolean} isCover - The image shown on product cards.
+ */
+// Aligns with: src/components/ProductGallery.jsx and src/components/ProductImageManager.jsx.
+
+/**
+ * Represents one size/color combination of a product.
+ * @typedef {object} ProductVariantDTO
+ * @property {number} id
+ * @property {string|null} size - e.g. "M"; null when the product only varies by color.
+ * @property {string|null} color - e.g. "Red"; null when the product only varies by size.
+ * @property {number} stock - Units available in this combination.
+ * @property {number|null} price - Overrides the product price when set.
+ */
+// Aligns with: src/components/VariantEditor.jsx and the selectors in src/pages/ProductDetails.jsx.
+
 /**
  * Represents the data structure for creating a new product.
  * This is what the frontend (e.g., AddProduct.jsx) collects.
@@ -32,6 +77,7 @@
  * @property {number} price
  * @property {string} category
  * @property {string} image - Path to the image.
+ * @property {string} [imageUrl] - Remote image the server downloads as the cover; sent by the CSV bulk import.
  * @property {string} [sellerId] - Typically added based on the logged-in seller.
  */
 // Aligns with: src/pages/seller/AddProduct.jsx form data.
@@ -45,6 +91,7 @@
  * @property {number} [price] - Optional: New price.
  * @property {string} [category] - Optional: New category.
  * @property {string} [image] - Optional: New image path.
+ * @property {string} [imageUrl] - Optional: Remote image to use as the new cover (CSV bulk import).
  */
 // Aligns with: src/pages/seller/EditProduct.jsx form data.
 
@@ -87,6 +134,7 @@
  * @typedef {object} AuthResponseDTO
  * @property {UserDTO} user - The authenticated user's details (excluding sensitive info like password).
  * @property {string} token - The authentication token (mocked in this project).
+ * @property {string} [refreshToken] - Long-lived token exchanged at `/users/refresh-token` for a new access token.
  */
 // Aligns with: Conceptual output of src/context/AuthContext.jsx signin/signup.
 
@@ -126,6 +174,16 @@
  */
 // Aligns with: Output of `getConversationsForUser` in `mockMessages.js`.
 
+/**
+ * Pushed on `/topic/user/{id}/notifications` to both participants when a conversation is started,
+ * so they can listen on its topic from then on.
+ * @typedef {object} ConversationCreatedEventDTO
+ * @property {'CONVERSATION_CREATED'} type
+ * @property {string} conversationId
+ * @property {object} [message] - The first message, in the shape sent on `/topic/conversation/{id}`.
+ */
+// Aligns with: `handleUserEvent` in `src/context/NotificationsContext.jsx`.
+
 // --- Review DTOs ---
 
 /**
@@ -165,6 +223,9 @@
  * @property {string} category
  * @property {string} sellerId
  * @property {number} quantity - Quantity of this product in the cart.
+ * @property {number|null} [variantId] - The chosen variant, for products that have variants.
+ * @property {string|null} [size]
+ * @property {string|null} [color]
  * // Other product fields can be included if needed directly in cart display
  */
 // Aligns with: Items in `cartItems` array in `CartContext.jsx`.
@@ -182,62 +243,218 @@
 /**
  * Represents an item within a placed order.
  * @typedef {object} OrderItemDTO
- * @property {string} productId
+ * @property {number} id - Unique identifier of the order line.
+ * @property {number} productId
  * @property {string} productName
  * @property {number} productPrice - Price per unit at the time of order.
  * @property {number} quantity
+ * @property {number|null} [variantId] - The variant bought, for products that have variants.
+ * @property {string|null} [size]
+ * @property {string|null} [color]
  * @property {string} category
- * @property {string} sellerId
+ * @property {number} sellerId - Lets a seller pick out their own lines in a mixed order.
+ * @property {string} [status] - Where this line is; each seller moves only their own lines, so in a
+ *   mixed order lines can be ahead of the order's `status`, which follows once every line has moved.
+ * @property {ShipmentDTO|null} [shipment] - How this line was sent; each seller ships their lines separately.
+ */
+// Aligns with: Entries of `order.items`, rendered by `src/components/OrderLineItems.jsx`.
+
+/**
+ * One status change of an order, oldest first in `OrderDTO.statusHistory`.
+ * @typedef {object} OrderStatusChangeDTO
+ * @property {string} status - The status the order moved to.
+ * @property {string} changedAt - ISO date-time of the change.
+ * @property {{id: number, name: string, role: 'BUYER'|'SELLER'|'ADMIN'|'SYSTEM'}|null} changedBy - Who made it; SYSTEM for payment callbacks and other automatic changes.
+ * @property {string|null} [note] - Reason given with the change; required for the changes whose transition `requires` 'reason' in `orderStatus.js`.
+ */
+// Aligns with: The timeline in `src/components/OrderStatusTimeline.jsx`, built by `buildOrderTimeline`.
+
+/**
+ * A payment attempt for an order, as returned by `getPaymentsForOrder`.
+ * @typedef {object} PaymentDTO
+ * @property {number} id
+ * @property {number} orderId
+ * @property {number} amount
+ * @property {string} method - A payment method id from `paymentMethods.js`, e.g. 'CARD'.
+ * @property {string} status - 'SUCCESS', 'PENDING' (cash on delivery) or 'FAILED'.
+ * @property {string|null} [message] - Why the attempt failed.
+ * @property {string} createdAt - ISO date-time of the attempt.
+ * @property {Array<RefundDTO>} [refunds] - Money paid back from a successful payment; the payment keeps its status.
+ */
+// Aligns with: `src/pages/PaymentPage.jsx` and the payment section of `src/pages/buyer/BuyerOrderDetails.jsx`.
+
+/**
+ * Money returned to the buyer, from a cancelled paid order or an accepted return.
+ * @typedef {object} RefundDTO
+ * @property {number} id
+ * @property {number} amount
+ * @property {string} status - 'PENDING' while the payment provider processes it, then 'SUCCESS'.
+ * @property {number|null} [returnRequestId] - The return it pays for; null for cancellations.
+ * @property {string} createdAt - ISO date-time the refund was issued.
  */
-// Aligns with: Product-specific details within an `OrderDTO`.
+// Aligns with: Entries of `PaymentDTO.refunds`, listed in the payment section of `src/pages/buyer/BuyerOrderDetails.jsx`.
 
 /**
- * Represents a placed order.
+ * A buyer's request to send items of a completed order back. Opening one moves the order to
+ * RETURN_REQUESTED; the seller accepting it moves the order to REFUNDED and adds a `RefundDTO`
+ * to the payment, rejecting it moves the order back to COMPLETED. In a mixed order each seller
+ * decides on their own returned lines, and only those lines are refunded.
+ * @typedef {object} ReturnRequestDTO
+ * @property {number} id
+ * @property {string} status - 'REQUESTED', 'APPROVED' or 'REJECTED'.
+ * @property {Array<{orderItemId: number, quantity: number}>} items - The order lines going back.
+ * @property {string} reason - A key of `RETURN_REASONS` in `src/utils/orderStatus.js`.
+ * @property {string} [comment]
+ * @property {Array<string>} [photoUrls] - The photos the buyer attached.
+ * @property {number|null} [refundAmount] - Set once approved.
+ * @property {string|null} [rejectionReason] - The seller's note when rejected.
+ * @property {string} createdAt
+ * @property {string|null} [decidedAt]
+ */
+// Aligns with: `createReturnRequest` in `src/components/ReturnRequestModal.jsx` and `src/components/ReturnRequestSummary.jsx`.
+
+/**
+ * How an order was sent, recorded when the seller marks it SHIPPED.
+ * @typedef {object} ShipmentDTO
+ * @property {string} carrier - A carrier id from `src/services/carriers`, e.g. 'UPS'.
+ * @property {string} trackingNumber - Upper-cased, without spaces.
+ * @property {string} shippedAt - ISO date-time the order was marked shipped.
+ */
+// Aligns with: `src/components/ShipmentFields.jsx`, which collects it, and `OrderDTO.shipment`.
+
+/**
+ * Where a shipment is, as returned by a carrier adapter's `fetchTracking` (or `getOrderTracking`).
+ * @typedef {object} ShipmentTrackingDTO
+ * @property {string} status - 'LABEL_CREATED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED' or 'EXCEPTION'.
+ * @property {string|null} [estimatedDelivery] - ISO date-time the carrier expects to deliver.
+ * @property {Array<{status: string, description: string, location: string|null, occurredAt: string}>} events - Newest first.
+ */
+// Aligns with: `src/components/ShipmentTrackingPanel.jsx`.
+
+/**
+ * Represents a placed order. Checkout turns the whole cart into one order,
+ * and a single payment covers all of its items.
  * @typedef {object} OrderDTO
- * @property {string} id - Unique order identifier.
- * @property {string} buyerId
- * @property {string} buyerName
+ * @property {number} id - Unique order identifier.
+ * @property {number} userId - ID of the buyer.
  * @property {string} date - ISO date string when the order was placed.
- * @property {Array<OrderItemDTO>} items - Array of items included in the order. (This is a refinement)
- * @property {DeliveryOptionSelectionDTO} deliveryOption - Details of the chosen delivery method.
- * @property {number} orderSubtotal - Subtotal of all items before delivery fee.
- * @property {number} orderTotal - Grand total including delivery fee.
- */
-// Refined from: `newOrders` object created in `Cart.jsx`'s `handlePlaceOrder`.
-// Note: The current `handlePlaceOrder` creates a separate order object for *each* cart item.
-// A more typical OrderDTO would have a single order ID and an array of items.
-// The DTO above reflects a more standard approach. If your current implementation
-// intentionally creates one order per product, the DTO might need to be simpler,
-// or your `handlePlaceOrder` logic might be refactored in the future.
-// For now, this DTO represents a common e-commerce order structure.
-// The current `handlePlaceOrder` in `Cart.jsx` creates an array of objects, where each object
-// represents one line item *as* an order. The DTO above assumes an order can contain multiple items.
-// Let's adjust to reflect the current `handlePlaceOrder` more directly for now,
-// meaning each "order" is essentially an "order line item" with full order details.
-
-/**
- * Represents a single "order line" as currently created by `handlePlaceOrder`.
- * Each cart item becomes a separate order record in localStorage.
- * @typedef {object} PlacedOrderLineDTO
- * @property {string} id - Unique identifier for this order line (e.g., "order-timestamp-random").
- * @property {string} buyerId
- * @property {string} buyerName
- * @property {string} productId
- * @property {string} productName
- * @property {number} productPrice - Price per unit at the time of order.
- * @property {number} quantity
- * @property {string} category
- * @property {string} sellerId
- * @property {string} date - ISO date string when the order line was placed.
- * @property {DeliveryOptionSelectionDTO} deliveryOption - Details of the chosen delivery method for this item/order.
- * @property {number} orderSubtotal - Subtotal of THIS line item (price * quantity).
- * @property {number} orderTotal - Total for THIS line item (subtotal + delivery fee if applicable per item, or order-level fee).
- * The current Cart.jsx calculates one deliveryFee for the whole cart,
- * so this DTO should reflect how it's stored.
- * The `orderSubtotal` and `orderTotal` in `handlePlaceOrder` are for the *entire cart*,
- * but they are duplicated into each "order line" object.
- */
-// Aligns with: Objects in the `newOrders` array in `src/pages/Cart.jsx`.
+ * @property {string} status - e.g. 'PENDING_PAYMENT', 'PAID', 'SHIPPED'.
+ * @property {Array<OrderItemDTO>} items - Array of items included in the order.
+ * @property {DeliveryOptionSelectionDTO} [deliveryOption] - Details of the chosen delivery method.
+ * @property {number} subtotal - Subtotal of all items before delivery fee.
+ * @property {number} deliveryCost - Delivery fee for the whole order.
+ * @property {string|null} [promoCode] - Promo code applied at checkout, if any.
+ * @property {number} [discount] - Amount taken off by the promo code.
+ * @property {number} total - Grand total after discount and delivery fee; the amount charged by `processPayment`.
+ * @property {Array<OrderStatusChangeDTO>} [statusHistory] - Every status the order has been through, with who moved it.
+ * @property {string|null} [estimatedShipDate] - ISO date the seller expects to ship by.
+ * @property {string|null} [estimatedDeliveryDate] - ISO date the order should arrive by.
+ * @property {ShipmentDTO|null} [shipment] - Carrier and tracking number, once the order has shipped.
+ * @property {ReturnRequestDTO|null} [returnRequest] - The buyer's return request, if they opened one.
+ */
+// Aligns with: The response of `checkout` in `src/pages/Cart.jsx`, consumed by `src/pages/PaymentPage.jsx` and `src/pages/buyer/BuyerOrderDetails.jsx`.
+
+
+// --- Analytics DTOs ---
+
+/**
+ * A seller's sales over a date range, as returned by `getMySellerAnalytics`.
+ * Only orders that have been paid count, and only the seller's own lines of each order.
+ * @typedef {object} SellerAnalyticsDTO
+ * @property {{revenue: number, units: number, orders: number, averageOrderValue: number, favorites: number, favoritesPurchased: number}} summary
+ *   - `favoritesPurchased` is how many of the range's favorites were followed by a purchase of that product by the same buyer.
+ * @property {Array<{date: string, revenue: number, units: number, orders: number}>} timeline - One bucket per day or week (`date` is its first day, yyyy-MM-dd).
+ * @property {Array<{productId: number, productName: string, units: number, revenue: number}>} topProducts - Best sellers by revenue, at most 10.
+ * @property {Array<{category: string, units: number, revenue: number}>} categories
+ * @property {Array<{date: string, averageRating: number|null, reviewCount: number}>} ratings - Reviews of the seller's products, bucketed like `timeline`.
+ */
+// Aligns with: src/pages/seller/SellerAnalytics.jsx
+
+/**
+ * Platform-wide figures for the admin dashboard, as returned by `getAdminStats`.
+ * `totals` are all-time counts; everything else covers the requested date range.
+ * @typedef {object} AdminStatsDTO
+ * @property {{users: number, products: number, orders: number, contactMessages: number}} totals
+ * @property {{signups: number, orders: number, gmv: number, payments: number, paymentFailures: number}} summary
+ *   - `gmv` (gross merchandise value) is the total of paid orders before refunds.
+ * @property {Array<{date: string, signups: number, orders: number, gmv: number, paymentFailures: number}>} timeline - One bucket per day or week.
+ * @property {Array<{sellerId: number, sellerName: string, orders: number, gmv: number}>} topSellers - At most 10, by GMV.
+ * @property {Array<{category: string, units: number, gmv: number}>} topCategories
+ * @property {Array<{status: 'PLACED'|'PAID'|'SHIPPED'|'COMPLETED', count: number}>} orderFunnel - Orders placed in the range that reached each stage.
+ * @property {Array<{status: string, count: number}>} orderStatuses - Current status of the orders placed in the range.
+ */
+// Aligns with: src/pages/admin/AdminDashboard.jsx
+
+
+// --- Search DTOs ---
+
+/**
+ * A page of `getProducts` results when `includeFacets` is set. Spring's page fields
+ * (`content`, `totalElements`, ...) are unchanged.
+ * @typedef {object} ProductSearchPageDTO
+ * @property {Array<ProductDTO>} content
+ * @property {{categories: Array<{value: string, count: number}>, ratings: Array<{value: number, count: number}>, sellers: Array<{value: number, label: string, count: number}>}} facets
+ *   - Result counts per category, per rating option (4, 3, 2, 1 meaning "and up", -1 meaning "no reviews")
+ *   and per seller, each computed with every other active filter applied.
+ * @property {string|null} didYouMean - A corrected query, sent only when the search matched nothing.
+ */
+// Aligns with: src/pages/ProductList.jsx and src/components/ProductFilter.jsx. The request parameters
+// come from `filtersToApiParams` in src/utils/productFilters.js: `categories` is comma-separated,
+// `inStock` keeps products with stock left and `onSale` keeps products currently sold below their regular price.
+
+/**
+ * Search-as-you-type suggestions from `getSearchSuggestions`. Matching tolerates typos.
+ * @typedef {object} SearchSuggestionsDTO
+ * @property {Array<{id: number, name: string, price: number, photoUrl: string}>} products - At most 5.
+ * @property {Array<{name: string, count: number}>} categories
+ * @property {Array<{id: number, name: string}>} sellers
+ */
+// Aligns with: src/components/SearchAutocomplete.jsx
+
+
+// --- Saved Search DTOs ---
+
+/**
+ * A buyer's saved product search. While `alertsEnabled` is on, the server pushes a
+ * `SAVED_SEARCH_MATCH` event on `/topic/user/{id}/notifications` when newly listed products match it.
+ * @typedef {object} SavedSearchDTO
+ * @property {number} id
+ * @property {string} name
+ * @property {string} query - The product list's URL query string without the page, e.g. "category=Dress&maxPrice=50".
+ * @property {boolean} alertsEnabled
+ * @property {number} newMatchCount - Products listed since the buyer last opened the search.
+ * @property {string} createdAt - ISO timestamp.
+ */
+// Aligns with: src/components/SaveSearchModal.jsx and the saved searches on src/pages/buyer/BuyerDashboard.jsx.
+
+
+// --- Promotion DTOs ---
+
+/**
+ * Represents a promo code as managed by admins.
+ * @typedef {object} PromotionDTO
+ * @property {number} id
+ * @property {string} code - Upper-case code buyers type in, e.g. "SUMMER10".
+ * @property {string} [description]
+ * @property {'PERCENTAGE'|'FIXED_AMOUNT'} discountType
+ * @property {number} discountValue - Percent off for PERCENTAGE, dollars off for FIXED_AMOUNT.
+ * @property {number} [minSpend] - Minimum eligible subtotal.
+ * @property {Array<string>} [categories] - Restricts the discount to these categories; empty means all.
+ * @property {string|null} [expiresAt] - ISO date after which the code stops working.
+ * @property {boolean} active
+ */
+// Aligns with: src/pages/admin/AdminPromotionManagement.jsx
+
+/**
+ * Result of validating a promo code against the buyer's cart.
+ * @typedef {object} PromoValidationDTO
+ * @property {string} code
+ * @property {string} [description]
+ * @property {number} discount - Amount taken off the eligible subtotal.
+ * @property {number} eligibleSubtotal - Subtotal of the cart items the code applies to.
+ */
+// Aligns with: `validatePromoCode` in `src/pages/Cart.jsx`. Rejections come back as a 4xx
+// with `{ message, reason }`, where reason is 'NOT_FOUND', 'EXPIRED', 'INACTIVE', 'MIN_SPEND_NOT_MET' or 'CATEGORY_RESTRICTED'.
 
 
 // JSDoc is used here for documentation purposes.
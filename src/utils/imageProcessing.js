@@ -0,0 +1,150 @@
+/**
+ * @fileoverview In-browser processing of product photos before upload: validates the file,
+ * decodes it upright (honouring the EXIF orientation), crops it to the catalog aspect ratio
+ * and re-encodes it at the sizes the catalog uses. Re-encoding through a canvas drops all
+ * metadata, so EXIF/GPS data never leaves the seller's device.
+ */
+
+export const ACCEPTED_SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+export const MIN_SOURCE_DIMENSION = 600;
+
+/** Width / height of catalog images; matches the square crops shown on product cards and details. */
+export const CATALOG_ASPECT_RATIO = 1;
+
+/** Longest edge of each rendition. Sources smaller than a rendition are never upscaled. */
+export const RENDITION_SIZES = {
+  thumbnail: 200,
+  card: 600,
+  full: 1600,
+};
+
+const OUTPUT_TYPE = 'image/jpeg';
+const OUTPUT_QUALITY = 0.85;
+
+/** A file the pipeline refuses; `message` is written for the seller. */
+export class ImageProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageProcessingError';
+  }
+}
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Decodes a file upright. `createImageBitmap` applies the EXIF orientation with
+ * `imageOrientation: 'from-image'`; the <img> fallback relies on the browser doing the same.
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Fall through to the <img> decoder, which some browsers handle more leniently.
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Checks a selected file and decodes it.
+ * @param {File} file
+ * @returns {Promise<{file: File, image: ImageBitmap|HTMLImageElement, width: number, height: number}>}
+ * @throws {ImageProcessingError} When the file is the wrong type, too large, unreadable or too small.
+ */
+export const loadSourceImage = async (file) => {
+  if (!ACCEPTED_SOURCE_TYPES.includes(file.type)) {
+    throw new ImageProcessingError(`${file.name}: unsupported file type. Please use JPEG, PNG or WebP.`);
+  }
+  if (file.size > MAX_SOURCE_BYTES) {
+    throw new ImageProcessingError(`${file.name} is ${formatMegabytes(file.size)}; the limit is ${formatMegabytes(MAX_SOURCE_BYTES)}.`);
+  }
+
+  let image;
+  try {
+    image = await decodeImage(file);
+  } catch {
+    throw new ImageProcessingError(`${file.name} could not be read. The file may be damaged.`);
+  }
+
+  const width = image.naturalWidth ?? image.width;
+  const height = image.naturalHeight ?? image.height;
+  if (Math.min(width, height) < MIN_SOURCE_DIMENSION) {
+    throw new ImageProcessingError(`${file.name} is ${width}×${height} pixels; images must be at least ${MIN_SOURCE_DIMENSION} pixels on the shortest side.`);
+  }
+  return { file, image, width, height };
+};
+
+/** The largest centred crop with the catalog aspect ratio, in source pixels. */
+export const getDefaultCrop = (width, height, aspectRatio = CATALOG_ASPECT_RATIO) => {
+  const cropWidth = Math.min(width, height * aspectRatio);
+  const cropHeight = cropWidth / aspectRatio;
+  return {
+    x: Math.round((width - cropWidth) / 2),
+    y: Math.round((height - cropHeight) / 2),
+    width: Math.round(cropWidth),
+    height: Math.round(cropHeight),
+  };
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new ImageProcessingError('The image could not be encoded.'))),
+    OUTPUT_TYPE,
+    OUTPUT_QUALITY
+  );
+});
+
+const renderCrop = (source, crop, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; without a fill, transparent PNG areas would turn black.
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Crops the source and renders every rendition as a metadata-free JPEG.
+ * Each smaller rendition is drawn from the previous one, which keeps downscaling sharp.
+ * @param {{image: ImageBitmap|HTMLImageElement}} source - From `loadSourceImage`.
+ * @param {{x: number, y: number, width: number, height: number}} crop - In source pixels.
+ * @returns {Promise<{thumbnail: Blob, card: Blob, full: Blob}>}
+ */
+export const createRenditions = async (source, crop) => {
+  const renditions = {};
+  let current = source.image;
+  let currentCrop = crop;
+  const sizesLargestFirst = Object.entries(RENDITION_SIZES).sort(([, a], [, b]) => b - a);
+
+  for (const [name, longestEdge] of sizesLargestFirst) {
+    const scale = Math.min(1, longestEdge / Math.max(currentCrop.width, currentCrop.height));
+    const width = Math.round(currentCrop.width * scale);
+    const height = Math.round(currentCrop.height * scale);
+    const canvas = renderCrop(current, currentCrop, width, height);
+    renditions[name] = await canvasToBlob(canvas);
+    current = canvas;
+    currentCrop = { x: 0, y: 0, width, height };
+  }
+  return renditions;
+};
+
+/** Frees the decoded bitmap once the seller is done with a source image. */
+export const releaseSourceImage = (source) => {
+  source?.image?.close?.();
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Stock levels and stock adjustments. Every change a seller makes from the
+ * inventory page is recorded with a reason so the product keeps a history of its stock.
+ * A product (or one of its variants) is "low" once its stock is at or below the product's
+ * low-stock threshold.
+ */
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Why a seller changed the stock. The seller always types a positive number; `toChange`
+ * turns it into the signed change sent to the server.
+ */
+export const STOCK_ADJUSTMENT_REASONS = {
+  RESTOCK: { label: 'Restock', hint: 'Units received', toChange: (quantity) => quantity },
+  DAMAGE: { label: 'Damage', hint: 'Units written off', toChange: (quantity) => -quantity },
+  CORRECTION: { label: 'Correction', hint: 'Counted stock', toChange: (quantity, currentStock) => quantity - currentStock },
+};
+
+/** Products saved before thresholds existed use the default. */
+export const getLowStockThreshold = (product) => (
+  Number.isInteger(product?.lowStockThreshold) ? product.lowStockThreshold : DEFAULT_LOW_STOCK_THRESHOLD
+);
+
+/** @returns {'OUT'|'LOW'|'IN'} */
+export const getStockLevel = (stock, threshold) => {
+  if (!stock || stock < 1) return 'OUT';
+  return stock <= threshold ? 'LOW' : 'IN';
+};
+
+export const STOCK_LEVELS = {
+  OUT: { label: 'Out of stock', badgeClassName: 'bg-red-100 text-red-800' },
+  LOW: { label: 'Low stock', badgeClassName: 'bg-yellow-100 text-yellow-800' },
+  IN: { label: 'In stock', badgeClassName: 'bg-green-100 text-green-800' },
+};
+
+/**
+ * The stock a shopper should be told about: the count when it is low, otherwise null.
+ * Used for "Only N left" messaging.
+ */
+export const getLowStockCount = (product, stock = product?.stock) => (
+  getStockLevel(stock, getLowStockThreshold(product)) === 'LOW' ? stock : null
+);
+
+/** One row per variant, or a single row for a product without variants. */
+export const getStockRows = (product) => (
+  Array.isArray(product.variants) && product.variants.length > 0
+    ? product.variants.map(variant => ({ variant, stock: variant.stock }))
+    : [{ variant: null, stock: product.stock ?? 0 }]
+);
+
+/**
+ * Checks an inline adjustment before it is sent.
+ * @param {{quantity: string, reason: string}} adjustment - Raw form values.
+ * @param {number} currentStock
+ * @returns {string|null} An error for the seller, or null when the adjustment is valid.
+ */
+export const validateStockAdjustment = ({ quantity, reason }, currentStock) => {
+  const reasonConfig = STOCK_ADJUSTMENT_REASONS[reason];
+  if (!reasonConfig) return 'Choose a reason.';
+  const value = Number(quantity);
+  if (String(quantity).trim() === '' || !Number.isInteger(value) || value < 0) return 'Use a whole number, 0 or more.';
+  const change = reasonConfig.toChange(value, currentStock);
+  if (change === 0) return reason === 'CORRECTION' ? 'Stock already matches this count.' : 'Enter at least 1 unit.';
+  if (currentStock + change < 0) return `Only ${currentStock} in stock.`;
+  return null;
+};
+
+export const validateLowStockThreshold = (value) => (
+  String(value).trim() === '' || !Number.isInteger(Number(value)) || Number(value) < 0
+    ? 'Use a whole number, 0 or more.'
+    : null
+);
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Order statuses, which status changes each role may make, and the buyer-facing
+ * timeline built from an order's status history. A paid order moves PENDING_PAYMENT → PAID →
+ * PROCESSING → SHIPPED → COMPLETED; CANCELLED and PAYMENT_FAILED end it early. After delivery the
+ * buyer can ask to return items: RETURN_REQUESTED, then REFUNDED if the seller accepts, or back to
+ * COMPLETED if not.
+ */
+import { differenceInCalendarDays, isValid, parseISO } from 'date-fns';
+
+import { normalizeTrackingNumber, validateShipment } from '../services/carriers';
+
+export const ORDER_STATUSES = {
+  PENDING_PAYMENT: { label: 'Pending payment', description: 'Waiting for your payment.', badgeClassName: 'bg-yellow-100 text-yellow-800' },
+  PAID: { label: 'Paid', description: 'Payment received.', badgeClassName: 'bg-green-100 text-green-800' },
+  PROCESSING: { label: 'Processing', description: 'The seller is preparing your order.', badgeClassName: 'bg-blue-100 text-blue-800' },
+  SHIPPED: { label: 'Shipped', description: 'On its way to you.', badgeClassName: 'bg-green-100 text-green-800' },
+  COMPLETED: { label: 'Completed', description: 'Delivered.', badgeClassName: 'bg-green-100 text-green-800' },
+  CANCELLED: { label: 'Cancelled', description: 'This order was cancelled.', badgeClassName: 'bg-red-100 text-red-800' },
+  PAYMENT_FAILED: { label: 'Payment failed', description: 'The payment did not go through.', badgeClassName: 'bg-red-100 text-red-800' },
+  RETURN_REQUESTED: { label: 'Return requested', description: 'The seller is reviewing your return request.', badgeClassName: 'bg-orange-100 text-orange-800' },
+  REFUNDED: { label: 'Refunded', description: 'Your return was accepted and your money refunded.', badgeClassName: 'bg-purple-100 text-purple-800' },
+};
+
+/** The path every successful order takes, in order. */
+export const ORDER_PROGRESS_STEPS = ['PENDING_PAYMENT', 'PAID', 'PROCESSING', 'SHIPPED', 'COMPLETED'];
+
+/** Statuses a completed order can move on to; they follow COMPLETED on the timeline rather than ending the order early. */
+const AFTER_SALE_STATUSES = ['RETURN_REQUESTED', 'REFUNDED'];
+
+/** Buyers can ask for a return this many days after the order is completed. */
+export const RETURN_WINDOW_DAYS = 30;
+export const MAX_RETURN_PHOTOS = 5;
+
+export const CANCELLATION_REASONS = {
+  CHANGED_MIND: 'I changed my mind',
+  ORDERED_BY_MISTAKE: 'I ordered by mistake',
+  FOUND_CHEAPER: 'I found a better price',
+  TOO_SLOW: 'Delivery would take too long',
+  OTHER: 'Other',
+};
+
+export const RETURN_REASONS = {
+  DAMAGED: 'Arrived damaged',
+  NOT_AS_DESCRIBED: 'Not as described',
+  WRONG_ITEM: 'Wrong item sent',
+  DOES_NOT_FIT: 'Does not fit',
+  NO_LONGER_NEEDED: 'No longer needed',
+  OTHER: 'Other',
+};
+
+export const getOrderStatusLabel = (status) => ORDER_STATUSES[status?.toUpperCase()]?.label || status?.replace(/_/g, ' ') || 'N/A';
+
+export const getOrderStatusBadgeClassName = (status) => ORDER_STATUSES[status?.toUpperCase()]?.badgeClassName || 'bg-gray-100 text-gray-700';
+
+/**
+ * The status changes allowed from each status. The server enforces the same table; keeping a copy
+ * here means the seller, admin and buyer screens only ever offer changes that will be accepted.
+ *
+ * `roles` are the `changedBy` roles of `OrderStatusChangeDTO`. `requires` lists what the change
+ * must come with:
+ * - 'reason': a note explaining it, shown to the buyer on the order's timeline.
+ * - 'shipment': the carrier and tracking number (see `src/services/carriers`).
+ * - 'payment': a successful payment; buyers make this change from the payment page.
+ * - 'return': the items going back, why, and optional photos; sent with `createReturnRequest`.
+ * The same target can appear twice with different roles when they must provide different things.
+ */
+const ORDER_TRANSITIONS = {
+  PENDING_PAYMENT: [
+    { to: 'PAID', roles: ['BUYER'], requires: ['payment'] },
+    // Paid outside the site, e.g. by bank transfer.
+    { to: 'PAID', roles: ['ADMIN'], requires: ['reason'] },
+    { to: 'PAYMENT_FAILED', roles: ['SYSTEM'] },
+    { to: 'CANCELLED', roles: ['BUYER'] },
+    { to: 'CANCELLED', roles: ['SELLER', 'ADMIN'], requires: ['reason'] },
+  ],
+  PAYMENT_FAILED: [
+    { to: 'PAID', roles: ['BUYER'], requires: ['payment'] },
+    { to: 'PAID', roles: ['ADMIN'], requires: ['reason'] },
+    { to: 'CANCELLED', roles: ['BUYER'] },
+    { to: 'CANCELLED', roles: ['SELLER', 'ADMIN'], requires: ['reason'] },
+  ],
+  // Cancelling a paid order refunds the payment.
+  PAID: [
+    { to: 'PROCESSING', roles: ['SELLER', 'ADMIN'] },
+    { to: 'SHIPPED', roles: ['SELLER', 'ADMIN'], requires: ['shipment'] },
+    { to: 'CANCELLED', roles: ['BUYER', 'SELLER', 'ADMIN'], requires: ['reason'] },
+  ],
+  PROCESSING: [
+    { to: 'SHIPPED', roles: ['SELLER', 'ADMIN'], requires: ['shipment'] },
+    { to: 'CANCELLED', roles: ['BUYER', 'SELLER', 'ADMIN'], requires: ['reason'] },
+  ],
+  SHIPPED: [
+    // Corrects a mistyped tracking number without changing the status.
+    { to: 'SHIPPED', roles: ['SELLER', 'ADMIN'], requires: ['shipment'], label: 'Update tracking' },
+    // SYSTEM: the carrier reported the parcel delivered.
+    { to: 'COMPLETED', roles: ['SELLER', 'ADMIN', 'SYSTEM'] },
+  ],
+  COMPLETED: [
+    { to: 'RETURN_REQUESTED', roles: ['BUYER'], requires: ['return'] },
+  ],
+  RETURN_REQUESTED: [
+    // Refunds the returned items to the order's payment. Sellers decide on their own lines only.
+    { to: 'REFUNDED', roles: ['SELLER', 'ADMIN'], label: 'Accept return and refund' },
+    { to: 'COMPLETED', roles: ['SELLER', 'ADMIN'], requires: ['reason'], label: 'Reject return' },
+  ],
+  CANCELLED: [],
+  REFUNDED: [],
+};
+
+/**
+ * The changes `role` may make to an order in `status`.
+ * @returns {Array<{to: string, requires: string[], label: string}>}
+ */
+export const getOrderTransitions = (status, role) => (ORDER_TRANSITIONS[status?.toUpperCase()] || [])
+  .filter(transition => transition.roles.includes(role))
+  .map(({ to, requires = [], label }) => ({ to, requires, label: label || getOrderStatusLabel(to) }));
+
+export const getOrderTransition = (status, nextStatus, role) => getOrderTransitions(status, role).find(transition => transition.to === nextStatus) || null;
+
+export const canTransitionOrder = (status, nextStatus, role) => Boolean(getOrderTransition(status, nextStatus, role));
+
+/**
+ * Whether the buyer can still ask to return items: the order is completed, within
+ * `RETURN_WINDOW_DAYS` of completion, and has not had a return request already.
+ */
+export const canRequestReturn = (order, now = new Date()) => {
+  if (!canTransitionOrder(order.status, 'RETURN_REQUESTED', 'BUYER') || order.returnRequest) return false;
+  const completedAt = [...(order.statusHistory || [])].reverse().find(change => change.status === 'COMPLETED')?.changedAt;
+  const completedDate = completedAt ? parseISO(completedAt) : null;
+  // Orders from before status history was recorded have no completion date to count from.
+  return !completedDate || !isValid(completedDate) || differenceInCalendarDays(now, completedDate) <= RETURN_WINDOW_DAYS;
+};
+
+/** An empty status change for `validateOrderTransition`, starting from the order's current tracking details. */
+export const createOrderStatusChange = (order) => ({
+  status: '',
+  reason: '',
+  shipment: { carrier: order.shipment?.carrier || '', trackingNumber: order.shipment?.trackingNumber || '' },
+});
+
+/**
+ * Checks a status change a user filled in against the table above.
+ * @param {{status: string, reason?: string, shipment?: {carrier: string, trackingNumber: string}}} change
+ * @returns {object} field name -> error message, empty when the change may be saved.
+ */
+export const validateOrderTransition = (order, change, role) => {
+  const transition = getOrderTransition(order.status, change.status, role);
+  if (!transition) {
+    return { status: change.status ? `An order that is ${getOrderStatusLabel(order.status).toLowerCase()} cannot be changed to ${getOrderStatusLabel(change.status).toLowerCase()}.` : 'Choose the new status.' };
+  }
+  let errors = {};
+  if (transition.requires.includes('reason') && !change.reason?.trim()) {
+    errors.reason = 'Give a reason; the buyer will see it.';
+  }
+  if (transition.requires.includes('shipment')) {
+    errors = { ...errors, ...validateShipment(change.shipment || {}) };
+  }
+  if (transition.requires.includes('return')) {
+    const { items = [], reason, photos = [] } = change.returnRequest || {};
+    if (items.length === 0) errors.items = 'Choose the items you are sending back.';
+    if (!reason) errors.returnReason = 'Tell the seller why you are returning them.';
+    if (photos.length > MAX_RETURN_PHOTOS) errors.photos = `Add up to ${MAX_RETURN_PHOTOS} photos.`;
+  }
+  return errors;
+};
+
+/** The extra fields `updateOrderStatus` sends with a validated change. */
+export const getOrderTransitionDetails = (order, change, role) => {
+  const { requires } = getOrderTransition(order.status, change.status, role);
+  return {
+    ...(requires.includes('reason') && { note: change.reason.trim() }),
+    ...(requires.includes('shipment') && {
+      shipment: { carrier: change.shipment.carrier, trackingNumber: normalizeTrackingNumber(change.shipment.trackingNumber) },
+    }),
+  };
+};
+
+/**
+ * One timeline entry per progress step, plus the status that ended the order early, if any, or
+ * the return steps a completed order went through.
+ * Each entry carries the history record that reached it (`change`), or null when it has not been
+ * reached yet or was skipped. Orders from before status history was recorded only have `date`.
+ *
+ * @param {object} order - An `OrderDTO`.
+ * @returns {Array<{status: string, state: 'done'|'current'|'upcoming'|'skipped'|'ended', change: object|null}>}
+ */
+export const buildOrderTimeline = (order) => {
+  const history = [...(order.statusHistory || [])].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  if (history.length === 0) {
+    history.push({ status: 'PENDING_PAYMENT', changedAt: order.date, changedBy: null });
+    if (order.status !== 'PENDING_PAYMENT') history.push({ status: order.status, changedAt: null, changedBy: null });
+  }
+  // The latest time each status was reached; a status can recur, e.g. after a failed payment.
+  const changesByStatus = Object.fromEntries(history.map(change => [change.status, change]));
+  const orderStatus = order.status?.toUpperCase();
+  const isAfterSale = AFTER_SALE_STATUSES.includes(orderStatus);
+  // During a return the progress steps read as a completed order, with the return steps after them.
+  const currentStatus = isAfterSale ? 'COMPLETED' : orderStatus;
+  const endedEarly = !ORDER_PROGRESS_STEPS.includes(currentStatus);
+  const lastReachedIndex = Math.max(...ORDER_PROGRESS_STEPS.map((status, index) => (changesByStatus[status] ? index : -1)));
+
+  const timeline = ORDER_PROGRESS_STEPS.map((status, index) => {
+    const change = changesByStatus[status] || null;
+    let state;
+    if (status === currentStatus) state = isAfterSale ? 'done' : 'current';
+    else if (change) state = 'done';
+    else if (index < lastReachedIndex) state = 'skipped';
+    else state = 'upcoming';
+    return { status, state, change };
+  });
+
+  if (endedEarly) {
+    // Steps after the ending are never going to happen.
+    const cutOff = timeline.findIndex(step => step.state === 'upcoming');
+    const steps = cutOff === -1 ? timeline : timeline.slice(0, cutOff);
+    return [...steps, { status: currentStatus, state: 'ended', change: changesByStatus[currentStatus] || null }];
+  }
+  // Returns that were asked for, including rejected ones, in the order they happened.
+  const afterSaleSteps = AFTER_SALE_STATUSES
+    .filter(status => changesByStatus[status] || status === orderStatus)
+    .map(status => ({ status, state: status === orderStatus ? 'current' : 'done', change: changesByStatus[status] || null }));
+  return [...timeline, ...afterSaleSteps];
+};
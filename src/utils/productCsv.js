@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Bulk product import and export for sellers. A catalog CSV has one product per row;
+ * rows with an `id` of one of the seller's products update it, rows without one create a product.
+ * Rows are checked with the same field rules as the product forms (`productValidation.js`).
+ */
+import { getMySellerProducts, createProduct, updateProduct } from '../services/api';
+import { parseCsv, toCsv, stripFormulaGuard } from './csv';
+import { validateProductField } from './productValidation';
+import { getImageUrl } from './productImages';
+import { hasVariants, toVariantFormRows, toVariantPayload, getTotalVariantStock } from './variants';
+import { getProductStatus } from './productStatus';
+
+export const PRODUCT_CSV_COLUMNS = ['id', 'name', 'description', 'price', 'category', 'stock', 'image_url'];
+const REQUIRED_COLUMNS = ['name', 'description', 'price', 'category', 'stock'];
+export const MAX_IMPORT_ROWS = 1000;
+
+const CATALOG_PAGE_SIZE = 100;
+
+/** A file that cannot be imported at all; `message` is written for the seller. */
+export class ProductCsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProductCsvError';
+  }
+}
+
+/** Every product the signed-in seller has, fetched page by page. */
+export const getAllSellerProducts = async () => {
+  const products = [];
+  let page = 0;
+  let totalPages = 1;
+  while (page < totalPages) {
+    const { data } = await getMySellerProducts({ page, size: CATALOG_PAGE_SIZE, sort: 'id,ASC' });
+    products.push(...data.content);
+    totalPages = data.totalPages;
+    page++;
+  }
+  return products;
+};
+
+/** The seller's catalog as CSV text, in the same layout the import reads. */
+export const productsToCsv = (products) => toCsv(PRODUCT_CSV_COLUMNS, products.map(product => [
+  product.id,
+  product.name,
+  product.description,
+  product.price,
+  product.category,
+  product.stock,
+  product.photoUrl ? getImageUrl(product.photoUrl) : '',
+]));
+
+/** An empty import file with one example row. */
+export const getProductCsvTemplate = () => toCsv(PRODUCT_CSV_COLUMNS, [
+  ['', 'Linen Summer Dress', 'Lightweight linen dress with adjustable straps.', 49.99, 'Dresses', 25, 'https://example.com/images/linen-dress.jpg'],
+]);
+
+// "Image URL", "imageUrl" and "image_url" all name the same column.
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/^imageurl$/, 'image_url');
+
+const isWebUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const validateRow = (values, existingProduct, categories) => {
+  const stockFromVariants = hasVariants(existingProduct);
+  const errors = {};
+  REQUIRED_COLUMNS.forEach(field => {
+    // Like the product forms: a product with variants takes its stock from them.
+    if (field === 'stock' && stockFromVariants) return;
+    const error = validateProductField(field, values[field]);
+    if (error) errors[field] = error;
+  });
+
+  if (!errors.category && categories.length > 0) {
+    const category = categories.find(name => name.toLowerCase() === values.category.toLowerCase());
+    if (category) values.category = category;
+    else errors.category = `Unknown category "${values.category}".`;
+  }
+
+  if (values.image_url && !isWebUrl(values.image_url)) {
+    errors.image_url = "Image URL must start with http:// or https://.";
+  } else if (!values.image_url && !existingProduct) {
+    errors.image_url = "Image URL is required for new products.";
+  }
+  return { errors, stockFromVariants };
+};
+
+/**
+ * Reads an import file and checks every row.
+ * @param {string} text - The file contents.
+ * @param {object} context
+ * @param {Array<string>} context.categories - Valid category names; category names are matched ignoring case.
+ * @param {Array<object>} context.existingProducts - The seller's catalog, for matching `id`s.
+ * @returns {Array<{lineNumber: number, values: object, errors: object, action: 'create'|'update', existingProduct: object|null, stockFromVariants: boolean}>}
+ * @throws {ProductCsvError} When the file is empty, misses required columns or has too many rows.
+ */
+export const parseProductCsv = (text, { categories, existingProducts }) => {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) throw new ProductCsvError("The file is empty.");
+
+  const columns = headerRow.fields.map(normalizeHeader);
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missingColumns.length > 0) {
+    throw new ProductCsvError(`The file is missing these columns: ${missingColumns.join(', ')}. Download the template to see the expected layout.`);
+  }
+  if (dataRows.length === 0) throw new ProductCsvError("The file has no product rows.");
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ProductCsvError(`The file has ${dataRows.length} rows; you can import up to ${MAX_IMPORT_ROWS} at a time.`);
+  }
+
+  const productsById = new Map(existingProducts.map(product => [String(product.id), product]));
+  const seenIds = new Set();
+
+  return dataRows.map(({ lineNumber, fields }) => {
+    const values = Object.fromEntries(PRODUCT_CSV_COLUMNS.map(column => {
+      const index = columns.indexOf(column);
+      return [column, index === -1 ? '' : stripFormulaGuard((fields[index] ?? '').trim())];
+    }));
+
+    const existingProduct = values.id ? productsById.get(values.id) ?? null : null;
+    const { errors, stockFromVariants } = validateRow(values, existingProduct, categories);
+    if (values.id && !existingProduct) {
+      errors.id = `You have no product with ID ${values.id}. Leave the ID empty to create a new product.`;
+    } else if (values.id && seenIds.has(values.id)) {
+      errors.id = `Product ${values.id} appears more than once in the file.`;
+    }
+    if (values.id) seenIds.add(values.id);
+
+    return {
+      lineNumber,
+      values,
+      errors,
+      action: existingProduct ? 'update' : 'create',
+      existingProduct,
+      stockFromVariants,
+    };
+  });
+};
+
+const toProductPayload = ({ values, existingProduct, stockFromVariants }) => {
+  const payload = {
+    name: values.name.trim(),
+    description: values.description.trim(),
+    price: parseFloat(values.price),
+    category: values.category,
+    stock: parseInt(values.stock, 10),
+  };
+  if (existingProduct) {
+    // The file has no status column; updated products keep theirs.
+    payload.status = getProductStatus(existingProduct);
+    payload.publishAt = existingProduct.publishAt ?? null;
+  }
+  if (stockFromVariants) {
+    // The product's variants are edited on its own page; keep them as they are.
+    const variantRows = toVariantFormRows(existingProduct.variants);
+    payload.variants = toVariantPayload(variantRows);
+    payload.stock = getTotalVariantStock(variantRows);
+  }
+  // Exported files list the current image, so only send it when it changed.
+  const currentImageUrl = existingProduct?.photoUrl ? getImageUrl(existingProduct.photoUrl) : '';
+  if (values.image_url && values.image_url !== currentImageUrl) {
+    payload.imageUrl = values.image_url;
+  }
+  return payload;
+};
+
+/**
+ * Creates and updates products for the valid rows, one at a time.
+ * @param {Array<object>} rows - Rows from `parseProductCsv` without errors.
+ * @param {(done: number) => void} onProgress - Called after each row, whether it succeeded or not.
+ * @returns {Promise<{created: number, updated: number, failed: Array<{lineNumber: number, name: string, message: string}>}>}
+ */
+export const importProducts = async (rows, onProgress) => {
+  const report = { created: 0, updated: 0, failed: [] };
+  for (const [index, row] of rows.entries()) {
+    try {
+      const payload = toProductPayload(row);
+      if (row.action === 'update') {
+        await updateProduct(row.existingProduct.id, payload);
+        report.updated++;
+      } else {
+        await createProduct(payload);
+        report.created++;
+      }
+    } catch (error) {
+      console.error("importProducts: Failed to save row", row.lineNumber, error);
+      report.failed.push({
+        lineNumber: row.lineNumber,
+        name: row.values.name,
+        message: error.response?.data?.message || "The product could not be saved.",
+      });
+    }
+    onProgress(index + 1);
+  }
+  return report;
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Auto-saved copies of unfinished product forms, kept in localStorage so a closed tab
+ * or an expired session does not lose the seller's work. Images are not kept; they are too large
+ * for localStorage and have to be added again.
+ */
+
+const STORAGE_KEY_PREFIX = 'sellerProductDraft';
+
+/** One saved form per seller and product; `productId` is omitted for a product not created yet. */
+export const getProductDraftKey = (sellerId, productId = 'new') => `${STORAGE_KEY_PREFIX}:${sellerId}:${productId}`;
+
+/** @returns {{formData: object, variants: Array<object>, savedAt: string}|null} */
+export const loadProductDraft = (key) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(key));
+    return draft?.formData && Array.isArray(draft.variants) ? draft : null;
+  } catch {
+    return null;
+  }
+};
+
+/** @returns {string|null} When the draft was saved, or null when storage is full or unavailable. */
+export const saveProductDraft = (key, { formData, variants }) => {
+  const savedAt = new Date().toISOString();
+  try {
+    localStorage.setItem(key, JSON.stringify({ formData, variants, savedAt }));
+    return savedAt;
+  } catch (error) {
+    console.error("saveProductDraft: Could not save the draft", error);
+    return null;
+  }
+};
+
+export const clearProductDraft = (key) => localStorage.removeItem(key);
+
+/** Whether a new-product form holds anything worth keeping. */
+export const hasDraftContent = (formData, variants) => (
+  variants.length > 0 || ['name', 'description', 'price', 'stock'].some(field => String(formData[field] ?? '').trim() !== '')
+);
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview The product list's filters and how they map to the page URL and to the
+ * `getProducts` request. Every filter round-trips through the URL, so a filtered list can be
+ * bookmarked, shared or reloaded.
+ */
+
+export const DEFAULT_SORT = 'name-asc';
+
+export const DEFAULT_FILTERS = {
+  categories: [],
+  search: '',
+  minPrice: '',
+  maxPrice: '',
+  sort: DEFAULT_SORT,
+  rating: 0,
+  inStock: false,
+  onSale: false,
+  seller: '',
+};
+
+export const RATING_OPTIONS = [
+  { value: 4, label: '4+' },
+  { value: 3, label: '3+' },
+  { value: 2, label: '2+' },
+  { value: 1, label: '1+' },
+  { value: -1, label: 'No Ratings Yet' },
+];
+
+/**
+ * Reads filters and the page number from a query string. Categories are repeated
+ * `category` parameters, so the single-category links used elsewhere keep working.
+ */
+export const getFiltersFromURL = (search) => {
+  const queryParams = new URLSearchParams(search);
+  return {
+    categories: queryParams.getAll('category').filter(category => category && category !== 'All'),
+    search: queryParams.get('search') || '',
+    minPrice: queryParams.get('minPrice') || '',
+    maxPrice: queryParams.get('maxPrice') || '',
+    sort: queryParams.get('sort') || DEFAULT_SORT,
+    rating: Number(queryParams.get('rating')) || 0,
+    inStock: queryParams.get('inStock') === '1',
+    onSale: queryParams.get('onSale') === '1',
+    seller: queryParams.get('seller') || '',
+    page: Number(queryParams.get('page')) || 0,
+  };
+};
+
+/** The inverse of `getFiltersFromURL`; default values are left out to keep URLs short. */
+export const filtersToSearchParams = (filters, page = 0) => {
+  const params = new URLSearchParams();
+  if (filters.search) params.set('search', filters.search);
+  filters.categories.forEach(category => params.append('category', category));
+  if (filters.minPrice) params.set('minPrice', filters.minPrice);
+  if (filters.maxPrice) params.set('maxPrice', filters.maxPrice);
+  if (filters.rating !== 0) params.set('rating', filters.rating);
+  if (filters.inStock) params.set('inStock', '1');
+  if (filters.onSale) params.set('onSale', '1');
+  if (filters.seller) params.set('seller', filters.seller);
+  if (filters.sort !== DEFAULT_SORT) params.set('sort', filters.sort);
+  if (page > 0) params.set('page', page);
+  return params;
+};
+
+/** Request parameters for `getProducts`, without the paging fields. Empty filters are omitted. */
+export const filtersToApiParams = (filters) => {
+  const [sortBy, sortDir] = filters.sort.split('-');
+  const apiParams = {
+    searchTerm: filters.search,
+    // Comma-separated, which the server binds to a list.
+    categories: filters.categories.length > 0 ? filters.categories.join(',') : null,
+    minPrice: filters.minPrice || null,
+    maxPrice: filters.maxPrice || null,
+    // Send minRating only if it's a positive number (1, 2, 3, 4)
+    minRating: filters.rating > 0 ? filters.rating : null,
+    // Send a new parameter if the user wants to see products with no reviews
+    noReviews: filters.rating === -1 ? true : null,
+    inStock: filters.inStock || null,
+    onSale: filters.onSale || null,
+    sellerId: filters.seller || null,
+    sortBy,
+    sortDir: sortDir.toUpperCase(),
+  };
+  Object.keys(apiParams).forEach(key => (apiParams[key] == null || apiParams[key] === '') && delete apiParams[key]);
+  return apiParams;
+};
+
+/**
+ * One chip per active filter, each with the change that removes it.
+ * @param {object} filters
+ * @param {{sellerNames?: object}} [labels] - Seller names by id, from the search facets.
+ * @returns {Array<{key: string, label: string, removal: object}>}
+ */
+export const getActiveFilterChips = (filters, { sellerNames = {} } = {}) => {
+  const chips = [];
+  if (filters.search) {
+    chips.push({ key: 'search', label: `"${filters.search}"`, removal: { search: '' } });
+  }
+  filters.categories.forEach(category => chips.push({
+    key: `category-${category}`,
+    label: category,
+    removal: { categories: filters.categories.filter(c => c !== category) },
+  }));
+  if (filters.minPrice || filters.maxPrice) {
+    const label = filters.minPrice && filters.maxPrice
+      ? `$${filters.minPrice} – $${filters.maxPrice}`
+      : filters.minPrice ? `From $${filters.minPrice}` : `Up to $${filters.maxPrice}`;
+    chips.push({ key: 'price', label, removal: { minPrice: '', maxPrice: '' } });
+  }
+  if (filters.rating !== 0) {
+    const option = RATING_OPTIONS.find(o => o.value === filters.rating);
+    chips.push({ key: 'rating', label: filters.rating > 0 ? `${option?.label || filters.rating} stars` : 'No ratings yet', removal: { rating: 0 } });
+  }
+  if (filters.inStock) chips.push({ key: 'inStock', label: 'In stock', removal: { inStock: false } });
+  if (filters.onSale) chips.push({ key: 'onSale', label: 'On sale', removal: { onSale: false } });
+  if (filters.seller) {
+    chips.push({ key: 'seller', label: `Seller: ${sellerNames[filters.seller] || `#${filters.seller}`}`, removal: { seller: '' } });
+  }
+  return chips;
+};
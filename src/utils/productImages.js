@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Helpers for product image galleries: resolving image URLs, the entries
+ * the seller's image manager works with, and saving a gallery after the product form is submitted.
+ * New images arrive here already processed; see `imageProcessing.js`.
+ */
+import { uploadProductImage, deleteProductImage, updateProductImageOrder } from '../services/api';
+
+const API_ORIGIN = 'http://localhost:8080';
+
+export const MAX_PRODUCT_IMAGES = 8;
+
+/** Uploaded images are served by the API with relative paths. */
+export const getImageUrl = (url) => {
+  if (!url) return '/assets/placeholder.png';
+  return url.startsWith('http') || url.startsWith('blob:') ? url : `${API_ORIGIN}${url}`;
+};
+
+/**
+ * A product's images in the order the seller arranged them.
+ * Falls back to the single `photoUrl` for products created before galleries.
+ * @returns {Array<{id: number|null, url: string, isCover: boolean}>}
+ */
+export const getProductImages = (product) => {
+  if (Array.isArray(product?.images) && product.images.length > 0) {
+    return [...product.images].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  }
+  return product?.photoUrl ? [{ id: null, url: product.photoUrl, isCover: true }] : [];
+};
+
+let nextEntryKey = 0;
+
+/**
+ * Image manager entry. `status` is 'uploaded' for images already on the server and
+ * 'pending', 'uploading' or 'error' for processed images waiting to be uploaded.
+ * @param {{thumbnail: Blob, card: Blob, full: Blob}} renditions - From `createRenditions`.
+ */
+export const createImageEntry = (renditions) => ({
+  key: `new-${nextEntryKey++}`,
+  id: null,
+  renditions,
+  url: URL.createObjectURL(renditions.card),
+  status: 'pending',
+  progress: 0,
+});
+
+/**
+ * Entries for the images a product already has on the server. A product created before galleries
+ * gets one entry for its `photoUrl`; it has no image record, so saving leaves it out of the order
+ * and never deletes it, and gallery images added next to it take over once saved.
+ */
+export const toImageEntries = (product) => getProductImages(product)
+  .map(image => ({ key: image.id !== null ? `image-${image.id}` : 'photo-url', id: image.id, renditions: null, url: image.url, isCover: Boolean(image.isCover), status: 'uploaded', progress: 100 }));
+
+export const revokeImageEntry = (entry) => {
+  if (entry.renditions) URL.revokeObjectURL(entry.url);
+};
+
+/**
+ * Brings the server's gallery in line with the image manager after the product itself was saved:
+ * deletes removed images, uploads new files one at a time, then saves the order and cover.
+ * @param {number|string} productId
+ * @param {object} gallery
+ * @param {Array<object>} gallery.images - Entries in the order the seller arranged them.
+ * @param {string|null} gallery.coverKey - Key of the cover entry; defaults to the first image.
+ * @param {Array<number>} [gallery.removedImageIds] - Server images the seller deleted.
+ * @param {(key: string, changes: object) => void} onEntryChange - Reports upload status and progress per entry.
+ * @returns {Promise<number>} How many uploads failed; the order is only saved when none did.
+ */
+export const saveProductGallery = async (productId, { images, coverKey, removedImageIds = [] }, onEntryChange) => {
+  await Promise.all(removedImageIds.map(imageId => deleteProductImage(productId, imageId)));
+
+  const imageIdsByKey = Object.fromEntries(images.filter(entry => entry.id !== null).map(entry => [entry.key, entry.id]));
+  let failedUploads = 0;
+  for (const entry of images) {
+    if (entry.status === 'uploaded') continue;
+    onEntryChange(entry.key, { status: 'uploading', progress: 0 });
+    try {
+      const { data: uploadedImage } = await uploadProductImage(productId, entry.renditions, (progress) => onEntryChange(entry.key, { progress }));
+      imageIdsByKey[entry.key] = uploadedImage.id;
+      onEntryChange(entry.key, { status: 'uploaded', id: uploadedImage.id, progress: 100 });
+    } catch (error) {
+      console.error("saveProductGallery: Failed to upload image", error);
+      failedUploads++;
+      onEntryChange(entry.key, { status: 'error' });
+    }
+  }
+  if (failedUploads > 0) return failedUploads;
+
+  const imageIds = images.map(entry => imageIdsByKey[entry.key]).filter(imageId => imageId !== undefined);
+  if (imageIds.length === 0) return 0;
+  const coverImageId = imageIdsByKey[coverKey] ?? imageIds[0];
+  await updateProductImageOrder(productId, imageIds, coverImageId);
+  return 0;
+};
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview How the buyer browses the product list: numbered pages or infinite scroll, and a
+ * snapshot of the infinite list so that going back from a product brings back the pages already
+ * loaded and the scroll position, instead of starting over at the top.
+ */
+
+export const LIST_MODES = {
+  PAGED: 'PAGED',
+  INFINITE: 'INFINITE',
+};
+
+const LIST_MODE_STORAGE_KEY = 'productListMode';
+const SNAPSHOT_STORAGE_KEY = 'productListSnapshot';
+// Past this, the listing has likely changed enough that a fresh load is better.
+const SNAPSHOT_MAX_AGE_MS = 30 * 60 * 1000;
+
+/** The buyer's last chosen mode, kept across visits. */
+export const getListMode = () => {
+  try {
+    return localStorage.getItem(LIST_MODE_STORAGE_KEY) === LIST_MODES.INFINITE ? LIST_MODES.INFINITE : LIST_MODES.PAGED;
+  } catch {
+    return LIST_MODES.PAGED;
+  }
+};
+
+export const saveListMode = (mode) => {
+  try {
+    localStorage.setItem(LIST_MODE_STORAGE_KEY, mode);
+  } catch (error) {
+    console.error("saveListMode: Could not save the list mode", error);
+  }
+};
+
+/**
+ * The infinite list as it was left, if it was for the same filters and is recent enough.
+ * Kept in sessionStorage, so it is per tab and survives a reload.
+ * @param {string} query - The filters as a query string, without the page.
+ * @returns {{products: Array<object>, totalElements: number, facets: object, page: number, scrollY: number}|null}
+ */
+export const loadListSnapshot = (query) => {
+  try {
+    const snapshot = JSON.parse(sessionStorage.getItem(SNAPSHOT_STORAGE_KEY));
+    if (!snapshot || snapshot.query !== query || Date.now() - snapshot.savedAt > SNAPSHOT_MAX_AGE_MS) return null;
+    return Array.isArray(snapshot.products) ? snapshot : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Only one snapshot is kept; saving replaces the previous one. */
+export const saveListSnapshot = (query, { products, totalElements, facets, page, scrollY }) => {
+  try {
+    sessionStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify({ query, products, totalElements, facets, page, scrollY, savedAt: Date.now() }));
+  } catch (error) {
+    // A very long session can outgrow the storage quota; the list then simply loads fresh.
+    console.error("saveListSnapshot: Could not save the product list", error);
+  }
+};
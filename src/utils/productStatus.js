@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Product lifecycle. Only ACTIVE products are shown to shoppers; SCHEDULED products
+ * become ACTIVE at their `publishAt` time, DRAFT products are unfinished and ARCHIVED products
+ * were taken down by the seller but can be restored.
+ */
+import { format, isValid, parseISO } from 'date-fns';
+
+export const PRODUCT_STATUSES = {
+  DRAFT: { label: 'Draft', description: 'Only you can see it. Unfinished fields are allowed.', badgeClassName: 'bg-gray-100 text-gray-700' },
+  ACTIVE: { label: 'Active', description: 'Listed in the store right away.', badgeClassName: 'bg-green-100 text-green-800' },
+  SCHEDULED: { label: 'Scheduled', description: 'Goes live automatically at the time you choose.', badgeClassName: 'bg-blue-100 text-blue-800' },
+  ARCHIVED: { label: 'Archived', description: 'Hidden from the store; you can restore it later.', badgeClassName: 'bg-yellow-100 text-yellow-800' },
+};
+
+/** Products created before the lifecycle existed have no status and are live. */
+export const getProductStatus = (product) => (PRODUCT_STATUSES[product?.status] ? product.status : 'ACTIVE');
+
+/**
+ * Whether shoppers may see the product. A scheduled product whose time has passed counts as live,
+ * in case the server has not switched it to ACTIVE yet.
+ */
+export const isProductLive = (product, now = new Date()) => {
+  const status = getProductStatus(product);
+  if (status === 'ACTIVE') return true;
+  if (status !== 'SCHEDULED' || !product.publishAt) return false;
+  const publishAt = parseISO(product.publishAt);
+  return isValid(publishAt) && publishAt <= now;
+};
+
+/** Formats an ISO timestamp for a `datetime-local` input, in the seller's time zone. */
+export const toDateTimeInputValue = (isoString) => {
+  const date = isoString ? parseISO(isoString) : null;
+  return date && isValid(date) ? format(date, "yyyy-MM-dd'T'HH:mm") : '';
+};
+
+/** Converts a `datetime-local` value back to an ISO timestamp for the API. */
+export const fromDateTimeInputValue = (value) => (value ? new Date(value).toISOString() : null);
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Field rules for product data, shared by the seller's product forms
+ * and the CSV bulk import so a product is accepted or refused the same way everywhere.
+ */
+
+// A draft only needs a name; the other fields can be finished before it is published.
+const DRAFT_REQUIRED_FIELDS = ['name'];
+
+/**
+ * Checks one product field.
+ * @param {'name'|'description'|'price'|'category'|'stock'|'publishAt'} name
+ * @param {string|number} value - As entered; numbers may still be strings.
+ * @returns {string} The error message, or an empty string when the value is valid.
+ */
+export const validateProductField = (name, value) => {
+  let error = "";
+  switch (name) {
+    case "name":
+      if (!value.trim()) error = "Product name is required.";
+      else if (value.trim().length < 3) error = "Name must be at least 3 characters.";
+      break;
+    case "description":
+      if (!value.trim()) error = "Description is required.";
+      else if (value.trim().length < 10) error = "Description must be at least 10 characters.";
+      break;
+    case "price":
+      if (String(value).trim() === "") error = "Price is required.";
+      else if (isNaN(value) || Number(value) <= 0) error = "Price must be a positive number.";
+      break;
+    case "category":
+      if (!value) error = "Category is required.";
+      break;
+    case "stock":
+      if (String(value).trim() === "") error = "Stock quantity is required.";
+      else if (isNaN(value) || Number(value) < 0 || !Number.isInteger(Number(value))) error = "Stock must be a non-negative whole number.";
+      break;
+    case "publishAt":
+      if (!value) error = "Choose when the product goes live.";
+      else if (new Date(value) <= new Date()) error = "The publish time must be in the future.";
+      break;
+    default:
+      break;
+  }
+  return error;
+};
+
+/**
+ * Checks a product form. Blank fields of a draft are allowed, but filled-in ones must still be valid.
+ * @param {object} formData - The form's fields, including `status` and `publishAt`.
+ * @param {object} [options]
+ * @param {boolean} [options.hasVariants] - The stock then comes from the variants and is not checked.
+ * @returns {Object<string, string>} Error messages by field name; empty when the form is valid.
+ */
+export const validateProductForm = (formData, { hasVariants = false } = {}) => {
+  const isDraft = formData.status === "DRAFT";
+  const errors = {};
+  Object.keys(formData).forEach(key => {
+    if (key === "stock" && hasVariants) return;
+    if (key === "publishAt" && formData.status !== "SCHEDULED") return;
+    if (isDraft && !DRAFT_REQUIRED_FIELDS.includes(key) && String(formData[key] ?? "").trim() === "") return;
+    const error = validateProductField(key, formData[key]);
+    if (error) errors[key] = error;
+  });
+  return errors;
+};
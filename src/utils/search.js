@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Helpers for product search. Matching itself (including typo tolerance and
+ * "did you mean" corrections) happens on the server; these only prepare queries and
+ * mark up the results.
+ */
+import axios from 'axios';
+
+export const MIN_SUGGESTION_QUERY_LENGTH = 2;
+
+/** Collapses whitespace so "  red   dress " and "red dress" are the same query. */
+export const normalizeSearchQuery = (query = '') => query.trim().replace(/\s+/g, ' ');
+
+/** Whether a failed request was cancelled on purpose because a newer query replaced it. */
+export const isCancelledRequest = (error) => axios.isCancel(error);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits `text` into parts that do and do not match any word of `query`, case-insensitively.
+ * @returns {Array<{text: string, isMatch: boolean}>}
+ */
+export const splitByMatches = (text = '', query = '') => {
+  const words = normalizeSearchQuery(query).split(' ').filter(Boolean).map(escapeRegExp);
+  if (!text || words.length === 0) return [{ text, isMatch: false }];
+  const alternatives = words.join('|');
+  const splitter = new RegExp(`(${alternatives})`, 'gi');
+  const matcher = new RegExp(`^(?:${alternatives})$`, 'i');
+  return text.split(splitter).filter(Boolean).map(part => ({ text: part, isMatch: matcher.test(part) }));
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Helpers for product variants (size/color combinations with their own
+ * stock and an optional price override), shared by the seller forms, ProductDetails,
+ * the cart and the order pages.
+ */
+
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+/** A variant's price, falling back to the product price when it has no override. */
+export const getVariantPrice = (product, variant) => (
+  variant?.price !== null && variant?.price !== undefined ? variant.price : product.price
+);
+
+/** The lowest price a buyer can pay for the product, used for "From $x" labels. */
+export const getLowestPrice = (product) => {
+  if (!hasVariants(product)) return product.price;
+  return Math.min(...product.variants.map(variant => getVariantPrice(product, variant)));
+};
+
+/** Whether variant price overrides make the product's price depend on the selection. */
+export const hasPriceRange = (product) => (
+  hasVariants(product) && new Set(product.variants.map(variant => getVariantPrice(product, variant))).size > 1
+);
+
+/** "M / Red" for a variant or for a cart/order line that carries `size` and `color`. */
+export const getVariantLabel = (item) => [item?.size, item?.color].filter(Boolean).join(' / ');
+
+/** The distinct sizes and colors offered, in the order the seller listed them. */
+export const getVariantOptions = (variants = []) => ({
+  sizes: [...new Set(variants.map(v => v.size).filter(Boolean))],
+  colors: [...new Set(variants.map(v => v.color).filter(Boolean))],
+});
+
+/**
+ * Finds the variant matching a selection. A dimension the product does not use
+ * (e.g. no colors at all) is ignored; one it does use must be selected.
+ */
+export const findVariant = (variants = [], { size, color }) => {
+  const { sizes, colors } = getVariantOptions(variants);
+  if ((sizes.length > 0 && !size) || (colors.length > 0 && !color)) return null;
+  return variants.find(v => (sizes.length === 0 || v.size === size) && (colors.length === 0 || v.color === color)) || null;
+};
+
+/** Whether any variant with the given size/color (either may be omitted) has stock left. */
+export const isOptionInStock = (variants = [], { size, color }) => variants.some(v =>
+  (!size || v.size === size) && (!color || v.color === color) && v.stock > 0
+);
+
+export const getTotalVariantStock = (variants = []) => variants.reduce((total, v) => total + (Number(v.stock) || 0), 0);
+
+/**
+ * Validates the rows of the seller's variant editor.
+ * @param {Array<{size: string, color: string, stock: string, price: string}>} variants - Raw form rows.
+ * @returns {{rows: Array<object>, general: string|null}} Per-row field errors and an error for the list as a whole.
+ */
+export const validateVariants = (variants) => {
+  const seen = new Set();
+  let general = null;
+  const rows = variants.map((variant) => {
+    const rowErrors = {};
+    const size = variant.size.trim();
+    const color = variant.color.trim();
+    if (!size && !color) {
+      rowErrors.size = 'Enter a size, a color or both.';
+    }
+    const key = `${size.toLowerCase()}|${color.toLowerCase()}`;
+    if ((size || color) && seen.has(key)) {
+      rowErrors.size = 'This combination is listed twice.';
+    }
+    seen.add(key);
+    if (String(variant.stock).trim() === '' || !Number.isInteger(Number(variant.stock)) || Number(variant.stock) < 0) {
+      rowErrors.stock = 'Use a whole number, 0 or more.';
+    }
+    if (String(variant.price).trim() !== '' && (isNaN(variant.price) || Number(variant.price) <= 0)) {
+      rowErrors.price = 'Must be a positive number.';
+    }
+    return rowErrors;
+  });
+
+  // Mixing "size only" rows with "size + color" rows leaves combinations buyers cannot pick.
+  const usesColor = variants.map(v => Boolean(v.color.trim()));
+  const usesSize = variants.map(v => Boolean(v.size.trim()));
+  if (new Set(usesColor).size > 1 || new Set(usesSize).size > 1) {
+    general = 'Every variant must use the same options (all with a size, all with a color, or both).';
+  }
+
+  return { rows, general };
+};
+
+export const hasVariantErrors = ({ rows, general }) => Boolean(general) || rows.some(row => Object.keys(row).length > 0);
+
+/** Converts the editor's string rows into the payload sent with the product. */
+export const toVariantPayload = (variants) => variants.map(variant => ({
+  ...(variant.id ? { id: variant.id } : {}),
+  size: variant.size.trim() || null,
+  color: variant.color.trim() || null,
+  stock: parseInt(variant.stock, 10),
+  price: String(variant.price).trim() === '' ? null : parseFloat(variant.price),
+}));
+
+/** Converts a product's variants into editor rows. */
+export const toVariantFormRows = (variants = []) => variants.map(variant => ({
+  id: variant.id,
+  size: variant.size || '',
+  color: variant.color || '',
+  stock: variant.stock !== undefined ? String(variant.stock) : '',
+  price: variant.price !== null && variant.price !== undefined ? String(variant.price) : '',
+}));